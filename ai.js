@@ -0,0 +1,249 @@
+// ai.js
+// Computer opponent. Searches the engine's legal moves with minimax and alpha-beta pruning,
+// deepening one ply at a time until the difficulty's depth or time budget runs out, and scores
+// positions by piece health, square control and steam.
+const engine = require('./engine');
+
+// maxDepth: plies searched at most. timeBudgetMs: thinking time per move.
+// randomness: noise added to the scores of the computer's own choices, so weaker levels
+// make human-looking mistakes and games don't repeat
+const DIFFICULTY_LEVELS = {
+  easy: { maxDepth: 1, timeBudgetMs: 300, randomness: 60 },
+  medium: { maxDepth: 2, timeBudgetMs: 1000, randomness: 15 },
+  hard: { maxDepth: 4, timeBudgetMs: 2500, randomness: 0 }
+};
+
+// Position weights: health points are worth 1, each controlled square and each point of steam
+// are worth these many health points
+const CONTROL_WEIGHT = 3;
+const STEAM_WEIGHT = 0.5;
+const WIN_SCORE = 1000000;
+
+// Deploy squares considered per piece type, closest to the enemy first. Trying every
+// controlled square for every affordable piece would swamp the search
+const MAX_DEPLOY_SQUARES = 3;
+// Upgrades considered per stat, for the pieces closest to the enemy, for the same reason
+const MAX_UPGRADES = 2;
+
+// Thrown inside the search when the time budget runs out
+class SearchTimeout extends Error {}
+
+// Score a position for the given color: positive is good for them. Their allies' pieces, control
+// and steam count as their own, every other seat's against them
+function evaluate(state, color) {
+  if (state.status === 'draw') {
+    return 0;
+  }
+  if (state.status !== 'active') {
+    return state.status === `${engine.teamOf(state.rules, color)}_wins` ? WIN_SCORE : -WIN_SCORE;
+  }
+
+  const sign = player => (engine.isAlly(state.rules, player, color) ? 1 : -1);
+  let score = 0;
+  engine.forEachSquare(state, (row, col) => {
+    const piece = state.board[row][col];
+    if (piece) {
+      score += sign(piece.player) * piece.health;
+    }
+
+    const control = state.squareControl[row][col];
+    if (control) {
+      score += sign(control) * CONTROL_WEIGHT;
+    }
+  });
+
+  Object.keys(state.steam).forEach(player => {
+    score += sign(player) * state.steam[player] * STEAM_WEIGHT;
+  });
+  return score;
+}
+
+// The legal moves worth searching, most promising first: attacks, then other piece moves,
+// then a few deploys and upgrades near the enemy, and last ending the turn in action-point games
+function candidateMoves(state) {
+  const enemies = [];
+  state.board.forEach(row => row.forEach(piece => {
+    if (piece && !engine.isAlly(state.rules, piece.player, state.turn)) {
+      enemies.push(piece.position);
+    }
+  }));
+  const distanceToEnemy = ([row, col]) => Math.min(...enemies.map(([r, c]) => Math.max(Math.abs(r - row), Math.abs(c - col))));
+
+  const attacks = [];
+  const moves = [];
+  const deploysByType = {};
+  const upgradesByStat = {};
+  const endTurns = [];
+  engine.legalMoves(state).forEach(move => {
+    if (move.type === 'endTurn') {
+      endTurns.push(move);
+    } else if (move.type === 'deploy') {
+      (deploysByType[move.pieceType] = deploysByType[move.pieceType] || []).push(move);
+    } else if (move.type === 'upgrade') {
+      (upgradesByStat[move.stat] = upgradesByStat[move.stat] || []).push(move);
+    } else if (state.board[move.to[0]][move.to[1]] && move.action !== 'support') {
+      attacks.push(move);
+    } else {
+      moves.push(move);
+    }
+  });
+
+  const deploys = [];
+  Object.values(deploysByType).forEach(typeDeploys => {
+    typeDeploys
+      .sort((a, b) => distanceToEnemy(a.to) - distanceToEnemy(b.to))
+      .slice(0, MAX_DEPLOY_SQUARES)
+      .forEach(move => deploys.push(move));
+  });
+
+  const upgrades = [];
+  Object.values(upgradesByStat).forEach(statUpgrades => {
+    statUpgrades
+      .sort((a, b) => distanceToEnemy(a.at) - distanceToEnemy(b.at))
+      .slice(0, MAX_UPGRADES)
+      .forEach(move => upgrades.push(move));
+  });
+
+  return [...attacks, ...moves, ...deploys, ...upgrades, ...endTurns];
+}
+
+// Pick and place an army for a draft game: the required pieces on the back row, then random
+// affordable pieces from the front row back until the budget runs out, centre squares first
+function chooseArmy(state, color) {
+  const { pieces, setup } = state.rules;
+  const squares = [];
+  engine.forEachSquare(state, (row, col) => {
+    if (engine.isHomeSquare(state, color, [row, col])) {
+      squares.push([row, col]);
+    }
+  });
+  // Squares the same depth in from the seat's edge only differ in how far off centre they are
+  const centreRow = (state.rules.board.rows - 1) / 2;
+  const centreCol = (state.rules.board.cols - 1) / 2;
+  const offCentre = ([row, col]) => Math.abs(row - centreRow) + Math.abs(col - centreCol);
+  const towardsEnemy = square => -engine.homeDepth(state, color, square);
+  squares.sort((a, b) => towardsEnemy(a) - towardsEnemy(b) || offCentre(a) - offCentre(b));
+
+  const army = [];
+  const place = (pieceType, candidates) => {
+    const to = candidates.find(square => engine.canEnter(state, pieceType, square) &&
+      !army.some(placed => placed.to[0] === square[0] && placed.to[1] === square[1]));
+    if (to) {
+      army.push({ pieceType, to });
+    }
+    return !!to;
+  };
+
+  const backFirst = [...squares].sort((a, b) => towardsEnemy(b) - towardsEnemy(a) || offCentre(a) - offCentre(b));
+  Object.keys(pieces)
+    .filter(pieceType => typeof pieces[pieceType].cost !== 'number')
+    .forEach(pieceType => {
+      for (let count = 0; count < engine.requiredCount(state, color, pieceType); count++) {
+        place(pieceType, backFirst);
+      }
+    });
+
+  let budget = setup.budget;
+  for (;;) {
+    const affordable = Object.keys(pieces).filter(pieceType => typeof pieces[pieceType].cost === 'number' && pieces[pieceType].cost <= budget);
+    if (affordable.length === 0) {
+      break;
+    }
+    const pieceType = affordable[Math.floor(Math.random() * affordable.length)];
+    if (!place(pieceType, squares)) {
+      break;
+    }
+    budget -= pieces[pieceType].cost;
+  }
+  return army;
+}
+
+// Minimax with alpha-beta pruning, scored for `color`, whose allies play for them and every
+// other seat against them. Wins found sooner score higher
+function search(state, depth, alpha, beta, color, deadline) {
+  if (Date.now() > deadline) {
+    throw new SearchTimeout();
+  }
+  if (depth === 0 || state.status !== 'active') {
+    const score = evaluate(state, color);
+    return Math.abs(score) === WIN_SCORE ? score + Math.sign(score) * depth : score;
+  }
+
+  const moves = candidateMoves(state);
+  if (moves.length === 0) {
+    // Nothing to do: pass the turn by scoring the position as it stands
+    return evaluate(state, color);
+  }
+
+  const maximizing = engine.isAlly(state.rules, state.turn, color);
+  let best = maximizing ? -Infinity : Infinity;
+  for (const move of moves) {
+    const score = search(engine.applyMove(state, move).state, depth - 1, alpha, beta, color, deadline);
+    if (maximizing) {
+      best = Math.max(best, score);
+      alpha = Math.max(alpha, score);
+    } else {
+      best = Math.min(best, score);
+      beta = Math.min(beta, score);
+    }
+    if (beta <= alpha) {
+      break;
+    }
+  }
+  return best;
+}
+
+// Pick a move for the player to move. options: { difficulty, timeBudgetMs } where timeBudgetMs
+// overrides the difficulty's budget. Returns null when there is no legal move
+function chooseMove(state, options) {
+  const level = DIFFICULTY_LEVELS[(options && options.difficulty) || 'medium'];
+  const timeBudgetMs = (options && options.timeBudgetMs) || level.timeBudgetMs;
+  const deadline = Date.now() + timeBudgetMs;
+  const color = state.turn;
+
+  // The search never looks back, so it doesn't need to copy the history at every step
+  const root = { ...state, history: [] };
+  let moves = candidateMoves(root);
+  if (moves.length === 0) {
+    return null;
+  }
+
+  const noise = moves.map(() => (Math.random() * 2 - 1) * level.randomness);
+  let bestMove = moves[0];
+
+  // Iterative deepening: each finished depth replaces the previous answer, and its best move
+  // is searched first at the next depth so pruning works well
+  for (let depth = 1; depth <= level.maxDepth; depth++) {
+    try {
+      let bestScore = -Infinity;
+      let bestIndex = 0;
+      moves.forEach((move, index) => {
+        const score = search(engine.applyMove(root, move).state, depth - 1, -Infinity, Infinity, color, deadline) + noise[index];
+        if (score > bestScore) {
+          bestScore = score;
+          bestIndex = index;
+        }
+      });
+
+      bestMove = moves[bestIndex];
+      moves = [bestMove, ...moves.filter((move, index) => index !== bestIndex)];
+      noise.unshift(noise.splice(bestIndex, 1)[0]);
+
+      if (Math.abs(bestScore) >= WIN_SCORE - level.maxDepth - level.randomness) {
+        break; // A forced result was found; searching deeper can't change it
+      }
+    } catch (e) {
+      if (e instanceof SearchTimeout) break;
+      throw e;
+    }
+  }
+
+  return bestMove;
+}
+
+module.exports = {
+  DIFFICULTY_LEVELS,
+  evaluate,
+  chooseMove,
+  chooseArmy
+};
@@ -0,0 +1,7 @@
+// aiWorker.js
+// Runs one computer move search on a worker thread, so the server keeps serving other games
+// while the computer thinks. workerData: { state, options } as for ai.chooseMove
+const { parentPort, workerData } = require('worker_threads');
+const { chooseMove } = require('./ai');
+
+parentPort.postMessage(chooseMove(workerData.state, workerData.options));
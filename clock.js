@@ -0,0 +1,109 @@
+// clock.js
+// Chess clocks for timed games. A clock only counts the time of the player whose clock is
+// running; the caller says what time it is, so the functions are pure and return new clocks.
+//
+// Time controls:
+// - { type: 'increment', baseSeconds, incrementSeconds }: each player starts with baseSeconds
+//   and gains incrementSeconds after every move they make
+// - { type: 'perMove', moveSeconds }: every move must be made within moveSeconds
+// Clocks keep time for white and black unless they are created for other colors, e.g. the seats
+// of a three- or four-player game
+
+const DEFAULT_COLORS = ['white', 'black'];
+
+// The color after `color` in the clock's order
+function following(clock, color) {
+  const colors = Object.keys(clock.remainingMs);
+  return colors[(colors.indexOf(color) + 1) % colors.length];
+}
+
+function startingMs(timeControl) {
+  return timeControl.type === 'perMove' ? timeControl.moveSeconds * 1000 : timeControl.baseSeconds * 1000;
+}
+
+// A stopped clock with every player's full time
+function createClock(timeControl, colors = DEFAULT_COLORS) {
+  const ms = startingMs(timeControl);
+  const remaining = {};
+  colors.forEach(color => {
+    remaining[color] = ms;
+  });
+  return {
+    timeControl,
+    remainingMs: remaining,
+    running: null, // Color whose time is counting down, or null while stopped
+    runningSince: null // Timestamp (ms) the running color's time was last brought up to date
+  };
+}
+
+// Time left for a color at `now`, never below zero
+function remainingMs(clock, color, now) {
+  const elapsed = clock.running === color ? now - clock.runningSince : 0;
+  return Math.max(0, clock.remainingMs[color] - elapsed);
+}
+
+function startClock(clock, color, now) {
+  const stopped = stopClock(clock, now);
+  return { ...stopped, running: color, runningSince: now };
+}
+
+// Stop the clock, charging the running player for the time used so far
+function stopClock(clock, now) {
+  if (!clock.running) {
+    return clock;
+  }
+  return {
+    ...clock,
+    remainingMs: { ...clock.remainingMs, [clock.running]: remainingMs(clock, clock.running, now) },
+    running: null,
+    runningSince: null
+  };
+}
+
+// The running player has moved: charge them, apply the time control, start the next player's
+// time, by default the color after theirs
+function switchClock(clock, now, next) {
+  const mover = clock.running;
+  if (!mover) {
+    return clock;
+  }
+
+  const stopped = stopClock(clock, now);
+  const { timeControl } = clock;
+  const moverMs = timeControl.type === 'perMove'
+    ? startingMs(timeControl)
+    : stopped.remainingMs[mover] + timeControl.incrementSeconds * 1000;
+
+  return {
+    ...stopped,
+    remainingMs: { ...stopped.remainingMs, [mover]: moverMs },
+    running: next || following(clock, mover),
+    runningSince: now
+  };
+}
+
+// Whether the running player has used up their time
+function hasFlagFallen(clock, now) {
+  return !!clock.running && remainingMs(clock, clock.running, now) === 0;
+}
+
+// What clients need to show the clocks: every color's time left at `now`, keyed by color, and
+// whose clock is running
+function describeClock(clock, now) {
+  const description = { timeControl: clock.timeControl };
+  Object.keys(clock.remainingMs).forEach(color => {
+    description[color] = remainingMs(clock, color, now);
+  });
+  description.running = clock.running;
+  return description;
+}
+
+module.exports = {
+  createClock,
+  remainingMs,
+  startClock,
+  stopClock,
+  switchClock,
+  hasFlagFallen,
+  describeClock
+};
@@ -0,0 +1,47 @@
+// computerSearch.js
+// Runs the computer's move searches on worker threads (aiWorker.js), so the server keeps serving
+// other games while the computer thinks. A worker that fails is started once more; should that
+// one fail too, a short search on the calling thread picks the move instead, so the game never
+// waits on a computer that won't answer.
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const engine = require('./engine');
+const ai = require('./ai');
+
+const WORKER_FILE = path.join(__dirname, 'aiWorker.js');
+const MAX_WORKER_ATTEMPTS = 2;
+const FALLBACK_SEARCH_MS = 50; // Short, as it holds up every other game on the server
+
+// A move found without a worker: a short search, or failing that any legal move. null when
+// the player has no move
+function fallbackMove(state) {
+  try {
+    return ai.chooseMove(state, { difficulty: 'easy', timeBudgetMs: FALLBACK_SEARCH_MS });
+  } catch (err) {
+    console.error('Computer fallback search failed:', err);
+    return engine.legalMoves(state)[0] || null;
+  }
+}
+
+// Find a move for the player to move in `state` (options as for ai.chooseMove) and call
+// onMove with it, or with null when they have no move. workerFile replaces aiWorker.js in tests
+function searchMove(state, options, onMove, workerFile = WORKER_FILE) {
+  const attempt = attempts => {
+    const worker = new Worker(workerFile, { workerData: { state, options } });
+    worker.once('message', onMove);
+    worker.once('error', err => {
+      console.error('Computer player failed:', err);
+      if (attempts < MAX_WORKER_ATTEMPTS) {
+        attempt(attempts + 1);
+      } else {
+        onMove(fallbackMove(state));
+      }
+    });
+  };
+  attempt(1);
+}
+
+module.exports = {
+  searchMove
+};
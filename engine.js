@@ -0,0 +1,2056 @@
+// engine.js
+// Headless rules engine: board setup, move validation, combat, square control, steam and
+// win conditions. It has no networking or DOM dependencies so the server, bots, tests and
+// the browser all run the same rules. Loads as a CommonJS module or as window.ChessLikeEngine.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ChessLikeEngine = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Default rules. Each win condition can be switched off (false/null) or tuned per game:
+  // - kingAssassination: a player loses when their king dies
+  // - territory: { percent, turns } - win by controlling percent% of the board for turns own turns in a row
+  // - steamRace: { target } - win by reaching target steam
+  // Losing every piece always ends the game.
+  // Automatic draws can be switched off (null/false) or tuned the same way:
+  // - noProgressTurns: draw after this many turns in a row without any damage
+  // - repetitions: draw when the same position (pieces, health, control, player to move) occurs this often
+  // - insufficientMaterial: draw when neither side can ever damage the other
+  // Games where no seat can ever act again are always drawn ('noMoves')
+  // The board is rows x cols squares, less any holes ([row, col] squares that are not part of the
+  // board) for non-rectangular shapes. Pieces can't stand on or move through holes, but hops jump
+  // and shots fly over them.
+  // board.terrain is null or a rows x cols grid naming each square's terrain type (null for open
+  // ground) from rules.terrain, the terrain definitions (terrain.json). A terrain type may have:
+  // - blocksMovement: nothing stands on it or moves straight through it, and nobody controls it
+  // - blocksFire: shots can't pass it, not even those that arc over pieces
+  // - defenseBonus: damage taken by a piece standing on it is reduced by this much (to at least 1)
+  // - impassableFor: piece types that can't stand on it or move straight through it
+  // - influenceBonus: extra influence a piece standing on it has on the squares around it
+  // fogOfWar is null for open games, or { visionRange }: each player only sees the squares within
+  // visionRange of their pieces and the squares they control (see playerView)
+  // seed starts the game's random number generator. Critical hits and misses are rolled with it,
+  // so replaying the same moves under the same rules always gives the same results. null when
+  // the rolls no longer follow from it, e.g. in a game loaded from a record or after a takeback
+  // upgrades are what steam buys for a piece already on the board. Each can be switched off (null)
+  // or is { cost, amount, maxLevel }: a piece takes at most maxLevel upgrades of a stat, each
+  // costing cost steam and the player's turn
+  // - attack: raises the piece's attack by amount
+  // - health: raises the piece's full health by amount, and heals it by as much
+  // - range: its straight moves and its shots reach amount squares further. Pieces that only
+  //   hop can't take it
+  // setup is null for games that start from the piece definitions' initialPositions, or
+  // { budget, rows } for a draft: the game waits in status 'setup' while each player picks an army
+  // costing at most budget and places it on the `rows` rows at their own edge (see checkArmy). Pieces
+  // that can't be bought, like the king, are free, and every army fields as many of them as the
+  // piece definition starts the player with. Play starts once both armies are placed
+  // actionPoints is null for games where every action ends the turn, or { perTurn }: each turn
+  // grants perTurn action points, every action costs some (see actionCost), and the turn ends when
+  // the player runs out or ends it with an { type: 'endTurn' } move. Square control, steam, status
+  // effects and the win and draw checks that need them all happen once, at the end of the turn
+  // seats is null for the usual game of white at the bottom edge against black at the top, or a
+  // list of 2 to 4 { color, team, side } that take turns in list order. color names the seat's
+  // pieces; seats of the same team (the color when missing) win together and can't harm each
+  // other's pieces; side is the edge ('bottom', 'top', 'left' or 'right') the seat starts from.
+  // Pieces of the left and right seats face across the board, so their horizontal and vertical
+  // movement is turned with them. A seat that loses every piece, or its king under king
+  // assassination, is out: its other pieces leave the board and its turns are skipped. The game
+  // ends once the seats left all play for one team, and the status names that team ('<team>_wins')
+  const DEFAULT_RULES = {
+    board: {
+      rows: 8,
+      cols: 8,
+      holes: [],
+      terrain: null
+    },
+    winConditions: {
+      kingAssassination: true,
+      territory: null,
+      steamRace: null
+    },
+    draws: {
+      noProgressTurns: 50,
+      repetitions: 3,
+      insufficientMaterial: true
+    },
+    fogOfWar: null,
+    seed: 0,
+    upgrades: {
+      attack: { cost: 40, amount: 10, maxLevel: 3 },
+      health: { cost: 40, amount: 20, maxLevel: 3 },
+      range: { cost: 60, amount: 1, maxLevel: 2 }
+    },
+    setup: null,
+    actionPoints: null,
+    seats: null
+  };
+
+  // The seats of a game without rules.seats, and the edges a seat can start from
+  const DEFAULT_SEATS = [
+    { color: 'white', team: 'white', side: 'bottom' },
+    { color: 'black', team: 'black', side: 'top' }
+  ];
+  const SIDES = ['bottom', 'top', 'left', 'right'];
+  const OPPOSITE_SIDES = { bottom: 'top', top: 'bottom', left: 'right', right: 'left' };
+  // Seat colors and team names: one lowercase word
+  const SEAT_NAME = /^[a-z]+$/;
+
+  // Besides health and attack, a piece definition may give combat stats (all 0 when missing):
+  // - defense: armor taken off every hit the piece receives, which still deals at least 1 damage
+  // - counterattack: damage the piece deals back to a melee attacker when it survives the attack
+  // - criticalChance: chance (0 to 1) that the piece's attack deals CRITICAL_MULTIPLIER times its damage
+  // - missChance: chance (0 to 1) that the piece's attack deals no damage at all
+  const CRITICAL_MULTIPLIER = 2;
+
+  // Status effects a piece can carry, each { type, turns, amount }. Effects wear on at the end of
+  // every turn of the piece's owner, the turn they were given on included, and run out after
+  // `turns` such turns. Giving a piece an effect it already has starts that effect afresh.
+  // - regeneration: heals amount health, up to the piece's full health, while it stands on a
+  //   square its owner controls
+  // - poison: deals amount damage, past any shield
+  // - stun: the piece can't act
+  // - shield: absorbs up to amount damage in all before the piece's health is touched
+  // A piece definition may hand them out:
+  // - onHit: effects given to every enemy the piece attacks and doesn't kill
+  // - support: { range, heal, effects }, an action on a friendly piece within range squares that
+  //   heals it by heal health (up to its full health) and gives it the effects
+  const EFFECT_TYPES = ['regeneration', 'poison', 'stun', 'shield'];
+
+  // A piece definition may also let the piece promote: promotion: { ranks, into } turns a piece
+  // that ends a move on one of the `ranks` rows furthest from its own side (1 when missing) into
+  // one of the piece types listed in into. Its player picks the type along with the move (see
+  // promotionChoices), and the piece keeps its wounds, upgrades and effects
+  const UPGRADE_STATS = ['attack', 'health', 'range'];
+
+  // In action-point games, a piece definition may price what the piece does with actionCosts:
+  // { move, attack, shoot, support, deploy, upgrade }, each DEFAULT_ACTION_COST when missing.
+  // deploy is the price of placing a new piece of the type, upgrade of upgrading one
+  const DEFAULT_ACTION_COST = 1;
+
+  // Thrown by applyMove when a move breaks the rules. code is a stable identifier for clients
+  // (e.g. 'PATH_BLOCKED'), message a human-readable reason
+  class IllegalMoveError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.name = 'IllegalMoveError';
+      this.code = code;
+    }
+  }
+
+  // Merge per-game rules over the defaults. rules.pieces holds the piece definitions (pieces.json)
+  function buildRules(rules) {
+    if (!rules || !rules.pieces) {
+      throw new Error('Rules must include piece definitions');
+    }
+    const terrain = rules.board && rules.board.terrain;
+    if (terrain && terrain.some(row => row.some(type => type && !(rules.terrain && rules.terrain[type])))) {
+      throw new Error('Board terrain must use the terrain definitions');
+    }
+    Object.values(rules.pieces).forEach(pieceData => {
+      const given = [...(pieceData.onHit || []), ...((pieceData.support && pieceData.support.effects) || [])];
+      const unknown = given.find(effect => !EFFECT_TYPES.includes(effect.type));
+      if (unknown) {
+        throw new Error(`Unknown status effect "${unknown.type}" on the ${pieceData.name}`);
+      }
+      const promotesInto = (pieceData.promotion && pieceData.promotion.into) || [];
+      const unknownType = promotesInto.find(pieceType => !Object.prototype.hasOwnProperty.call(rules.pieces, pieceType));
+      if (unknownType) {
+        throw new Error(`The ${pieceData.name} promotes into an unknown piece type "${unknownType}"`);
+      }
+    });
+    return {
+      ...DEFAULT_RULES,
+      ...rules,
+      seats: rules.seats ? buildSeats(rules.seats) : null,
+      winConditions: {
+        ...DEFAULT_RULES.winConditions,
+        ...(rules.winConditions || {})
+      },
+      draws: {
+        ...DEFAULT_RULES.draws,
+        ...(rules.draws || {})
+      },
+      board: {
+        ...DEFAULT_RULES.board,
+        ...(rules.board || {})
+      },
+      upgrades: {
+        ...DEFAULT_RULES.upgrades,
+        ...(rules.upgrades || {})
+      }
+    };
+  }
+
+  // Fill in the teams of a game's seats and check they make a game: 2 to 4 seats on different
+  // sides, with their own colors and at least two teams. Throws if they don't
+  function buildSeats(seats) {
+    if (!Array.isArray(seats) || seats.length < 2 || seats.length > 4) {
+      throw new Error('A game needs 2 to 4 seats');
+    }
+    const built = seats.map(seat => ({ color: seat && seat.color, team: (seat && seat.team) || (seat && seat.color), side: seat && seat.side }));
+    built.forEach(({ color, team, side }) => {
+      if (!SEAT_NAME.test(color) || !SEAT_NAME.test(team)) {
+        throw new Error('Seat colors and teams must be lowercase words');
+      }
+      if (!SIDES.includes(side)) {
+        throw new Error(`Seats start from one of the sides ${SIDES.join(', ')}`);
+      }
+    });
+    if (new Set(built.map(seat => seat.color)).size < built.length || new Set(built.map(seat => seat.side)).size < built.length) {
+      throw new Error('Every seat needs its own color and side');
+    }
+    if (new Set(built.map(seat => seat.team)).size < 2) {
+      throw new Error('A game needs at least two teams');
+    }
+    return built;
+  }
+
+  // The seats of a game's rules, in turn order
+  function seatsOf(rules) {
+    return rules.seats || DEFAULT_SEATS;
+  }
+
+  function seatOf(rules, color) {
+    return seatsOf(rules).find(seat => seat.color === color) || null;
+  }
+
+  // The team a seat plays for
+  function teamOf(rules, color) {
+    const seat = seatOf(rules, color);
+    return seat ? seat.team : color;
+  }
+
+  // Whether two seats play for the same team, a seat being its own ally
+  function isAlly(rules, color, other) {
+    return color === other || (!!rules.seats && teamOf(rules, color) === teamOf(rules, other));
+  }
+
+  function isEliminated(state, color) {
+    return (state.eliminated || []).includes(color);
+  }
+
+  // A value for every seat, keyed by color
+  function perSeat(rules, value) {
+    const values = {};
+    seatsOf(rules).forEach(seat => {
+      values[seat.color] = value;
+    });
+    return values;
+  }
+
+  // Create the initial state of a new game. Draft games start with an empty board in status 'setup'
+  function createGame(rules) {
+    const fullRules = buildRules(rules);
+
+    return {
+      rules: fullRules,
+      turn: seatsOf(fullRules)[0].color,
+      board: fullRules.setup ? createGrid(fullRules.board) : initializeBoard(fullRules),
+      squareControl: createGrid(fullRules.board),
+      status: fullRules.setup ? 'setup' : 'active',
+      endReason: null,
+      // Steam of every seat, by color
+      steam: perSeat(fullRules, 0),
+      deployCount: 0,
+      territoryStreak: perSeat(fullRules, 0),
+      // Colors of the seats that are out of the game, in the order they went out
+      eliminated: [],
+      turnsWithoutDamage: 0,
+      // How often each position occurred since the last damage or deploy, keyed by positionKey
+      positionCounts: {},
+      // Whether the turn so far dealt damage or deployed or upgraded a piece (see checkDrawConditions)
+      turnProgress: { damaged: false, changed: false },
+      // State of the random number generator, advanced by every roll (see nextRandom)
+      rng: fullRules.seed >>> 0,
+      // Action points the player to move has left this turn, null unless rules.actionPoints is set
+      actionPoints: fullRules.actionPoints ? fullRules.actionPoints.perTurn : null,
+      // The armies of a draft game by seat color, each null until its player places it (see placeArmy)
+      armies: fullRules.setup ? perSeat(fullRules, null) : null,
+      history: []
+    };
+  }
+
+  // An empty rows x cols grid for the board's pieces or square control
+  function createGrid(board) {
+    return Array(board.rows).fill(null).map(() => Array(board.cols).fill(null));
+  }
+
+  // Initialize the board with pieces from the piece definitions, or from the armies of a draft game
+  function initializeBoard(rules, armies) {
+    const { pieces } = rules;
+    const board = createGrid(rules.board);
+
+    if (armies) {
+      seatsOf(rules).forEach(({ color }) => {
+        (armies[color] || []).forEach(({ pieceType, to: [row, col] }) => {
+          board[row][col] = createPiece(pieces, pieceType, color, [row, col], `${idPrefix(color)}_${pieceType}_${row}_${col}`);
+        });
+      });
+      return board;
+    }
+
+    // Set up pieces for every seat
+    Object.keys(pieces).forEach(pieceType => {
+      seatsOf(rules).forEach(seat => {
+        standardPositions(pieces[pieceType], seat).forEach(standardPos => {
+          const pos = startingSquare(rules.board, seat.side, standardPos);
+          if (isBoardSquare(rules.board, pos) && !board[pos[0]][pos[1]]) {
+            board[pos[0]][pos[1]] = createPiece(pieces, pieceType, seat.color, pos, `${idPrefix(seat.color)}_${pieceType}_${pos[0]}_${pos[1]}`);
+          }
+        });
+      });
+    });
+
+    return board;
+  }
+
+  // Piece ids start with 'w' and 'b' for white and black, and with the color for other seats
+  function idPrefix(color) {
+    return { white: 'w', black: 'b' }[color] || color;
+  }
+
+  // A piece type's starting squares for a seat on the standard board: black's for the top edge,
+  // white's for the others
+  function standardPositions(pieceData, seat) {
+    return pieceData.initialPositions[seat.side === 'top' ? 'black' : 'white'];
+  }
+
+  // Piece definitions give starting squares on the standard 8x8 board. Other boards keep each
+  // side's rows at its own edge and centre the columns. The left and right edges take white's
+  // rows turned a quarter, so the back row runs along the edge. Pieces that land off the board,
+  // or on a square an earlier seat took, are left out
+  function startingSquare(board, side, [row, col]) {
+    const depth = 7 - row;
+    if (side === 'left' || side === 'right') {
+      return [col + Math.floor((board.rows - 8) / 2), side === 'left' ? depth : board.cols - 1 - depth];
+    }
+    const rowOffset = side === 'bottom' ? board.rows - 8 : 0;
+    return [row + rowOffset, col + Math.floor((board.cols - 8) / 2)];
+  }
+
+  // How many rows in from its own edge a square lies for a seat: 0 on the edge itself
+  function homeDepth(state, player, [row, col]) {
+    return sideDepth(state.rules.board, seatOf(state.rules, player).side, [row, col]);
+  }
+
+  function sideDepth(board, side, [row, col]) {
+    return { bottom: board.rows - 1 - row, top: row, left: col, right: board.cols - 1 - col }[side];
+  }
+
+  // Whether a seat's pieces face across the board from the left or right edge
+  function isSideways(rules, player) {
+    const seat = rules.seats && seatOf(rules, player);
+    return !!seat && (seat.side === 'left' || seat.side === 'right');
+  }
+
+  // A movement rule as it applies to a player's pieces: for the left and right seats, horizontal
+  // and vertical swap places
+  function orientMovement(rules, player, movement) {
+    if (!isSideways(rules, player)) {
+      return movement;
+    }
+    if (movement.type === 'straight') {
+      return { ...movement, direction: movement.direction === 'horizontal' ? 'vertical' : 'horizontal' };
+    }
+    if (movement.type === 'hop') {
+      return { ...movement, horizontal: movement.vertical, vertical: movement.horizontal };
+    }
+    return movement;
+  }
+
+  // Create a fresh piece of the given type for a player
+  function createPiece(pieces, pieceType, player, pos, id) {
+    const piece = pieces[pieceType];
+    return {
+      id: id,
+      type: pieceType,
+      player: player,
+      health: piece.health,
+      attack: piece.attack,
+      image: piece.image,
+      position: [pos[0], pos[1]],
+      effects: [],
+      // Upgrades bought for the piece, by stat
+      upgrades: { attack: 0, health: 0, range: 0 }
+    };
+  }
+
+  // Copy a state so it can be changed without touching the original. Rules are never changed and are shared
+  function cloneState(state) {
+    const { rules, ...rest } = state;
+    return { rules, ...JSON.parse(JSON.stringify(rest)) };
+  }
+
+  // Whether pos has the shape of a square, [row, col] integers, whatever the board
+  function isSquare(pos) {
+    return Array.isArray(pos) && pos.length === 2 && Number.isInteger(pos[0]) && Number.isInteger(pos[1]);
+  }
+
+  // Whether pos is a square of the game's board: inside its bounds and not a hole
+  function isOnBoard(state, pos) {
+    return isBoardSquare(state.rules.board, pos);
+  }
+
+  // Whether pos is a square of a board geometry ({ rows, cols, holes })
+  function isBoardSquare(board, pos) {
+    return isSquare(pos) &&
+      pos[0] >= 0 && pos[0] < board.rows && pos[1] >= 0 && pos[1] < board.cols &&
+      !board.holes.some(([row, col]) => row === pos[0] && col === pos[1]);
+  }
+
+  // The terrain definition of a square, or null for open ground
+  function terrainAt(state, [row, col]) {
+    const { terrain } = state.rules.board;
+    const type = terrain && terrain[row][col];
+    return type ? state.rules.terrain[type] : null;
+  }
+
+  // Whether a piece of the given type may stand on a square's terrain, or move straight through it
+  function canEnter(state, pieceType, pos) {
+    const terrain = terrainAt(state, pos);
+    return !terrain || (!terrain.blocksMovement && !(terrain.impassableFor || []).includes(pieceType));
+  }
+
+  // Whether a square can be controlled: anything but terrain nobody can stand on
+  function isControllable(state, pos) {
+    const terrain = terrainAt(state, pos);
+    return !terrain || !terrain.blocksMovement;
+  }
+
+  // A piece's combat stats from its definition, 0 for those it doesn't have
+  function combatStats(state, piece) {
+    const { defense = 0, counterattack = 0, criticalChance = 0, missChance = 0 } = state.rules.pieces[piece.type];
+    return { defense, counterattack, criticalChance, missChance };
+  }
+
+  // The game's upgrade of a stat, or null when it is switched off
+  function upgradeRule(state, stat) {
+    return (state.rules.upgrades && state.rules.upgrades[stat]) || null;
+  }
+
+  // How many upgrades of a stat a piece has taken
+  function upgradeLevel(piece, stat) {
+    return (piece.upgrades && piece.upgrades[stat]) || 0;
+  }
+
+  // A piece's full health: its type's, raised by its health upgrades
+  function maxHealth(state, piece) {
+    const upgrade = upgradeRule(state, 'health');
+    return state.rules.pieces[piece.type].health + (upgrade ? upgradeLevel(piece, 'health') * upgrade.amount : 0);
+  }
+
+  // How many squares further than its type's a piece moves straight and shoots, from its range upgrades
+  function rangeBonus(state, piece) {
+    const upgrade = upgradeRule(state, 'range');
+    return upgrade ? upgradeLevel(piece, 'range') * upgrade.amount : 0;
+  }
+
+  // Damage a blow of the given strength deals to the piece on targetPos, after its armor and
+  // its terrain's cover
+  function hitDamage(state, strength, targetPos) {
+    const target = state.board[targetPos[0]][targetPos[1]];
+    const terrain = terrainAt(state, targetPos);
+    const reduction = ((terrain && terrain.defenseBonus) || 0) + (target ? combatStats(state, target).defense : 0);
+    return reduction > 0 ? Math.max(1, strength - reduction) : strength;
+  }
+
+  // Damage of an attacker's ordinary hit on the piece on targetPos
+  function attackDamage(state, attacker, targetPos) {
+    return hitDamage(state, attacker.attack, targetPos);
+  }
+
+  // What an attack may do to the target's health, before any dice are rolled: { damage, minDamage,
+  // maxDamage, kills, counterDamage }. damage is the ordinary hit and kills whether it kills;
+  // counterDamage is what the target deals back if it survives a melee attack
+  function expectedAttack(state, fromPos, targetPos, action) {
+    const attacker = state.board[fromPos[0]][fromPos[1]];
+    const target = state.board[targetPos[0]][targetPos[1]];
+    const { criticalChance, missChance } = combatStats(state, attacker);
+    const damage = shieldedDamage(target, attackDamage(state, attacker, targetPos));
+    const { counterattack } = combatStats(state, target);
+    return {
+      damage,
+      minDamage: missChance > 0 ? 0 : damage,
+      maxDamage: criticalChance > 0 ? shieldedDamage(target, hitDamage(state, attacker.attack * CRITICAL_MULTIPLIER, targetPos)) : damage,
+      kills: target.health <= damage,
+      counterDamage: action === 'move' && counterattack > 0 ? shieldedDamage(attacker, hitDamage(state, counterattack, fromPos)) : 0
+    };
+  }
+
+  // Next number in [0, 1) from the game's random number generator (mulberry32). Its state lives
+  // in state.rng, so it is saved, cloned and replayed along with the rest of the game
+  function nextRandom(state) {
+    state.rng = (state.rng + 0x6D2B79F5) >>> 0;
+    let t = state.rng;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Roll how an attack lands: 'hit', 'critical' or 'miss'. Only attackers with a chance of a
+  // critical hit or a miss roll at all, so other games never use the generator. A recorded roll
+  // the attacker could have made is taken instead of the generator's, which still advances
+  function rollAttack(state, attacker, recordedRoll) {
+    const { criticalChance, missChance } = combatStats(state, attacker);
+    if (criticalChance <= 0 && missChance <= 0) {
+      return 'hit';
+    }
+    const roll = nextRandom(state);
+    const chances = { miss: missChance, critical: criticalChance, hit: 1 - missChance - criticalChance };
+    if (chances[recordedRoll] > 0) {
+      return recordedRoll;
+    }
+    if (roll < missChance) {
+      return 'miss';
+    }
+    return roll < missChance + criticalChance ? 'critical' : 'hit';
+  }
+
+  // Resolve an attack from fromPos on the piece on targetPos: roll it, damage the target and
+  // remove it if it dies, and let a surviving target strike back at a melee attacker. Changes
+  // state in place and records events. Returns whether the target was killed
+  function resolveAttack(state, fromPos, targetPos, ranged, events, recordedRoll) {
+    const attacker = state.board[fromPos[0]][fromPos[1]];
+    const target = state.board[targetPos[0]][targetPos[1]];
+    const roll = rollAttack(state, attacker, recordedRoll);
+    const damage = takeDamage(target, roll === 'miss' ? 0
+      : roll === 'critical' ? hitDamage(state, attacker.attack * CRITICAL_MULTIPLIER, targetPos)
+        : attackDamage(state, attacker, targetPos));
+    const killed = target.health <= 0;
+
+    // An attack that lands leaves the attacker's effects on a surviving target
+    const onHit = !killed && roll !== 'miss' ? state.rules.pieces[attacker.type].onHit || [] : [];
+    onHit.forEach(effect => giveEffect(target, effect));
+    events.push({ type: 'attack', player: attacker.player, from: fromPos, to: targetPos, ranged, damage, killed, roll, effects: onHit.map(effect => effect.type) });
+
+    if (killed) {
+      state.board[targetPos[0]][targetPos[1]] = null;
+      return true;
+    }
+
+    const { counterattack } = combatStats(state, target);
+    if (!ranged && counterattack > 0) {
+      const counterDamage = takeDamage(attacker, hitDamage(state, counterattack, fromPos));
+      const attackerKilled = attacker.health <= 0;
+      if (attackerKilled) {
+        state.board[fromPos[0]][fromPos[1]] = null;
+      }
+      events.push({ type: 'counterattack', player: target.player, from: targetPos, to: fromPos, damage: counterDamage, killed: attackerKilled });
+    }
+    return false;
+  }
+
+  function hasEffect(piece, type) {
+    return (piece.effects || []).some(effect => effect.type === type);
+  }
+
+  // Give a piece a status effect, in place of any it has of the same type
+  function giveEffect(piece, { type, turns, amount = 0 }) {
+    piece.effects = [...(piece.effects || []).filter(effect => effect.type !== type), { type, turns, amount }];
+  }
+
+  // The part of some damage a piece's shield lets through to its health
+  function shieldedDamage(piece, damage) {
+    const shield = (piece.effects || []).find(effect => effect.type === 'shield');
+    return shield ? Math.max(0, damage - shield.amount) : damage;
+  }
+
+  // Deal damage to a piece, its shield first; a used up shield is gone. Changes the piece in
+  // place and returns the health it lost
+  function takeDamage(piece, damage) {
+    const lost = shieldedDamage(piece, damage);
+    const shield = (piece.effects || []).find(effect => effect.type === 'shield');
+    if (shield) {
+      shield.amount -= damage - lost;
+      if (shield.amount <= 0) {
+        piece.effects = piece.effects.filter(effect => effect !== shield);
+      }
+    }
+    piece.health -= lost;
+    return lost;
+  }
+
+  // Whether the piece on fromPos can use its support ability on the piece on toPos: another piece
+  // of the same team within the ability's range
+  function isValidSupport(state, fromPos, toPos, piece) {
+    const { support } = state.rules.pieces[piece.type];
+    const target = state.board[toPos[0]][toPos[1]];
+    if (!support || !target || target === piece || !isAlly(state.rules, target.player, piece.player)) {
+      return false;
+    }
+    return Math.max(Math.abs(toPos[0] - fromPos[0]), Math.abs(toPos[1] - fromPos[1])) <= support.range;
+  }
+
+  // Heal the piece on toPos and give it the supporting piece's effects. Changes state in place and
+  // records events
+  function resolveSupport(state, fromPos, toPos, events) {
+    const piece = state.board[fromPos[0]][fromPos[1]];
+    const target = state.board[toPos[0]][toPos[1]];
+    const { heal = 0, effects = [] } = state.rules.pieces[piece.type].support;
+    const healed = Math.min(heal, Math.max(0, maxHealth(state, target) - target.health));
+    target.health += healed;
+    effects.forEach(effect => giveEffect(target, effect));
+    events.push({ type: 'support', player: piece.player, from: fromPos, to: toPos, healed, effects: effects.map(effect => effect.type) });
+  }
+
+  // Status effects on a player's pieces wear on at the end of their turn: poison strikes, then
+  // regeneration heals a piece that survived it, and every effect has a turn less to run. Changes
+  // state in place and records events
+  function tickEffects(state, player, events) {
+    forEachSquare(state, (row, col) => {
+      const piece = state.board[row][col];
+      if (!piece || piece.player !== player || !piece.effects || piece.effects.length === 0) return;
+
+      const poison = piece.effects.find(effect => effect.type === 'poison');
+      if (poison) {
+        piece.health -= poison.amount;
+        const killed = piece.health <= 0;
+        events.push({ type: 'poison', player, at: [row, col], damage: poison.amount, killed });
+        if (killed) {
+          state.board[row][col] = null;
+          return;
+        }
+      }
+
+      const regeneration = piece.effects.find(effect => effect.type === 'regeneration');
+      if (regeneration && state.squareControl[row][col] === player) {
+        const healed = Math.min(regeneration.amount, Math.max(0, maxHealth(state, piece) - piece.health));
+        piece.health += healed;
+        events.push({ type: 'regeneration', player, at: [row, col], healed });
+      }
+
+      piece.effects = piece.effects
+        .map(effect => ({ ...effect, turns: effect.turns - 1 }))
+        .filter(effect => effect.turns > 0);
+    });
+  }
+
+  // Call fn(row, col) for every square of the game's board, row by row, skipping holes
+  function forEachSquare(state, fn) {
+    const { board } = state.rules;
+    for (let row = 0; row < board.rows; row++) {
+      for (let col = 0; col < board.cols; col++) {
+        if (isBoardSquare(board, [row, col])) {
+          fn(row, col);
+        }
+      }
+    }
+  }
+
+  // Update square control after a move and return the steam gained by the player who moved
+  function updateSquareControlAfterMove(state) {
+    // Initialize Influence Map: each square's influence by seat color
+    const influenceMap = createGrid(state.rules.board).map(row => row.map(() => ({})));
+
+    // Iterate Through Pieces for Direct Control and Influence
+    forEachSquare(state, (row, col) => {
+      const piece = state.board[row][col];
+      if (piece) {
+        // Direct Control: Piece's current square is controlled by its player
+        state.squareControl[row][col] = piece.player;
+
+        // Adjacent Influence, more from high ground
+        const player = piece.player;
+        const terrain = terrainAt(state, [row, col]);
+        const influence = 1 + ((terrain && terrain.influenceBonus) || 0);
+        for (let dr = -1; dr <= 1; dr++) {
+          for (let dc = -1; dc <= 1; dc++) {
+            if (dr === 0 && dc === 0) continue; // Skip the piece's own square
+
+            const adjRow = row + dr;
+            const adjCol = col + dc;
+
+            // Holes and walls take no influence
+            if (isOnBoard(state, [adjRow, adjCol]) && isControllable(state, [adjRow, adjCol])) {
+              influenceMap[adjRow][adjCol][player] = (influenceMap[adjRow][adjCol][player] || 0) + influence;
+            }
+          }
+        }
+      }
+    });
+
+    // Update state.squareControl Based on Influence
+    forEachSquare(state, (r, c) => {
+      // Only update if not directly controlled by a piece after the move
+      if (state.board[r][c] === null) { 
+        // The seat with the most influence takes the square
+        let leader = null;
+        let most = 0;
+        let tied = false;
+        Object.keys(influenceMap[r][c]).forEach(player => {
+          const influence = influenceMap[r][c][player];
+          if (influence > most) {
+            leader = player;
+            most = influence;
+            tied = false;
+          } else if (influence === most) {
+            tied = true;
+          }
+        });
+
+        if (leader && !tied) {
+          state.squareControl[r][c] = leader;
+        }
+        // If influence is tied, or zero for every seat, the square keeps its current controller:
+        // its value after the direct control updates and before this influence check
+      }
+      // If state.board[r][c] is NOT null (i.e., a piece is on it), 
+      // its control was definitively set by the direct control logic earlier in this function,
+      // and should not be overridden by influence calculations here.
+    });
+
+    // Generate steam for the player whose turn it just was
+    const currentPlayer = state.turn; // Player who just made the move
+    let steamGained = 0;
+    forEachSquare(state, (r, c) => {
+      if (state.squareControl[r][c] === currentPlayer) {
+        steamGained++;
+      }
+    });
+
+    state.steam[currentPlayer] += steamGained;
+
+    return steamGained;
+  }
+
+  // Check if move is valid based on piece movement rules
+  function isValidMove(state, fromPos, toPos, piece) {
+    const [fromRow, fromCol] = fromPos;
+    const [toRow, toCol] = toPos;
+
+    // Get piece type info
+    const pieceData = state.rules.pieces[piece.type];
+    const bonus = rangeBonus(state, piece);
+
+    // Target square validation
+    const targetSquare = state.board[toRow][toCol];
+    const isTargetEmpty = targetSquare === null;
+    const isTargetEnemy = targetSquare !== null && !isAlly(state.rules, targetSquare.player, piece.player);
+
+    if (!isTargetEmpty && !isTargetEnemy) {
+      return false;
+    }
+    if (!canEnter(state, piece.type, toPos)) {
+      return false;
+    }
+
+    // Check each movement rule, turned with the piece's seat
+    for (const rule of pieceData.movement) {
+      const movement = orientMovement(state.rules, piece.player, rule);
+      if (movement.type === 'straight') {
+        if (movement.direction === 'horizontal' && fromRow === toRow) {
+          const range = movement.range + bonus;
+          const distance = Math.abs(toCol - fromCol);
+
+          if (distance > 0 && distance <= range) {
+            // Check path is clear (except destination)
+            const start = Math.min(fromCol, toCol);
+            const end = Math.max(fromCol, toCol);
+
+            let pathClear = true;
+            for (let col = start + 1; col < end; col++) {
+              if (state.board[fromRow][col] !== null || !isOnBoard(state, [fromRow, col]) || !canEnter(state, piece.type, [fromRow, col])) {
+                pathClear = false;
+                break;
+              }
+            }
+
+            if (pathClear) return true;
+          }
+        }
+        else if (movement.direction === 'vertical' && fromCol === toCol) {
+          const range = movement.range + bonus;
+          const distance = Math.abs(toRow - fromRow);
+
+          if (distance > 0 && distance <= range) {
+            // Check path is clear (except destination)
+            const start = Math.min(fromRow, toRow);
+            const end = Math.max(fromRow, toRow);
+
+            let pathClear = true;
+            for (let row = start + 1; row < end; row++) {
+              if (state.board[row][fromCol] !== null || !isOnBoard(state, [row, fromCol]) || !canEnter(state, piece.type, [row, fromCol])) {
+                pathClear = false;
+                break;
+              }
+            }
+
+            if (pathClear) return true;
+          }
+        }
+      }
+      else if (movement.type === 'hop') {
+        const horizontalDistance = Math.abs(toCol - fromCol);
+        const verticalDistance = Math.abs(toRow - fromRow);
+
+        if (horizontalDistance === movement.horizontal && 
+            verticalDistance === movement.vertical) {
+          return true;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  // Check if a ranged attack is valid: an enemy within range along a rank, file or diagonal
+  function isValidShot(state, fromPos, toPos, piece) {
+    const [fromRow, fromCol] = fromPos;
+    const [toRow, toCol] = toPos;
+
+    // Get piece type info
+    const pieceData = state.rules.pieces[piece.type];
+
+    // Only enemy pieces can be shot
+    const targetSquare = state.board[toRow][toCol];
+    if (targetSquare === null || isAlly(state.rules, targetSquare.player, piece.player)) {
+      return false;
+    }
+
+    const rowDelta = toRow - fromRow;
+    const colDelta = toCol - fromCol;
+
+    // Shots travel in straight lines: horizontal, vertical or diagonal
+    if (rowDelta !== 0 && colDelta !== 0 && Math.abs(rowDelta) !== Math.abs(colDelta)) {
+      return false;
+    }
+
+    const distance = Math.max(Math.abs(rowDelta), Math.abs(colDelta));
+
+    for (const movement of pieceData.movement) {
+      if (movement.type !== 'ranged') continue;
+
+      if (distance < movement.minRange || distance > movement.maxRange + rangeBonus(state, piece)) continue;
+
+      // Pieces in between block the line of fire unless the shot arcs over them; walls block every shot
+      const stepRow = Math.sign(rowDelta);
+      const stepCol = Math.sign(colDelta);
+
+      let lineClear = true;
+      for (let step = 1; step < distance; step++) {
+        const square = [fromRow + stepRow * step, fromCol + stepCol * step];
+        const terrain = terrainAt(state, square);
+        if ((movement.lineOfSight !== false && state.board[square[0]][square[1]] !== null) || (terrain && terrain.blocksFire)) {
+          lineClear = false;
+          break;
+        }
+      }
+
+      if (!lineClear) continue;
+
+      return true;
+    }
+
+    return false;
+  }
+
+  // List the legal actions ('shoot', 'move') for the piece on fromPos targeting toPos
+  function getMoveActions(state, fromPos, toPos) {
+    if (!isOnBoard(state, fromPos) || !isOnBoard(state, toPos)) {
+      return [];
+    }
+
+    const piece = state.board[fromPos[0]][fromPos[1]];
+    if (!piece || hasEffect(piece, 'stun')) {
+      return [];
+    }
+
+    const actions = [];
+    if (isValidShot(state, fromPos, toPos, piece)) actions.push('shoot');
+    if (isValidMove(state, fromPos, toPos, piece)) actions.push('move');
+    if (isValidSupport(state, fromPos, toPos, piece)) actions.push('support');
+    return actions;
+  }
+
+  // Work out why the piece on fromPos has no legal action against toPos
+  function explainIllegalMove(state, fromPos, toPos) {
+    if (!isOnBoard(state, fromPos) || !isOnBoard(state, toPos)) {
+      return { code: 'OUT_OF_BOUNDS', reason: 'That square is not on the board' };
+    }
+
+    const piece = state.board[fromPos[0]][fromPos[1]];
+    if (!piece) {
+      return { code: 'NO_PIECE', reason: 'There is no piece on that square' };
+    }
+    if (piece.player !== state.turn) {
+      return { code: 'NOT_YOUR_PIECE', reason: 'That piece belongs to your opponent' };
+    }
+    if (hasEffect(piece, 'stun')) {
+      return { code: 'STUNNED', reason: `The ${piece.type} is stunned and can't act this turn` };
+    }
+
+    const target = state.board[toPos[0]][toPos[1]];
+    const { support } = state.rules.pieces[piece.type];
+    if (target && isAlly(state.rules, target.player, piece.player) && support && target !== piece) {
+      return { code: 'OUT_OF_RANGE', reason: `The ${piece.type} can only support pieces within ${support.range} squares` };
+    }
+    if (target && target.player === piece.player) {
+      return { code: 'OWN_PIECE', reason: 'You cannot move onto or attack your own piece' };
+    }
+    if (target && isAlly(state.rules, target.player, piece.player)) {
+      return { code: 'OWN_PIECE', reason: 'You cannot move onto or attack an ally\'s piece' };
+    }
+    if (!target && !canEnter(state, piece.type, toPos)) {
+      return { code: 'IMPASSABLE_TERRAIN', reason: `The ${piece.type} cannot enter the ${terrainAt(state, toPos).name.toLowerCase()}` };
+    }
+
+    // If the move works on a board with nothing else on it, and no terrain, something is in the way
+    const openBoard = createGrid(state.rules.board);
+    openBoard[fromPos[0]][fromPos[1]] = piece;
+    openBoard[toPos[0]][toPos[1]] = target;
+    const openRules = { ...state.rules, board: { ...state.rules.board, terrain: null } };
+    const openState = { ...state, rules: openRules, board: openBoard };
+    if (isValidMove(openState, fromPos, toPos, piece)) {
+      return { code: 'PATH_BLOCKED', reason: 'The path is blocked' };
+    }
+    if (isValidShot(openState, fromPos, toPos, piece)) {
+      return { code: 'LINE_OF_FIRE_BLOCKED', reason: 'The line of fire is blocked' };
+    }
+
+    return { code: 'OUT_OF_RANGE', reason: `The ${piece.type} cannot reach that square` };
+  }
+
+  // explainIllegalMove as the player to move sees the board: under fog of war the reason comes
+  // from their view, so it can't point at the hidden piece in the way
+  function explainFoggedMove(state, fromPos, toPos) {
+    if (!state.rules.fogOfWar) {
+      return explainIllegalMove(state, fromPos, toPos);
+    }
+    const view = playerView(state, state.turn);
+    if (getMoveActions(view, fromPos, toPos).length > 0) {
+      return { code: 'HIDDEN_BY_FOG', reason: 'Something you can\'t see stops that move' };
+    }
+    return explainIllegalMove(view, fromPos, toPos);
+  }
+
+  // Check a deploy: an affordable piece type onto an empty square the player controls.
+  // Returns null if it is valid, otherwise { code, reason }
+  function checkDeploy(state, player, pieceType, toPos) {
+    const pieceData = Object.prototype.hasOwnProperty.call(state.rules.pieces, pieceType)
+      ? state.rules.pieces[pieceType]
+      : null;
+
+    // Only piece types with a numeric cost can be bought
+    if (!pieceData) {
+      return { code: 'UNKNOWN_PIECE_TYPE', reason: 'There is no such piece type' };
+    }
+    if (typeof pieceData.cost !== 'number') {
+      return { code: 'NOT_FOR_SALE', reason: `The ${pieceData.name} cannot be bought` };
+    }
+
+    if (!isOnBoard(state, toPos)) {
+      return { code: 'OUT_OF_BOUNDS', reason: 'That square is not on the board' };
+    }
+
+    // Target square must be empty and controlled by the player
+    const [toRow, toCol] = toPos;
+    if (state.board[toRow][toCol] !== null) {
+      return { code: 'SQUARE_OCCUPIED', reason: 'That square is occupied' };
+    }
+    if (!canEnter(state, pieceType, toPos)) {
+      return { code: 'IMPASSABLE_TERRAIN', reason: `The ${pieceData.name} cannot be placed on the ${terrainAt(state, toPos).name.toLowerCase()}` };
+    }
+    if (state.squareControl[toRow][toCol] !== player) {
+      return { code: 'SQUARE_NOT_CONTROLLED', reason: 'You can only deploy on squares you control' };
+    }
+
+    const steam = state.steam[player];
+    if (steam < pieceData.cost) {
+      return { code: 'NOT_ENOUGH_STEAM', reason: `The ${pieceData.name} costs ${pieceData.cost} steam, you have ${steam}` };
+    }
+
+    return null;
+  }
+
+  // Check if a deploy is valid: an affordable piece type onto an empty square the player controls
+  function isValidDeploy(state, player, pieceType, toPos) {
+    return checkDeploy(state, player, pieceType, toPos) === null;
+  }
+
+  // Check an upgrade: a stat the game sells, for one of the player's pieces that can still take
+  // it. Returns null if it is valid, otherwise { code, reason }
+  function checkUpgrade(state, player, at, stat) {
+    const upgrade = UPGRADE_STATS.includes(stat) ? upgradeRule(state, stat) : null;
+    if (!upgrade) {
+      return { code: 'UNKNOWN_UPGRADE', reason: 'There is no such upgrade' };
+    }
+    if (!isOnBoard(state, at)) {
+      return { code: 'OUT_OF_BOUNDS', reason: 'That square is not on the board' };
+    }
+
+    const piece = state.board[at[0]][at[1]];
+    if (!piece) {
+      return { code: 'NO_PIECE', reason: 'There is no piece on that square' };
+    }
+    if (piece.player !== player) {
+      return { code: 'NOT_YOUR_PIECE', reason: 'That piece belongs to your opponent' };
+    }
+    if (stat === 'range' && !state.rules.pieces[piece.type].movement.some(movement => movement.type !== 'hop')) {
+      return { code: 'CANNOT_UPGRADE', reason: `The ${piece.type} only hops, so its range can't be raised` };
+    }
+    if (upgradeLevel(piece, stat) >= upgrade.maxLevel) {
+      return { code: 'MAX_UPGRADE_LEVEL', reason: `The ${piece.type} already has all ${upgrade.maxLevel} ${stat} upgrades` };
+    }
+
+    const steam = state.steam[player];
+    if (steam < upgrade.cost) {
+      return { code: 'NOT_ENOUGH_STEAM', reason: `The ${stat} upgrade costs ${upgrade.cost} steam, you have ${steam}` };
+    }
+
+    return null;
+  }
+
+  // Whether a square is on a player's home rows in a draft game: the setup's `rows` rows at their
+  // own edge, less the corners that are also home to a seat on a neighbouring edge
+  function isHomeSquare(state, player, pos) {
+    const { rows } = state.rules.setup;
+    const seat = seatOf(state.rules, player);
+    const isHome = other => sideDepth(state.rules.board, other.side, pos) < rows;
+    return isHome(seat) && !seatsOf(state.rules).some(other =>
+      isSideways(state.rules, other.color) !== isSideways(state.rules, player) && isHome(other));
+  }
+
+  // How many pieces of a type every army must field: as many as a piece that can't be bought
+  // starts with, while bought pieces are up to the player
+  function requiredCount(state, player, pieceType) {
+    const pieceData = state.rules.pieces[pieceType];
+    return typeof pieceData.cost === 'number' ? null : standardPositions(pieceData, seatOf(state.rules, player)).length;
+  }
+
+  // Check a draft army: a list of { pieceType, to } placing pieces on empty home squares, within
+  // the budget and with every required piece. Returns null if it is valid, otherwise { code, reason }
+  function checkArmy(state, player, army) {
+    const taken = {};
+    let cost = 0;
+    for (const { pieceType, to } of army) {
+      if (!Object.prototype.hasOwnProperty.call(state.rules.pieces, pieceType)) {
+        return { code: 'UNKNOWN_PIECE_TYPE', reason: 'There is no such piece type' };
+      }
+      const pieceData = state.rules.pieces[pieceType];
+      if (!isOnBoard(state, to)) {
+        return { code: 'OUT_OF_BOUNDS', reason: 'That square is not on the board' };
+      }
+      if (!isHomeSquare(state, player, to)) {
+        return { code: 'NOT_HOME_SQUARE', reason: `Pieces can only be placed on your first ${state.rules.setup.rows} rows` };
+      }
+      if (taken[to.join(',')]) {
+        return { code: 'SQUARE_OCCUPIED', reason: 'Two pieces are placed on the same square' };
+      }
+      if (!canEnter(state, pieceType, to)) {
+        return { code: 'IMPASSABLE_TERRAIN', reason: `The ${pieceData.name} cannot be placed on the ${terrainAt(state, to).name.toLowerCase()}` };
+      }
+      taken[to.join(',')] = true;
+      cost += pieceData.cost || 0;
+    }
+
+    for (const pieceType of Object.keys(state.rules.pieces)) {
+      const required = requiredCount(state, player, pieceType);
+      const fielded = army.filter(placed => placed.pieceType === pieceType).length;
+      if (required !== null && fielded !== required) {
+        return { code: 'WRONG_PIECE_COUNT', reason: `Your army must field ${required} ${state.rules.pieces[pieceType].name}${required === 1 ? '' : 's'}` };
+      }
+    }
+
+    if (cost > state.rules.setup.budget) {
+      return { code: 'OVER_BUDGET', reason: `Your army costs ${cost}, the budget is ${state.rules.setup.budget}` };
+    }
+
+    return null;
+  }
+
+  // Place a player's army in a draft game. Armies stay hidden from the other teams (see playerView)
+  // until all are placed, then the board is built from them and play starts. Returns a new state;
+  // throws IllegalMoveError if the army can't be placed
+  function placeArmy(state, player, army) {
+    if (state.status !== 'setup') {
+      throw new IllegalMoveError('NOT_IN_SETUP', 'Armies are only placed before the game starts');
+    }
+    if (state.armies[player]) {
+      throw new IllegalMoveError('ARMY_ALREADY_PLACED', 'Your army is already placed');
+    }
+    const problem = checkArmy(state, player, army);
+    if (problem) {
+      throw new IllegalMoveError(problem.code, problem.reason);
+    }
+
+    const next = cloneState(state);
+    next.armies[player] = army.map(({ pieceType, to }) => ({ pieceType, to: [to[0], to[1]] }));
+    startWhenArmiesPlaced(next);
+    return next;
+  }
+
+  // Build the board and start play once every seat still in the game has placed its army.
+  // Changes state in place
+  function startWhenArmiesPlaced(state) {
+    if (seatsOf(state.rules).every(({ color }) => state.armies[color] || isEliminated(state, color))) {
+      state.board = initializeBoard(state.rules, state.armies);
+      state.status = 'active';
+    }
+  }
+
+  // Whether a square is on one of a player's promotion ranks: the `ranks` rows furthest from their side
+  function isPromotionSquare(state, player, promotion, pos) {
+    const ranks = promotion.ranks || 1;
+    return sideDepth(state.rules.board, OPPOSITE_SIDES[seatOf(state.rules, player).side], pos) < ranks;
+  }
+
+  // The piece types the piece on fromPos can promote into with this action against toPos, or null
+  // if the move can't end on its promotion ranks. An attack counts if it might kill and move the
+  // piece in, so the player chooses before the dice are rolled; so does an attack on an enemy whose
+  // health the player can't see
+  function promotionChoices(state, fromPos, toPos, action) {
+    const piece = state.board[fromPos[0]][fromPos[1]];
+    const promotion = piece && state.rules.pieces[piece.type].promotion;
+    if (!promotion || action !== 'move' || !isPromotionSquare(state, piece.player, promotion, toPos)) {
+      return null;
+    }
+    const target = state.board[toPos[0]][toPos[1]];
+    if (target && target.health !== null && expectedAttack(state, fromPos, toPos, action).maxDamage < target.health) {
+      return null;
+    }
+    return promotion.into;
+  }
+
+  // Turn a piece into another type where it stands, keeping its wounds, upgrades and effects.
+  // Changes state in place and records events
+  function promotePiece(state, piece, pieceType, events) {
+    const previousType = piece.type;
+    const wounds = maxHealth(state, piece) - piece.health;
+    piece.type = pieceType;
+    piece.image = state.rules.pieces[pieceType].image;
+    piece.attack += state.rules.pieces[pieceType].attack - state.rules.pieces[previousType].attack;
+    piece.health = Math.max(1, maxHealth(state, piece) - wounds);
+    events.push({ type: 'promotion', player: piece.player, at: piece.position, previousType, pieceType });
+  }
+
+  // Move, melee attack or shoot with a piece. Changes state in place and records events
+  function processMove(state, move, events, recordedRoll) {
+    const { from, to } = move;
+    const actions = getMoveActions(state, from, to);
+
+    const piece = actions.length > 0 ? state.board[from[0]][from[1]] : null;
+    if (!piece || piece.player !== state.turn) {
+      const { code, reason } = explainFoggedMove(state, from, to);
+      throw new IllegalMoveError(code, reason);
+    }
+
+    // Without an explicit action the move must be unambiguous
+    let action = move.action;
+    if (!action) {
+      if (actions.length > 1) {
+        throw new IllegalMoveError('ACTION_REQUIRED', 'Choose whether to shoot or move');
+      }
+      action = actions[0];
+    }
+    if (!actions.includes(action)) {
+      throw new IllegalMoveError('ACTION_NOT_ALLOWED', `The ${piece.type} cannot ${action} there`);
+    }
+
+    // A move that may end on the piece's promotion ranks must say what it promotes into
+    const { promotion } = state.rules.pieces[piece.type];
+    if (move.promoteTo && !(promotion && promotion.into.includes(move.promoteTo))) {
+      throw new IllegalMoveError('INVALID_PROMOTION', `The ${piece.type} cannot promote into ${move.promoteTo}`);
+    }
+    if (!move.promoteTo && promotionChoices(state, from, to, action)) {
+      throw new IllegalMoveError('PROMOTION_REQUIRED', `Choose what the ${piece.type} promotes into`);
+    }
+
+    const [fromRow, fromCol] = from;
+    const [toRow, toCol] = to;
+    const target = state.board[toRow][toCol];
+
+    // Support ability: heal a friendly piece and give it effects, the supporter never moves
+    if (action === 'support') {
+      resolveSupport(state, from, to, events);
+    }
+    // Ranged attack: damage the target from a distance, the shooter never moves
+    else if (action === 'shoot') {
+      resolveAttack(state, from, to, true, events, recordedRoll);
+    }
+    // If target is enemy, process attack
+    else if (target) {
+      // If the target dies, move into its square. Otherwise the piece stays in place, and may
+      // take a counterattack
+      if (resolveAttack(state, from, to, false, events, recordedRoll)) {
+        state.board[toRow][toCol] = piece;
+        state.board[fromRow][fromCol] = null;
+        piece.position = [toRow, toCol];
+        events.push({ type: 'move', player: piece.player, pieceType: piece.type, from, to });
+      }
+    }
+    // If target square is empty, move piece
+    else {
+      state.board[toRow][toCol] = piece;
+      state.board[fromRow][fromCol] = null;
+      piece.position = [toRow, toCol];
+      events.push({ type: 'move', player: piece.player, pieceType: piece.type, from, to });
+    }
+
+    if (move.promoteTo && state.board[toRow][toCol] === piece && isPromotionSquare(state, piece.player, promotion, to)) {
+      promotePiece(state, piece, move.promoteTo, events);
+    }
+  }
+
+  // Spend steam and place a new piece. Changes state in place and records events
+  function processDeploy(state, move, events) {
+    const { pieceType, to } = move;
+    const player = state.turn;
+
+    const problem = checkDeploy(state, player, pieceType, to);
+    if (problem) {
+      throw new IllegalMoveError(problem.code, problem.reason);
+    }
+
+    const cost = state.rules.pieces[pieceType].cost;
+    state.steam[player] -= cost;
+
+    state.deployCount++;
+    state.board[to[0]][to[1]] = createPiece(state.rules.pieces, pieceType, player, to, `${idPrefix(player)}_${pieceType}_d${state.deployCount}`);
+    events.push({ type: 'deploy', player, pieceType, to, cost });
+  }
+
+  // Spend steam on an upgrade for one of the player's pieces. Changes state in place and records events
+  function processUpgrade(state, move, events) {
+    const { at, stat } = move;
+    const player = state.turn;
+
+    const problem = checkUpgrade(state, player, at, stat);
+    if (problem) {
+      throw new IllegalMoveError(problem.code, problem.reason);
+    }
+
+    const { cost, amount } = upgradeRule(state, stat);
+    state.steam[player] -= cost;
+
+    const piece = state.board[at[0]][at[1]];
+    const level = upgradeLevel(piece, stat) + 1;
+    piece.upgrades = { ...piece.upgrades, [stat]: level };
+    if (stat === 'attack') {
+      piece.attack += amount;
+    } else if (stat === 'health') {
+      piece.health += amount;
+    }
+    events.push({ type: 'upgrade', player, at, pieceType: piece.type, stat, level, cost });
+  }
+
+  // What an action costs in an action-point game, from the acting piece's actionCosts (see
+  // DEFAULT_ACTION_COST). A move onto an enemy is an attack. Moves that can't be priced, e.g. with
+  // no piece to move, cost the default and are left for the move's own checks to reject
+  function actionCost(state, move) {
+    let pieceType = null;
+    let kind = null;
+    if (move && move.type === 'move' && isOnBoard(state, move.from) && isOnBoard(state, move.to)) {
+      const piece = state.board[move.from[0]][move.from[1]];
+      const action = move.action || getMoveActions(state, move.from, move.to)[0];
+      pieceType = piece && piece.type;
+      kind = action === 'move' && state.board[move.to[0]][move.to[1]] ? 'attack' : action;
+    } else if (move && move.type === 'deploy') {
+      pieceType = move.pieceType;
+      kind = 'deploy';
+    } else if (move && move.type === 'upgrade' && isOnBoard(state, move.at)) {
+      const piece = state.board[move.at[0]][move.at[1]];
+      pieceType = piece && piece.type;
+      kind = 'upgrade';
+    }
+    const pieceData = pieceType && Object.prototype.hasOwnProperty.call(state.rules.pieces, pieceType) ? state.rules.pieces[pieceType] : null;
+    const costs = (pieceData && pieceData.actionCosts) || {};
+    return typeof costs[kind] === 'number' ? costs[kind] : DEFAULT_ACTION_COST;
+  }
+
+  // Whether the player to move has the action points for a move. Always true outside action-point games
+  function canAfford(state, move) {
+    return !state.rules.actionPoints || actionCost(state, move) <= state.actionPoints;
+  }
+
+  // Take an action's cost off the points of the player to move. Changes state in place and records events
+  function spendActionPoints(state, cost, events) {
+    if (cost > state.actionPoints) {
+      throw new IllegalMoveError('NOT_ENOUGH_ACTION_POINTS', `That costs ${cost} action points, you have ${state.actionPoints} left`);
+    }
+    state.actionPoints -= cost;
+    events.push({ type: 'actionPoints', player: state.turn, cost, remaining: state.actionPoints });
+  }
+
+  // Finish the current player's turn: control/steam update, win check, turn switch, draw check,
+  // then pass on the turns of players left with nothing to do
+  function endTurn(state, events) {
+    passTurn(state, events);
+    skipStuckTurns(state, events);
+    if (state.status !== 'active') {
+      events.push({ type: 'gameOver', status: state.status, endReason: state.endReason });
+    }
+  }
+
+  // Score the current player's turn and hand it to the next player. Changes state in place and records events
+  function passTurn(state, events) {
+    tickEffects(state, state.turn, events);
+
+    // Update square control
+    const steamGained = updateSquareControlAfterMove(state);
+    events.push({ type: 'steam', player: state.turn, amount: steamGained });
+
+    // Check win condition (territory and steam race need the updated control and steam)
+    checkWinCondition(state, events);
+
+    // Switch turns
+    state.turn = nextTurn(state);
+    if (state.rules.actionPoints) {
+      state.actionPoints = state.rules.actionPoints.perTurn;
+    }
+
+    if (state.status === 'active') {
+      checkDrawConditions(state, events);
+    }
+  }
+
+  // Stunned pieces can't act, so a player whose pieces are all stunned and who can't buy anything
+  // has no legal move: their turn ends as if they had made one, so their effects wear off. When
+  // every seat in turn is stuck with no stun left to wear off, the game is drawn rather than
+  // passed round until someone saves up for a piece. Changes state in place and records events
+  function skipStuckTurns(state, events) {
+    let stuckInARow = 0;
+    while (state.status === 'active' && !hasLegalMove(state)) {
+      stuckInARow = hasStunnedPiece(state, state.turn) ? 0 : stuckInARow + 1;
+      if (stuckInARow > seatsOf(state.rules).length) {
+        endGame(state, null, 'noMoves');
+        return;
+      }
+      events.push({ type: 'turnSkipped', player: state.turn });
+      passTurn(state, events);
+    }
+  }
+
+  // Whether the player to move can do anything: always in an action-point game, where they can end
+  // the turn. A quicker legalMoves(state).length > 0
+  function hasLegalMove(state) {
+    if (state.rules.actionPoints) {
+      return true;
+    }
+    let found = false;
+    forEachSquare(state, (fromRow, fromCol) => {
+      const piece = state.board[fromRow][fromCol];
+      if (found || !piece || piece.player !== state.turn) return;
+      forEachSquare(state, (toRow, toCol) => {
+        found = found || getMoveActions(state, [fromRow, fromCol], [toRow, toCol]).length > 0;
+      });
+      found = found || UPGRADE_STATS.some(stat => checkUpgrade(state, state.turn, [fromRow, fromCol], stat) === null);
+    });
+    if (found) {
+      return true;
+    }
+    return Object.keys(state.rules.pieces).some(pieceType => {
+      forEachSquare(state, (row, col) => {
+        found = found || isValidDeploy(state, state.turn, pieceType, [row, col]);
+      });
+      return found;
+    });
+  }
+
+  // Pass on the turn of a player with no legal move, in a state where that wasn't done already.
+  // Returns { state, events } like applyMove; the same state when the player to move can act
+  function passStuckTurn(state) {
+    if (state.status !== 'active' || hasLegalMove(state)) {
+      return { state, events: [] };
+    }
+    const next = cloneState(state);
+    const events = [];
+    skipStuckTurns(next, events);
+    if (next.status !== 'active') {
+      events.push({ type: 'gameOver', status: next.status, endReason: next.endReason });
+    }
+    return { state: next, events };
+  }
+
+  function hasStunnedPiece(state, player) {
+    let stunned = false;
+    forEachSquare(state, (row, col) => {
+      const piece = state.board[row][col];
+      stunned = stunned || (!!piece && piece.player === player && hasEffect(piece, 'stun'));
+    });
+    return stunned;
+  }
+
+  // The next seat in turn order after the player to move that is still in the game
+  function nextTurn(state) {
+    const colors = seatsOf(state.rules).map(seat => seat.color);
+    const current = colors.indexOf(state.turn);
+    for (let step = 1; step < colors.length; step++) {
+      const color = colors[(current + step) % colors.length];
+      if (!isEliminated(state, color)) {
+        return color;
+      }
+    }
+    return state.turn;
+  }
+
+  // Note whether an action's events dealt damage or deployed or upgraded a piece, so the draw
+  // checks at the end of the turn count every action of it. Changes state in place
+  function recordProgress(state, events) {
+    const progress = state.turnProgress || { damaged: false, changed: false };
+    state.turnProgress = {
+      damaged: progress.damaged || events.some(event => ['attack', 'counterattack', 'poison'].includes(event.type) && event.damage > 0),
+      changed: progress.changed || events.some(event => event.type === 'deploy' || event.type === 'upgrade')
+    };
+  }
+
+  // Automatic draws, checked once the turn has passed to the next player
+  function checkDrawConditions(state, events) {
+    const { draws } = state.rules;
+    recordProgress(state, events);
+    const { damaged, changed } = state.turnProgress;
+    state.turnProgress = { damaged: false, changed: false };
+
+    // Damage, deploys and upgrades change the board for good: earlier positions can't come back
+    state.turnsWithoutDamage = damaged ? 0 : state.turnsWithoutDamage + 1;
+    if (damaged || changed) {
+      state.positionCounts = {};
+    }
+    const key = positionKey(state);
+    state.positionCounts[key] = (state.positionCounts[key] || 0) + 1;
+
+    if (draws.noProgressTurns && state.turnsWithoutDamage >= draws.noProgressTurns) {
+      endGame(state, null, 'noProgress');
+    } else if (draws.repetitions && state.positionCounts[key] >= draws.repetitions) {
+      endGame(state, null, 'repetition');
+    } else if (draws.insufficientMaterial && hasInsufficientMaterial(state)) {
+      endGame(state, null, 'insufficientMaterial');
+    }
+  }
+
+  // Short fingerprint of a position: every piece with its health and effects, square control and
+  // the player to move. Steam is left out because it only ever grows
+  function positionKey(state) {
+    const squares = [];
+    forEachSquare(state, (row, col) => {
+      const piece = state.board[row][col];
+      const effects = piece ? (piece.effects || []).map(effect => `${effect.type}${effect.turns}/${effect.amount}`).join('+') : '';
+      squares.push(piece ? `${piece.type}:${piece.player}:${piece.health}:${effects}` : '', state.squareControl[row][col] || '');
+    });
+    const text = `${state.turn}|${squares.join(',')}`;
+
+    // 32-bit FNV-1a hash
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  // Squares a piece could ever stand on, ignoring other pieces since they can move away, if its
+  // straight moves reached `bonus` squares further
+  function reachableSquares(state, piece, bonus) {
+    const offsets = [];
+    state.rules.pieces[piece.type].movement.forEach(rule => {
+      const movement = orientMovement(state.rules, piece.player, rule);
+      if (movement.type === 'straight') {
+        for (let distance = 1; distance <= movement.range + bonus; distance++) {
+          if (movement.direction === 'horizontal') {
+            offsets.push([0, distance], [0, -distance]);
+          } else {
+            offsets.push([distance, 0], [-distance, 0]);
+          }
+        }
+      } else if (movement.type === 'hop') {
+        [1, -1].forEach(rowSign => [1, -1].forEach(colSign => {
+          offsets.push([movement.vertical * rowSign, movement.horizontal * colSign]);
+        }));
+      }
+    });
+
+    const reached = new Set([piece.position.join(',')]);
+    const queue = [piece.position];
+    while (queue.length > 0) {
+      const [row, col] = queue.shift();
+      offsets.forEach(([dr, dc]) => {
+        const next = [row + dr, col + dc];
+        if (isOnBoard(state, next) && canEnter(state, piece.type, next) && !reached.has(next.join(','))) {
+          reached.add(next.join(','));
+          queue.push(next);
+        }
+      });
+    }
+    return reached;
+  }
+
+  // Squares a piece could ever hit: where it can move (melee), plus what it could shoot from there,
+  // if its moves and shots reached `bonus` squares further
+  function threatenedSquares(state, piece, bonus) {
+    const reachable = reachableSquares(state, piece, bonus);
+    const threatened = new Set(reachable);
+    const shots = state.rules.pieces[piece.type].movement.filter(movement => movement.type === 'ranged');
+    const directions = [[0, 1], [0, -1], [1, 0], [-1, 0], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+    reachable.forEach(square => {
+      const [row, col] = square.split(',').map(Number);
+      shots.forEach(shot => {
+        directions.forEach(([dr, dc]) => {
+          for (let distance = shot.minRange; distance <= shot.maxRange + bonus; distance++) {
+            const target = [row + dr * distance, col + dc * distance];
+            if (isOnBoard(state, target)) {
+              threatened.add(target.join(','));
+            }
+          }
+        });
+      });
+    });
+    return threatened;
+  }
+
+  // No team can damage another: no piece can ever get at an enemy piece (e.g. pieces bound to
+  // squares of one colour, or without attack), and no side can buy a piece that could
+  function hasInsufficientMaterial(state) {
+    const pieces = Object.values(state.rules.pieces);
+    if (pieces.some(pieceData => typeof pieceData.cost === 'number' && pieceData.attack > 0)) {
+      return false;
+    }
+
+    const byTeam = {};
+    const all = [];
+    state.board.forEach(row => row.forEach(piece => {
+      if (piece) {
+        const team = teamOf(state.rules, piece.player);
+        (byTeam[team] = byTeam[team] || []).push(piece);
+        all.push(piece);
+      }
+    }));
+    // A piece that can promote may yet become one that can
+    if (all.some(piece => state.rules.pieces[piece.type].promotion)) {
+      return false;
+    }
+
+    // Upgrades a piece could still buy count as well: judge every piece at its longest reach
+    const rangeUpgrade = upgradeRule(state, 'range');
+    const bonus = rangeUpgrade ? rangeUpgrade.maxLevel * rangeUpgrade.amount : 0;
+    const canDamage = (attacker, targets) => {
+      if (attacker.attack <= 0 && !upgradeRule(state, 'attack')) {
+        return false;
+      }
+      const threatened = threatenedSquares(state, attacker, bonus);
+      return targets.some(target => [...reachableSquares(state, target, bonus)].some(square => threatened.has(square)));
+    };
+    const teams = Object.keys(byTeam);
+    return !teams.some(team => byTeam[team].some(piece =>
+      teams.some(other => other !== team && canDamage(piece, byTeam[other]))));
+  }
+
+  // Apply a move for the player whose turn it is. Returns the new state and the events it caused;
+  // the given state is left untouched. Throws IllegalMoveError if the move breaks the rules.
+  // Moves: { type: 'move', from, to, action?, promoteTo? } where action is 'move', 'shoot' or
+  //        'support' and promoteTo the piece type to promote into (see promotionChoices),
+  //        { type: 'deploy', pieceType, to },
+  //        { type: 'upgrade', at, stat } where stat is 'attack', 'health' or 'range'
+  // recordedRoll, when given, is how an attack of the move landed ('hit', 'critical' or 'miss'),
+  // for replaying moves without the game's seed. Never take it from a player
+  function applyMove(state, move, recordedRoll) {
+    if (state.status === 'setup') {
+      throw new IllegalMoveError('SETUP_NOT_FINISHED', 'The game starts once every army is placed');
+    }
+    if (state.status !== 'active') {
+      throw new IllegalMoveError('GAME_OVER', 'The game is over');
+    }
+
+    const next = cloneState(state);
+    const events = [];
+
+    if (move && move.type === 'endTurn') {
+      if (!state.rules.actionPoints) {
+        throw new IllegalMoveError('NO_ACTION_POINTS', 'Every action ends the turn in this game');
+      }
+    } else {
+      // Priced before the action changes the board: whether a move is an attack depends on the target
+      const cost = state.rules.actionPoints ? actionCost(state, move) : 0;
+      if (move && move.type === 'move') {
+        processMove(next, move, events, recordedRoll);
+      } else if (move && move.type === 'deploy') {
+        processDeploy(next, move, events);
+      } else if (move && move.type === 'upgrade') {
+        processUpgrade(next, move, events);
+      } else {
+        throw new IllegalMoveError('UNKNOWN_MOVE_TYPE', 'Unknown move type');
+      }
+      if (state.rules.actionPoints) {
+        spendActionPoints(next, cost, events);
+      }
+    }
+
+    // An action-point turn goes on while the player has points left, is still in the game and the
+    // game isn't decided
+    if (state.rules.actionPoints && move.type !== 'endTurn' && next.actionPoints > 0 && !checkCasualties(next, events) &&
+        !isEliminated(next, next.turn)) {
+      recordProgress(next, events);
+    } else if (next.status === 'active') {
+      endTurn(next, events);
+    } else {
+      events.push({ type: 'gameOver', status: next.status, endReason: next.endReason });
+    }
+    next.history.push(createHistoryEntry(state, move, events));
+
+    return { state: next, events };
+  }
+
+  // Summarize one applied move from its events, so finished games can be reviewed and replayed.
+  // Entries hold enough to rebuild the move: see historyEntryToMove
+  function createHistoryEntry(state, move, events) {
+    const entry = {
+      ply: state.history.length + 1,
+      player: state.turn,
+      type: move.type,
+      pieceType: null,
+      to: move.to,
+      damage: 0,
+      killed: false,
+      // How an attack landed ('hit', 'critical' or 'miss'), and what a counterattack did to the attacker
+      roll: null,
+      counterDamage: 0,
+      attackerKilled: false,
+      // Health a support gave, and the status effects the attack or support handed out
+      healed: 0,
+      effects: [],
+      // The piece type the player chose to promote into, and whether the piece did promote
+      promoteTo: null,
+      promoted: false,
+      // Action points the action cost, in an action-point game
+      actionCost: 0,
+      steamGained: 0
+    };
+
+    if (move.type === 'move') {
+      entry.pieceType = state.board[move.from[0]][move.from[1]].type;
+      entry.from = move.from;
+      entry.action = 'move';
+      entry.promoteTo = move.promoteTo || null;
+    } else if (move.type === 'upgrade') {
+      entry.pieceType = state.board[move.at[0]][move.at[1]].type;
+      entry.at = move.at;
+      entry.stat = move.stat;
+    } else if (move.type === 'deploy') {
+      entry.pieceType = move.pieceType;
+    }
+
+    events.forEach(event => {
+      if (event.type === 'attack') {
+        entry.damage = event.damage;
+        entry.killed = event.killed;
+        entry.roll = event.roll;
+        entry.effects = event.effects;
+        if (event.ranged) {
+          entry.action = 'shoot';
+        }
+      } else if (event.type === 'support') {
+        entry.action = 'support';
+        entry.healed = event.healed;
+        entry.effects = event.effects;
+      } else if (event.type === 'counterattack') {
+        entry.counterDamage = event.damage;
+        entry.attackerKilled = event.killed;
+      } else if (event.type === 'promotion') {
+        entry.promoted = true;
+      } else if (event.type === 'deploy' || event.type === 'upgrade') {
+        entry.cost = event.cost;
+      } else if (event.type === 'actionPoints') {
+        entry.actionCost = event.cost;
+      } else if (event.type === 'steam' && event.player === state.turn) {
+        // Turns skipped after this one score steam for other players
+        entry.steamGained = event.amount;
+      }
+    });
+
+    return entry;
+  }
+
+  // The move that produced a history entry
+  function historyEntryToMove(entry) {
+    if (entry.type === 'deploy') {
+      return { type: 'deploy', pieceType: entry.pieceType, to: entry.to };
+    }
+    if (entry.type === 'upgrade') {
+      return { type: 'upgrade', at: entry.at, stat: entry.stat };
+    }
+    if (entry.type === 'endTurn') {
+      return { type: 'endTurn' };
+    }
+    const move = { type: 'move', from: entry.from, to: entry.to, action: entry.action };
+    return entry.promoteTo ? { ...move, promoteTo: entry.promoteTo } : move;
+  }
+
+  // Rebuild the position after the first `ply` moves of a game's history, from a fresh game
+  // with the same rules and, for a draft game, the same armies (a seat without one left during
+  // setup). Attacks land as the history recorded, so the rules' seed isn't needed. Used to review
+  // earlier positions without touching the live state
+  function replayHistory(rules, history, ply, armies) {
+    let state = createGame(rules);
+    if (armies) {
+      seatsOf(state.rules).forEach(({ color }) => {
+        state = armies[color] ? placeArmy(state, color, armies[color]) : concedeSeat(state, color, 'forfeit');
+      });
+    }
+    history.slice(0, ply).forEach(entry => {
+      state = entry.type === 'concede'
+        ? concedeSeat(state, entry.player, entry.reason)
+        : applyMove(state, historyEntryToMove(entry), entry.roll).state;
+    });
+    return state;
+  }
+
+  // List every legal move for the player whose turn it is, those they have the action points for
+  // in an action-point game, where ending the turn is a move too
+  function legalMoves(state) {
+    const moves = [];
+    if (state.status !== 'active') {
+      return moves;
+    }
+    if (state.rules.actionPoints) {
+      moves.push({ type: 'endTurn' });
+    }
+
+    forEachSquare(state, (fromRow, fromCol) => {
+      const piece = state.board[fromRow][fromCol];
+      if (!piece || piece.player !== state.turn) return;
+
+      forEachSquare(state, (toRow, toCol) => {
+        getMoveActions(state, [fromRow, fromCol], [toRow, toCol]).forEach(action => {
+          const move = { type: 'move', from: [fromRow, fromCol], to: [toRow, toCol], action };
+          const choices = promotionChoices(state, move.from, move.to, action);
+          if (choices) {
+            choices.forEach(promoteTo => moves.push({ ...move, promoteTo }));
+          } else {
+            moves.push(move);
+          }
+        });
+      });
+
+      UPGRADE_STATS.forEach(stat => {
+        if (checkUpgrade(state, state.turn, [fromRow, fromCol], stat) === null) {
+          moves.push({ type: 'upgrade', at: [fromRow, fromCol], stat });
+        }
+      });
+    });
+
+    Object.keys(state.rules.pieces).forEach(pieceType => {
+      forEachSquare(state, (row, col) => {
+        if (isValidDeploy(state, state.turn, pieceType, [row, col])) {
+          moves.push({ type: 'deploy', pieceType, to: [row, col] });
+        }
+      });
+    });
+
+    return moves.filter(move => move.type === 'endTurn' || canAfford(state, move));
+  }
+
+  // Describe everything the piece on fromPos can do: empty squares it can move to and enemies it can
+  // attack, with what each attack may do (see expectedAttack), and friendly pieces it can support.
+  // In an action-point game, only what the player has the points for
+  function legalTargets(state, fromPos) {
+    const targets = { moves: [], attacks: [], supports: [] };
+    if (!isOnBoard(state, fromPos) || !state.board[fromPos[0]][fromPos[1]]) {
+      return targets;
+    }
+
+    forEachSquare(state, (toRow, toCol) => {
+      const to = [toRow, toCol];
+      const target = state.board[toRow][toCol];
+      getMoveActions(state, fromPos, to).forEach(action => {
+        if (!canAfford(state, { type: 'move', from: fromPos, to, action })) {
+          return;
+        }
+        if (action === 'support') {
+          targets.supports.push(to);
+        } else if (target) {
+          targets.attacks.push({ to, action, ...expectedAttack(state, fromPos, to, action) });
+        } else {
+          targets.moves.push(to);
+        }
+      });
+    });
+
+    return targets;
+  }
+
+  // The squares a player sees under fog of war: those within the vision range of their team's
+  // pieces and those their team controls. Returns a rows x cols grid of booleans, false for holes
+  function visibleSquares(state, color) {
+    const range = state.rules.fogOfWar.visionRange;
+    const visible = createGrid(state.rules.board).map(row => row.map(() => false));
+    forEachSquare(state, (row, col) => {
+      const owner = state.squareControl[row][col];
+      if (owner && isAlly(state.rules, owner, color)) {
+        visible[row][col] = true;
+      }
+      const piece = state.board[row][col];
+      if (!piece || !isAlly(state.rules, piece.player, color)) return;
+
+      for (let dr = -range; dr <= range; dr++) {
+        for (let dc = -range; dc <= range; dc++) {
+          if (isOnBoard(state, [row + dr, col + dc])) {
+            visible[row + dr][col + dc] = true;
+          }
+        }
+      }
+    });
+    return visible;
+  }
+
+  // Whether one of the pieces of the player's team stands next to a square
+  function isNextToOwnPiece(state, color, [row, col]) {
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        const pos = [row + dr, col + dc];
+        const piece = isOnBoard(state, pos) && state.board[pos[0]][pos[1]];
+        if (piece && isAlly(state.rules, piece.player, color)) return true;
+      }
+    }
+    return false;
+  }
+
+  // The game as a player may know it, allies sharing what they know. While a draft game is in
+  // setup, enemy armies only show whether they are placed (color null hides all, e.g. for
+  // spectators). Under fog of war, squares they can't see are emptied and uncontrolled
+  // (view.visible marks which ones they see), enemy health and effects are null unless the enemy
+  // stands next to one of their team's pieces, and enemy armies and moves are only listed as
+  // having happened. Open games and finished games are shown in full
+  function playerView(state, color) {
+    if (state.status === 'setup') {
+      return { ...state, armies: hideArmies(state, color) };
+    }
+    if (!state.rules.fogOfWar || state.status !== 'active') {
+      return state;
+    }
+
+    const visible = visibleSquares(state, color);
+    const board = state.board.map((row, rowIndex) => row.map((piece, col) => {
+      if (!piece || isAlly(state.rules, piece.player, color)) return piece;
+      if (!visible[rowIndex][col]) return null;
+      return isNextToOwnPiece(state, color, [rowIndex, col]) ? piece : { ...piece, health: null, effects: null };
+    }));
+    return {
+      ...state,
+      board,
+      squareControl: state.squareControl.map((row, rowIndex) => row.map((owner, col) => (visible[rowIndex][col] ? owner : null))),
+      visible,
+      // Position keys and the territory streak would give hidden squares away
+      positionCounts: {},
+      territoryStreak: { [color]: state.territoryStreak[color] },
+      armies: state.armies && hideArmies(state, color),
+      // Seats leaving the game is no secret
+      history: state.history.map(entry => (isAlly(state.rules, entry.player, color) || entry.type === 'concede'
+        ? entry
+        : { ply: entry.ply, player: entry.player, hidden: true }))
+    };
+  }
+
+  // Armies as a player may know them: placed armies of other teams become { hidden: true }
+  function hideArmies(state, color) {
+    const armies = {};
+    Object.keys(state.armies).forEach(player => {
+      const army = state.armies[player];
+      armies[player] = (color && isAlly(state.rules, player, color)) || !army ? army : { hidden: true };
+    });
+    return armies;
+  }
+
+  // legalTargets of the piece on fromPos as its player sees them under fog of war: worked out on
+  // their view, so unseen squares count as empty and a hidden enemy neither shows as a target nor
+  // cuts a path short. No kill predictions on enemies whose health they can't see
+  function visibleTargets(state, color, fromPos) {
+    if (!state.rules.fogOfWar) {
+      return legalTargets(state, fromPos);
+    }
+
+    const view = playerView(state, color);
+    const targets = legalTargets(view, fromPos);
+    return {
+      ...targets,
+      attacks: targets.attacks.map(attack => (view.board[attack.to[0]][attack.to[1]].health === null ? { ...attack, kills: null } : attack))
+    };
+  }
+
+  // Take out the seats that have lost every piece or, under king assassination, their king, and
+  // end the game once the seats left all play for one team. Checked after every action, as a
+  // player may not act on once the game is decided. Changes state in place and records events.
+  // Returns whether the game ended
+  function checkCasualties(state, events = []) {
+    const pieceCounts = {};
+    const kingCounts = {};
+
+    // Count pieces and kings for every seat
+    forEachSquare(state, (row, col) => {
+      const piece = state.board[row][col];
+      if (piece) {
+        pieceCounts[piece.player] = (pieceCounts[piece.player] || 0) + 1;
+        if (piece.type === 'king') kingCounts[piece.player] = (kingCounts[piece.player] || 0) + 1;
+      }
+    });
+
+    // Elimination always applies, king assassination when it is on
+    const seats = seatsOf(state.rules).filter(seat => !isEliminated(state, seat.color));
+    const fallen = seats.filter(({ color }) => !pieceCounts[color] || (state.rules.winConditions.kingAssassination && !kingCounts[color]));
+    if (fallen.length === 0) {
+      return false;
+    }
+    const reason = fallen.every(({ color }) => !pieceCounts[color]) ? 'elimination' : 'king';
+
+    const teams = [...new Set(seats.filter(seat => !fallen.includes(seat)).map(seat => seat.team))];
+    if (teams.length > 1) {
+      fallen.forEach(({ color }) => eliminateSeat(state, color, reason, events));
+      return false;
+    }
+    endGame(state, teams.length === 1 ? teams[0] : null, reason);
+    return true;
+  }
+
+  // Take a seat out of the game: its pieces leave the board and the squares it held go neutral.
+  // Changes state in place and records events
+  function eliminateSeat(state, color, reason, events) {
+    state.eliminated = [...(state.eliminated || []), color];
+    forEachSquare(state, (row, col) => {
+      const piece = state.board[row][col];
+      if (piece && piece.player === color) {
+        state.board[row][col] = null;
+      }
+      if (state.squareControl[row][col] === color) {
+        state.squareControl[row][col] = null;
+      }
+    });
+    events.push({ type: 'eliminated', player: color, reason });
+  }
+
+  // Check win condition against the game's selected win conditions
+  function checkWinCondition(state, events) {
+    const { winConditions } = state.rules;
+    if (checkCasualties(state, events)) {
+      return;
+    }
+
+    // The remaining conditions are scored for the player who just acted, and won for their team
+    const currentPlayer = state.turn;
+    if (isEliminated(state, currentPlayer)) {
+      return;
+    }
+
+    // Territory: hold a share of the board for several own turns in a row
+    if (winConditions.territory) {
+      let controlled = 0;
+      let squares = 0;
+      forEachSquare(state, (r, c) => {
+        if (isControllable(state, [r, c])) {
+          squares++;
+        }
+        if (state.squareControl[r][c] === currentPlayer) {
+          controlled++;
+        }
+      });
+
+      if (controlled * 100 >= winConditions.territory.percent * squares) {
+        state.territoryStreak[currentPlayer]++;
+      } else {
+        state.territoryStreak[currentPlayer] = 0;
+      }
+
+      if (state.territoryStreak[currentPlayer] >= winConditions.territory.turns) {
+        endGame(state, teamOf(state.rules, currentPlayer), 'territory');
+        return;
+      }
+    }
+
+    // Steam race: first to reach the target total
+    if (winConditions.steamRace) {
+      if (state.steam[currentPlayer] >= winConditions.steamRace.target) {
+        endGame(state, teamOf(state.rules, currentPlayer), 'steam');
+      }
+    }
+  }
+
+  // End the game with a winning team, or null for a draw, and the condition that decided it
+  function endGame(state, winner, reason) {
+    state.status = winner ? `${winner}_wins` : 'draw';
+    state.endReason = reason;
+  }
+
+  // End a running game from outside the rules, e.g. a forfeit, resignation or agreed draw
+  // (winner null). Returns a new state
+  function concludeGame(state, winner, reason) {
+    const next = cloneState(state);
+    endGame(next, winner, reason);
+    return next;
+  }
+
+  // Take a seat out of a game that hasn't ended, from outside the rules: a resignation, forfeit or
+  // timeout. When that leaves one team, it wins as with concludeGame. Otherwise the seat's pieces
+  // leave the board and the others play on: a running game passes the seat's turn on and records
+  // the seat leaving in its history, and a draft game starts if the other armies are all placed.
+  // Returns a new state
+  function concedeSeat(state, color, reason) {
+    const next = cloneState(state);
+    const teams = [...new Set(seatsOf(next.rules)
+      .filter(seat => seat.color !== color && !isEliminated(next, seat.color))
+      .map(seat => seat.team))];
+    if (teams.length === 1 && teams[0] !== teamOf(next.rules, color)) {
+      endGame(next, teams[0], reason);
+      return next;
+    }
+
+    eliminateSeat(next, color, reason, []);
+    if (next.status === 'setup') {
+      startWhenArmiesPlaced(next);
+      return next;
+    }
+    if (next.turn === color) {
+      next.turn = nextTurn(next);
+      if (next.rules.actionPoints) {
+        next.actionPoints = next.rules.actionPoints.perTurn;
+      }
+      skipStuckTurns(next, []);
+    }
+    next.history.push({ ply: next.history.length + 1, player: color, type: 'concede', reason });
+    return next;
+  }
+
+  return {
+    DEFAULT_RULES,
+    UPGRADE_STATS,
+    SIDES,
+    IllegalMoveError,
+    createGame,
+    seatsOf,
+    teamOf,
+    isAlly,
+    applyMove,
+    legalMoves,
+    legalTargets,
+    visibleSquares,
+    playerView,
+    visibleTargets,
+    getMoveActions,
+    isValidMove,
+    isValidShot,
+    isValidDeploy,
+    checkUpgrade,
+    isHomeSquare,
+    homeDepth,
+    requiredCount,
+    checkArmy,
+    placeArmy,
+    promotionChoices,
+    maxHealth,
+    isSquare,
+    isOnBoard,
+    isBoardSquare,
+    forEachSquare,
+    terrainAt,
+    canEnter,
+    updateSquareControlAfterMove,
+    checkWinCondition,
+    actionCost,
+    endGame,
+    concludeGame,
+    concedeSeat,
+    passStuckTurn,
+    cloneState,
+    replayHistory
+  };
+});
@@ -0,0 +1,52 @@
+// gameStore.js
+// File-based store for running games, so a server restart doesn't lose them. Each game is one
+// JSON file named after its id. Files are replaced atomically (write a temporary file, then
+// rename it over the old one), so a crash mid-write leaves the previous version intact.
+const fs = require('fs');
+const path = require('path');
+
+// Game ids are UUIDs; anything else can't be turned into a file name safely
+const GAME_ID_PATTERN = /^[0-9a-f-]+$/i;
+
+function createGameStore(directory) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  function fileFor(id) {
+    if (!GAME_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid game id: ${id}`);
+    }
+    return path.join(directory, `${id}.json`);
+  }
+
+  // Write a game record: { id, ... } with nothing but plain JSON data
+  function save(record) {
+    const file = fileFor(record.id);
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(record));
+    fs.renameSync(temporary, file);
+  }
+
+  function remove(id) {
+    fs.rmSync(fileFor(id), { force: true });
+  }
+
+  // Read every stored game. Unreadable files are skipped with a warning rather than
+  // keeping the server from starting
+  function loadAll() {
+    return fs.readdirSync(directory)
+      .filter(name => name.endsWith('.json'))
+      .map(name => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(directory, name), 'utf8'));
+        } catch (e) {
+          console.warn(`Skipping unreadable game file ${name}: ${e.message}`);
+          return null;
+        }
+      })
+      .filter(record => record !== null);
+  }
+
+  return { save, remove, loadAll };
+}
+
+module.exports = { createGameStore };
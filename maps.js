@@ -0,0 +1,61 @@
+// maps.js
+// Battle maps from maps.json. A map's layout draws the board, one string of symbols per row,
+// from black's side (row 0) to white's:
+// - '.' open ground
+// - ' ' a hole, not part of the board
+// - any other character is the symbol of a terrain type from terrain.json
+
+// Read a layout into the engine's board geometry: { rows, cols, holes, terrain }, where terrain
+// is a rows x cols grid of terrain types (null for open ground), or null if there is none
+function parseLayout(layout, terrainTypes) {
+  if (!Array.isArray(layout) || layout.length === 0 || layout.some(row => typeof row !== 'string')) {
+    throw new Error('A layout must be a list of rows');
+  }
+  const cols = layout[0].length;
+  if (cols === 0 || layout.some(row => row.length !== cols)) {
+    throw new Error('Every row of a layout must have the same length');
+  }
+
+  const typesBySymbol = {};
+  Object.keys(terrainTypes).forEach(type => {
+    typesBySymbol[terrainTypes[type].symbol] = type;
+  });
+
+  const holes = [];
+  let hasTerrain = false;
+  const terrain = layout.map((row, rowIndex) => [...row].map((symbol, col) => {
+    if (symbol === ' ') {
+      holes.push([rowIndex, col]);
+      return null;
+    }
+    if (symbol === '.') {
+      return null;
+    }
+    if (!typesBySymbol[symbol]) {
+      throw new Error(`Unknown terrain symbol "${symbol}"`);
+    }
+    hasTerrain = true;
+    return typesBySymbol[symbol];
+  }));
+
+  return { rows: layout.length, cols, holes, terrain: hasTerrain ? terrain : null };
+}
+
+// Read every map of maps.json. Returns { [key]: { name, board } }; throws on a broken map so
+// mistakes show up when the server starts
+function loadMaps(mapsData, terrainTypes) {
+  const maps = {};
+  Object.keys(mapsData).forEach(key => {
+    try {
+      maps[key] = { name: mapsData[key].name, board: parseLayout(mapsData[key].layout, terrainTypes) };
+    } catch (e) {
+      throw new Error(`Map ${key}: ${e.message}`);
+    }
+  });
+  return maps;
+}
+
+module.exports = {
+  parseLayout,
+  loadMaps
+};
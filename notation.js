@@ -0,0 +1,586 @@
+// notation.js
+// Text records of games, in the spirit of chess PGN, so games can be saved, shared and loaded
+// back. A record is a block of header tags followed by the moves:
+//
+//   [Event "Friday duel"]
+//   [Date "2026.10.19"]
+//   [White "?"]
+//   [Black "?"]
+//   [KingAssassination "yes"]
+//   [Territory "60/3"]
+//   [SteamRace "-"]
+//   [Board "8x8"]
+//   [Holes "-"]
+//   [FogOfWar "-"]
+//   [Setup "-"]
+//   [ActionPoints "-"]
+//   [Seed "0"]
+//   [Result "1-0"]
+//   [Termination "king"]
+//
+//   1. Ke1-e2 Ke8-e7 2. P@e3 Ke7-e6 3. Ke2xe6(20) ... 1-0
+//
+// Header tags
+// - Event, Date: free text, "?" when unknown
+// - White, Black, and a tag for every other seat's color (Red, ...): the players' names, free
+//   text, "?" when unknown
+// - KingAssassination: "yes" or "no"
+// - Territory: "percent/turns", or "-" when off
+// - SteamRace: the steam target, or "-" when off
+// - Board: "rowsxcols", e.g. "10x12", at most 26 each way; missing means the standard 8x8
+// - Holes: the squares cut out of the board, separated by spaces, or "-" for none
+// - Terrain: only on boards with terrain. The rows from black's side, separated by "/", each a
+//   symbol per square: "." for open ground (and holes), otherwise the terrain's symbol from
+//   terrain.json, e.g. "..#..#../......../..."
+// - FogOfWar: how far each player sees around their pieces, or "-" for an open game
+// - Setup: "budget/rows" for a draft game where the players place their own armies, or "-" for
+//   the standard starting position; missing means "-"
+// - WhiteArmy, BlackArmy, RedArmy, ...: the pieces each seat placed in a draft game, separated by
+//   spaces, e.g. "Ke1 Pd2 Pe2". Only written once every army is placed; a seat without one left
+//   the game during setup
+// - ActionPoints: the action points every turn grants, or "-" when every action ends the turn;
+//   missing means "-"
+// - Seed: the seed of the game's random number generator, or "-" when it isn't known (records of
+//   running games keep it secret); missing means 0
+// - Seats: only for games with seats other than white against black. Each seat in turn order as
+//   "color:side", or "color:side:team" when it plays for a team other than its color, separated
+//   by spaces, e.g. "white:bottom:north red:left:east black:top:north blue:right:east"
+// - Result: "1-0" (white won), "0-1" (black won), "1/2-1/2" (drawn), "*" (still running), or
+//   "team-wins" for any other winning team, e.g. "north-wins"
+// - Termination: why a finished game ended (king, elimination, territory, steam, forfeit,
+//   resign, timeout, agreement, noProgress, repetition, insufficientMaterial, noMoves)
+// Unknown tags are kept but ignored. Missing ruleset tags fall back to the engine defaults.
+//
+// Moves
+// Squares are named like chess: files a, b, ... from the left, ranks 1, 2, ... counted from white's side.
+// Pieces are named by their symbol from pieces.json (K, P, A, ...) or, lacking one, their type.
+// - Ke1-e2       the piece on e1 moves to the empty square e2
+// - Rd1xd5(30)   melee attack on d5 dealing 30 damage; the attacker stays put
+// - Rd1xd5(30)#  melee attack that kills; the attacker moves into d5
+// - Rd1xd5(0)    melee attack that missed
+// - Ad2>d5(45)   ranged shot dealing 45 damage; the shooter never moves ("#" again marks a kill)
+// - P@e3         deploy a bought pawn on e3
+// - Bc1+d2       the piece on c1 supports the friendly piece on d2 (heals it and gives it effects)
+// - Pd7-d8=Q     a move that may promote the piece ends with the type chosen for it, even an
+//                attack that leaves the piece where it was
+// - Rd1^attack   buy an attack, health or range upgrade for the piece on d1
+// - end          the player ends their turn before their action points run out
+// - red:resign   the red seat leaves a game that plays on without it (resign, forfeit or timeout)
+// White moves first and the players alternate; with Seats, the seats take turns in their order.
+// In action-point games each turn is a run of the player's actions. Move numbers count the first
+// seat's turns. Move numbers ("1.") and {comments} are ignored. The movetext ends with the result.
+//
+// Loading a record replays every move through the engine, so a record that breaks the rules,
+// or whose damage and kill annotations don't match what the engine computes, is rejected.
+// Critical hits, misses and counterattacks aren't written down: replaying the moves with the
+// record's seed brings them about again. Without a seed, each attack lands whichever way deals
+// the recorded damage.
+
+const engine = require('./engine');
+
+const STANDARD_ROWS = 8;
+const FILES = 'abcdefghijklmnopqrstuvwxyz';
+const RESULTS = { white_wins: '1-0', black_wins: '0-1', draw: '1/2-1/2', active: '*', setup: '*' };
+const MAX_LINE_LENGTH = 80;
+const SQUARE_PATTERN = /^[a-z]\d+$/;
+const MAX_SEED = 0xFFFFFFFF;
+const SEAT_PATTERN = /^([a-z]+):([a-z]+)(?::([a-z]+))?$/;
+const CONCEDE_PATTERN = /^([a-z]+):([a-z]+)$/;
+const TEAM_RESULT_PATTERN = /^([a-z]+)-wins$/;
+
+// Thrown when a record can't be read or doesn't replay. code is a stable identifier for
+// clients (e.g. 'ILLEGAL_MOVE'), message a human-readable reason
+class NotationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'NotationError';
+    this.code = code;
+  }
+}
+
+// 'e2' for [6, 4]. Ranks count from white's side, so they depend on the board's number of rows
+function formatSquare([row, col], rows = STANDARD_ROWS) {
+  return `${FILES[col]}${rows - row}`;
+}
+
+// [6, 4] for 'e2'
+function parseSquare(name, rows = STANDARD_ROWS) {
+  return [rows - Number(name.slice(1)), FILES.indexOf(name[0])];
+}
+
+function pieceSymbol(pieces, pieceType) {
+  return (pieces[pieceType] && pieces[pieceType].symbol) || pieceType;
+}
+
+// Find the piece type a move names, by symbol or by type
+function findPieceType(pieces, name) {
+  return Object.keys(pieces).find(type => type === name || pieces[type].symbol === name) || null;
+}
+
+// The tag of a seat's player or army: 'White' for white
+function seatTag(color, suffix = '') {
+  return `${color[0].toUpperCase()}${color.slice(1)}${suffix}`;
+}
+
+// The Result tag for a game status
+function formatResult(status) {
+  return RESULTS[status] || status.replace(/_wins$/, '-wins');
+}
+
+// Whether a result token can end the movetext
+function isResult(token) {
+  return Object.values(RESULTS).includes(token) || TEAM_RESULT_PATTERN.test(token);
+}
+
+// The notation of one history entry
+function formatMove(entry, pieces, rows) {
+  if (entry.type === 'endTurn') {
+    return 'end';
+  }
+  if (entry.type === 'concede') {
+    return `${entry.player}:${entry.reason}`;
+  }
+  const symbol = pieceSymbol(pieces, entry.pieceType);
+  if (entry.type === 'deploy') {
+    return `${symbol}@${formatSquare(entry.to, rows)}`;
+  }
+  if (entry.type === 'upgrade') {
+    return `${symbol}${formatSquare(entry.at, rows)}^${entry.stat}`;
+  }
+
+  const from = formatSquare(entry.from, rows);
+  const to = formatSquare(entry.to, rows);
+  if (entry.action === 'support') {
+    return `${symbol}${from}+${to}`;
+  }
+  if (entry.action === 'shoot') {
+    return `${symbol}${from}>${to}(${entry.damage})${entry.killed ? '#' : ''}`;
+  }
+  const promotion = entry.promoteTo ? `=${pieceSymbol(pieces, entry.promoteTo)}` : '';
+  // A missed attack deals no damage but is an attack all the same
+  if (entry.damage > 0 || entry.roll === 'miss') {
+    return `${symbol}${from}x${to}(${entry.damage})${entry.killed ? '#' : ''}${promotion}`;
+  }
+  return `${symbol}${from}-${to}${promotion}`;
+}
+
+function formatRules(rules) {
+  const { kingAssassination, territory, steamRace } = rules.winConditions;
+  const { rows, cols, holes, terrain } = rules.board;
+  const tags = {
+    KingAssassination: kingAssassination ? 'yes' : 'no',
+    Territory: territory ? `${territory.percent}/${territory.turns}` : '-',
+    SteamRace: steamRace ? String(steamRace.target) : '-',
+    Board: `${rows}x${cols}`,
+    Holes: holes.length > 0 ? holes.map(hole => formatSquare(hole, rows)).join(' ') : '-'
+  };
+  if (terrain) {
+    tags.Terrain = terrain.map(row => row.map(type => (type ? rules.terrain[type].symbol : '.')).join('')).join('/');
+  }
+  tags.FogOfWar = rules.fogOfWar ? String(rules.fogOfWar.visionRange) : '-';
+  tags.Setup = rules.setup ? `${rules.setup.budget}/${rules.setup.rows}` : '-';
+  tags.ActionPoints = rules.actionPoints ? String(rules.actionPoints.perTurn) : '-';
+  tags.Seed = rules.seed === null ? '-' : String(rules.seed);
+  if (rules.seats) {
+    tags.Seats = rules.seats.map(({ color, side, team }) => (team === color ? `${color}:${side}` : `${color}:${side}:${team}`)).join(' ');
+  }
+  return tags;
+}
+
+// The army tag of a draft game, e.g. "Ke1 Pd2 Pe2"
+function formatArmy(army, pieces, rows) {
+  return army.map(({ pieceType, to }) => `${pieceSymbol(pieces, pieceType)}${formatSquare(to, rows)}`).join(' ');
+}
+
+// Read an army tag back into { pieceType, to } placements
+function parseArmy(text, tag, pieces, rows) {
+  return text.split(/\s+/).filter(name => name).map(name => {
+    const match = name.match(/^([A-Za-z]+)([a-z]\d+)$/);
+    const pieceType = match && findPieceType(pieces, match[1]);
+    if (!pieceType) {
+      throw new NotationError('BAD_HEADER', `${tag} must list pieces and their squares, e.g. "Ke1 Pd2": ${name}`);
+    }
+    return { pieceType, to: parseSquare(match[2], rows) };
+  });
+}
+
+// Write a game as text. headers may set Event, Date and the players' tags (White, Black, ...)
+function exportGame(state, headers) {
+  const seats = engine.seatsOf(state.rules);
+  const tags = {
+    Event: '?',
+    Date: new Date().toISOString().slice(0, 10).replace(/-/g, '.')
+  };
+  seats.forEach(({ color }) => {
+    tags[seatTag(color)] = '?';
+  });
+  Object.assign(tags, headers, formatRules(state.rules), { Result: formatResult(state.status) });
+  if (state.endReason) {
+    tags.Termination = state.endReason;
+  }
+  // Armies are secret until all are placed
+  if (state.armies && state.status !== 'setup') {
+    seats.filter(({ color }) => state.armies[color]).forEach(({ color }) => {
+      tags[seatTag(color, 'Army')] = formatArmy(state.armies[color], state.rules.pieces, state.rules.board.rows);
+    });
+  }
+
+  // A tag is one line, so quotes, backslashes and line breaks can't be part of its value
+  const headerLines = Object.keys(tags).map(tag => `[${tag} "${String(tags[tag]).replace(/["\\]/g, '').replace(/\s*[\r\n]+\s*/g, ' ')}"]`);
+
+  // Number each of the first seat's turns, and wrap long games like PGN does
+  const first = seats[0].color;
+  const tokens = [];
+  let moveNumber = 0;
+  state.history.forEach((entry, index) => {
+    if (entry.player === first && (index === 0 || state.history[index - 1].player !== first)) {
+      moveNumber++;
+      tokens.push(`${moveNumber}.`);
+    }
+    tokens.push(formatMove(entry, state.rules.pieces, state.rules.board.rows));
+  });
+  tokens.push(tags.Result);
+
+  const lines = [];
+  let line = '';
+  tokens.forEach(token => {
+    if (line && line.length + 1 + token.length > MAX_LINE_LENGTH) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  });
+  lines.push(line);
+
+  return `${headerLines.join('\n')}\n\n${lines.join('\n')}\n`;
+}
+
+// Split a record into its header tags and movetext
+function parseRecord(text) {
+  const headers = {};
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let index = 0;
+
+  for (; index < lines.length; index++) {
+    const line = lines[index].trim();
+    if (line === '') {
+      continue;
+    }
+    if (!line.startsWith('[')) {
+      break;
+    }
+    const match = line.match(/^\[(\w+)\s+"([^"]*)"\]$/);
+    if (!match) {
+      throw new NotationError('BAD_HEADER', `Unreadable header line: ${line}`);
+    }
+    headers[match[1]] = match[2];
+  }
+
+  const movetext = lines.slice(index).join(' ').replace(/\{[^}]*\}/g, ' ');
+  const tokens = movetext.split(/\s+/).filter(token => token && !/^\d+\.(\.\.)?$/.test(token));
+  return { headers, tokens };
+}
+
+// Read the ruleset tags into engine win conditions, board geometry, fog of war, draft setup,
+// action points, seed and seats
+function parseRules(headers, terrainTypes) {
+  const winConditions = {};
+
+  if (headers.KingAssassination !== undefined) {
+    if (headers.KingAssassination !== 'yes' && headers.KingAssassination !== 'no') {
+      throw new NotationError('BAD_HEADER', 'KingAssassination must be "yes" or "no"');
+    }
+    winConditions.kingAssassination = headers.KingAssassination === 'yes';
+  }
+
+  if (headers.Territory !== undefined) {
+    const match = headers.Territory.match(/^(\d+)\/(\d+)$/);
+    if (!match && headers.Territory !== '-') {
+      throw new NotationError('BAD_HEADER', 'Territory must be "percent/turns" or "-"');
+    }
+    winConditions.territory = match ? { percent: Number(match[1]), turns: Number(match[2]) } : null;
+  }
+
+  if (headers.SteamRace !== undefined) {
+    if (!/^\d+$/.test(headers.SteamRace) && headers.SteamRace !== '-') {
+      throw new NotationError('BAD_HEADER', 'SteamRace must be a steam target or "-"');
+    }
+    winConditions.steamRace = headers.SteamRace === '-' ? null : { target: Number(headers.SteamRace) };
+  }
+
+  const board = { ...engine.DEFAULT_RULES.board };
+  if (headers.Board !== undefined) {
+    // As many rows as there are files keeps the board's size in bounds before it is built
+    const match = headers.Board.match(/^(\d+)x(\d+)$/);
+    const isSize = size => size >= 1 && size <= FILES.length;
+    if (!match || !isSize(Number(match[1])) || !isSize(Number(match[2]))) {
+      throw new NotationError('BAD_HEADER', `Board must be "rowsxcols" with at most ${FILES.length} rows and columns`);
+    }
+    board.rows = Number(match[1]);
+    board.cols = Number(match[2]);
+  }
+  if (headers.Holes !== undefined && headers.Holes !== '-') {
+    board.holes = headers.Holes.split(/\s+/).filter(name => name).map(name => {
+      const hole = SQUARE_PATTERN.test(name) ? parseSquare(name, board.rows) : null;
+      if (!engine.isBoardSquare({ ...board, holes: [] }, hole)) {
+        throw new NotationError('BAD_HEADER', `Holes must be squares of the board, separated by spaces: ${name}`);
+      }
+      return hole;
+    });
+  }
+  if (headers.Terrain !== undefined) {
+    board.terrain = parseTerrain(headers.Terrain, board, terrainTypes);
+  }
+
+  let fogOfWar = null;
+  if (headers.FogOfWar !== undefined && headers.FogOfWar !== '-') {
+    if (!/^[1-9]\d*$/.test(headers.FogOfWar)) {
+      throw new NotationError('BAD_HEADER', 'FogOfWar must be a vision range or "-"');
+    }
+    fogOfWar = { visionRange: Number(headers.FogOfWar) };
+  }
+
+  let setup = null;
+  if (headers.Setup !== undefined && headers.Setup !== '-') {
+    const match = headers.Setup.match(/^(\d+)\/([1-9]\d*)$/);
+    if (!match || Number(match[2]) > board.rows / 2) {
+      throw new NotationError('BAD_HEADER', 'Setup must be "budget/rows", with at most half the board\'s rows, or "-"');
+    }
+    setup = { budget: Number(match[1]), rows: Number(match[2]) };
+  }
+
+  let actionPoints = null;
+  if (headers.ActionPoints !== undefined && headers.ActionPoints !== '-') {
+    if (!/^[1-9]\d*$/.test(headers.ActionPoints)) {
+      throw new NotationError('BAD_HEADER', 'ActionPoints must be the points per turn or "-"');
+    }
+    actionPoints = { perTurn: Number(headers.ActionPoints) };
+  }
+
+  let seed = engine.DEFAULT_RULES.seed;
+  if (headers.Seed === '-') {
+    seed = null;
+  } else if (headers.Seed !== undefined) {
+    if (!/^\d+$/.test(headers.Seed) || Number(headers.Seed) > MAX_SEED) {
+      throw new NotationError('BAD_HEADER', `Seed must be a whole number up to ${MAX_SEED}, or "-"`);
+    }
+    seed = Number(headers.Seed);
+  }
+
+  let seats = null;
+  if (headers.Seats !== undefined) {
+    seats = headers.Seats.split(/\s+/).filter(seat => seat).map(seat => {
+      const match = seat.match(SEAT_PATTERN);
+      if (!match) {
+        throw new NotationError('BAD_HEADER', `Seats must be "color:side" or "color:side:team", separated by spaces: ${seat}`);
+      }
+      return { color: match[1], side: match[2], team: match[3] || match[1] };
+    });
+  }
+
+  return { winConditions, board, fogOfWar, setup, actionPoints, seed, seats };
+}
+
+// Read the Terrain tag into a grid of terrain types, null for open ground
+function parseTerrain(text, board, terrainTypes) {
+  const rows = text.split('/');
+  if (rows.length !== board.rows || rows.some(row => row.length !== board.cols)) {
+    throw new NotationError('BAD_HEADER', `Terrain must have ${board.rows} rows of ${board.cols} squares`);
+  }
+  const types = Object.keys(terrainTypes || {});
+  return rows.map(row => [...row].map(symbol => {
+    if (symbol === '.') {
+      return null;
+    }
+    const type = types.find(name => terrainTypes[name].symbol === symbol);
+    if (!type) {
+      throw new NotationError('BAD_HEADER', `Unknown terrain "${symbol}"`);
+    }
+    return type;
+  }));
+}
+
+// Turn one move token into an engine move, plus the damage and kill it claims
+function parseMove(token, pieces, rows) {
+  if (token === 'end') {
+    return { move: { type: 'endTurn' }, pieceType: null };
+  }
+
+  const deploy = token.match(/^([A-Za-z]+)@([a-z]\d+)$/);
+  if (deploy) {
+    const pieceType = findPieceType(pieces, deploy[1]);
+    if (!pieceType) {
+      throw new NotationError('BAD_MOVE', `Unknown piece "${deploy[1]}" in ${token}`);
+    }
+    return { move: { type: 'deploy', pieceType, to: parseSquare(deploy[2], rows) }, pieceType };
+  }
+
+  const upgrade = token.match(/^([A-Za-z]+)([a-z]\d+)\^([a-z]+)$/);
+  if (upgrade) {
+    const pieceType = findPieceType(pieces, upgrade[1]);
+    if (!pieceType) {
+      throw new NotationError('BAD_MOVE', `Unknown piece "${upgrade[1]}" in ${token}`);
+    }
+    return { move: { type: 'upgrade', at: parseSquare(upgrade[2], rows), stat: upgrade[3] }, pieceType };
+  }
+
+  const move = token.match(/^([A-Za-z]+)([a-z]\d+)([-x>+])([a-z]\d+)(?:\((\d+)\))?(#)?(?:=([A-Za-z]+))?$/);
+  if (!move) {
+    throw new NotationError('BAD_MOVE', `Unreadable move: ${token}`);
+  }
+  const [, name, from, kind, to, damage, killed, promotion] = move;
+  const pieceType = findPieceType(pieces, name);
+  if (!pieceType) {
+    throw new NotationError('BAD_MOVE', `Unknown piece "${name}" in ${token}`);
+  }
+  const peaceful = kind === '-' || kind === '+';
+  if (peaceful !== (damage === undefined) || (peaceful && killed)) {
+    throw new NotationError('BAD_MOVE', `Attacks need a damage and plain moves and supports can't have one: ${token}`);
+  }
+  const promoteTo = promotion === undefined ? null : findPieceType(pieces, promotion);
+  if (promotion !== undefined && (!promoteTo || kind === '>' || kind === '+')) {
+    throw new NotationError('BAD_MOVE', `Only moves and melee attacks can promote, into a known piece: ${token}`);
+  }
+
+  const actions = { '-': 'move', x: 'move', '>': 'shoot', '+': 'support' };
+  const parsed = { type: 'move', from: parseSquare(from, rows), to: parseSquare(to, rows), action: actions[kind] };
+  return {
+    move: promoteTo ? { ...parsed, promoteTo } : parsed,
+    pieceType,
+    damage: damage === undefined ? 0 : Number(damage),
+    killed: !!killed
+  };
+}
+
+// Apply a move read from a record. Without the seed an attack is tried as a hit, a critical hit
+// and a miss, and lands the first way that deals the recorded damage
+function replayMove(state, expected) {
+  if (state.rules.seed !== null || expected.move.type !== 'move') {
+    return engine.applyMove(state, expected.move).state;
+  }
+  const tries = ['hit', 'critical', 'miss'].map(roll => engine.applyMove(state, expected.move, roll).state);
+  return tries.find(next => {
+    const played = next.history[next.history.length - 1];
+    return played.damage === expected.damage && played.killed === expected.killed;
+  }) || tries[0];
+}
+
+// Load a record into an engine state. pieces are the piece definitions (pieces.json), terrain
+// the terrain definitions (terrain.json), needed for records with a Terrain tag.
+// Returns { state, headers }. Throws NotationError if the record is unreadable or doesn't replay
+function importGame(text, pieces, terrain) {
+  const { headers, tokens } = parseRecord(text);
+  let state;
+  try {
+    state = engine.createGame({ ...parseRules(headers, terrain), pieces, terrain });
+  } catch (e) {
+    // The engine rejects seats that can't make a game
+    if (e instanceof NotationError) throw e;
+    throw new NotationError('BAD_HEADER', e.message);
+  }
+  const seats = engine.seatsOf(state.rules);
+
+  // A draft game starts from the armies the players placed, a seat without one having left during
+  // setup; without any it is still in setup
+  const { rows } = state.rules.board;
+  if (state.status === 'setup' && seats.some(({ color }) => headers[seatTag(color, 'Army')] !== undefined)) {
+    seats.forEach(({ color }) => {
+      const tag = seatTag(color, 'Army');
+      try {
+        state = headers[tag] === undefined
+          ? engine.concedeSeat(state, color, 'forfeit')
+          : engine.placeArmy(state, color, parseArmy(headers[tag], tag, pieces, rows));
+      } catch (e) {
+        if (e instanceof engine.IllegalMoveError) {
+          throw new NotationError('ILLEGAL_MOVE', `${tag}: ${e.message}`);
+        }
+        throw e;
+      }
+    });
+  }
+
+  // The result may be given at the end of the movetext, in the header, or both
+  let result = headers.Result || '*';
+  if (tokens.length > 0 && isResult(tokens[tokens.length - 1])) {
+    result = tokens.pop();
+  }
+  if (!isResult(result)) {
+    throw new NotationError('BAD_HEADER', `Unknown result "${result}"`);
+  }
+
+  // Move numbers count the first seat's turns, for the error messages
+  const first = seats[0].color;
+  let moveNumber = 0;
+  let lastTurn = null;
+  tokens.forEach(token => {
+    const concede = token.match(CONCEDE_PATTERN);
+    if (concede) {
+      const [, color, reason] = concede;
+      if (state.status !== 'active' || !seats.some(seat => seat.color === color) || state.eliminated.includes(color)) {
+        throw new NotationError('ILLEGAL_MOVE', `Move ${moveNumber} (${token}): there is no ${color} seat in the game to leave it`);
+      }
+      state = engine.concedeSeat(state, color, reason);
+      return;
+    }
+
+    const expected = parseMove(token, pieces, rows);
+    if (state.turn === first && lastTurn !== first) {
+      moveNumber++;
+    }
+    lastTurn = state.turn;
+
+    const square = expected.move.type === 'upgrade' ? expected.move.at : expected.move.from;
+    if (expected.move.type !== 'deploy' && engine.isOnBoard(state, square)) {
+      const [row, col] = square;
+      const piece = state.board[row][col];
+      if (piece && piece.type !== expected.pieceType) {
+        throw new NotationError('MOVE_MISMATCH', `Move ${moveNumber} (${token}): the piece on ${formatSquare(square, rows)} is a ${piece.type}`);
+      }
+    }
+
+    try {
+      state = replayMove(state, expected);
+    } catch (e) {
+      if (e instanceof engine.IllegalMoveError) {
+        throw new NotationError('ILLEGAL_MOVE', `Move ${moveNumber} (${token}): ${e.message}`);
+      }
+      throw e;
+    }
+
+    const played = state.history[state.history.length - 1];
+    if (expected.move.type === 'move' && (played.damage !== expected.damage || played.killed !== expected.killed)) {
+      throw new NotationError('MOVE_MISMATCH', `Move ${moveNumber} (${token}): the engine computes ${formatMove(played, pieces, rows)}`);
+    }
+  });
+
+  // A game decided on the board must agree with the record; one that ended any other way
+  // (e.g. a forfeit or an agreed draw) is ended with the recorded result
+  if (state.status !== 'active' && state.status !== 'setup') {
+    if (result !== formatResult(state.status)) {
+      throw new NotationError('RESULT_MISMATCH', `The moves end in ${formatResult(state.status)}, the record says ${result}`);
+    }
+  } else if (result === RESULTS.draw) {
+    const termination = /^\w+$/.test(headers.Termination || '') ? headers.Termination : 'agreement';
+    state = engine.concludeGame(state, null, termination);
+  } else if (result !== '*') {
+    const termination = /^\w+$/.test(headers.Termination || '') ? headers.Termination : 'forfeit';
+    const winner = Object.keys(RESULTS).find(status => RESULTS[status] === result);
+    const team = winner ? winner.replace(/_wins$/, '') : result.match(TEAM_RESULT_PATTERN)[1];
+    if (!seats.some(seat => seat.team === team)) {
+      throw new NotationError('BAD_HEADER', `No team "${team}" plays in this game`);
+    }
+    state = engine.concludeGame(state, team, termination);
+  }
+
+  return { state, headers };
+}
+
+module.exports = {
+  NotationError,
+  formatSquare,
+  parseSquare,
+  formatMove,
+  exportGame,
+  importGame
+};
@@ -5,27 +5,190 @@ const canvas = document.getElementById('gameCanvas');
 const ctx = canvas.getContext('2d');
 
 // Constants
-const BOARD_SIZE = 8;
-const SQUARE_SIZE = 80;
+const BOARD_PIXELS = 640; // Length of the board's longer side on screen
 const HEALTH_BAR_HEIGHT = 10;
-const HEALTH_BAR_WIDTH = 60;
+const HEALTH_BAR_WIDTH_RATIO = 0.75; // Of a square's width
 const HEALTH_BAR_OFFSET = 10;
-const WHITE_CONTROL_COLOR = 'rgba(173, 216, 230, 0.5)'; // Light blue with 50% opacity
-const BLACK_CONTROL_COLOR = 'rgba(255, 182, 193, 0.5)'; // Light red/pink with 50% opacity
+const EFFECT_ICON_SIZE = 10;
+// Status effect icons drawn under the health bar: a letter on a coloured square
+const EFFECT_ICONS = {
+  regeneration: { letter: 'R', color: '#2e7d32' },
+  poison: { letter: 'P', color: '#6a1b9a' },
+  stun: { letter: 'S', color: '#f9a825' },
+  shield: { letter: 'D', color: '#1565c0' }
+};
+// Each seat's tint on the squares it controls, and the marker on its pieces in games of more than two seats
+const SEAT_COLORS = {
+  white: { control: 'rgba(173, 216, 230, 0.5)', marker: '#f5f5f5' }, // Light blue control
+  black: { control: 'rgba(255, 182, 193, 0.5)', marker: '#212121' }, // Light red/pink control
+  red: { control: 'rgba(239, 83, 80, 0.45)', marker: '#c62828' },
+  blue: { control: 'rgba(66, 133, 244, 0.45)', marker: '#1565c0' },
+  green: { control: 'rgba(102, 187, 106, 0.45)', marker: '#2e7d32' },
+  yellow: { control: 'rgba(255, 235, 59, 0.5)', marker: '#f9a825' }
+};
+const SEAT_MARKER_SIZE = 10;
 const DRAG_THRESHOLD = 5; // Pixels
+const END_REASON_TEXT = {
+  elimination: 'eliminating every enemy piece',
+  king: 'killing the enemy king',
+  territory: 'holding the territory',
+  steam: 'winning the steam race',
+  forfeit: 'forfeit',
+  timeout: 'on time',
+  resign: 'resignation'
+};
+const DRAW_REASON_TEXT = {
+  agreement: 'by agreement',
+  noProgress: 'after too many turns without damage',
+  repetition: 'by repeating the same position',
+  insufficientMaterial: 'as neither side can damage the other',
+  noMoves: 'as nobody can move any more'
+};
+const MOVE_DOT_COLOR = 'rgba(0, 0, 0, 0.3)';
+const ATTACK_MARKER_COLOR = 'rgba(220, 20, 60, 0.85)'; // Crimson ring around attackable enemies
+const COUNTER_MARKER_COLOR = 'rgba(255, 140, 0, 0.95)'; // Orange label for damage a counterattack would deal back
+const SUPPORT_MARKER_COLOR = 'rgba(46, 160, 67, 0.85)'; // Green ring around friendly pieces that can be supported
+const DEPLOY_HIGHLIGHT_COLOR = 'rgba(255, 215, 0, 0.8)'; // Gold outline for deployable squares
+const HOME_ROW_COLOR = 'rgba(255, 215, 0, 0.25)'; // Gold tint on the rows an army is placed on
+const UPGRADE_LABELS = { attack: 'Attack', health: 'Health', range: 'Range' };
+
+const SESSION_STORAGE_KEY = 'chessLikeSession'; // localStorage key of the seat token for reconnecting
+const RECONNECT_BASE_MS = 1000; // Wait before the first attempt to reopen a dropped connection, doubled after every failed one
+const RECONNECT_MAX_MS = 30000;
+
+// Game options sent when creating a room, keyed by the lobby's victory choice
+const VICTORY_OPTIONS = {
+  king: { winConditions: { kingAssassination: true } },
+  territory: { winConditions: { kingAssassination: true, territory: { percent: 60, turns: 3 } } },
+  steam: { winConditions: { kingAssassination: true, steamRace: { target: 300 } } },
+  elimination: { winConditions: { kingAssassination: false } }
+};
+
+// Fog of war sent with the game options, keyed by the lobby's vision choice
+const FOG_OPTIONS = {
+  open: null,
+  fog: { visionRange: 2 },
+  darkFog: { visionRange: 1 }
+};
+const FOG_COLOR = 'rgba(40, 40, 48, 0.75)';
+
+// Army setup sent with the game options, keyed by the lobby's army choice
+const SETUP_OPTIONS = {
+  standard: null,
+  draft: { budget: 200, rows: 2 },
+  largeDraft: { budget: 400, rows: 3 }
+};
+
+// Action points sent with the game options, keyed by the lobby's turn choice
+const TURN_OPTIONS = {
+  single: null,
+  actionPoints3: { perTurn: 3 },
+  actionPoints5: { perTurn: 5 }
+};
+
+// Seats sent with the game options, keyed by the lobby's players choice. Seats play in this
+// order, so in the team game the two teams take turns
+const PLAYER_OPTIONS = {
+  two: null,
+  three: [
+    { color: 'white', side: 'bottom' },
+    { color: 'red', side: 'left' },
+    { color: 'black', side: 'top' }
+  ],
+  four: [
+    { color: 'white', side: 'bottom' },
+    { color: 'red', side: 'left' },
+    { color: 'black', side: 'top' },
+    { color: 'blue', side: 'right' }
+  ],
+  teams: [
+    { color: 'white', side: 'bottom', team: 'gold' },
+    { color: 'red', side: 'left', team: 'silver' },
+    { color: 'black', side: 'top', team: 'gold' },
+    { color: 'blue', side: 'right', team: 'silver' }
+  ]
+};
+
+// Time controls sent when creating a room, keyed by the lobby's clock choice
+const TIME_CONTROL_OPTIONS = {
+  bullet: { type: 'increment', baseSeconds: 60, incrementSeconds: 1 },
+  blitz: { type: 'increment', baseSeconds: 300, incrementSeconds: 3 },
+  rapid: { type: 'increment', baseSeconds: 900, incrementSeconds: 10 },
+  perMove: { type: 'perMove', moveSeconds: 30 }
+};
+const CLOCK_TICK_MS = 100;
+const LOW_TIME_MS = 10000; // Clocks turn red below this
+
+// Board geometry (the ruleset's { rows, cols, holes }) and the on-screen size of a square
+let boardGeometry = null;
+let squareSize = 0;
+setBoardGeometry(ChessLikeEngine.DEFAULT_RULES.board);
 
-// Set canvas size
-canvas.width = BOARD_SIZE * SQUARE_SIZE;
-canvas.height = BOARD_SIZE * SQUARE_SIZE;
+// Lobby elements
+const lobbyElement = document.getElementById('lobby');
+const lobbyMenuElement = document.getElementById('lobbyMenu');
+const roomListElement = document.getElementById('roomList');
+const liveGameListElement = document.getElementById('liveGameList');
+const spectatorCountElement = document.getElementById('spectatorCount');
+const terrainLegendElement = document.getElementById('terrainLegend');
+const mapSelectElement = document.getElementById('roomMapInput');
+const roomWaitingElement = document.getElementById('roomWaiting');
+const gameContainerElement = document.getElementById('gameContainer');
+const backToLobbyButton = document.getElementById('backToLobbyButton');
+const playOnButton = document.getElementById('playOnButton');
+const resignButton = document.getElementById('resignButton');
+const offerDrawButton = document.getElementById('offerDrawButton');
+const drawOfferElement = document.getElementById('drawOffer');
+const takebackButton = document.getElementById('takebackButton');
+const takebackRequestElement = document.getElementById('takebackRequest');
 
-// Steam display element
+// Steam display and shop elements
 const steamDisplayElement = document.getElementById('steamDisplay');
+const actionPointsElement = document.getElementById('actionPointsDisplay');
+const endTurnButton = document.getElementById('endTurnButton');
+const clocksElement = document.getElementById('clocks');
+const shopListElement = document.getElementById('shopList');
+const upgradeListElement = document.getElementById('upgradeList');
+
+// Shoot-or-move choice elements
+const actionChoiceElement = document.getElementById('actionChoice');
+const shootButton = document.getElementById('shootButton');
+const moveButton = document.getElementById('moveButton');
+const cancelActionButton = document.getElementById('cancelActionButton');
+
+// Army setup elements of a draft game
+const setupPanelElement = document.getElementById('setupPanel');
+const setupBudgetElement = document.getElementById('setupBudget');
+const rosterListElement = document.getElementById('rosterList');
+const confirmArmyButton = document.getElementById('confirmArmyButton');
+const clearArmyButton = document.getElementById('clearArmyButton');
+
+// Promotion picker elements
+const promotionChoiceElement = document.getElementById('promotionChoice');
+const promotionOptionsElement = document.getElementById('promotionOptions');
+const cancelPromotionButton = document.getElementById('cancelPromotionButton');
+
+// Move history and replay controls
+const moveListElement = document.getElementById('moveList');
+const replayStatusElement = document.getElementById('replayStatus');
 
 // Game state
 let gameState = null;
 let piecesData = null;
 let selectedPiece = null;
+let selectedDeployType = null; // Piece type bought from the shop, waiting for a target square
+let currentSteam = 0; // Local player's steam, as shown in the shop panel
+let pendingAction = null; // { from, to } of a move waiting for the player to pick shoot or move
+let pendingPromotion = null; // { from, to, action } of a move waiting for the player to pick a promotion
+let draftArmy = []; // { pieceType, to } placements of the army being set up, until it is confirmed
+let selectedRosterType = null; // Piece type picked from the roster, waiting for a home square
+let legalTargets = null; // { from, moves, attacks, supports } from the server for the selected or dragged piece
 let playerColor = null;
+let isSpectating = false; // Watching a game read-only, without a seat
+let clockSnapshot = null; // Clock from the last game state plus when it arrived: each seat's time, running, receivedAt
+let loadedRecord = null; // Text of the game record being reviewed offline, null otherwise
+let replayPly = null; // Number of moves shown while reviewing the history, null when showing the live game
+let replayState = null; // Position rebuilt for replayPly; the live gameState is left alone
 let pieceImages = {};
 let totalImagesToLoad = 0;
 let imagesLoadedSuccessfully = 0;
@@ -33,12 +196,14 @@ let imagesLoadedSuccessfully = 0;
 // Drag and Drop state
 let isDragging = false;
 let draggedPiece = null;
-let draggedPieceOrigPos = null; // e.g., { row: r, col: c }
+let draggedPieceOrigPos = null; // e.g., { row: r, col: c, x: canvasX, y: canvasY }
 let mousePos = { x: 0, y: 0 }; // To store current mouse coordinates relative to canvas
 
 
-// Connect to WebSocket server
-const socket = new WebSocket(`ws://${window.location.host}`);
+// Connection to the WebSocket server, reopened whenever it drops (see connect)
+let socket = null;
+let reconnectAttempts = 0;
+connect();
 
 // Function to render the board with a ghost piece during drag
 function renderBoardWithGhostPiece() {
@@ -51,23 +216,50 @@ function renderBoardWithGhostPiece() {
       ctx.globalAlpha = 0.7; // Make ghost piece slightly transparent
       ctx.drawImage(
         img,
-        mousePos.x - (SQUARE_SIZE - 20) / 2, // Center based on actual drawn piece size
-        mousePos.y - (SQUARE_SIZE - 20) / 2,
-        SQUARE_SIZE - 20,
-        SQUARE_SIZE - 20
+        mousePos.x - (squareSize - 20) / 2, // Center based on actual drawn piece size
+        mousePos.y - (squareSize - 20) / 2,
+        squareSize - 20,
+        squareSize - 20
       );
       ctx.globalAlpha = 1.0; // Reset global alpha
     }
   }
 }
 
+// Open the connection to the server
+function connect() {
+  socket = new WebSocket(`ws://${window.location.host}`);
+  socket.onopen = handleSocketOpen;
+  socket.onmessage = handleSocketMessage;
+  socket.onclose = handleSocketClose;
+}
+
+// How long to wait before reopening a dropped connection, after `attempts` failed tries
+function reconnectDelay(attempts) {
+  return Math.min(RECONNECT_BASE_MS * 2 ** attempts, RECONNECT_MAX_MS);
+}
+
 // WebSocket event handlers
-socket.onopen = () => {
+function handleSocketOpen() {
   console.log('Connected to server');
-  document.getElementById('status').textContent = 'Connected to server...';
-};
+  reconnectAttempts = 0;
+  document.getElementById('status').textContent = 'Choose or create a room';
+
+  // Take back our seat if this page was playing a game before a reload or dropped connection
+  const session = loadSession();
+  if (session) {
+    document.getElementById('status').textContent = 'Rejoining your game...';
+    socket.send(JSON.stringify({ type: 'reconnect', token: session.token }));
+  } else if (isSpectating && gameState) {
+    // Watch the same game again
+    socket.send(JSON.stringify({ type: 'spectate', gameId: gameState.id }));
+  } else if (!roomWaitingElement.hidden) {
+    // The server closed or handed over our room when the connection dropped
+    showLobby();
+  }
+}
 
-socket.onmessage = (event) => {
+function handleSocketMessage(event) {
   const message = JSON.parse(event.data);
   
   switch (message.type) {
@@ -77,18 +269,99 @@ socket.onmessage = (event) => {
       preloadImages();
       break;
       
-    case 'waiting':
-      document.getElementById('status').textContent = message.message;
+    case 'roomList':
+      renderRoomList(message.rooms);
+      renderLiveGameList(message.games || []);
+      break;
+      
+    case 'spectatingStopped':
+    case 'gameClosed':
+      // Back to the lobby; the room list arrives right after
+      resetGame();
+      showLobby();
+      document.getElementById('status').textContent = 'Choose or create a room';
+      break;
+      
+    case 'gameRecord':
+      downloadRecord(message.record);
+      break;
+      
+    case 'gameLoaded':
+      // Review the loaded game offline; it only becomes a live game through "Play on from here"
+      resetGame();
+      loadedRecord = document.getElementById('recordInput').value;
+      gameState = message.data;
+      showGame();
+      document.getElementById('status').textContent = !isGameRunning(gameState)
+        ? `Loaded game - ${getGameOverText(gameState)}`
+        : gameState.status === 'setup'
+          ? 'Loaded game - armies not placed yet'
+          : `Loaded game - ${gameState.turn} to move`;
+      renderMoveList();
+      renderShop();
+      renderBoard();
+      break;
+      
+    case 'roomJoined':
+      // Seated in a room: wait there until every other seat is filled
+      showRoomWaiting(message.room);
+      document.getElementById('status').textContent = message.room.options && message.room.options.seats
+        ? 'Waiting for the other players...'
+        : 'Waiting for opponent...';
+      break;
+      
+    case 'roomLeft':
+      clearSession();
+      showLobby();
+      document.getElementById('status').textContent = 'Choose or create a room';
+      break;
+      
+    case 'session':
+      // Keep the seat token so a reload or reconnect can rejoin this game
+      saveSession({ gameId: message.gameId, token: message.token });
       break;
       
     case 'gameState':
+      // Any pending shoot-or-move or promotion choice or move highlighting is stale once the state changes
+      hideActionChoice();
+      hidePromotionChoice();
+      legalTargets = null;
+
       // Update game state
       gameState = message.data;
-      playerColor = message.data.playerColor;
+      playerColor = message.data.playerColor || null;
+      isSpectating = !!message.data.spectating;
+      if (gameState.status !== 'setup') {
+        draftArmy = [];
+        selectedRosterType = null;
+      }
+      if (replayPly !== null) {
+        // Keep reviewing the same move, unless the history shrank below it
+        if (replayPly < gameState.history.length) {
+          replayState = ChessLikeEngine.replayHistory(gameState.rules, gameState.history, replayPly, gameState.armies);
+        } else {
+          replayPly = null;
+          replayState = null;
+        }
+      }
+      clockSnapshot = gameState.clock ? { ...gameState.clock, receivedAt: Date.now() } : null;
+      renderClocks();
+      showGame();
+      renderMoveList();
       document.getElementById('status').textContent = 
-        gameState.status === 'active' 
-          ? `Game active - ${gameState.turn}'s turn${playerColor === gameState.turn ? ' (Your turn)' : ''}` 
-          : `Game over - ${gameState.status.split('_')[0]} wins!`;
+        !isGameRunning(gameState)
+          ? getGameOverText(gameState)
+          : gameState.paused
+            ? `Game paused - waiting for ${isSpectating ? 'a player' : isMultiSeat(gameState) ? 'another player' : 'your opponent'} to reconnect`
+            : playerColor && (gameState.eliminated || []).includes(playerColor)
+              ? `You are out of the game - ${gameState.turn}'s turn`
+            : gameState.status === 'setup'
+              ? getSetupText(gameState)
+              : (gameState.computerColors || []).includes(gameState.turn)
+                ? `${isSpectating ? 'Watching' : 'Game active'} - the computer (${gameState.turn}) is thinking...`
+                : `${isSpectating ? 'Watching' : 'Game active'} - ${gameState.turn}'s turn${playerColor === gameState.turn ? ' (Your turn)' : ''}`;
+      spectatorCountElement.textContent = gameState.spectatorCount > 0 ? `${gameState.spectatorCount} watching` : '';
+      renderTerrainLegend(gameState);
       
       // Render the updated board
       // Only call renderBoard if all images have finished loading.
@@ -99,30 +372,618 @@ socket.onmessage = (event) => {
       }
 
       // Update steam display HTML element
+      currentSteam = 0;
       if (steamDisplayElement && playerColor) {
-        let currentSteam = 0;
-        if (playerColor === 'white' && gameState.whiteSteam !== undefined && gameState.whiteSteam !== null) {
-          currentSteam = gameState.whiteSteam;
-        } else if (playerColor === 'black' && gameState.blackSteam !== undefined && gameState.blackSteam !== null) {
-          currentSteam = gameState.blackSteam;
+        if (gameState.steam && typeof gameState.steam[playerColor] === 'number') {
+          currentSteam = gameState.steam[playerColor];
         }
         steamDisplayElement.textContent = `Steam: ${currentSteam}`;
       } else if (steamDisplayElement) {
         // If playerColor isn't set yet, or other issue, display a default
         steamDisplayElement.textContent = "Steam: -";
       }
+      actionPointsElement.textContent = getActionPointsText(gameState);
+
+      // Drop a pending purchase the player can no longer afford
+      if (selectedDeployType && piecesData[selectedDeployType].cost > currentSteam) {
+        selectedDeployType = null;
+      }
+      renderShop();
+      renderSetup();
+      break;
+      
+    case 'legalMoves': {
+      // Keep the answer only if it is still about the piece being selected or dragged
+      const activePiece = getActivePiece();
+      if (activePiece && activePiece.position[0] === message.from[0] && activePiece.position[1] === message.from[1]) {
+        legalTargets = { from: message.from, moves: message.moves, attacks: message.attacks, supports: message.supports };
+        if (isDragging) {
+          renderBoardWithGhostPiece();
+        } else {
+          renderBoard();
+        }
+      }
       break;
+    }
       
+    case 'chooseAction':
+      // Server found both a ranged attack and a move legal for this target
+      showActionChoice(message.from, message.to);
+      break;
+      
+    case 'choosePromotion':
+      // The move may promote the piece: the server waits to hear what it becomes
+      showPromotionChoice(message.from, message.to, message.action, message.options);
+      break;
+      
+    case 'moveRejected':
+      // Server refused the move or deploy: explain why in the status bar
+      document.getElementById('status').textContent = `Move rejected: ${message.reason}`;
+      break;
+      
+    case 'error':
+      if (message.code === 'SESSION_NOT_FOUND') {
+        // The game we tried to rejoin is gone: stay in the lobby
+        clearSession();
+      }
+      document.getElementById('status').textContent = `Error: ${message.reason}`;
+      break;
+      
+    case 'drawDeclined':
+    case 'takebackDeclined':
     case 'opponentDisconnected':
+    case 'opponentReconnected':
+      // The game state that follows shows whether the game is paused
       document.getElementById('status').textContent = message.message;
       break;
   }
-};
+}
 
-socket.onclose = () => {
+function handleSocketClose() {
   console.log('Disconnected from server');
-  document.getElementById('status').textContent = 'Disconnected from server';
-};
+  // Running games survive a server restart; once the connection is back the saved session
+  // rejoins the game (see handleSocketOpen)
+  document.getElementById('status').textContent = loadSession()
+    ? 'Disconnected from server - reconnecting to your game...'
+    : 'Disconnected from server - reconnecting...';
+  setTimeout(connect, reconnectDelay(reconnectAttempts));
+  reconnectAttempts++;
+}
+
+// --- Lobby ---
+
+function showLobby() {
+  lobbyElement.hidden = false;
+  lobbyMenuElement.hidden = false;
+  roomWaitingElement.hidden = true;
+  gameContainerElement.hidden = true;
+}
+
+function showRoomWaiting(room) {
+  lobbyElement.hidden = false;
+  lobbyMenuElement.hidden = true;
+  roomWaitingElement.hidden = false;
+  gameContainerElement.hidden = true;
+  document.getElementById('roomWaitingName').textContent = room.name;
+  document.getElementById('roomWaitingCode').textContent = room.code;
+}
+
+function showGame() {
+  lobbyElement.hidden = true;
+  gameContainerElement.hidden = false;
+  // Spectators and reviewers can leave at any time, players once the game is over
+  backToLobbyButton.hidden = !isSpectating && !loadedRecord && (!gameState || isGameRunning(gameState));
+  playOnButton.hidden = !loadedRecord || !isGameRunning(gameState);
+  
+  // Players can resign while the game runs, armies being placed included, and offer a draw or
+  // ask for a takeback once play has started, and answer the opponent's offer or request.
+  // Draws and takebacks are for two-player games only; players who are out can only watch
+  const seated = !!playerColor && !!gameState && !(gameState.eliminated || []).includes(playerColor);
+  const playing = seated && gameState.status === 'active';
+  const dealing = playing && !isMultiSeat(gameState);
+  resignButton.hidden = !seated || !isGameRunning(gameState);
+  takebackButton.hidden = !dealing;
+  takebackButton.disabled = playing && gameState.takebackRequest === playerColor;
+  takebackButton.textContent = takebackButton.disabled ? 'Takeback requested' : 'Take back';
+  takebackRequestElement.hidden = !dealing || !gameState.takebackRequest || gameState.takebackRequest === playerColor;
+  offerDrawButton.hidden = !dealing;
+  offerDrawButton.disabled = playing && gameState.drawOffer === playerColor;
+  offerDrawButton.textContent = offerDrawButton.disabled ? 'Draw offered' : 'Offer draw';
+  drawOfferElement.hidden = !dealing || !gameState.drawOffer || gameState.drawOffer === playerColor;
+  
+  // Action-point games show the points left and let the player end their turn early
+  actionPointsElement.hidden = !gameState || !gameState.rules.actionPoints;
+  endTurnButton.hidden = !playing || !gameState.rules.actionPoints;
+  endTurnButton.disabled = playing && (gameState.turn !== playerColor || gameState.paused);
+}
+
+// Save a game record as a text file
+function downloadRecord(record) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([record], { type: 'text/plain' }));
+  link.download = `steam-chess-${new Date().toISOString().slice(0, 10)}.txt`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Seat token storage for reconnecting after a reload or dropped connection
+function loadSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+  } catch (err) {
+    return null;
+  }
+}
+
+function saveSession(session) {
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+}
+
+function clearSession() {
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+// Forget the finished game so the next one starts clean
+function resetGame() {
+  gameState = null;
+  playerColor = null;
+  isSpectating = false;
+  clockSnapshot = null;
+  renderClocks();
+  loadedRecord = null;
+  selectedPiece = null;
+  selectedDeployType = null;
+  draftArmy = [];
+  selectedRosterType = null;
+  legalTargets = null;
+  replayPly = null;
+  replayState = null;
+  moveListElement.innerHTML = '';
+  replayStatusElement.textContent = 'Live';
+  hideActionChoice();
+  hidePromotionChoice();
+  renderSetup();
+}
+
+// Clock text: minutes and seconds, with tenths in the last ten seconds
+function formatClock(ms) {
+  if (ms < LOW_TIME_MS) {
+    return `0:0${(Math.floor(ms / 100) / 10).toFixed(1)}`;
+  }
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
+}
+
+// Draw a clock for every seat, counting the running one down locally between game states
+function renderClocks() {
+  clocksElement.hidden = !clockSnapshot;
+  if (!clockSnapshot) {
+    return;
+  }
+
+  const elapsed = Date.now() - clockSnapshot.receivedAt;
+  const colors = ChessLikeEngine.seatsOf(gameState.rules).map(seat => seat.color);
+  // The clocks of an earlier game's seats make way for this game's
+  Array.from(clocksElement.children)
+    .filter(element => !colors.includes(element.dataset.color))
+    .forEach(element => element.remove());
+  colors.forEach(color => {
+    let element = clocksElement.querySelector(`[data-color="${color}"]`);
+    if (!element) {
+      element = document.createElement('div');
+      element.className = 'clock';
+      element.dataset.color = color;
+      clocksElement.appendChild(element);
+    }
+    const running = clockSnapshot.running === color;
+    const ms = Math.max(0, clockSnapshot[color] - (running ? elapsed : 0));
+    element.textContent = `${capitalize(color)} ${formatClock(ms)}`;
+    element.classList.toggle('running', running);
+    element.classList.toggle('low', ms < LOW_TIME_MS);
+  });
+}
+
+setInterval(() => {
+  if (clockSnapshot && clockSnapshot.running) {
+    renderClocks();
+  }
+}, CLOCK_TICK_MS);
+
+// Name a square the way players read the board: files a, b, ... from the left, ranks 1, 2, ...
+// from white's side of a board with `rows` rows
+function formatSquare([row, col], rows) {
+  return `${String.fromCharCode(97 + col)}${rows - row}`;
+}
+
+// One line of the move list
+function formatHistoryEntry(entry, piecesData, rows) {
+  if (entry.hidden) {
+    return `${entry.player} moves unseen`;
+  }
+  const pieceName = piecesData && piecesData[entry.pieceType] ? piecesData[entry.pieceType].name : entry.pieceType;
+  let text;
+  if (entry.type === 'concede') {
+    // The game went on without them
+    return `${entry.player} is out (${END_REASON_TEXT[entry.reason] || entry.reason})`;
+  } else if (entry.type === 'endTurn') {
+    text = `${entry.player} ends the turn`;
+  } else if (entry.type === 'deploy') {
+    text = `${entry.player} deploys ${pieceName} on ${formatSquare(entry.to, rows)}`;
+  } else if (entry.type === 'upgrade') {
+    text = `${entry.player} upgrades ${pieceName} on ${formatSquare(entry.at, rows)} (${entry.stat})`;
+  } else if (entry.action === 'shoot' || entry.damage > 0 || entry.roll === 'miss') {
+    const verb = entry.action === 'shoot' ? 'shoots' : 'attacks';
+    const outcome = entry.roll === 'miss' ? 'miss' : `-${entry.damage}${entry.roll === 'critical' ? ', critical' : ''}${entry.killed ? ', kill' : ''}`;
+    text = `${entry.player} ${pieceName} ${formatSquare(entry.from, rows)} ${verb} ${formatSquare(entry.to, rows)} (${outcome})`;
+    if (entry.effects && entry.effects.length > 0) {
+      text += `, ${entry.effects.join(', ')}`;
+    }
+    if (entry.counterDamage > 0) {
+      text += `, countered (-${entry.counterDamage}${entry.attackerKilled ? ', kill' : ''})`;
+    }
+  } else if (entry.action === 'support') {
+    const given = [...(entry.healed > 0 ? [`+${entry.healed}`] : []), ...entry.effects];
+    text = `${entry.player} ${pieceName} ${formatSquare(entry.from, rows)} supports ${formatSquare(entry.to, rows)}`;
+    if (given.length > 0) {
+      text += ` (${given.join(', ')})`;
+    }
+  } else {
+    text = `${entry.player} ${pieceName} ${formatSquare(entry.from, rows)}-${formatSquare(entry.to, rows)}`;
+  }
+  if (entry.promoted) {
+    text += `, promotes to ${piecesData && piecesData[entry.promoteTo] ? piecesData[entry.promoteTo].name : entry.promoteTo}`;
+  }
+  return entry.steamGained > 0 ? `${text}, +${entry.steamGained} steam` : text;
+}
+
+// List the moves played so far, marking the one whose position is on the board
+function renderMoveList() {
+  const history = gameState ? gameState.history : [];
+  const shownPly = replayPly === null ? history.length : replayPly;
+  moveListElement.innerHTML = '';
+
+  history.forEach(entry => {
+    const item = document.createElement('li');
+    item.textContent = formatHistoryEntry(entry, piecesData, gameState.rules.board.rows);
+    if (entry.ply === shownPly) {
+      item.className = 'current';
+    }
+    item.addEventListener('click', () => showReplayPosition(entry.ply));
+    moveListElement.appendChild(item);
+  });
+
+  replayStatusElement.textContent = replayPly === null ? 'Live' : `Move ${replayPly} of ${history.length}`;
+
+  // Follow the newest move unless the player is looking further back
+  if (replayPly === null) {
+    moveListElement.scrollTop = moveListElement.scrollHeight;
+  }
+}
+
+// Show the position after the given number of moves; the last one returns to the live game
+function showReplayPosition(ply) {
+  // Under fog of war the opponent's moves are unknown, so earlier positions can't be rebuilt
+  if (!gameState || gameState.visible) {
+    return;
+  }
+
+  const history = gameState.history;
+  if (ply >= history.length) {
+    replayPly = null;
+    replayState = null;
+  } else {
+    replayPly = Math.max(0, ply);
+    replayState = ChessLikeEngine.replayHistory(gameState.rules, history, replayPly, gameState.armies);
+    // Moves can't be made on an old position
+    selectedPiece = null;
+    selectedDeployType = null;
+    legalTargets = null;
+    hideActionChoice();
+    hidePromotionChoice();
+  }
+
+  renderMoveList();
+  renderShop();
+  renderBoard();
+}
+
+// List the open public rooms, each with a join button
+function renderRoomList(rooms) {
+  roomListElement.innerHTML = '';
+
+  if (rooms.length === 0) {
+    const empty = document.createElement('li');
+    empty.textContent = 'No open rooms yet. Create one!';
+    roomListElement.appendChild(empty);
+    return;
+  }
+
+  rooms.forEach(room => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    const board = room.options && room.options.board;
+    // Maps are named as in the lobby's map choice; custom boards by their size
+    const mapOption = room.options && room.options.map && mapSelectElement.querySelector(`option[value="${room.options.map}"]`);
+    const boardText = mapOption ? `, ${mapOption.textContent}` : board ? `, ${board.rows}x${board.cols} board` : '';
+    const fogText = room.options && room.options.fogOfWar ? ', fog of war' : '';
+    const setupText = room.options && room.options.setup ? `, ${room.options.setup.budget}-point armies` : '';
+    const turnText = room.options && room.options.actionPoints ? `, ${room.options.actionPoints.perTurn} action points per turn` : '';
+    const seats = room.options && room.options.seats;
+    const seatText = seats ? `, ${getPlayersText(seats)}, ${room.seated}/${seats.length} seated` : '';
+    label.textContent = `${room.name} (${room.code})${boardText}${fogText}${setupText}${turnText}${seatText}`;
+    const joinButton = document.createElement('button');
+    joinButton.textContent = 'Join';
+    joinButton.addEventListener('click', () => {
+      socket.send(JSON.stringify({ type: 'joinRoom', code: room.code }));
+    });
+    item.appendChild(label);
+    item.appendChild(joinButton);
+    roomListElement.appendChild(item);
+  });
+}
+
+// List the games being played in public rooms, each with a watch button
+function renderLiveGameList(games) {
+  liveGameListElement.innerHTML = '';
+
+  if (games.length === 0) {
+    const empty = document.createElement('li');
+    empty.textContent = 'No games being played right now.';
+    liveGameListElement.appendChild(empty);
+    return;
+  }
+
+  games.forEach(game => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = `${game.name}${game.spectatorCount > 0 ? ` - ${game.spectatorCount} watching` : ''}`;
+    const watchButton = document.createElement('button');
+    watchButton.textContent = 'Watch';
+    watchButton.addEventListener('click', () => {
+      socket.send(JSON.stringify({ type: 'spectate', gameId: game.id }));
+    });
+    item.appendChild(label);
+    item.appendChild(watchButton);
+    liveGameListElement.appendChild(item);
+  });
+}
+
+document.getElementById('createRoomButton').addEventListener('click', () => {
+  const opponent = document.getElementById('roomOpponentInput').value;
+  socket.send(JSON.stringify({
+    type: 'createRoom',
+    name: document.getElementById('roomNameInput').value,
+    private: document.getElementById('roomPrivateInput').checked,
+    options: {
+      ...VICTORY_OPTIONS[document.getElementById('roomVictoryInput').value],
+      map: mapSelectElement.value,
+      fogOfWar: FOG_OPTIONS[document.getElementById('roomFogInput').value],
+      setup: SETUP_OPTIONS[document.getElementById('roomSetupInput').value],
+      actionPoints: TURN_OPTIONS[document.getElementById('roomTurnsInput').value],
+      seats: PLAYER_OPTIONS[document.getElementById('roomPlayersInput').value]
+    },
+    timeControl: TIME_CONTROL_OPTIONS[document.getElementById('roomTimeInput').value] || null,
+    // The computer takes the other seats straight away
+    computer: opponent || undefined
+  }));
+});
+
+document.getElementById('joinRoomButton').addEventListener('click', () => {
+  const code = document.getElementById('joinCodeInput').value.trim();
+  if (code) {
+    socket.send(JSON.stringify({ type: 'joinRoom', code: code }));
+  }
+});
+
+document.getElementById('leaveRoomButton').addEventListener('click', () => {
+  socket.send(JSON.stringify({ type: 'leaveRoom' }));
+});
+
+document.getElementById('replayFirstButton').addEventListener('click', () => showReplayPosition(0));
+document.getElementById('replayPrevButton').addEventListener('click', () => {
+  if (gameState) {
+    showReplayPosition((replayPly === null ? gameState.history.length : replayPly) - 1);
+  }
+});
+document.getElementById('replayNextButton').addEventListener('click', () => {
+  if (gameState && replayPly !== null) {
+    showReplayPosition(replayPly + 1);
+  }
+});
+document.getElementById('replayLiveButton').addEventListener('click', () => {
+  if (gameState) {
+    showReplayPosition(gameState.history.length);
+  }
+});
+
+document.getElementById('loadRecordButton').addEventListener('click', () => {
+  const record = document.getElementById('recordInput').value;
+  if (record.trim()) {
+    socket.send(JSON.stringify({ type: 'loadGame', record: record }));
+  }
+});
+
+document.getElementById('downloadRecordButton').addEventListener('click', () => {
+  // A loaded record is already here; live games are written by the server
+  if (loadedRecord) {
+    downloadRecord(loadedRecord);
+  } else {
+    socket.send(JSON.stringify({ type: 'exportGame' }));
+  }
+});
+
+playOnButton.addEventListener('click', () => {
+  socket.send(JSON.stringify({
+    type: 'createRoom',
+    name: document.getElementById('roomNameInput').value,
+    private: document.getElementById('roomPrivateInput').checked,
+    record: loadedRecord
+  }));
+  resetGame();
+});
+
+resignButton.addEventListener('click', () => {
+  if (confirm('Resign this game?')) {
+    socket.send(JSON.stringify({ type: 'resign' }));
+  }
+});
+
+offerDrawButton.addEventListener('click', () => {
+  socket.send(JSON.stringify({ type: 'offerDraw' }));
+});
+
+endTurnButton.addEventListener('click', () => {
+  socket.send(JSON.stringify({ type: 'endTurn' }));
+  selectedPiece = null;
+  selectedDeployType = null;
+  legalTargets = null;
+  renderShop();
+  renderBoard();
+});
+
+takebackButton.addEventListener('click', () => {
+  socket.send(JSON.stringify({ type: 'requestTakeback' }));
+});
+
+document.getElementById('acceptTakebackButton').addEventListener('click', () => {
+  socket.send(JSON.stringify({ type: 'acceptTakeback' }));
+});
+
+document.getElementById('declineTakebackButton').addEventListener('click', () => {
+  socket.send(JSON.stringify({ type: 'declineTakeback' }));
+});
+
+document.getElementById('acceptDrawButton').addEventListener('click', () => {
+  socket.send(JSON.stringify({ type: 'acceptDraw' }));
+});
+
+document.getElementById('declineDrawButton').addEventListener('click', () => {
+  socket.send(JSON.stringify({ type: 'declineDraw' }));
+});
+
+backToLobbyButton.addEventListener('click', () => {
+  if (loadedRecord) {
+    // Reviewing a record is local to this page
+    resetGame();
+    showLobby();
+    document.getElementById('status').textContent = 'Choose or create a room';
+    return;
+  }
+  socket.send(JSON.stringify({ type: isSpectating ? 'stopSpectating' : 'leaveRoom' }));
+  resetGame();
+});
+
+// The piece whose moves are highlighted: the one being dragged, else the selected one
+function getActivePiece() {
+  return isDragging && draggedPiece ? draggedPiece : selectedPiece;
+}
+
+// Whether the selected piece can support the friendly piece on (row, col)
+function isSupportTarget(row, col) {
+  return !!(selectedPiece && legalTargets && legalTargets.supports &&
+    selectedPiece.position[0] === legalTargets.from[0] && selectedPiece.position[1] === legalTargets.from[1] &&
+    legalTargets.supports.some(([r, c]) => r === row && c === col));
+}
+
+// Ask the server where the piece on (row, col) can move and what it can attack
+function requestLegalMoves(row, col) {
+  if (legalTargets && legalTargets.from[0] === row && legalTargets.from[1] === col) {
+    return; // Already known for this piece
+  }
+  legalTargets = null;
+  socket.send(JSON.stringify({
+    type: 'legalMoves',
+    from: [row, col]
+  }));
+}
+
+// Ask the player whether to shoot or move onto the target square
+function showActionChoice(from, to) {
+  pendingAction = { from, to };
+  if (actionChoiceElement) {
+    actionChoiceElement.hidden = false;
+  }
+  renderBoard();
+}
+
+function hideActionChoice() {
+  pendingAction = null;
+  if (actionChoiceElement) {
+    actionChoiceElement.hidden = true;
+  }
+}
+
+// Resend the pending move with the chosen action
+function sendChosenAction(action) {
+  if (!pendingAction) {
+    return;
+  }
+  socket.send(JSON.stringify({
+    type: 'move',
+    from: pendingAction.from,
+    to: pendingAction.to,
+    action: action
+  }));
+  hideActionChoice();
+  renderBoard();
+}
+
+if (shootButton && moveButton && cancelActionButton) {
+  shootButton.addEventListener('click', () => sendChosenAction('shoot'));
+  moveButton.addEventListener('click', () => sendChosenAction('move'));
+  cancelActionButton.addEventListener('click', () => {
+    hideActionChoice();
+    renderBoard();
+  });
+}
+
+// Ask the player which piece type their piece promotes into, one button per choice
+function showPromotionChoice(from, to, action, options) {
+  pendingPromotion = { from, to, action };
+  if (promotionChoiceElement) {
+    promotionOptionsElement.innerHTML = '';
+    options.forEach(pieceType => {
+      const button = document.createElement('button');
+      button.textContent = piecesData[pieceType] ? piecesData[pieceType].name : pieceType;
+      button.addEventListener('click', () => sendChosenPromotion(pieceType));
+      promotionOptionsElement.appendChild(button);
+    });
+    promotionChoiceElement.hidden = false;
+  }
+  renderBoard();
+}
+
+function hidePromotionChoice() {
+  pendingPromotion = null;
+  if (promotionChoiceElement) {
+    promotionChoiceElement.hidden = true;
+  }
+}
+
+// Resend the pending move with the chosen promotion
+function sendChosenPromotion(pieceType) {
+  if (!pendingPromotion) {
+    return;
+  }
+  socket.send(JSON.stringify({
+    type: 'move',
+    from: pendingPromotion.from,
+    to: pendingPromotion.to,
+    action: pendingPromotion.action,
+    promoteTo: pieceType
+  }));
+  hidePromotionChoice();
+  renderBoard();
+}
+
+if (cancelPromotionButton) {
+  cancelPromotionButton.addEventListener('click', () => {
+    hidePromotionChoice();
+    renderBoard();
+  });
+}
 
 // Preload piece images
 function preloadImages() {
@@ -160,7 +1021,326 @@ function preloadImages() {
   });
 }
 
-// Render the game board
+// Whether a game is still being played, armies being placed included
+function isGameRunning(state) {
+  return state.status === 'active' || state.status === 'setup';
+}
+
+// Whether more than two seats play: draws and takebacks are then off
+function isMultiSeat(gameState) {
+  return ChessLikeEngine.seatsOf(gameState.rules).length > 2;
+}
+
+// "red" -> "Red"
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Describe who plays a game of several seats, e.g. "3-player free-for-all" or "2v2 teams"
+function getPlayersText(seats) {
+  const teams = new Set(seats.map(seat => seat.team || seat.color));
+  return teams.size === seats.length
+    ? `${seats.length}-player free-for-all`
+    : `${Array.from(teams, team => seats.filter(seat => (seat.team || seat.color) === team).length).join('v')} teams`;
+}
+
+// Describe the army setup of a draft game from where the viewer sits
+function getSetupText(gameState) {
+  if (!playerColor) {
+    return 'Watching - the players are placing their armies';
+  }
+  const others = ChessLikeEngine.seatsOf(gameState.rules)
+    .map(seat => seat.color)
+    .filter(color => color !== playerColor && !(gameState.eliminated || []).includes(color));
+  const waitingFor = others.filter(color => !gameState.armies[color]);
+  const computerColors = gameState.computerColors || [];
+  if (others.length > 1) {
+    return gameState.armies[playerColor]
+      ? `Army placed - waiting for ${waitingFor.join(', ')}`
+      : `Place your army${waitingFor.length === 0 ? ' - everyone else is ready' : ''}`;
+  }
+  if (gameState.armies[playerColor]) {
+    return `Army placed - waiting for ${others.some(color => computerColors.includes(color)) ? 'the computer' : 'your opponent'}`;
+  }
+  return `Place your army${waitingFor.length === 0 ? ' - your opponent is ready' : ''}`;
+}
+
+// Describe how the game ended, e.g. "Game over - white wins by killing the enemy king!"
+// or "Game over - drawn by agreement"
+function getGameOverText(gameState) {
+  if (gameState.status === 'draw') {
+    const reason = DRAW_REASON_TEXT[gameState.endReason];
+    return `Game over - drawn${reason ? ` ${reason}` : ''}`;
+  }
+  // The status names the winning team; a team of several seats win together
+  const winner = gameState.status.split('_')[0];
+  const reason = END_REASON_TEXT[gameState.endReason];
+  const team = (gameState.rules.seats || []).filter(seat => seat.team === winner).map(seat => seat.color);
+  const winners = team.length > 1 ? `${team.join(' and ')} win` : `${team[0] || winner} wins`;
+  return `Game over - ${winners}${reason ? ` by ${reason}` : ''}!`;
+}
+
+// Build the list of purchasable piece types and whether the player can afford each
+function getShopItems(piecesData, steam) {
+  return Object.keys(piecesData)
+    .filter(pieceType => typeof piecesData[pieceType].cost === 'number')
+    .map(pieceType => ({
+      type: pieceType,
+      name: piecesData[pieceType].name,
+      cost: piecesData[pieceType].cost,
+      affordable: steam >= piecesData[pieceType].cost
+    }))
+    .sort((a, b) => a.cost - b.cost);
+}
+
+// Action points left this turn, as shown beside the steam, or '' outside action-point games
+function getActionPointsText(state) {
+  if (!state.rules.actionPoints) {
+    return '';
+  }
+  return `Action points (${state.turn}): ${state.actionPoints}/${state.rules.actionPoints.perTurn}`;
+}
+
+// Why the player to move can't pay for an action in an action-point game, as { code, reason }, or null
+function getActionPointProblem(state, move) {
+  if (!state.rules.actionPoints) {
+    return null;
+  }
+  const cost = ChessLikeEngine.actionCost(state, move);
+  return cost > state.actionPoints
+    ? { code: 'NOT_ENOUGH_ACTION_POINTS', reason: `Costs ${cost} action points, ${state.actionPoints} left` }
+    : null;
+}
+
+// The upgrades on sale for a piece, with how many of each it already has
+function getUpgradeItems(upgrades, piece) {
+  return Object.keys(UPGRADE_LABELS)
+    .filter(stat => upgrades && upgrades[stat])
+    .map(stat => ({
+      stat,
+      label: UPGRADE_LABELS[stat],
+      amount: upgrades[stat].amount,
+      cost: upgrades[stat].cost,
+      level: (piece.upgrades && piece.upgrades[stat]) || 0,
+      maxLevel: upgrades[stat].maxLevel
+    }));
+}
+
+// Render the upgrade buttons for the selected piece, if it is one of the player's
+function renderUpgrades() {
+  if (!upgradeListElement) {
+    return;
+  }
+  upgradeListElement.innerHTML = '';
+
+  // The selected piece may be from an older state: look it up where it stands now
+  const piece = selectedPiece && gameState && replayPly === null
+    ? gameState.board[selectedPiece.position[0]][selectedPiece.position[1]]
+    : null;
+  if (!piece || piece.player !== playerColor) {
+    return;
+  }
+
+  const canUpgrade = gameState.status === 'active' && !gameState.paused && gameState.turn === playerColor;
+  getUpgradeItems(gameState.rules.upgrades, piece).forEach(item => {
+    const problem = ChessLikeEngine.checkUpgrade(gameState, playerColor, piece.position, item.stat) ||
+      getActionPointProblem(gameState, { type: 'upgrade', at: piece.position, stat: item.stat });
+    const button = document.createElement('button');
+    button.className = 'shop-item';
+    button.textContent = `${item.label} +${item.amount} (${item.cost}) ${item.level}/${item.maxLevel}`;
+    button.title = problem ? problem.reason : '';
+    button.disabled = !canUpgrade || problem !== null;
+    button.addEventListener('click', () => {
+      socket.send(JSON.stringify({ type: 'upgrade', at: piece.position, stat: item.stat }));
+      selectedPiece = null;
+      legalTargets = null;
+      renderBoard();
+    });
+    upgradeListElement.appendChild(button);
+  });
+}
+
+// Render the shop panel with one button per purchasable piece type
+function renderShop() {
+  if (!shopListElement || !piecesData) {
+    return;
+  }
+
+  const canBuy = gameState && gameState.status === 'active' && gameState.turn === playerColor && replayPly === null;
+  shopListElement.innerHTML = '';
+
+  getShopItems(piecesData, currentSteam).forEach(item => {
+    const button = document.createElement('button');
+    button.className = 'shop-item' + (item.type === selectedDeployType ? ' selected' : '');
+    button.textContent = `${item.name} (${item.cost})`;
+    const problem = gameState && getActionPointProblem(gameState, { type: 'deploy', pieceType: item.type });
+    button.title = problem ? problem.reason : '';
+    button.disabled = !canBuy || !item.affordable || !!problem;
+    button.addEventListener('click', () => {
+      // Toggle the purchase; a bought piece is placed by clicking a controlled square
+      selectedDeployType = selectedDeployType === item.type ? null : item.type;
+      selectedPiece = null;
+      renderShop();
+      renderBoard();
+    });
+    shopListElement.appendChild(button);
+  });
+}
+
+// What the pieces of an army cost together; pieces that can't be bought are free
+function getArmyCost(piecesData, army) {
+  return army.reduce((total, placed) => total + (piecesData[placed.pieceType].cost || 0), 0);
+}
+
+// The roster of a draft game: every piece type a player can field, what it costs, how many the
+// army holds and whether it has room for another. Pieces that can't be bought are free, but the
+// army fields exactly as many as the player starts with
+function getRosterItems(piecesData, color, army, budget) {
+  const spent = getArmyCost(piecesData, army);
+  return Object.keys(piecesData)
+    .map(pieceType => {
+      const { name, cost, initialPositions } = piecesData[pieceType];
+      const required = typeof cost === 'number' ? null : initialPositions[color].length;
+      const placed = army.filter(piece => piece.pieceType === pieceType).length;
+      return {
+        type: pieceType,
+        name,
+        cost: required === null ? cost : 0,
+        required,
+        placed,
+        available: required === null ? spent + cost <= budget : placed < required
+      };
+    })
+    .filter(item => item.required !== 0)
+    .sort((a, b) => a.cost - b.cost);
+}
+
+// Whether the player is placing their army: a draft game in setup whose army they haven't confirmed
+function isPlacingArmy() {
+  return !!gameState && gameState.status === 'setup' && !!playerColor && !gameState.armies[playerColor] &&
+    !gameState.paused && !loadedRecord;
+}
+
+// The army shown on the board during setup: the confirmed one, else the one being placed
+function getShownArmy() {
+  const placed = gameState.armies[playerColor];
+  return Array.isArray(placed) ? placed : draftArmy;
+}
+
+// The setup position as the player sees it: their own army on an otherwise empty board
+function getSetupPreview() {
+  const board = gameState.board.map(row => row.map(() => null));
+  getShownArmy().forEach(({ pieceType, to: [row, col] }) => {
+    board[row][col] = { type: pieceType, player: playerColor, position: [row, col], health: piecesData[pieceType].health, effects: [] };
+  });
+  return { ...gameState, board };
+}
+
+// Whether a piece from the roster may go on a square: an empty home square it can stand on
+function canPlaceDraftPiece(pieceType, [row, col]) {
+  return ChessLikeEngine.isHomeSquare(gameState, playerColor, [row, col]) &&
+    ChessLikeEngine.canEnter(gameState, pieceType, [row, col]) &&
+    !draftArmy.some(({ to }) => to[0] === row && to[1] === col);
+}
+
+// Place a piece from the roster on the board, if the army has room for it
+function addDraftPiece(pieceType, square) {
+  const item = getRosterItems(piecesData, playerColor, draftArmy, gameState.rules.setup.budget).find(entry => entry.type === pieceType);
+  if (item && item.available && canPlaceDraftPiece(pieceType, square)) {
+    draftArmy = [...draftArmy, { pieceType, to: square }];
+  }
+}
+
+// Render the roster panel of a draft game: the budget, a button per piece type, and the buttons
+// to clear or confirm the army
+function renderSetup() {
+  if (!setupPanelElement) {
+    return;
+  }
+  setupPanelElement.hidden = !gameState || gameState.status !== 'setup' || !playerColor || !!loadedRecord;
+  if (setupPanelElement.hidden || !piecesData) {
+    return;
+  }
+
+  const placing = isPlacingArmy();
+  const army = getShownArmy();
+  const { budget } = gameState.rules.setup;
+  setupBudgetElement.textContent = `Army: ${getArmyCost(piecesData, army)} of ${budget} points`;
+  rosterListElement.innerHTML = '';
+
+  getRosterItems(piecesData, playerColor, army, budget).forEach(item => {
+    const button = document.createElement('button');
+    button.className = 'shop-item' + (item.type === selectedRosterType ? ' selected' : '');
+    button.textContent = item.required === null
+      ? `${item.name} (${item.cost})${item.placed > 0 ? ` x${item.placed}` : ''}`
+      : `${item.name} (free) ${item.placed}/${item.required}`;
+    button.disabled = !placing || !item.available;
+    // Drag the piece onto a home square, or pick it and click one
+    button.draggable = placing && item.available;
+    button.addEventListener('dragstart', (event) => {
+      event.dataTransfer.setData('text/plain', item.type);
+    });
+    button.addEventListener('click', () => {
+      selectedRosterType = selectedRosterType === item.type ? null : item.type;
+      renderSetup();
+      renderBoard();
+    });
+    rosterListElement.appendChild(button);
+  });
+
+  const problem = placing ? ChessLikeEngine.checkArmy(gameState, playerColor, draftArmy) : null;
+  confirmArmyButton.disabled = !placing || problem !== null;
+  confirmArmyButton.title = problem ? problem.reason : '';
+  clearArmyButton.disabled = !placing || draftArmy.length === 0;
+}
+
+if (confirmArmyButton && clearArmyButton) {
+  confirmArmyButton.addEventListener('click', () => {
+    socket.send(JSON.stringify({ type: 'placeArmy', army: draftArmy }));
+    selectedRosterType = null;
+  });
+  clearArmyButton.addEventListener('click', () => {
+    draftArmy = [];
+    renderSetup();
+    renderBoard();
+  });
+}
+
+// Size the canvas for a board, fitting its longer side into BOARD_PIXELS
+function setBoardGeometry(board) {
+  // Resizing clears the canvas, so only resize when the dimensions change
+  const resize = !boardGeometry || boardGeometry.rows !== board.rows || boardGeometry.cols !== board.cols;
+  boardGeometry = board;
+  if (resize) {
+    squareSize = Math.floor(BOARD_PIXELS / Math.max(board.rows, board.cols));
+    canvas.width = board.cols * squareSize;
+    canvas.height = board.rows * squareSize;
+  }
+}
+
+// The board square under a canvas position, or null off the board or over a hole
+function squareAt(x, y) {
+  const square = [Math.floor(y / squareSize), Math.floor(x / squareSize)];
+  return ChessLikeEngine.isBoardSquare(boardGeometry, square) ? square : null;
+}
+
+// List the terrain types found on the board, with their colors and effects
+function renderTerrainLegend(state) {
+  const { terrain } = state.rules.board;
+  const types = terrain ? [...new Set(terrain.flat().filter(type => type))] : [];
+  terrainLegendElement.innerHTML = '';
+  types.forEach(type => {
+    const definition = state.rules.terrain[type];
+    const item = document.createElement('div');
+    const swatch = document.createElement('span');
+    swatch.className = 'terrain-swatch';
+    swatch.style.backgroundColor = definition.color;
+    item.append(swatch, `${definition.name}: ${definition.description}`);
+    terrainLegendElement.appendChild(item);
+  });
+}
+
+// Render the game board, or the position being replayed
 function renderBoard() {
   // It's possible preloadImages completes before gameState is set,
   // so renderBoard might be called when gameState is null.
@@ -169,86 +1349,205 @@ function renderBoard() {
     console.log("RenderBoard called but gameState or piecesData not ready yet.");
     return;
   }
+  const shownState = replayState || (gameState.status === 'setup' && playerColor ? getSetupPreview() : gameState);
+  setBoardGeometry(shownState.rules.board);
+  renderUpgrades(); // The upgrade buttons follow the selected piece
   
-  // Clear canvas
+  // Clear canvas; holes stay blank
   ctx.clearRect(0, 0, canvas.width, canvas.height);
   
-  // Draw board squares
-  for (let row = 0; row < BOARD_SIZE; row++) {
-    for (let col = 0; col < BOARD_SIZE; col++) {
-      // Alternate square colors
-      ctx.fillStyle = (row + col) % 2 === 0 ? '#ececd7' : '#7c945d';
-      ctx.fillRect(col * SQUARE_SIZE, row * SQUARE_SIZE, SQUARE_SIZE, SQUARE_SIZE);
-    }
-  }
+  // Draw board squares, with their terrain under the control tints
+  ChessLikeEngine.forEachSquare(shownState, (row, col) => {
+    const terrain = ChessLikeEngine.terrainAt(shownState, [row, col]);
+    // Alternate square colors on open ground
+    ctx.fillStyle = terrain ? terrain.color : (row + col) % 2 === 0 ? '#ececd7' : '#7c945d';
+    ctx.fillRect(col * squareSize, row * squareSize, squareSize, squareSize);
+  });
 
   // Draw control tints
-  if (gameState.squareControl) {
-    for (let row = 0; row < BOARD_SIZE; row++) {
-      for (let col = 0; col < BOARD_SIZE; col++) {
-        const control = gameState.squareControl[row][col];
-        if (control === 'white') {
-          ctx.fillStyle = WHITE_CONTROL_COLOR;
-          ctx.fillRect(col * SQUARE_SIZE, row * SQUARE_SIZE, SQUARE_SIZE, SQUARE_SIZE);
-        } else if (control === 'black') {
-          ctx.fillStyle = BLACK_CONTROL_COLOR;
-          ctx.fillRect(col * SQUARE_SIZE, row * SQUARE_SIZE, SQUARE_SIZE, SQUARE_SIZE);
-        }
+  if (shownState.squareControl) {
+    ChessLikeEngine.forEachSquare(shownState, (row, col) => {
+      const control = shownState.squareControl[row][col];
+      if (control && SEAT_COLORS[control]) {
+        ctx.fillStyle = SEAT_COLORS[control].control;
+        ctx.fillRect(col * squareSize, row * squareSize, squareSize, squareSize);
       }
-    }
+    });
   }
   
+  // Tint the home rows while the army is placed, outlining where the picked roster piece may go
+  if (isPlacingArmy()) {
+    ChessLikeEngine.forEachSquare(gameState, (row, col) => {
+      if (ChessLikeEngine.isHomeSquare(gameState, playerColor, [row, col])) {
+        ctx.fillStyle = HOME_ROW_COLOR;
+        ctx.fillRect(col * squareSize, row * squareSize, squareSize, squareSize);
+        if (selectedRosterType && canPlaceDraftPiece(selectedRosterType, [row, col])) {
+          ctx.strokeStyle = DEPLOY_HIGHLIGHT_COLOR;
+          ctx.lineWidth = 3;
+          ctx.strokeRect(col * squareSize + 2, row * squareSize + 2, squareSize - 4, squareSize - 4);
+        }
+      }
+    });
+  }
+
+  // Cover the squares fog of war hides
+  if (shownState.visible) {
+    ctx.fillStyle = FOG_COLOR;
+    ChessLikeEngine.forEachSquare(shownState, (row, col) => {
+      if (!shownState.visible[row][col]) {
+        ctx.fillRect(col * squareSize, row * squareSize, squareSize, squareSize);
+      }
+    });
+  }
+
   // Highlight selected piece's square (drawn over tints)
   if (selectedPiece) {
     ctx.fillStyle = '#f6f669'; // Yellow highlight for selected piece
     ctx.fillRect(
-      selectedPiece.position[1] * SQUARE_SIZE, 
-      selectedPiece.position[0] * SQUARE_SIZE, 
-      SQUARE_SIZE, 
-      SQUARE_SIZE
+      selectedPiece.position[1] * squareSize, 
+      selectedPiece.position[0] * squareSize, 
+      squareSize, 
+      squareSize
     );
   }
+
+  // Draw move dots and attack markers for the selected or dragged piece
+  const activePiece = getActivePiece();
+  if (legalTargets && activePiece &&
+      activePiece.position[0] === legalTargets.from[0] && activePiece.position[1] === legalTargets.from[1]) {
+    ctx.fillStyle = MOVE_DOT_COLOR;
+    legalTargets.moves.forEach(([row, col]) => {
+      ctx.beginPath();
+      ctx.arc(col * squareSize + squareSize / 2, row * squareSize + squareSize / 2, squareSize / 8, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    ctx.strokeStyle = ATTACK_MARKER_COLOR;
+    ctx.lineWidth = 4;
+    legalTargets.attacks.forEach(({ to: [row, col] }) => {
+      ctx.beginPath();
+      ctx.arc(col * squareSize + squareSize / 2, row * squareSize + squareSize / 2, squareSize / 2 - 4, 0, Math.PI * 2);
+      ctx.stroke();
+    });
+
+    ctx.strokeStyle = SUPPORT_MARKER_COLOR;
+    (legalTargets.supports || []).forEach(([row, col]) => {
+      ctx.beginPath();
+      ctx.arc(col * squareSize + squareSize / 2, row * squareSize + squareSize / 2, squareSize / 2 - 4, 0, Math.PI * 2);
+      ctx.stroke();
+    });
+  }
+
+  // Mark the target of a move waiting for the shoot-or-move or promotion choice
+  const pendingMove = pendingAction || pendingPromotion;
+  if (pendingMove) {
+    ctx.strokeStyle = '#d9534f';
+    ctx.lineWidth = 4;
+    ctx.strokeRect(
+      pendingMove.to[1] * squareSize + 2,
+      pendingMove.to[0] * squareSize + 2,
+      squareSize - 4,
+      squareSize - 4
+    );
+  }
+
+  // Outline the squares a purchased piece can be deployed on
+  if (selectedDeployType) {
+    ctx.strokeStyle = DEPLOY_HIGHLIGHT_COLOR;
+    ctx.lineWidth = 3;
+    ChessLikeEngine.forEachSquare(gameState, (row, col) => {
+      if (gameState.board[row][col] === null && gameState.squareControl[row][col] === playerColor) {
+        ctx.strokeRect(col * squareSize + 2, row * squareSize + 2, squareSize - 4, squareSize - 4);
+      }
+    });
+  }
   
-  // Draw pieces and health bars
-  for (let row = 0; row < BOARD_SIZE; row++) {
-    for (let col = 0; col < BOARD_SIZE; col++) {
-      const piece = gameState.board[row][col];
-      if (piece) {
-        // Draw piece image
-        const img = pieceImages[piece.type];
-        if (img) {
-          ctx.drawImage(
-            img, 
-            col * SQUARE_SIZE + 10, 
-            row * SQUARE_SIZE + 10, 
-            SQUARE_SIZE - 20, 
-            SQUARE_SIZE - 20
-          );
-        }
-        
-        // Draw health bar background
-        ctx.fillStyle = '#333';
-        ctx.fillRect(
-          col * SQUARE_SIZE + (SQUARE_SIZE - HEALTH_BAR_WIDTH) / 2,
-          row * SQUARE_SIZE + HEALTH_BAR_OFFSET,
-          HEALTH_BAR_WIDTH,
-          HEALTH_BAR_HEIGHT
-        );
-        
-        // Calculate health percentage
-        const maxHealth = piecesData[piece.type].health;
-        const healthPercentage = Math.max(0, piece.health / maxHealth);
-        
-        // Draw health bar fill
-        ctx.fillStyle = healthPercentage > 0.5 ? '#4CAF50' : healthPercentage > 0.25 ? '#FFC107' : '#F44336';
-        ctx.fillRect(
-          col * SQUARE_SIZE + (SQUARE_SIZE - HEALTH_BAR_WIDTH) / 2,
-          row * SQUARE_SIZE + HEALTH_BAR_OFFSET,
-          HEALTH_BAR_WIDTH * healthPercentage,
-          HEALTH_BAR_HEIGHT
+  // Draw pieces and health bars, marking whose piece is whose when more than two seats play
+  const healthBarWidth = squareSize * HEALTH_BAR_WIDTH_RATIO;
+  const markSeats = isMultiSeat(shownState);
+  ChessLikeEngine.forEachSquare(shownState, (row, col) => {
+    const piece = shownState.board[row][col];
+    if (piece) {
+      if (markSeats && SEAT_COLORS[piece.player]) {
+        ctx.fillStyle = SEAT_COLORS[piece.player].marker;
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.fillRect(col * squareSize + 4, (row + 1) * squareSize - SEAT_MARKER_SIZE - 4, SEAT_MARKER_SIZE, SEAT_MARKER_SIZE);
+        ctx.strokeRect(col * squareSize + 4, (row + 1) * squareSize - SEAT_MARKER_SIZE - 4, SEAT_MARKER_SIZE, SEAT_MARKER_SIZE);
+      }
+
+      // Draw piece image
+      const img = pieceImages[piece.type];
+      if (img) {
+        ctx.drawImage(
+          img, 
+          col * squareSize + 10, 
+          row * squareSize + 10, 
+          squareSize - 20, 
+          squareSize - 20
         );
       }
+      
+      // Draw health bar background
+      ctx.fillStyle = '#333';
+      ctx.fillRect(
+        col * squareSize + (squareSize - healthBarWidth) / 2,
+        row * squareSize + HEALTH_BAR_OFFSET,
+        healthBarWidth,
+        HEALTH_BAR_HEIGHT
+      );
+      
+      // Enemies out of reach under fog of war keep their health and effects hidden: the bar stays empty
+      if (piece.health === null) {
+        return;
+      }
+
+      // Draw status effect icons in a row under the health bar
+      ctx.font = `bold ${EFFECT_ICON_SIZE - 2}px Verdana`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      (piece.effects || []).forEach((effect, index) => {
+        const icon = EFFECT_ICONS[effect.type];
+        const x = col * squareSize + (squareSize - healthBarWidth) / 2 + index * (EFFECT_ICON_SIZE + 2);
+        const y = row * squareSize + HEALTH_BAR_OFFSET + HEALTH_BAR_HEIGHT + 2;
+        ctx.fillStyle = icon.color;
+        ctx.fillRect(x, y, EFFECT_ICON_SIZE, EFFECT_ICON_SIZE);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(icon.letter, x + EFFECT_ICON_SIZE / 2, y + EFFECT_ICON_SIZE / 2 + 1);
+      });
+
+      // Calculate health percentage
+      const maxHealth = ChessLikeEngine.maxHealth(shownState, piece);
+      const healthPercentage = Math.max(0, piece.health / maxHealth);
+      
+      // Draw health bar fill
+      ctx.fillStyle = healthPercentage > 0.5 ? '#4CAF50' : healthPercentage > 0.25 ? '#FFC107' : '#F44336';
+      ctx.fillRect(
+        col * squareSize + (squareSize - healthBarWidth) / 2,
+        row * squareSize + HEALTH_BAR_OFFSET,
+        healthBarWidth * healthPercentage,
+        HEALTH_BAR_HEIGHT
+      );
     }
+  });
+
+  // Label attack markers with the expected damage, drawn over the pieces so they stay readable
+  if (legalTargets && activePiece &&
+      activePiece.position[0] === legalTargets.from[0] && activePiece.position[1] === legalTargets.from[1]) {
+    ctx.font = 'bold 14px Verdana';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    legalTargets.attacks.forEach(({ to: [row, col], damage, minDamage, maxDamage, kills, counterDamage }) => {
+      ctx.fillStyle = ATTACK_MARKER_COLOR;
+      // A sure kill, the damage, or its range when the attack can miss or hit critically
+      const text = kills && minDamage === damage ? 'KILL' : minDamage === maxDamage ? `-${damage}` : `-${minDamage}\u2013${maxDamage}`;
+      ctx.fillText(text, col * squareSize + squareSize / 2, (row + 1) * squareSize - 4);
+      // What the attacker takes back if the target survives
+      if (counterDamage > 0) {
+        ctx.fillStyle = COUNTER_MARKER_COLOR;
+        ctx.fillText(`\u21a9-${counterDamage}`, col * squareSize + squareSize / 2, row * squareSize + 18);
+      }
+    });
   }
 
   // Steam display is now handled by the HTML element and updated in socket.onmessage
@@ -259,27 +1558,31 @@ function renderBoard() {
 let justDragged = false; // Flag to help click handler ignore click after drag
 
 canvas.addEventListener('mousedown', (event) => {
-  if (!gameState || gameState.status !== 'active' || gameState.turn !== playerColor) {
+  const placing = isPlacingArmy();
+  if (!placing && (!gameState || gameState.status !== 'active' || gameState.paused || gameState.turn !== playerColor || replayPly !== null)) {
     return;
   }
 
   const rect = canvas.getBoundingClientRect();
   const canvasX = event.clientX - rect.left;
   const canvasY = event.clientY - rect.top;
-  const col = Math.floor(canvasX / SQUARE_SIZE);
-  const row = Math.floor(canvasY / SQUARE_SIZE);
-
-  if (row < 0 || row >= BOARD_SIZE || col < 0 || col >= BOARD_SIZE) {
+  const square = squareAt(canvasX, canvasY);
+  if (!square) {
     return; 
   }
+  const [row, col] = square;
 
-  const piece = gameState.board[row][col];
+  // While setting up, the pieces picked up are the army's placed ones
+  const piece = placing ? getSetupPreview().board[row][col] : gameState.board[row][col];
 
   if (piece && piece.player === playerColor) {
     isDragging = true;
     draggedPiece = piece; 
-    draggedPieceOrigPos = { row: row, col: col };
+    draggedPieceOrigPos = { row: row, col: col, x: canvasX, y: canvasY };
     mousePos = { x: canvasX, y: canvasY }; 
+    if (!placing) {
+      requestLegalMoves(row, col); // Highlight destinations while dragging
+    }
 
     // DO NOT set selectedPiece here. Selection is determined on mouseup.
     console.log(`Mousedown: Initiating potential drag for ${draggedPiece.type} from (${row},${col})`);
@@ -290,7 +1593,7 @@ canvas.addEventListener('mousedown', (event) => {
 
 canvas.addEventListener('mousemove', (event) => {
   if (isDragging) {
-    if (!gameState || gameState.status !== 'active' || gameState.turn !== playerColor) {
+    if (!isPlacingArmy() && (!gameState || gameState.status !== 'active' || gameState.turn !== playerColor)) {
       isDragging = false;
       draggedPiece = null; // Clear drag state if game becomes invalid
       draggedPieceOrigPos = null;
@@ -314,14 +1617,50 @@ canvas.addEventListener('mouseup', (event) => {
 
   isDragging = false; // End dragging state regardless of action
 
+  if (isPlacingArmy()) {
+    // A placed piece goes back to the roster when clicked or dropped off the home rows, and
+    // moves when dropped on another free home square
+    const from = [draggedPieceOrigPos.row, draggedPieceOrigPos.col];
+    const target = distance < DRAG_THRESHOLD ? null : squareAt(mousePos.x, mousePos.y);
+    draftArmy = draftArmy.filter(({ to }) => to[0] !== from[0] || to[1] !== from[1]);
+    if (target && canPlaceDraftPiece(draggedPiece.type, target)) {
+      draftArmy = [...draftArmy, { pieceType: draggedPiece.type, to: target }];
+    }
+    justDragged = true; // The click handler would otherwise place a roster piece on the square
+    draggedPiece = null;
+    draggedPieceOrigPos = null;
+    renderSetup();
+    renderBoard();
+    return;
+  }
+
   if (distance < DRAG_THRESHOLD) {
     // --- CLICK ACTION ---
     console.log(`Mouseup: Detected CLICK action on ${draggedPiece.type} at (${draggedPieceOrigPos.row},${draggedPieceOrigPos.col})`);
     if (selectedPiece && selectedPiece.position[0] === draggedPieceOrigPos.row && selectedPiece.position[1] === draggedPieceOrigPos.col) {
       selectedPiece = null; // Deselect if clicking the already selected piece
+      legalTargets = null;
       console.log("Deselected piece.");
+    } else if (isSupportTarget(draggedPieceOrigPos.row, draggedPieceOrigPos.col)) {
+      // A friendly piece the selected one can support: use the ability instead of switching selection
+      socket.send(JSON.stringify({
+        type: 'move',
+        from: selectedPiece.position,
+        to: [draggedPieceOrigPos.row, draggedPieceOrigPos.col],
+        action: 'support'
+      }));
+      selectedPiece = null;
+      draggedPiece = null;
+      draggedPieceOrigPos = null;
+      justDragged = true; // The move is sent, so the click handler has nothing left to do
+      renderBoard();
+      return;
     } else {
       selectedPiece = draggedPiece; // Select the clicked piece
+      if (selectedDeployType) {
+        selectedDeployType = null; // Selecting a piece cancels a pending purchase
+        renderShop();
+      }
       console.log(`Selected piece: ${selectedPiece.type}`);
     }
     justDragged = false; // This was a click, not a drag-move, so click handler should not be suppressed for moves.
@@ -330,10 +1669,10 @@ canvas.addEventListener('mouseup', (event) => {
     console.log(`Mouseup: Detected DRAG action for ${draggedPiece.type}`);
     let moveAttempted = false;
     if (gameState && gameState.status === 'active' && gameState.turn === playerColor) {
-      const targetCol = Math.floor(mousePos.x / SQUARE_SIZE);
-      const targetRow = Math.floor(mousePos.y / SQUARE_SIZE);
+      const target = squareAt(mousePos.x, mousePos.y);
 
-      if (targetRow >= 0 && targetRow < BOARD_SIZE && targetCol >= 0 && targetCol < BOARD_SIZE) {
+      if (target) {
+        const [targetRow, targetCol] = target;
         // Only send move if it's a different square (already guaranteed by distance check for drag)
         // but good to keep for clarity if threshold is very small.
         if (targetRow !== draggedPieceOrigPos.row || targetCol !== draggedPieceOrigPos.col) {
@@ -379,7 +1718,19 @@ canvas.addEventListener('click', (event) => {
     return;
   }
 
-  if (!gameState || gameState.status !== 'active' || gameState.turn !== playerColor) {
+  const rect = canvas.getBoundingClientRect();
+  const square = squareAt(event.clientX - rect.left, event.clientY - rect.top);
+  if (isPlacingArmy()) {
+    // Clicking a free home square places the piece picked from the roster
+    if (square && selectedRosterType) {
+      addDraftPiece(selectedRosterType, square);
+      renderSetup();
+      renderBoard();
+    }
+    return;
+  }
+
+  if (!gameState || gameState.status !== 'active' || gameState.turn !== playerColor || replayPly !== null) {
     // If game is not in a state to allow moves, a click should not do anything.
     // selectedPiece might be set from a previous turn or click, ensure it's cleared if game state invalid.
     // However, mouseup's "click action" part already handles selection based on game state.
@@ -389,13 +1740,24 @@ canvas.addEventListener('click', (event) => {
     return;
   }
   
-  const rect = canvas.getBoundingClientRect();
-  const x = event.clientX - rect.left;
-  const y = event.clientY - rect.top;
-  const col = Math.floor(x / SQUARE_SIZE);
-  const row = Math.floor(y / SQUARE_SIZE);
+  if (!square) {
+    return;
+  }
+  const [row, col] = square;
 
-  if (selectedPiece) {
+  if (selectedDeployType) {
+    // A piece was bought from the shop: clicking an empty square places it.
+    // Clicking a friendly piece is handled by mouseup, which cancels the purchase.
+    if (gameState.board[row][col] === null) {
+      console.log(`Click Handler: Attempting to deploy ${selectedDeployType} at (${row},${col})`);
+      socket.send(JSON.stringify({
+        type: 'deploy',
+        pieceType: selectedDeployType,
+        to: [row, col]
+      }));
+      selectedDeployType = null;
+    }
+  } else if (selectedPiece) {
     // A piece is currently selected. This click is either to move it or select another friendly piece.
     if (selectedPiece.position[0] === row && selectedPiece.position[1] === col) {
       // Clicked on the *already selected* piece.
@@ -414,6 +1776,7 @@ canvas.addEventListener('click', (event) => {
         // Clicked on another friendly piece: switch selection.
         console.log(`Click Handler: Switching selection from ${selectedPiece.type} to ${targetPiece.type}`);
         selectedPiece = targetPiece;
+        requestLegalMoves(row, col);
       } else {
         // Clicked on an empty square or an opponent's piece: attempt to move.
         console.log(`Click Handler: Attempting to move ${selectedPiece.type} from (${selectedPiece.position[0]},${selectedPiece.position[1]}) to (${row},${col})`);
@@ -438,6 +1801,27 @@ canvas.addEventListener('click', (event) => {
   renderBoard(); // Re-render to reflect any changes from this handler.
 });
 
+// Pieces dragged from the roster are dropped on a home square
+canvas.addEventListener('dragover', (event) => {
+  if (isPlacingArmy()) {
+    event.preventDefault(); // Allows the drop
+  }
+});
+
+canvas.addEventListener('drop', (event) => {
+  if (!isPlacingArmy()) {
+    return;
+  }
+  event.preventDefault();
+  const rect = canvas.getBoundingClientRect();
+  const square = squareAt(event.clientX - rect.left, event.clientY - rect.top);
+  if (square) {
+    addDraftPiece(event.dataTransfer.getData('text/plain'), square);
+    renderSetup();
+    renderBoard();
+  }
+});
+
 // Initial render is problematic if assets or gameState aren't ready.
 // renderBoard(); 
 // We will now rely on the logic within preloadImages and gameState message handler to call renderBoard.
\ No newline at end of file
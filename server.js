@@ -4,6 +4,15 @@ const http = require('http');
 const WebSocket = require('ws');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const engine = require('./engine');
+const notation = require('./notation');
+const { createGameStore } = require('./gameStore');
+const takeback = require('./takeback');
+const { searchMove } = require('./computerSearch');
+const ai = require('./ai');
+const clock = require('./clock');
+const { loadMaps } = require('./maps');
 
 // Initialize Express app
 const app = express();
@@ -13,349 +22,1594 @@ const wss = new WebSocket.Server({ server });
 // Serve static files from 'public' directory
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Game state and player tracking
+// The rules engine is shared with the browser
+app.get('/js/engine.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'engine.js'));
+});
+
+// Game, room and player tracking
 let games = {};
-let waitingPlayer = null;
+let rooms = {};
 
 // Load piece definitions from JSON
 const piecesData = JSON.parse(fs.readFileSync(path.join(__dirname, 'pieces.json'), 'utf8'));
 
-// Game creation function
-function createGame(player1, player2) {
-  const gameId = Date.now().toString();
+// Load terrain definitions and the battle maps built from them
+const terrainData = JSON.parse(fs.readFileSync(path.join(__dirname, 'terrain.json'), 'utf8'));
+const maps = loadMaps(JSON.parse(fs.readFileSync(path.join(__dirname, 'maps.json'), 'utf8')), terrainData);
+
+// Room codes avoid look-alike characters so they are easy to read out and type
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 6;
+const MAX_ROOM_NAME_LENGTH = 40;
+const MAX_RECORD_LENGTH = 200000; // Characters in a pasted game record
+const MIN_BOARD_SIZE = 4; // Rows and columns of a custom board
+const MAX_BOARD_SIZE = 16;
+const SEED_LIMIT = 0x100000000; // Games' random number generators are seeded below this
+const MAX_VISION_RANGE = 4; // Squares a player sees around each of their pieces in fog-of-war games
+const MAX_SETUP_BUDGET = 10000; // Army budget of a draft game
+const MAX_ACTION_POINTS = 10; // Action points per turn in action-point games
+const MAX_ARMY_SIZE = MAX_BOARD_SIZE * MAX_BOARD_SIZE / 2; // Pieces in a placed army: home rows are at most half the board
+const SEAT_COLORS = ['white', 'black', 'red', 'blue', 'green', 'yellow']; // Seat colors clients know how to draw
+const TEAM_NAME_PATTERN = /^[a-z]{1,16}$/;
+
+// How long a game stays paused for a disconnected player before they forfeit
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS, 10) || 60000;
+
+// Forfeit timers of disconnected players, keyed by `${gameId}:${color}`
+const graceTimers = {};
+
+// Running games are kept on disk so they survive a restart
+const GAME_DATA_DIR = process.env.GAME_DATA_DIR || path.join(__dirname, 'data', 'games');
+const gameStore = createGameStore(GAME_DATA_DIR);
+
+// How long a graceful shutdown waits for connections to close before exiting anyway
+const SHUTDOWN_TIMEOUT_MS = 5000;
+let shuttingDown = false;
+
+// Game creation function. players holds the socket in each seat by color; a player may be null
+// for a seat the computer plays. options are per-game rules, e.g. { winConditions: { territory: { percent: 60, turns: 3 } } }
+function createGame(players, options, initialState) {
+  const gameId = crypto.randomUUID();
+  
+  // Secret per seat; a reconnecting socket presents it to take its seat back
+  const sessions = {};
+  Object.keys(players).forEach(color => {
+    sessions[color] = players[color] ? crypto.randomBytes(24).toString('hex') : null;
+  });
   
   // Initialize game state
   const game = {
     id: gameId,
-    players: {
-      white: player1,
-      black: player2
-    },
-    turn: 'white',
-    board: initializeBoard(),
-    squareControl: Array(8).fill(null).map(() => Array(8).fill(null)),
-    status: 'active',
-    whiteSteam: 0,
-    blackSteam: 0
+    players: { ...players },
+    sessions,
+    roomId: null,
+    paused: false,
+    // { colors, difficulty }: the seats the computer plays, or null
+    computer: null,
+    computerThinking: false,
+    // Chess clock of a timed game (see clock.js), or null
+    clock: null,
+    flagTimer: null,
+    // Color of the player whose draw offer awaits an answer, or null
+    drawOffer: null,
+    // Color of the player whose takeback request awaits an answer, or null
+    takebackRequest: null,
+    // Exact states before the latest moves, oldest first, for takebacks (see takeback.js)
+    snapshots: [],
+    // Read-only sockets watching the game
+    spectators: new Set(),
+    // A room created from a game record plays on from the loaded position
+    state: initialState || engine.createGame({ ...options, pieces: piecesData, terrain: terrainData, seed: crypto.randomInt(SEED_LIMIT) })
   };
   
   // Assign game to players
-  player1.gameId = gameId;
-  player1.color = 'white';
-  player2.gameId = gameId;
-  player2.color = 'black';
+  Object.keys(players).forEach(color => {
+    if (players[color]) {
+      players[color].gameId = gameId;
+      players[color].color = color;
+    }
+  });
   
   // Store game
   games[gameId] = game;
   
-  // Send initial game state to both players
-  sendGameState(game);
-  
   return game;
 }
 
-// Initialize the board with pieces from JSON
-function initializeBoard() {
-  const board = Array(8).fill().map(() => Array(8).fill(null));
+// Generate a room code no other room is using
+function generateRoomCode() {
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(ROOM_CODE_LENGTH), byte => ROOM_CODE_ALPHABET[byte % ROOM_CODE_ALPHABET.length]).join('');
+  } while (findRoomByCode(code));
+  return code;
+}
+
+function findRoomByCode(code) {
+  return Object.values(rooms).find(room => room.code === code) || null;
+}
+
+// The seat colors of a game with these options, in turn order
+function seatColors(options) {
+  return engine.seatsOf(options).map(seat => seat.color);
+}
+
+// Create a room with the host in the first seat. The game starts once every seat is filled
+function createRoom(host, name, isPrivate, options, initialState, timeControl) {
+  const code = generateRoomCode();
+  const players = {};
+  seatColors(options).forEach((color, index) => {
+    players[color] = index === 0 ? host : null;
+  });
+  const room = {
+    id: crypto.randomUUID(),
+    code: code,
+    name: name || `Room ${code}`,
+    isPrivate: isPrivate,
+    options: options,
+    initialState: initialState || null,
+    timeControl: timeControl || null,
+    players,
+    gameId: null
+  };
   
-  // Set up pieces for both players
-  Object.keys(piecesData).forEach(pieceType => {
-    const piece = piecesData[pieceType];
-    
-    // Add white pieces
-    piece.initialPositions.white.forEach(pos => {
-      board[pos[0]][pos[1]] = {
-        id: `w_${pieceType}_${pos[0]}_${pos[1]}`,
-        type: pieceType,
-        player: 'white',
-        health: piece.health,
-        attack: piece.attack,
-        image: piece.image,
-        position: [pos[0], pos[1]]
-      };
-    });
-    
-    // Add black pieces
-    piece.initialPositions.black.forEach(pos => {
-      board[pos[0]][pos[1]] = {
-        id: `b_${pieceType}_${pos[0]}_${pos[1]}`,
-        type: pieceType,
-        player: 'black',
-        health: piece.health,
-        attack: piece.attack,
-        image: piece.image,
-        position: [pos[0], pos[1]]
-      };
+  rooms[room.id] = room;
+  host.roomId = room.id;
+  
+  return room;
+}
+
+// The first empty seat of a room waiting for players, or null if it is full
+function freeSeat(room) {
+  return Object.keys(room.players).find(color => !room.players[color]) || null;
+}
+
+// Seat a player in a room's first free seat and start the game once every seat is filled
+function joinRoom(room, player) {
+  room.players[freeSeat(room)] = player;
+  player.roomId = room.id;
+  if (!freeSeat(room)) {
+    startRoomGame(room, null);
+  }
+}
+
+// Start the game of a room. computer is { colors, difficulty } when the computer takes the empty seats
+function startRoomGame(room, computer) {
+  const game = createGame(room.players, room.options, room.initialState);
+  game.computer = computer;
+  game.roomId = room.id;
+  room.gameId = game.id;
+  
+  // In a draft game the computer places its armies straight away
+  if (computer && game.state.status === 'setup') {
+    computer.colors.forEach(color => {
+      game.state = engine.placeArmy(game.state, color, ai.chooseArmy(game.state, color));
     });
-  });
+  }
+  
+  // The clock only runs once play starts, after any army placement
+  if (room.timeControl) {
+    game.clock = clock.createClock(room.timeControl, Object.keys(room.players));
+    setClockRunning(game, true);
+  }
+  saveGame(game);
   
-  return board;
+  // Send each player their seat's session token, then the initial game state
+  Object.values(room.players).forEach(player => {
+    if (player) {
+      sendSession(player, game);
+    }
+  });
+  sendGameState(game);
+  playComputerTurn(game);
 }
 
-// Calculate initial square control
-function calculateInitialSquareControl(game) {
-  for (let r = 0; r < 8; r++) {
-    for (let c = 0; c < 8; c++) {
-      if (game.board[r][c] !== null) {
-        game.squareControl[r][c] = game.board[r][c].player;
-      }
+// Whether a game is still being played, armies being placed included
+function isRunning(state) {
+  return state.status === 'active' || state.status === 'setup';
+}
+
+function isComputerSeat(game, color) {
+  return !!game.computer && game.computer.colors.includes(color);
+}
+
+// Whether a seat is out of its game, which plays on without it
+function isEliminated(game, color) {
+  return (game.state.eliminated || []).includes(color);
+}
+
+// A game is paused while the seat of a human player still in it is empty
+function hasEmptySeat(game) {
+  return Object.keys(game.players).some(color => !game.players[color] && !isComputerSeat(game, color) && !isEliminated(game, color));
+}
+
+// The other seat of a two-player game
+function opponentOf(game, color) {
+  return Object.keys(game.players).find(other => other !== color);
+}
+
+// How messages to the other players name a seat: "your opponent" in a two-player game
+function seatName(game, color) {
+  return Object.keys(game.players).length === 2 ? 'your opponent' : `the ${color} player`;
+}
+
+// Send a message to every seated player but one
+function sendToOtherPlayers(game, color, message) {
+  Object.keys(game.players).forEach(other => {
+    const player = game.players[other];
+    if (other !== color && player && player.readyState === WebSocket.OPEN) {
+      player.send(JSON.stringify(message));
     }
-  }
+  });
 }
 
-// Update square control after a move
-function updateSquareControlAfterMove(game) {
-  // Initialize Influence Map
-  const influenceMap = Array(8).fill(null).map(() => 
-    Array(8).fill(null).map(() => ({ white: 0, black: 0 }))
-  );
-
-  // Iterate Through Pieces for Direct Control and Influence
-  for (let row = 0; row < 8; row++) {
-    for (let col = 0; col < 8; col++) {
-      const piece = game.board[row][col];
-      if (piece) {
-        // Direct Control: Piece's current square is controlled by its player
-        game.squareControl[row][col] = piece.player;
-
-        // Adjacent Influence
-        const player = piece.player;
-        for (let dr = -1; dr <= 1; dr++) {
-          for (let dc = -1; dc <= 1; dc++) {
-            if (dr === 0 && dc === 0) continue; // Skip the piece's own square
-
-            const adjRow = row + dr;
-            const adjCol = col + dc;
-
-            if (adjRow >= 0 && adjRow < 8 && adjCol >= 0 && adjCol < 8) {
-              if (player === 'white') {
-                influenceMap[adjRow][adjCol].white++;
-              } else if (player === 'black') {
-                influenceMap[adjRow][adjCol].black++;
-              }
-            }
-          }
-        }
-      }
+// Let the computer move if it is its turn. The search runs on a worker thread (see
+// computerSearch.js), and its move is dropped if the game changed in the meantime (e.g. a
+// forfeit). The computer searches the whole state, so fog of war doesn't hide anything from it
+function playComputerTurn(game) {
+  const { computer, state } = game;
+  if (!computer || game.computerThinking || game.paused || state.status !== 'active' || !isComputerSeat(game, state.turn)) {
+    return;
+  }
+  
+  // On a clock, think for at most a quarter of the time left
+  let timeBudgetMs = ai.DIFFICULTY_LEVELS[computer.difficulty].timeBudgetMs;
+  if (game.clock) {
+    timeBudgetMs = Math.max(50, Math.min(timeBudgetMs, clock.remainingMs(game.clock, state.turn, Date.now()) / 4));
+  }
+  
+  game.computerThinking = true;
+  searchMove(state, { difficulty: computer.difficulty, timeBudgetMs }, move => {
+    game.computerThinking = false;
+    if (games[game.id] !== game) {
+      return;
     }
+    if (game.state !== state) {
+      // The game moved on while the computer was thinking, e.g. after a takeback
+      playComputerTurn(game);
+    } else if (move) {
+      commitMove(game, move);
+    } else {
+      // Searching again would find nothing again
+      passStuckTurn(game);
+    }
+  });
+}
+
+// Take a player out of a room that has not started yet; the players after them move up a seat.
+// Empty rooms are closed
+function leaveRoom(room, player) {
+  const colors = Object.keys(room.players);
+  const staying = colors.map(color => room.players[color]).filter(seated => seated && seated !== player);
+  colors.forEach((color, index) => {
+    room.players[color] = staying[index] || null;
+  });
+  player.roomId = null;
+  
+  if (staying.length === 0) {
+    delete rooms[room.id];
   }
+}
 
-  // Update game.squareControl Based on Influence
-  for (let r = 0; r < 8; r++) {
-    for (let c = 0; c < 8; c++) {
-      // Only update if not directly controlled by a piece after the move
-      if (game.board[r][c] === null) { 
-        const whiteInfluence = influenceMap[r][c].white;
-        const blackInfluence = influenceMap[r][c].black;
-
-        if (whiteInfluence > blackInfluence) {
-          game.squareControl[r][c] = 'white';
-        } else if (blackInfluence > whiteInfluence) {
-          game.squareControl[r][c] = 'black';
-        } else {
-          // If influence is tied, or zero for both, and the square is empty,
-          // it becomes neutral (null), unless it was already controlled.
-          // The subtask description implies keeping currentController if tied.
-          // However, for empty squares, if influence is tied (e.g. 0-0 or 1-1), 
-          // it should be neutral (null), not necessarily the previous controller
-          // If influence is tied (whiteInfluence === blackInfluence) for an EMPTY square,
-          // game.squareControl[r][c] should remain currentController.
-          // 'currentController' is its value after the direct control updates and before this influence check.
-          // This means we do nothing in the 'else' case here, preserving its existing value.
-        }
-      }
-      // If game.board[r][c] is NOT null (i.e., a piece is on it), 
-      // its control was definitively set by the direct control logic earlier in this function,
-      // and should not be overridden by influence calculations here.
+// Take a player out of a room whose game has ended, or plays on without their seat. The room and
+// game close once every player has left a finished game
+function leaveFinishedGame(room, game, player) {
+  if (game) {
+    game.players[player.color] = null;
+    game.sessions[player.color] = null;
+  }
+  player.roomId = null;
+  player.gameId = null;
+  player.color = null;
+  
+  if (!game) {
+    delete rooms[room.id];
+  } else if (!isRunning(game.state) && Object.values(game.players).every(seated => !seated)) {
+    closeGame(game);
+  }
+}
+
+// Remove a finished game and its room, sending any spectators back to the lobby
+function closeGame(game) {
+  clearTimeout(game.flagTimer);
+  delete games[game.id];
+  delete rooms[game.roomId];
+  removeSavedGame(game.id);
+  
+  game.spectators.forEach(spectator => {
+    spectator.spectatingGameId = null;
+    if (spectator.readyState === WebSocket.OPEN) {
+      spectator.send(JSON.stringify({ type: 'gameClosed' }));
+      handleListRooms(spectator);
     }
+  });
+  game.spectators.clear();
+  broadcastRoomList();
+}
+
+// A player's socket dropped mid-game: pause and give them a grace period to reconnect
+function handlePlayerDisconnect(game, color) {
+  game.players[color] = null;
+  game.paused = true;
+  setClockRunning(game, false);
+  
+  sendToOtherPlayers(game, color, {
+    type: 'opponentDisconnected',
+    message: `${capitalize(seatName(game, color))} has disconnected. They have ${Math.round(RECONNECT_GRACE_MS / 1000)} seconds to reconnect.`
+  });
+  
+  startGraceTimer(game, color);
+  sendGameState(game);
+}
+
+// Give an empty seat RECONNECT_GRACE_MS to be taken back before its player forfeits
+function startGraceTimer(game, color) {
+  graceTimers[`${game.id}:${color}`] = setTimeout(() => forfeitGame(game, color), RECONNECT_GRACE_MS);
+}
+
+// The grace period ran out: the disconnected player is out of the game, which is kept for the
+// result or plays on without them
+function forfeitGame(game, color) {
+  delete graceTimers[`${game.id}:${color}`];
+  if (games[game.id] !== game || !isRunning(game.state)) {
+    return;
   }
+  
+  concede(game, color, 'forfeit');
+  
+  // Nobody is left to see the result: close the game and its room
+  if (!isRunning(game.state) && Object.values(game.players).every(player => !player)) {
+    closeGame(game);
+  }
+}
 
-  // Generate steam for the player whose turn it just was
-  const currentPlayer = game.turn; // Player who just made the move
-  let steamGained = 0;
-  for (let r = 0; r < 8; r++) {
-    for (let c = 0; c < 8; c++) {
-      if (game.squareControl[r][c] === currentPlayer) {
-        steamGained++;
+function capitalize(text) {
+  return `${text[0].toUpperCase()}${text.slice(1)}`;
+}
+
+// Find the game and seat a session token belongs to
+function findSession(token) {
+  for (const game of Object.values(games)) {
+    for (const color of Object.keys(game.sessions)) {
+      if (game.sessions[color] && game.sessions[color] === token) {
+        return { game, color };
       }
     }
   }
+  return null;
+}
 
-  if (currentPlayer === 'white') {
-    game.whiteSteam += steamGained;
-  } else if (currentPlayer === 'black') {
-    game.blackSteam += steamGained;
-  }
+// Rooms anyone can see in the lobby: public and still waiting for players
+function listOpenRooms() {
+  return Object.values(rooms)
+    .filter(room => !room.isPrivate && !room.gameId)
+    .map(describeRoom);
 }
 
-// Send game state to players
-function sendGameState(game) {
-  const { white, black } = game.players;
-  
-  if (white && white.readyState === WebSocket.OPEN) {
-    white.send(JSON.stringify({
-      type: 'gameState',
-      data: {
-        ...game,
-        playerColor: 'white'
-      }
+// Games being played in public rooms, for the lobby's watch list
+function listLiveGames() {
+  return Object.values(rooms)
+    .filter(room => !room.isPrivate && room.gameId && games[room.gameId] && !isHiddenByFog(games[room.gameId]))
+    .map(room => ({
+      id: room.gameId,
+      name: room.name,
+      status: games[room.gameId].state.status,
+      spectatorCount: games[room.gameId].spectators.size
     }));
+}
+
+// Whether fog of war hides a game from spectators: a player could watch their own game from a
+// second tab and see everything the fog hides from them
+function isHiddenByFog(game) {
+  return !!game.state.rules.fogOfWar && isRunning(game.state);
+}
+
+// A running game's state without its random number generator and seed, which would tell
+// players how every attack to come lands. Replays go by the rolls in the history instead
+function withoutRandomness(state) {
+  if (!isRunning(state)) {
+    return state;
   }
+  const { rng, ...rest } = state;
+  return { ...rest, rules: { ...state.rules, seed: null } };
+}
+
+// Stop a socket watching the game it spectates, if any
+function stopSpectating(ws) {
+  const game = games[ws.spectatingGameId];
+  ws.spectatingGameId = null;
   
-  if (black && black.readyState === WebSocket.OPEN) {
-    black.send(JSON.stringify({
-      type: 'gameState',
-      data: {
-        ...game,
-        playerColor: 'black'
-      }
-    }));
+  if (game && game.spectators.delete(ws)) {
+    // Everyone still in the game sees the new spectator count
+    sendGameState(game);
   }
 }
 
-// Check if move is valid based on piece movement rules
-function isValidMove(game, fromPos, toPos, piece) {
-  const [fromRow, fromCol] = fromPos;
-  const [toRow, toCol] = toPos;
+// The parts of a room that are safe to send to clients
+function describeRoom(room) {
+  return {
+    code: room.code,
+    name: room.name,
+    isPrivate: room.isPrivate,
+    options: room.options,
+    timeControl: room.timeControl,
+    // How many seats are taken, out of as many as the options give the game
+    seated: Object.values(room.players).filter(player => player).length
+  };
+}
+
+// Send the open room list to everyone in the lobby (connected, not seated in a room)
+function broadcastRoomList() {
+  const message = JSON.stringify({
+    type: 'roomList',
+    rooms: listOpenRooms(),
+    games: listLiveGames()
+  });
   
-  // Get piece type info
-  const pieceData = piecesData[piece.type];
+  wss.clients.forEach(client => {
+    if (!client.roomId && client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+}
+
+// Keep only the game options clients may choose, with sane values
+function sanitizeGameOptions(options) {
+  const winConditions = (options && options.winConditions) || {};
+  const sanitized = { winConditions: {} };
+  
+  if (typeof winConditions.kingAssassination === 'boolean') {
+    sanitized.winConditions.kingAssassination = winConditions.kingAssassination;
+  }
+  
+  const { territory, steamRace } = winConditions;
+  if (territory && isIntegerInRange(territory.percent, 1, 100) && isIntegerInRange(territory.turns, 1, 100)) {
+    sanitized.winConditions.territory = { percent: territory.percent, turns: territory.turns };
+  }
+  if (steamRace && isIntegerInRange(steamRace.target, 1, 100000)) {
+    sanitized.winConditions.steamRace = { target: steamRace.target };
+  }
   
-  // Target square validation
-  const targetSquare = game.board[toRow][toCol];
-  const isTargetEmpty = targetSquare === null;
-  const isTargetEnemy = targetSquare !== null && targetSquare.player !== piece.player;
+  // A map from maps.json, or else a custom board without terrain. A custom board keeps only holes
+  // that are squares of it, and must leave some board to play on
+  const board = options && options.board;
+  const mapName = options && options.map;
+  if (typeof mapName === 'string' && Object.prototype.hasOwnProperty.call(maps, mapName)) {
+    sanitized.map = mapName;
+    sanitized.board = maps[mapName].board;
+  } else if (board && isIntegerInRange(board.rows, MIN_BOARD_SIZE, MAX_BOARD_SIZE) && isIntegerInRange(board.cols, MIN_BOARD_SIZE, MAX_BOARD_SIZE)) {
+    const holes = Array.isArray(board.holes)
+      ? board.holes.filter(hole => engine.isBoardSquare({ rows: board.rows, cols: board.cols, holes: [] }, hole))
+      : [];
+    if (holes.length < board.rows * board.cols / 2) {
+      sanitized.board = { rows: board.rows, cols: board.cols, holes: holes.map(([row, col]) => [row, col]) };
+    }
+  }
   
-  if (!isTargetEmpty && !isTargetEnemy) {
+  const fogOfWar = options && options.fogOfWar;
+  if (fogOfWar && isIntegerInRange(fogOfWar.visionRange, 1, MAX_VISION_RANGE)) {
+    sanitized.fogOfWar = { visionRange: fogOfWar.visionRange };
+  }
+  
+  // A draft game's home rows can't reach past the middle of the board
+  const setup = options && options.setup;
+  const rows = sanitized.board ? sanitized.board.rows : engine.DEFAULT_RULES.board.rows;
+  if (setup && isIntegerInRange(setup.budget, 0, MAX_SETUP_BUDGET) && isIntegerInRange(setup.rows, 1, Math.floor(rows / 2))) {
+    sanitized.setup = { budget: setup.budget, rows: setup.rows };
+  }
+  
+  const actionPoints = options && options.actionPoints;
+  if (actionPoints && isIntegerInRange(actionPoints.perTurn, 1, MAX_ACTION_POINTS)) {
+    sanitized.actionPoints = { perTurn: actionPoints.perTurn };
+  }
+  
+  // Seats of a game for three or four players or for teams, in colors clients can draw. The
+  // engine has the last word on whether they make a game
+  const seats = options && options.seats;
+  if (Array.isArray(seats) && seats.every(seat => seat && SEAT_COLORS.includes(seat.color) && engine.SIDES.includes(seat.side) &&
+      (seat.team === undefined || (typeof seat.team === 'string' && TEAM_NAME_PATTERN.test(seat.team))))) {
+    const candidate = seats.map(({ color, side, team }) => ({ color, side, team: team || color }));
+    try {
+      engine.createGame({ pieces: piecesData, seats: candidate });
+      sanitized.seats = candidate;
+    } catch (e) {
+      // Not a game: play the usual two-player game
+    }
+  }
+  
+  return sanitized;
+}
+
+// Check that a loaded record's rules stay within the limits sanitizeGameOptions puts on new
+// games, before the record becomes a live room. Returns null if so, otherwise { code, reason }
+function checkRecordRules(rules) {
+  const { board, fogOfWar, setup, actionPoints, seats } = rules;
+  if (!isIntegerInRange(board.rows, MIN_BOARD_SIZE, MAX_BOARD_SIZE) || !isIntegerInRange(board.cols, MIN_BOARD_SIZE, MAX_BOARD_SIZE)) {
+    return { code: 'RULES_OUT_OF_RANGE', reason: `Live games are played on boards of ${MIN_BOARD_SIZE} to ${MAX_BOARD_SIZE} rows and columns` };
+  }
+  if (fogOfWar && !isIntegerInRange(fogOfWar.visionRange, 1, MAX_VISION_RANGE)) {
+    return { code: 'RULES_OUT_OF_RANGE', reason: `Fog of war lets players see at most ${MAX_VISION_RANGE} squares` };
+  }
+  if (setup && (!isIntegerInRange(setup.budget, 0, MAX_SETUP_BUDGET) || !isIntegerInRange(setup.rows, 1, Math.floor(board.rows / 2)))) {
+    return { code: 'RULES_OUT_OF_RANGE', reason: `Armies cost at most ${MAX_SETUP_BUDGET} and fill at most half the board` };
+  }
+  if (actionPoints && !isIntegerInRange(actionPoints.perTurn, 1, MAX_ACTION_POINTS)) {
+    return { code: 'RULES_OUT_OF_RANGE', reason: `Turns give at most ${MAX_ACTION_POINTS} action points` };
+  }
+  if (seats && !seats.every(seat => SEAT_COLORS.includes(seat.color))) {
+    return { code: 'RULES_OUT_OF_RANGE', reason: `Seats must be ${SEAT_COLORS.join(', ')}` };
+  }
+  return null;
+}
+
+// Time controls as described in clock.js, with sane limits
+function isValidTimeControl(timeControl) {
+  if (!timeControl || typeof timeControl !== 'object') {
     return false;
   }
+  if (timeControl.type === 'increment') {
+    return isIntegerInRange(timeControl.baseSeconds, 10, 7200) && isIntegerInRange(timeControl.incrementSeconds, 0, 600);
+  }
+  if (timeControl.type === 'perMove') {
+    return isIntegerInRange(timeControl.moveSeconds, 5, 3600);
+  }
+  return false;
+}
+
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// Apply a player's move through the rules engine and broadcast the result.
+// Illegal moves are answered with a moveRejected message carrying the engine's reason.
+function handlePlayerMove(game, ws, move) {
+  try {
+    commitMove(game, move);
+  } catch (err) {
+    if (!(err instanceof engine.IllegalMoveError)) throw err;
+    rejectMove(ws, move, err.code, err.message);
+  }
+}
+
+// Apply a move for the player to move, run the clocks, then save and broadcast the game.
+// Throws IllegalMoveError if the move breaks the rules
+function commitMove(game, move) {
+  const now = Date.now();
   
-  // Check each movement rule
-  for (const movement of pieceData.movement) {
-    if (movement.type === 'straight') {
-      if (movement.direction === 'horizontal' && fromRow === toRow) {
-        const range = movement.range;
-        const distance = Math.abs(toCol - fromCol);
-        
-        if (distance > 0 && distance <= range) {
-          // Check path is clear (except destination)
-          const start = Math.min(fromCol, toCol);
-          const end = Math.max(fromCol, toCol);
-          
-          let pathClear = true;
-          for (let col = start + 1; col < end; col++) {
-            if (game.board[fromRow][col] !== null) {
-              pathClear = false;
-              break;
-            }
-          }
-          
-          if (pathClear) return true;
-        }
+  // The flag may have fallen just before the move arrived
+  if (game.clock && clock.hasFlagFallen(game.clock, now)) {
+    flagFall(game);
+    return;
+  }
+  
+  const previous = game.state;
+  game.state = engine.applyMove(previous, move).state;
+  game.snapshots = takeback.recordSnapshot(game.snapshots, previous, game.state);
+  game.drawOffer = null; // Moving on turns down a pending offer or request
+  game.takebackRequest = null;
+  // In an action-point game the clock only switches once the turn passes
+  if (game.clock && game.state.status !== 'active') {
+    game.clock = clock.stopClock(game.clock, now);
+    scheduleFlagFall(game);
+  } else if (game.clock && game.state.turn !== previous.turn) {
+    game.clock = clock.switchClock(game.clock, now, game.state.turn);
+    scheduleFlagFall(game);
+  }
+  
+  saveGame(game);
+  sendGameState(game);
+  playComputerTurn(game);
+}
+
+// Pass on the turn of a player with no legal move, which the engine does after every turn; a game
+// saved before it did can still wait on one. Takebacks can't reach back past the passed turn
+function passStuckTurn(game) {
+  const previous = game.state;
+  game.state = engine.passStuckTurn(previous).state;
+  if (game.state === previous) {
+    return;
+  }
+  game.snapshots = [];
+  if (game.clock && game.state.status !== 'active') {
+    game.clock = clock.stopClock(game.clock, Date.now());
+    scheduleFlagFall(game);
+  } else if (game.clock) {
+    game.clock = clock.switchClock(game.clock, Date.now(), game.state.turn);
+    scheduleFlagFall(game);
+  }
+  
+  saveGame(game);
+  sendGameState(game);
+  playComputerTurn(game);
+}
+
+// Stop or restart a timed game's clock, e.g. while the game is paused
+function setClockRunning(game, running) {
+  if (!game.clock) {
+    return;
+  }
+  const now = Date.now();
+  game.clock = running && game.state.status === 'active'
+    ? clock.startClock(game.clock, game.state.turn, now)
+    : clock.stopClock(game.clock, now);
+  scheduleFlagFall(game);
+}
+
+// Arm a timer for the moment the running player's time runs out
+function scheduleFlagFall(game) {
+  clearTimeout(game.flagTimer);
+  game.flagTimer = null;
+  if (game.clock && game.clock.running) {
+    game.flagTimer = setTimeout(() => flagFall(game), clock.remainingMs(game.clock, game.clock.running, Date.now()));
+  }
+}
+
+// The running player is out of time and out of the game
+function flagFall(game) {
+  game.flagTimer = null;
+  if (games[game.id] !== game || game.state.status !== 'active' || !game.clock.running) {
+    return;
+  }
+  
+  const loser = game.clock.running;
+  game.clock = clock.stopClock(game.clock, Date.now());
+  concede(game, loser, 'timeout');
+}
+
+// Take a seat out of a running game: a resignation, forfeit or timeout (see engine.concedeSeat).
+// When one team is left it wins; otherwise the others play on, and the clock runs for whoever is
+// to move. Pending offers lapse and takebacks can't reach back past the seat leaving
+function concede(game, color, reason) {
+  game.state = engine.concedeSeat(game.state, color, reason);
+  game.drawOffer = null;
+  game.takebackRequest = null;
+  game.snapshots = [];
+  game.paused = isRunning(game.state) && hasEmptySeat(game);
+  setClockRunning(game, !game.paused);
+  saveGame(game);
+  sendGameState(game);
+  playComputerTurn(game);
+}
+
+// End a game on the players' say-so rather than on the board: an agreed draw has winner null
+function endGameByAgreement(game, winner, reason) {
+  game.state = engine.concludeGame(game.state, winner, reason);
+  game.drawOffer = null;
+  game.takebackRequest = null;
+  game.paused = false;
+  setClockRunning(game, false);
+  saveGame(game);
+  sendGameState(game);
+}
+
+// Check that a player's game is running and not paused. Returns null if so, otherwise { code, reason }
+function checkActiveGame(game) {
+  if (!game) {
+    return { code: 'NOT_IN_GAME', reason: 'You are not in a game' };
+  }
+  if (!isRunning(game.state)) {
+    return { code: 'GAME_OVER', reason: 'The game is over' };
+  }
+  if (game.paused) {
+    return { code: 'GAME_PAUSED', reason: 'The game is paused until every player reconnects' };
+  }
+  if (game.state.status === 'setup') {
+    return { code: 'SETUP_NOT_FINISHED', reason: 'The game starts once every army is placed' };
+  }
+  return null;
+}
+
+// Check that a player may act in their game right now. Returns null if so, otherwise { code, reason }
+function checkPlayerTurn(game, ws) {
+  const gameProblem = checkActiveGame(game);
+  if (gameProblem) {
+    return gameProblem;
+  }
+  if (game.state.turn !== ws.color) {
+    return { code: 'NOT_YOUR_TURN', reason: 'It is not your turn' };
+  }
+  return null;
+}
+
+// Give a player the token that lets them reclaim their seat after a dropped connection
+function sendSession(ws, game) {
+  ws.send(JSON.stringify({
+    type: 'session',
+    gameId: game.id,
+    color: ws.color,
+    token: game.sessions[ws.color]
+  }));
+}
+
+// Tell a player their message could not be handled
+function sendError(ws, code, reason) {
+  ws.send(JSON.stringify({
+    type: 'error',
+    code: code,
+    reason: reason
+  }));
+}
+
+// Tell a player their move or deploy was refused, and why
+function rejectMove(ws, move, code, reason) {
+  ws.send(JSON.stringify({
+    type: 'moveRejected',
+    code: code,
+    reason: reason,
+    move: move
+  }));
+}
+
+// Check the shape of an incoming message before any of it touches a game or room.
+// Returns null if it is well-formed, otherwise { code, reason }
+function validateMessage(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data) || typeof data.type !== 'string') {
+    return { code: 'INVALID_MESSAGE', reason: 'Messages must be objects with a string type' };
+  }
+  
+  switch (data.type) {
+    case 'createRoom':
+      if (data.name !== undefined && (typeof data.name !== 'string' || data.name.length > MAX_ROOM_NAME_LENGTH)) {
+        return { code: 'INVALID_PAYLOAD', reason: `name must be a string of at most ${MAX_ROOM_NAME_LENGTH} characters` };
       }
-      else if (movement.direction === 'vertical' && fromCol === toCol) {
-        const range = movement.range;
-        const distance = Math.abs(toRow - fromRow);
-        
-        if (distance > 0 && distance <= range) {
-          // Check path is clear (except destination)
-          const start = Math.min(fromRow, toRow);
-          const end = Math.max(fromRow, toRow);
-          
-          let pathClear = true;
-          for (let row = start + 1; row < end; row++) {
-            if (game.board[row][fromCol] !== null) {
-              pathClear = false;
-              break;
-            }
-          }
-          
-          if (pathClear) return true;
-        }
+      if (data.private !== undefined && typeof data.private !== 'boolean') {
+        return { code: 'INVALID_PAYLOAD', reason: 'private must be true or false' };
+      }
+      if (data.options !== undefined && (!data.options || typeof data.options !== 'object')) {
+        return { code: 'INVALID_PAYLOAD', reason: 'options must be an object' };
+      }
+      if (data.record !== undefined && !isRecordText(data.record)) {
+        return { code: 'INVALID_PAYLOAD', reason: `record must be a string of at most ${MAX_RECORD_LENGTH} characters` };
+      }
+      if (data.computer !== undefined && !Object.prototype.hasOwnProperty.call(ai.DIFFICULTY_LEVELS, data.computer)) {
+        return { code: 'INVALID_PAYLOAD', reason: `computer must be one of ${Object.keys(ai.DIFFICULTY_LEVELS).join(', ')}` };
+      }
+      if (data.timeControl !== undefined && data.timeControl !== null && !isValidTimeControl(data.timeControl)) {
+        return { code: 'INVALID_PAYLOAD', reason: 'timeControl must be { type: "increment", baseSeconds, incrementSeconds } or { type: "perMove", moveSeconds }' };
+      }
+      return null;
+    case 'joinRoom':
+      if (typeof data.code !== 'string') {
+        return { code: 'INVALID_PAYLOAD', reason: 'code must be a string' };
+      }
+      return null;
+    case 'listRooms':
+    case 'leaveRoom':
+    case 'stopSpectating':
+    case 'exportGame':
+    case 'resign':
+    case 'offerDraw':
+    case 'acceptDraw':
+    case 'declineDraw':
+    case 'requestTakeback':
+    case 'acceptTakeback':
+    case 'declineTakeback':
+    case 'endTurn':
+      return null;
+    case 'loadGame':
+      if (!isRecordText(data.record)) {
+        return { code: 'INVALID_PAYLOAD', reason: `record must be a string of at most ${MAX_RECORD_LENGTH} characters` };
+      }
+      return null;
+    case 'spectate':
+      if (typeof data.gameId !== 'string') {
+        return { code: 'INVALID_PAYLOAD', reason: 'gameId must be a string' };
+      }
+      return null;
+    case 'reconnect':
+      if (typeof data.token !== 'string') {
+        return { code: 'INVALID_PAYLOAD', reason: 'token must be a string' };
+      }
+      return null;
+    case 'move':
+      if (!engine.isSquare(data.from) || !engine.isSquare(data.to)) {
+        return { code: 'INVALID_PAYLOAD', reason: 'from and to must be [row, col] squares' };
       }
+      if (data.action !== undefined && !['move', 'shoot', 'support'].includes(data.action)) {
+        return { code: 'INVALID_PAYLOAD', reason: "action must be 'move', 'shoot' or 'support'" };
+      }
+      if (data.promoteTo !== undefined && typeof data.promoteTo !== 'string') {
+        return { code: 'INVALID_PAYLOAD', reason: 'promoteTo must be a piece type' };
+      }
+      return null;
+    case 'legalMoves':
+      if (!engine.isSquare(data.from)) {
+        return { code: 'INVALID_PAYLOAD', reason: 'from must be a [row, col] square' };
+      }
+      return null;
+    case 'deploy':
+      if (typeof data.pieceType !== 'string') {
+        return { code: 'INVALID_PAYLOAD', reason: 'pieceType must be a string' };
+      }
+      if (!engine.isSquare(data.to)) {
+        return { code: 'INVALID_PAYLOAD', reason: 'to must be a [row, col] square' };
+      }
+      return null;
+    case 'upgrade':
+      if (!engine.isSquare(data.at)) {
+        return { code: 'INVALID_PAYLOAD', reason: 'at must be a [row, col] square' };
+      }
+      if (typeof data.stat !== 'string') {
+        return { code: 'INVALID_PAYLOAD', reason: 'stat must be a string' };
+      }
+      return null;
+    case 'placeArmy':
+      if (!Array.isArray(data.army) || data.army.length > MAX_ARMY_SIZE ||
+          !data.army.every(placed => placed && typeof placed.pieceType === 'string' && engine.isSquare(placed.to))) {
+        return { code: 'INVALID_PAYLOAD', reason: `army must be a list of at most ${MAX_ARMY_SIZE} { pieceType, to } placements` };
+      }
+      return null;
+    default:
+      return { code: 'UNKNOWN_MESSAGE_TYPE', reason: `Unknown message type: ${data.type}` };
+  }
+}
+
+function isRecordText(record) {
+  return typeof record === 'string' && record.length <= MAX_RECORD_LENGTH;
+}
+
+// Load a pasted game record, replying with an error if it doesn't replay. Returns the state or null
+function loadRecord(ws, record) {
+  try {
+    return notation.importGame(record, piecesData, terrainData).state;
+  } catch (e) {
+    if (e instanceof notation.NotationError) {
+      sendError(ws, e.code, e.message);
+      return null;
     }
-    else if (movement.type === 'hop') {
-      const horizontalDistance = Math.abs(toCol - fromCol);
-      const verticalDistance = Math.abs(toRow - fromRow);
-      
-      if (horizontalDistance === movement.horizontal && 
-          verticalDistance === movement.vertical) {
-        return true;
+    throw e;
+  }
+}
+
+// Write a running game to disk; finished games are only kept in memory until they close. A
+// failing disk (full, or not writable) only costs the copy on disk: the game plays on
+function saveGame(game) {
+  if (!isRunning(game.state)) {
+    removeSavedGame(game.id);
+    return;
+  }
+  
+  const room = rooms[game.roomId];
+  try {
+    gameStore.save({
+      id: game.id,
+      room: room ? { id: room.id, ...describeRoom(room) } : null,
+      sessions: game.sessions,
+      computer: game.computer,
+      clock: game.clock,
+      snapshots: game.snapshots,
+      state: game.state
+    });
+  } catch (err) {
+    console.error(`Could not save game ${game.id}:`, err.message);
+  }
+}
+
+// Delete a game's copy on disk, if any
+function removeSavedGame(id) {
+  try {
+    gameStore.remove(id);
+  } catch (err) {
+    console.error(`Could not remove saved game ${id}:`, err.message);
+  }
+}
+
+// Bring back the games that were running when the server stopped. Every seat starts empty,
+// so each game is paused until its players reconnect with their session tokens
+function restoreGames() {
+  gameStore.loadAll().forEach(record => {
+    if (!record.state || !isRunning(record.state)) {
+      gameStore.remove(record.id);
+      return;
+    }
+    
+    const emptySeats = () => {
+      const players = {};
+      seatColors(record.state.rules).forEach(color => {
+        players[color] = null;
+      });
+      return players;
+    };
+    const game = {
+      id: record.id,
+      players: emptySeats(),
+      sessions: record.sessions,
+      roomId: null,
+      paused: true,
+      computer: record.computer || null,
+      computerThinking: false,
+      // Downtime is not charged: the clock stops as of the last save and restarts on reconnect
+      clock: record.clock ? clock.stopClock(record.clock, record.clock.runningSince) : null,
+      flagTimer: null,
+      drawOffer: null,
+      takebackRequest: null,
+      snapshots: record.snapshots || [],
+      spectators: new Set(),
+      state: record.state
+    };
+    
+    if (record.room) {
+      const { id, code, name, isPrivate, options, timeControl } = record.room;
+      rooms[id] = {
+        id,
+        code: findRoomByCode(code) ? generateRoomCode() : code,
+        name,
+        isPrivate,
+        options,
+        initialState: null,
+        timeControl: timeControl || null,
+        players: emptySeats(),
+        gameId: game.id
+      };
+      game.roomId = id;
+    }
+    
+    games[game.id] = game;
+    Object.keys(game.players).forEach(color => {
+      if (!isComputerSeat(game, color) && !isEliminated(game, color)) {
+        startGraceTimer(game, color);
       }
+    });
+  });
+  
+  const count = Object.keys(games).length;
+  if (count > 0) {
+    console.log(`Restored ${count} running game${count === 1 ? '' : 's'}`);
+  }
+}
+
+// Save every running game, then close connections and exit
+function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  console.log(`${signal} received, saving games and shutting down`);
+  
+  // Disconnects during shutdown must not pause games or start forfeit timers
+  Object.values(graceTimers).forEach(clearTimeout);
+  Object.values(games).forEach(game => {
+    setClockRunning(game, false);
+    saveGame(game);
+  });
+  
+  wss.clients.forEach(client => client.close(1001, 'Server shutting down'));
+  wss.close();
+  server.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), SHUTDOWN_TIMEOUT_MS).unref();
+}
+
+// Send game state to players and spectators
+function sendGameState(game) {
+  const state = withoutRandomness(game.state);
+  const data = {
+    ...state,
+    id: game.id,
+    paused: game.paused,
+    computerColors: game.computer ? game.computer.colors : [],
+    clock: game.clock ? clock.describeClock(game.clock, Date.now()) : null,
+    drawOffer: game.drawOffer || null,
+    takebackRequest: game.takebackRequest || null,
+    spectatorCount: game.spectators.size
+  };
+  
+  // Under fog of war each player only gets what their team can see
+  Object.keys(game.players).forEach(color => {
+    const player = game.players[color];
+    if (player && player.readyState === WebSocket.OPEN) {
+      player.send(JSON.stringify({
+        type: 'gameState',
+        data: {
+          ...data,
+          ...engine.playerView(state, color),
+          playerColor: color
+        }
+      }));
+    }
+  });
+  
+  // Spectators get the same state without a seat, though no army before all are placed. Fog-of-war
+  // games have none until they are over (see isHiddenByFog)
+  const spectatorMessage = JSON.stringify({
+    type: 'gameState',
+    data: {
+      ...data,
+      ...(state.status === 'setup' ? engine.playerView(state, null) : {}),
+      spectating: true
     }
+  });
+  game.spectators.forEach(spectator => {
+    if (spectator.readyState === WebSocket.OPEN) {
+      spectator.send(spectatorMessage);
+    }
+  });
+}
+
+// --- Client message handlers, called with the socket and an already validated message ---
+
+// Open a new room with the sender as host
+function handleCreateRoom(ws, data) {
+  if (ws.roomId) {
+    sendError(ws, 'ALREADY_IN_ROOM', 'Leave your current room first');
+    return;
   }
   
-  return false;
+  // Taking a seat ends watching another game
+  stopSpectating(ws);
+  
+  // A room can continue a game loaded from a record instead of starting a fresh one
+  let options = sanitizeGameOptions(data.options);
+  let initialState = null;
+  if (data.record !== undefined) {
+    initialState = loadRecord(ws, data.record);
+    if (!initialState) {
+      return;
+    }
+    if (!isRunning(initialState)) {
+      sendError(ws, 'GAME_OVER', 'That game is already over');
+      return;
+    }
+    const problem = checkRecordRules(initialState.rules);
+    if (problem) {
+      sendError(ws, problem.code, problem.reason);
+      return;
+    }
+    const { winConditions, fogOfWar, setup, actionPoints, seats } = initialState.rules;
+    options = { winConditions, fogOfWar, setup, actionPoints, seats };
+    // The game rolls on with a fresh generator: whoever wrote the record could know its seed
+    initialState = { ...initialState, rules: { ...initialState.rules, seed: null }, rng: crypto.randomInt(SEED_LIMIT) };
+  }
+  
+  // Keep only the fields of the chosen time control
+  const timeControl = !data.timeControl ? null : data.timeControl.type === 'perMove'
+    ? { type: 'perMove', moveSeconds: data.timeControl.moveSeconds }
+    : { type: 'increment', baseSeconds: data.timeControl.baseSeconds, incrementSeconds: data.timeControl.incrementSeconds };
+  
+  const name = (data.name || '').trim();
+  const room = createRoom(ws, name, data.private === true, options, initialState, timeControl);
+  
+  ws.send(JSON.stringify({
+    type: 'roomJoined',
+    room: describeRoom(room),
+    color: Object.keys(room.players)[0]
+  }));
+  
+  // Against the computer there is nobody to wait for: it takes the other seats right away
+  if (data.computer !== undefined) {
+    startRoomGame(room, { colors: Object.keys(room.players).slice(1), difficulty: data.computer });
+  }
+  
+  if (!room.isPrivate) {
+    broadcastRoomList();
+  }
 }
 
-// Process move
-function processMove(game, fromPos, toPos) {
-  const [fromRow, fromCol] = fromPos;
-  const [toRow, toCol] = toPos;
+function handleListRooms(ws) {
+  ws.send(JSON.stringify({
+    type: 'roomList',
+    rooms: listOpenRooms(),
+    games: listLiveGames()
+  }));
+}
+
+// Watch a game by its id without taking a seat
+function handleSpectate(ws, data) {
+  if (ws.roomId) {
+    sendError(ws, 'ALREADY_IN_ROOM', 'Leave your current room first');
+    return;
+  }
   
-  const piece = game.board[fromRow][fromCol];
-  const target = game.board[toRow][toCol];
+  const game = Object.prototype.hasOwnProperty.call(games, data.gameId) ? games[data.gameId] : null;
+  if (!game) {
+    sendError(ws, 'GAME_NOT_FOUND', 'No game has that id');
+    return;
+  }
+  if (isHiddenByFog(game)) {
+    sendError(ws, 'HIDDEN_BY_FOG', 'Fog-of-war games can be watched once the game is over');
+    return;
+  }
   
-  // If target is enemy, process attack
-  if (target && target.player !== piece.player) {
-    // Reduce target health
-    target.health -= piece.attack;
-    
-    // If target health <= 0, remove it
-    if (target.health <= 0) {
-      game.board[toRow][toCol] = piece;
-      game.board[fromRow][fromCol] = null;
-      piece.position = [toRow, toCol];
+  stopSpectating(ws);
+  game.spectators.add(ws);
+  ws.spectatingGameId = game.id;
+  sendGameState(game);
+}
+
+function handleStopSpectating(ws) {
+  if (!ws.spectatingGameId) {
+    sendError(ws, 'NOT_SPECTATING', 'You are not watching a game');
+    return;
+  }
+  
+  stopSpectating(ws);
+  ws.send(JSON.stringify({ type: 'spectatingStopped' }));
+  handleListRooms(ws);
+}
+
+// Take the first free seat in a room by its code, public or private
+function handleJoinRoom(ws, data) {
+  if (ws.roomId) {
+    sendError(ws, 'ALREADY_IN_ROOM', 'Leave your current room first');
+    return;
+  }
+  
+  // Taking a seat ends watching another game
+  stopSpectating(ws);
+  
+  const room = findRoomByCode(data.code.trim().toUpperCase());
+  if (!room) {
+    sendError(ws, 'ROOM_NOT_FOUND', 'No room has that code');
+    return;
+  }
+  if (room.gameId) {
+    sendError(ws, 'ROOM_FULL', 'That room is full');
+    return;
+  }
+  
+  ws.send(JSON.stringify({
+    type: 'roomJoined',
+    room: describeRoom(room),
+    color: freeSeat(room)
+  }));
+  
+  joinRoom(room, ws);
+  broadcastRoomList();
+}
+
+function handleLeaveRoom(ws) {
+  const room = rooms[ws.roomId];
+  if (!room) {
+    sendError(ws, 'NOT_IN_ROOM', 'You are not in a room');
+    return;
+  }
+  
+  if (room.gameId) {
+    // A finished game can be left, and so can one that plays on without the player's seat; the
+    // room closes once every player has left a finished game
+    const game = games[room.gameId];
+    if (game && isRunning(game.state) && !isEliminated(game, ws.color)) {
+      sendError(ws, 'GAME_IN_PROGRESS', 'The game in this room is still being played');
+      return;
     }
-    // Otherwise, piece stays in place
+    leaveFinishedGame(room, game, ws);
+  } else {
+    leaveRoom(room, ws);
   }
-  // If target square is empty, move piece
-  else {
-    game.board[toRow][toCol] = piece;
-    game.board[fromRow][fromCol] = null;
-    piece.position = [toRow, toCol];
+  
+  ws.send(JSON.stringify({ type: 'roomLeft' }));
+  broadcastRoomList();
+}
+
+// Take back a seat in a running game with the session token handed out when it started
+function handleReconnect(ws, data) {
+  if (ws.roomId) {
+    sendError(ws, 'ALREADY_IN_ROOM', 'Leave your current room first');
+    return;
+  }
+  
+  // Taking a seat ends watching another game
+  stopSpectating(ws);
+  
+  const session = findSession(data.token);
+  if (!session) {
+    sendError(ws, 'SESSION_NOT_FOUND', 'That game is no longer available');
+    return;
+  }
+  
+  const { game, color } = session;
+  
+  // The old socket may not have noticed it is dead yet: detach it before closing it
+  const previous = game.players[color];
+  if (previous && previous !== ws) {
+    previous.roomId = null;
+    previous.gameId = null;
+    previous.color = null;
+    previous.terminate();
   }
   
-  // Check win condition
-  checkWinCondition(game);
+  clearTimeout(graceTimers[`${game.id}:${color}`]);
+  delete graceTimers[`${game.id}:${color}`];
   
-  // Update square control
-  updateSquareControlAfterMove(game);
+  game.players[color] = ws;
+  ws.gameId = game.id;
+  ws.roomId = game.roomId;
+  ws.color = color;
+  game.paused = hasEmptySeat(game);
+  if (!game.paused) {
+    setClockRunning(game, true);
+  }
   
-  // Switch turns
-  game.turn = game.turn === 'white' ? 'black' : 'white';
+  sendToOtherPlayers(game, color, {
+    type: 'opponentReconnected',
+    message: `${capitalize(seatName(game, color))} has reconnected.`
+  });
   
-  // Send updated game state
+  sendSession(ws, game);
   sendGameState(game);
+  passStuckTurn(game);
+  playComputerTurn(game);
 }
 
-// Check win condition
-function checkWinCondition(game) {
-  let whitePiecesCount = 0;
-  let blackPiecesCount = 0;
-  
-  // Count pieces for both players
-  for (let row = 0; row < 8; row++) {
-    for (let col = 0; col < 8; col++) {
-      const piece = game.board[row][col];
-      if (piece) {
-        if (piece.player === 'white') {
-          whitePiecesCount++;
-        } else {
-          blackPiecesCount++;
-        }
-      }
+// Move, melee attack or shoot with one of the sender's pieces
+function handleMove(ws, data) {
+  const game = games[ws.gameId];
+  const { from, to, action, promoteTo } = data;
+  const move = { type: 'move', from, to, action, promoteTo };
+  
+  // Ensure the game is still running and it's the player's turn
+  const turnProblem = checkPlayerTurn(game, ws);
+  if (turnProblem) {
+    rejectMove(ws, move, turnProblem.code, turnProblem.reason);
+    return;
+  }
+  
+  // A square hidden by fog of war looks empty to the player, so they can only mean to move there
+  if (!action && game.state.rules.fogOfWar && engine.isOnBoard(game.state, to) &&
+      !engine.visibleSquares(game.state, ws.color)[to[0]][to[1]]) {
+    move.action = 'move';
+  }
+  
+  const promotions = promoteTo ? null : promotionOptions(game, ws.color, move);
+  
+  // If both are legal, let the player choose between shooting and moving in
+  if (!move.action && engine.getMoveActions(game.state, from, to).length > 1) {
+    ws.send(JSON.stringify({
+      type: 'chooseAction',
+      from: from,
+      to: to,
+      options: ['shoot', 'move']
+    }));
+  } else if (promotions) {
+    // Then, if the move may promote the piece, let them pick what it becomes
+    ws.send(JSON.stringify({
+      type: 'choosePromotion',
+      from: from,
+      to: to,
+      action: move.action || 'move',
+      options: promotions
+    }));
+  } else {
+    handlePlayerMove(game, ws, move);
+  }
+}
+
+// The piece types the player's move may promote their piece into, or null. Worked out from what
+// the player can see, so under fog of war the question gives nothing away
+function promotionOptions(game, color, move) {
+  const view = engine.playerView(game.state, color);
+  if (!engine.isOnBoard(view, move.from) || !engine.isOnBoard(view, move.to)) {
+    return null;
+  }
+  const piece = view.board[move.from[0]][move.from[1]];
+  if (!piece || piece.player !== color) {
+    return null;
+  }
+  const action = move.action || engine.getMoveActions(view, move.from, move.to)[0];
+  return engine.promotionChoices(view, move.from, move.to, action);
+}
+
+// Answer which squares the sender's piece on data.from can move to or attack
+function handleLegalMoves(ws, data) {
+  const game = games[ws.gameId];
+  const { from } = data;
+  
+  if (!game) {
+    sendError(ws, 'NOT_IN_GAME', 'You are not in a game');
+    return;
+  }
+  if (!engine.isOnBoard(game.state, from)) {
+    sendError(ws, 'OUT_OF_BOUNDS', 'That square is not on the board');
+    return;
+  }
+  
+  const piece = game.state.board[from[0]][from[1]];
+  if (!piece || piece.player !== ws.color) {
+    sendError(ws, 'NOT_YOUR_PIECE', 'You can only ask about your own pieces');
+    return;
+  }
+  
+  ws.send(JSON.stringify({
+    type: 'legalMoves',
+    from: from,
+    ...engine.visibleTargets(game.state, ws.color, from)
+  }));
+}
+
+// Buy a piece with steam and place it on a controlled square
+function handleDeploy(ws, data) {
+  const game = games[ws.gameId];
+  const { pieceType, to } = data;
+  const move = { type: 'deploy', pieceType, to };
+  
+  // Ensure the game is still running and it's the player's turn
+  const turnProblem = checkPlayerTurn(game, ws);
+  if (turnProblem) {
+    rejectMove(ws, move, turnProblem.code, turnProblem.reason);
+    return;
+  }
+  
+  handlePlayerMove(game, ws, move);
+}
+
+// Spend steam on an upgrade for one of the player's pieces
+function handleUpgrade(ws, data) {
+  const game = games[ws.gameId];
+  const { at, stat } = data;
+  const move = { type: 'upgrade', at, stat };
+  
+  // Ensure the game is still running and it's the player's turn
+  const turnProblem = checkPlayerTurn(game, ws);
+  if (turnProblem) {
+    rejectMove(ws, move, turnProblem.code, turnProblem.reason);
+    return;
+  }
+  
+  handlePlayerMove(game, ws, move);
+}
+
+// End the sender's turn in an action-point game before their action points run out
+function handleEndTurn(ws) {
+  const game = games[ws.gameId];
+  const move = { type: 'endTurn' };
+  
+  // Ensure the game is still running and it's the player's turn
+  const turnProblem = checkPlayerTurn(game, ws);
+  if (turnProblem) {
+    rejectMove(ws, move, turnProblem.code, turnProblem.reason);
+    return;
+  }
+  
+  handlePlayerMove(game, ws, move);
+}
+
+// Place the sender's army in a draft game. Play starts, and the clock with it, once every army is placed
+function handlePlaceArmy(ws, data) {
+  const game = games[ws.gameId];
+  const problem = checkActiveGame(game);
+  if (problem && problem.code !== 'SETUP_NOT_FINISHED') {
+    sendError(ws, problem.code, problem.reason);
+    return;
+  }
+  
+  try {
+    game.state = engine.placeArmy(game.state, ws.color, data.army);
+  } catch (err) {
+    if (!(err instanceof engine.IllegalMoveError)) throw err;
+    sendError(ws, err.code, err.message);
+    return;
+  }
+  
+  setClockRunning(game, true);
+  saveGame(game);
+  sendGameState(game);
+  playComputerTurn(game);
+}
+
+// Give up the game: the sender's seat is out, and the opponent wins a two-player game. Allowed
+// while another player is away or the armies are placed, too
+function handleResign(ws) {
+  const game = games[ws.gameId];
+  const problem = checkActiveGame(game);
+  if (problem && problem.code !== 'GAME_PAUSED' && problem.code !== 'SETUP_NOT_FINISHED') {
+    sendError(ws, problem.code, problem.reason);
+    return;
+  }
+  if (isEliminated(game, ws.color)) {
+    sendError(ws, 'ELIMINATED', 'You are already out of this game');
+    return;
+  }
+  
+  concede(game, ws.color, 'resign');
+}
+
+// Check that a draw or takeback can be asked for: they are only agreed between two players.
+// Returns null if so, otherwise { code, reason }
+function checkTwoPlayers(game) {
+  return Object.keys(game.players).length === 2
+    ? null
+    : { code: 'TWO_PLAYERS_ONLY', reason: 'Draws and takebacks are only agreed in two-player games' };
+}
+
+// Offer the opponent a draw. The computer answers at once, accepting if it stands worse
+function handleOfferDraw(ws) {
+  const game = games[ws.gameId];
+  const problem = checkActiveGame(game) || checkTwoPlayers(game);
+  if (problem) {
+    sendError(ws, problem.code, problem.reason);
+    return;
+  }
+  
+  // Offering a draw to a player who has just offered one agrees to it
+  const opponentColor = opponentOf(game, ws.color);
+  if (game.drawOffer === opponentColor) {
+    endGameByAgreement(game, null, 'agreement');
+    return;
+  }
+  if (game.drawOffer === ws.color) {
+    sendError(ws, 'DRAW_ALREADY_OFFERED', 'Your draw offer is waiting for an answer');
+    return;
+  }
+  
+  if (isComputerSeat(game, opponentColor)) {
+    if (ai.evaluate(game.state, opponentColor) < 0) {
+      endGameByAgreement(game, null, 'agreement');
+    } else {
+      ws.send(JSON.stringify({ type: 'drawDeclined', message: 'The computer declined your draw offer.' }));
     }
+    return;
+  }
+  
+  game.drawOffer = ws.color;
+  sendGameState(game);
+}
+
+// Agree to the draw the opponent offered
+function handleAcceptDraw(ws) {
+  const game = games[ws.gameId];
+  const problem = checkActiveGame(game);
+  if (problem) {
+    sendError(ws, problem.code, problem.reason);
+    return;
+  }
+  if (!game.drawOffer || game.drawOffer === ws.color) {
+    sendError(ws, 'NO_DRAW_OFFER', 'Your opponent has not offered a draw');
+    return;
+  }
+  
+  endGameByAgreement(game, null, 'agreement');
+}
+
+// Turn down the draw the opponent offered, and let them know
+function handleDeclineDraw(ws) {
+  const game = games[ws.gameId];
+  const problem = checkActiveGame(game);
+  if (problem) {
+    sendError(ws, problem.code, problem.reason);
+    return;
+  }
+  if (!game.drawOffer || game.drawOffer === ws.color) {
+    sendError(ws, 'NO_DRAW_OFFER', 'Your opponent has not offered a draw');
+    return;
   }
   
-  // Check win condition
-  if (whitePiecesCount === 0) {
-    game.status = 'black_wins';
-  } else if (blackPiecesCount === 0) {
-    game.status = 'white_wins';
+  const offerer = game.players[game.drawOffer];
+  game.drawOffer = null;
+  if (offerer && offerer.readyState === WebSocket.OPEN) {
+    offerer.send(JSON.stringify({ type: 'drawDeclined', message: 'Your opponent declined your draw offer.' }));
   }
+  sendGameState(game);
+}
+
+// Put the game back to where it was before the requesting player's last action
+function takeBack(game, color) {
+  ({ state: game.state, snapshots: game.snapshots } = takeback.takeBack(game.snapshots, game.state, color));
+  game.takebackRequest = null;
+  game.drawOffer = null;
+  
+  // The clock runs for whoever is to move again; time already used is not given back
+  setClockRunning(game, true);
+  saveGame(game);
+  sendGameState(game);
+}
+
+// Ask the opponent to undo the sender's last action. The computer always agrees
+function handleRequestTakeback(ws) {
+  const game = games[ws.gameId];
+  const problem = checkActiveGame(game) || checkTwoPlayers(game);
+  if (problem) {
+    sendError(ws, problem.code, problem.reason);
+    return;
+  }
+  if (takeback.takebackPlies(game.snapshots, game.state, ws.color) === 0) {
+    sendError(ws, 'NO_TAKEBACK', 'There is no move of yours to take back');
+    return;
+  }
+  if (game.takebackRequest === ws.color) {
+    sendError(ws, 'TAKEBACK_ALREADY_REQUESTED', 'Your takeback request is waiting for an answer');
+    return;
+  }
+  
+  if (isComputerSeat(game, opponentOf(game, ws.color))) {
+    takeBack(game, ws.color);
+    return;
+  }
+  
+  game.takebackRequest = ws.color;
+  sendGameState(game);
 }
 
+// Agree to undo the opponent's last action
+function handleAcceptTakeback(ws) {
+  const game = games[ws.gameId];
+  const problem = checkActiveGame(game);
+  if (problem) {
+    sendError(ws, problem.code, problem.reason);
+    return;
+  }
+  if (!game.takebackRequest || game.takebackRequest === ws.color) {
+    sendError(ws, 'NO_TAKEBACK_REQUEST', 'Your opponent has not asked for a takeback');
+    return;
+  }
+  
+  takeBack(game, game.takebackRequest);
+}
+
+// Refuse the opponent's takeback request, and let them know
+function handleDeclineTakeback(ws) {
+  const game = games[ws.gameId];
+  const problem = checkActiveGame(game);
+  if (problem) {
+    sendError(ws, problem.code, problem.reason);
+    return;
+  }
+  if (!game.takebackRequest || game.takebackRequest === ws.color) {
+    sendError(ws, 'NO_TAKEBACK_REQUEST', 'Your opponent has not asked for a takeback');
+    return;
+  }
+  
+  const requester = game.players[game.takebackRequest];
+  game.takebackRequest = null;
+  if (requester && requester.readyState === WebSocket.OPEN) {
+    requester.send(JSON.stringify({ type: 'takebackDeclined', message: 'Your opponent declined your takeback request.' }));
+  }
+  sendGameState(game);
+}
+
+// Send the game the socket plays or watches as a text record
+function handleExportGame(ws) {
+  const game = games[ws.gameId] || games[ws.spectatingGameId];
+  if (!game) {
+    sendError(ws, 'NOT_IN_GAME', 'You are not in or watching a game');
+    return;
+  }
+  
+  // The record would show players everything fog of war hides from them
+  if (ws.gameId === game.id && game.state.rules.fogOfWar && game.state.status === 'active') {
+    sendError(ws, 'HIDDEN_BY_FOG', 'Records of fog-of-war games can be downloaded once the game is over');
+    return;
+  }
+  
+  const room = rooms[game.roomId];
+  ws.send(JSON.stringify({
+    type: 'gameRecord',
+    record: notation.exportGame(withoutRandomness(game.state), room ? { Event: room.name } : {})
+  }));
+}
+
+// Check a pasted game record and send back the position it reaches, for review
+function handleLoadGame(ws, data) {
+  const state = loadRecord(ws, data.record);
+  if (state) {
+    ws.send(JSON.stringify({ type: 'gameLoaded', data: state }));
+  }
+}
+
+const messageHandlers = {
+  createRoom: handleCreateRoom,
+  listRooms: handleListRooms,
+  joinRoom: handleJoinRoom,
+  leaveRoom: handleLeaveRoom,
+  reconnect: handleReconnect,
+  spectate: handleSpectate,
+  stopSpectating: handleStopSpectating,
+  move: handleMove,
+  legalMoves: handleLegalMoves,
+  deploy: handleDeploy,
+  upgrade: handleUpgrade,
+  endTurn: handleEndTurn,
+  placeArmy: handlePlaceArmy,
+  exportGame: handleExportGame,
+  loadGame: handleLoadGame,
+  resign: handleResign,
+  offerDraw: handleOfferDraw,
+  acceptDraw: handleAcceptDraw,
+  declineDraw: handleDeclineDraw,
+  requestTakeback: handleRequestTakeback,
+  acceptTakeback: handleAcceptTakeback,
+  declineTakeback: handleDeclineTakeback
+};
+
 // WebSocket connection handling
 wss.on('connection', (ws) => {
   console.log('Client connected');
@@ -366,73 +1620,72 @@ wss.on('connection', (ws) => {
     data: piecesData
   }));
   
-  // Handle game matching
-  if (!waitingPlayer) {
-    waitingPlayer = ws;
-    ws.send(JSON.stringify({
-      type: 'waiting',
-      message: 'Waiting for opponent...'
-    }));
-  } else {
-    // Create a new game with waiting player
-    createGame(waitingPlayer, ws);
-    waitingPlayer = null;
-  }
+  // Start the client in the lobby
+  handleListRooms(ws);
   
   // Handle messages from client
   ws.on('message', (message) => {
-    const data = JSON.parse(message);
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch (err) {
+      sendError(ws, 'INVALID_JSON', 'Message is not valid JSON');
+      return;
+    }
     
-    // Handle move request
-    if (data.type === 'move') {
-      const game = games[ws.gameId];
-      
-      // Ensure it's the player's turn
-      if (game && game.turn === ws.color) {
-        const { from, to } = data;
-        const piece = game.board[from[0]][from[1]];
-        
-        // Check if piece belongs to player
-        if (piece && piece.player === ws.color) {
-          // Validate and process move
-          if (isValidMove(game, from, to, piece)) {
-            processMove(game, from, to);
-          }
-        }
-      }
+    const problem = validateMessage(data);
+    if (problem) {
+      sendError(ws, problem.code, problem.reason);
+      return;
     }
+    
+    messageHandlers[data.type](ws, data);
   });
   
   // Handle disconnection
   ws.on('close', () => {
     console.log('Client disconnected');
     
-    // If player was waiting, clear waiting player
-    if (waitingPlayer === ws) {
-      waitingPlayer = null;
+    // Games were already saved; their seats stay reserved for the next server run
+    if (shuttingDown) {
+      return;
     }
     
-    // If player was in a game, notify opponent and end game
-    const gameId = ws.gameId;
-    if (gameId && games[gameId]) {
-      const game = games[gameId];
-      const opponent = ws.color === 'white' ? game.players.black : game.players.white;
-      
-      if (opponent && opponent.readyState === WebSocket.OPEN) {
-        opponent.send(JSON.stringify({
-          type: 'opponentDisconnected',
-          message: 'Your opponent has disconnected.'
-        }));
-      }
-      
-      // Remove game
-      delete games[gameId];
+    // Spectators can leave at any time without affecting the game
+    stopSpectating(ws);
+    
+    const room = rooms[ws.roomId];
+    if (!room) {
+      return;
+    }
+    
+    // If player was still waiting in a room, close or hand over the room
+    if (!room.gameId) {
+      leaveRoom(room, ws);
+      broadcastRoomList();
+      return;
+    }
+    
+    // If the game was already over, or plays on without the player's seat, just give up the seat
+    const game = games[room.gameId];
+    if (game && (!isRunning(game.state) || isEliminated(game, ws.color))) {
+      leaveFinishedGame(room, game, ws);
+      return;
+    }
+    
+    // If player was in a running game, pause it until they come back or run out of time
+    if (game) {
+      handlePlayerDisconnect(game, ws.color);
     }
   });
 });
 
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 // Start server
+restoreGames();
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
-});
\ No newline at end of file
+});
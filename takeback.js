@@ -0,0 +1,62 @@
+// takeback.js
+// Takebacks undo a player's last action, and the opponent's actions since, by going back to the
+// exact state before it. The states before the latest actions are kept as snapshots, oldest
+// first; the functions are pure and return new snapshot lists.
+
+// Snapshots reach back over the last this many turns: a player's own turn and the opponent's
+// reply to it. A turn is one action, or the run of actions of an action-point turn
+const MAX_TAKEBACK_TURNS = 2;
+
+// How many of the last entries of a history the last `turns` turns took
+function turnPlies(history, turns) {
+  let plies = 0;
+  let seen = 0;
+  while (plies < history.length) {
+    const entry = history[history.length - 1 - plies];
+    if (plies === 0 || entry.player !== history[history.length - plies].player) {
+      seen++;
+      if (seen > turns) break;
+    }
+    plies++;
+  }
+  return plies;
+}
+
+// The snapshots after an action took the game from `previous` to `next`
+function recordSnapshot(snapshots, previous, next) {
+  return [...snapshots, previous].slice(-turnPlies(next.history, MAX_TAKEBACK_TURNS));
+}
+
+// How many plies a player's takeback undoes: just their last action if the opponent has not
+// acted since, otherwise the opponent's actions since too. Returns 0 if the snapshots don't
+// reach back that far
+function takebackPlies(snapshots, state, color) {
+  const { history } = state;
+  let plies = 1;
+  while (plies <= history.length && history[history.length - plies].player !== color) {
+    plies++;
+  }
+  return plies <= history.length && snapshots.length >= plies ? plies : 0;
+}
+
+// Go back to before the player's last action. Returns the { state, snapshots } to carry on
+// with, or null if the snapshots don't reach back that far. The random number generator isn't
+// taken back: the player saw how their attack landed and would know it lands so again. The
+// seed then no longer replays the game's rolls, so it is dropped (see engine.js rules.seed)
+function takeBack(snapshots, state, color) {
+  const plies = takebackPlies(snapshots, state, color);
+  if (plies === 0) {
+    return null;
+  }
+  const restored = snapshots[snapshots.length - plies];
+  return {
+    state: restored.rng === state.rng ? restored : { ...restored, rng: state.rng, rules: { ...restored.rules, seed: null } },
+    snapshots: snapshots.slice(0, -plies)
+  };
+}
+
+module.exports = {
+  recordSnapshot,
+  takebackPlies,
+  takeBack
+};
@@ -0,0 +1,187 @@
+// Test file: test/ai.test.js
+
+const engine = require('../engine');
+const { evaluate, chooseMove, chooseArmy } = require('../ai');
+
+// --- Mock piece definitions ---
+const piecesData = {
+  pawn: {
+    name: 'Pawn', cost: 20, health: 50, attack: 15,
+    movement: [{ type: 'straight', direction: 'vertical', range: 1 }],
+    initialPositions: { white: [], black: [] }
+  },
+  king: {
+    name: 'King', cost: null, health: 120, attack: 20,
+    movement: [
+      { type: 'straight', direction: 'horizontal', range: 1 },
+      { type: 'straight', direction: 'vertical', range: 1 },
+      { type: 'hop', horizontal: 1, vertical: 1 }
+    ],
+    initialPositions: { white: [[7, 4]], black: [[0, 4]] }
+  },
+  archer: {
+    name: 'Archer', cost: 50, health: 60, attack: 45,
+    movement: [
+      { type: 'hop', horizontal: 1, vertical: 1 },
+      { type: 'ranged', minRange: 2, maxRange: 3, lineOfSight: true }
+    ],
+    initialPositions: { white: [], black: [] }
+  }
+};
+
+// --- Test Helper Functions ---
+function createTestGame() {
+  const state = engine.createGame({ pieces: piecesData });
+  state.board = Array(8).fill(null).map(() => Array(8).fill(null));
+  return state;
+}
+
+function placePiece(state, type, player, pos) {
+  const piece = { id: `${player}_${type}_${pos.join('_')}`, type, player, position: pos,
+    health: piecesData[type].health, attack: piecesData[type].attack };
+  state.board[pos[0]][pos[1]] = piece;
+  return piece;
+}
+
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`PASS: ${testName}`);
+  } catch (e) {
+    console.error(`FAIL: ${testName}`);
+    console.error(e);
+    process.exitCode = 1;
+  }
+}
+
+// --- Test Cases ---
+
+runTest("Positions score health, control and steam from the given side", () => {
+  const state = createTestGame();
+  placePiece(state, 'king', 'white', [7, 4]);
+  placePiece(state, 'king', 'black', [0, 4]).health = 100;
+  state.squareControl[5][5] = 'white';
+  state.steam.white = 10;
+
+  const forWhite = evaluate(state, 'white');
+  if (forWhite <= 0 || evaluate(state, 'black') !== -forWhite) {
+    throw new Error(`Expected white ahead and a symmetric score, got ${forWhite} / ${evaluate(state, 'black')}`);
+  }
+});
+
+runTest("Finished games score as won or lost", () => {
+  const state = createTestGame();
+  state.status = 'black_wins';
+  if (evaluate(state, 'black') <= 0 || evaluate(state, 'white') >= 0) {
+    throw new Error("Expected the winner to score positive and the loser negative");
+  }
+});
+
+runTest("Every difficulty picks a legal move", () => {
+  const state = engine.createGame({ pieces: piecesData });
+  ['easy', 'medium', 'hard'].forEach(difficulty => {
+    const move = chooseMove(state, { difficulty, timeBudgetMs: 200 });
+    engine.applyMove(state, move); // Throws if the move is illegal
+  });
+});
+
+runTest("The computer takes the enemy king when it can", () => {
+  const state = createTestGame();
+  placePiece(state, 'king', 'white', [7, 4]);
+  placePiece(state, 'archer', 'white', [5, 1]);
+  placePiece(state, 'king', 'black', [2, 1]).health = 30;
+  placePiece(state, 'pawn', 'black', [0, 7]);
+
+  const move = chooseMove(state, { difficulty: 'hard', timeBudgetMs: 1000 });
+  if (engine.applyMove(state, move).state.status !== 'white_wins') {
+    throw new Error(`Expected the winning shot, got ${JSON.stringify(move)}`);
+  }
+});
+
+runTest("The search stays within its time budget", () => {
+  const state = engine.createGame({ pieces: piecesData });
+  state.steam.white = 200;
+  for (let col = 0; col < 8; col++) {
+    state.squareControl[5][col] = 'white';
+    state.squareControl[6][col] = 'white';
+  }
+
+  const started = Date.now();
+  chooseMove(state, { difficulty: 'hard', timeBudgetMs: 150 });
+  const elapsed = Date.now() - started;
+  if (elapsed > 600) {
+    throw new Error(`Expected to stop after about 150ms, took ${elapsed}ms`);
+  }
+});
+
+runTest("The computer plays on boards of other sizes and shapes", () => {
+  const state = engine.createGame({ pieces: piecesData, board: { rows: 6, cols: 12, holes: [[4, 6]] } });
+  const move = chooseMove(state, { difficulty: 'medium', timeBudgetMs: 200 });
+  engine.applyMove(state, move); // Throws if the move is illegal
+});
+
+runTest("The computer drafts an army that fits the budget and starts the game", () => {
+  [{ budget: 120, rows: 2 }, { budget: 0, rows: 1 }].forEach(setup => {
+    let state = engine.createGame({ pieces: piecesData, setup });
+    state = engine.placeArmy(state, 'white', chooseArmy(state, 'white')); // Throws if the army is illegal
+    state = engine.placeArmy(state, 'black', chooseArmy(state, 'black'));
+    if (state.status !== 'active' || state.board[7].every(piece => !piece || piece.type !== 'king')) {
+      throw new Error(`Expected play to start with white's king on the back row for ${JSON.stringify(setup)}`);
+    }
+  });
+});
+
+runTest("The computer plays whole action-point turns", () => {
+  let state = engine.createGame({ pieces: piecesData, actionPoints: { perTurn: 2 } });
+  for (let actions = 0; actions < 3 && state.turn === 'white'; actions++) {
+    state = engine.applyMove(state, chooseMove(state, { difficulty: 'medium', timeBudgetMs: 100 })).state;
+  }
+  if (state.turn !== 'black') {
+    throw new Error("Expected white's turn to be over within its 2 points");
+  }
+});
+
+runTest("The computer plays for its team in four-player games", () => {
+  const seats = [
+    { color: 'white', side: 'bottom', team: 'gold' },
+    { color: 'red', side: 'left', team: 'silver' },
+    { color: 'black', side: 'top', team: 'gold' },
+    { color: 'blue', side: 'right', team: 'silver' }
+  ];
+  let state = engine.createGame({ pieces: piecesData, seats });
+  if (evaluate(state, 'white') !== evaluate(state, 'black') || evaluate(state, 'white') !== -evaluate(state, 'red')) {
+    throw new Error("Expected allies to share a score and opponents to get its opposite");
+  }
+  for (let turns = 0; turns < 4; turns++) {
+    state = engine.applyMove(state, chooseMove(state, { difficulty: 'easy', timeBudgetMs: 100 })).state; // Throws if the move is illegal
+  }
+  if (state.turn !== 'white') {
+    throw new Error(`Expected every seat to have moved once, got ${state.turn} to move`);
+  }
+});
+
+runTest("The computer drafts armies for side seats", () => {
+  const seats = [
+    { color: 'white', side: 'bottom' },
+    { color: 'red', side: 'left' },
+    { color: 'black', side: 'top' }
+  ];
+  let state = engine.createGame({ pieces: piecesData, seats, setup: { budget: 100, rows: 2 } });
+  ['white', 'red', 'black'].forEach(color => {
+    state = engine.placeArmy(state, color, chooseArmy(state, color)); // Throws if the army is illegal
+  });
+  if (state.status !== 'active' || !state.board.some(row => row[0] && row[0].type === 'king' && row[0].player === 'red')) {
+    throw new Error("Expected play to start with red's king on the left edge");
+  }
+});
+
+runTest("There is no move to choose once the game is over", () => {
+  const state = engine.createGame({ pieces: piecesData });
+  state.status = 'white_wins';
+  if (chooseMove(state, { difficulty: 'easy' }) !== null) {
+    throw new Error("Expected null");
+  }
+});
+
+console.log("\n--- AI Tests Complete ---");
+// To run these tests: node test/ai.test.js
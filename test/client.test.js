@@ -75,10 +75,8 @@ function handleGameStateMessage(newGameState, newPlayerColor) {
   
   if (steamDisplayElement && playerColor && gameState) {
     let currentSteam = 0;
-    if (playerColor === 'white' && gameState.whiteSteam !== undefined && gameState.whiteSteam !== null) {
-      currentSteam = gameState.whiteSteam;
-    } else if (playerColor === 'black' && gameState.blackSteam !== undefined && gameState.blackSteam !== null) {
-      currentSteam = gameState.blackSteam;
+    if (gameState.steam && typeof gameState.steam[playerColor] === 'number') {
+      currentSteam = gameState.steam[playerColor];
     }
     steamDisplayElement.textContent = `Steam: ${currentSteam}`;
   } else if (steamDisplayElement) { 
@@ -111,6 +109,7 @@ function runTest(testName, testFunction) {
     console.log(`PASS: ${testName}`);
   } catch (e) {
     console.error(`FAIL: ${testName} :: ${e.message}`);
+    process.exitCode = 1;
     // console.error(e.stack || e); // Optional: full stack
   }
 }
@@ -118,7 +117,7 @@ function runTest(testName, testFunction) {
 // --- Test Cases ---
 
 runTest("Steam display shows white player's steam correctly", () => {
-  const gs = { turn: 'white', whiteSteam: 123, blackSteam: 50 };
+  const gs = { turn: 'white', steam: { white: 123, black: 50 } };
   setupTest(gs, 'white');
   if (mockSteamDisplayElement.textContent !== "Steam: 123") {
     throw new Error(`Expected "Steam: 123", got "${mockSteamDisplayElement.textContent}"`);
@@ -126,7 +125,7 @@ runTest("Steam display shows white player's steam correctly", () => {
 });
 
 runTest("Steam display shows black player's steam correctly", () => {
-  const gs = { turn: 'black', whiteSteam: 50, blackSteam: 789 };
+  const gs = { turn: 'black', steam: { white: 50, black: 789 } };
   setupTest(gs, 'black');
   if (mockSteamDisplayElement.textContent !== "Steam: 789") {
     throw new Error(`Expected "Steam: 789", got "${mockSteamDisplayElement.textContent}"`);
@@ -134,7 +133,7 @@ runTest("Steam display shows black player's steam correctly", () => {
 });
 
 runTest("Steam display shows local player's steam (White) even if not their turn", () => {
-  const gs = { turn: 'black', whiteSteam: 101, blackSteam: 200 }; // White player, Black's turn
+  const gs = { turn: 'black', steam: { white: 101, black: 200 } }; // White player, Black's turn
   setupTest(gs, 'white');
   if (mockSteamDisplayElement.textContent !== "Steam: 101") {
     throw new Error(`Expected "Steam: 101" for white player, got "${mockSteamDisplayElement.textContent}"`);
@@ -142,42 +141,42 @@ runTest("Steam display shows local player's steam (White) even if not their turn
 });
 
 runTest("Steam display shows local player's steam (Black) even if not their turn", () => {
-  const gs = { turn: 'white', whiteSteam: 100, blackSteam: 202 }; // Black player, White's turn
+  const gs = { turn: 'white', steam: { white: 100, black: 202 } }; // Black player, White's turn
   setupTest(gs, 'black');
   if (mockSteamDisplayElement.textContent !== "Steam: 202") {
     throw new Error(`Expected "Steam: 202" for black player, got "${mockSteamDisplayElement.textContent}"`);
   }
 });
 
-runTest("Steam display shows 'Steam: 0' if whiteSteam is undefined", () => {
-  const gs = { turn: 'white', blackSteam: 50 }; // whiteSteam is undefined
+runTest("Steam display shows 'Steam: 0' if white has no steam entry", () => {
+  const gs = { turn: 'white', steam: { black: 50 } }; // white has no steam entry
   setupTest(gs, 'white');
   if (mockSteamDisplayElement.textContent !== "Steam: 0") {
-    throw new Error(`Expected "Steam: 0" for undefined whiteSteam, got "${mockSteamDisplayElement.textContent}"`);
+    throw new Error(`Expected "Steam: 0" for white without an entry, got "${mockSteamDisplayElement.textContent}"`);
   }
 });
 
-runTest("Steam display shows 'Steam: 0' if blackSteam is undefined", () => {
-  const gs = { turn: 'black', whiteSteam: 50 }; // blackSteam is undefined
+runTest("Steam display shows 'Steam: 0' if black has no steam entry", () => {
+  const gs = { turn: 'black', steam: { white: 50 } }; // black has no steam entry
   setupTest(gs, 'black');
   if (mockSteamDisplayElement.textContent !== "Steam: 0") {
-    throw new Error(`Expected "Steam: 0" for undefined blackSteam, got "${mockSteamDisplayElement.textContent}"`);
+    throw new Error(`Expected "Steam: 0" for black without an entry, got "${mockSteamDisplayElement.textContent}"`);
   }
 });
 
-runTest("Steam display shows 'Steam: 0' if whiteSteam is null", () => {
-  const gs = { turn: 'white', whiteSteam: null, blackSteam: 50 };
+runTest("Steam display shows 'Steam: 0' if white's steam is null", () => {
+  const gs = { turn: 'white', steam: { white: null, black: 50 } };
   setupTest(gs, 'white');
   if (mockSteamDisplayElement.textContent !== "Steam: 0") {
-    throw new Error(`Expected "Steam: 0" for null whiteSteam, got "${mockSteamDisplayElement.textContent}"`);
+    throw new Error(`Expected "Steam: 0" for null white steam, got "${mockSteamDisplayElement.textContent}"`);
   }
 });
 
-runTest("Steam display shows 'Steam: 0' if blackSteam is null", () => {
-  const gs = { turn: 'black', whiteSteam: 50, blackSteam: null };
+runTest("Steam display shows 'Steam: 0' if black's steam is null", () => {
+  const gs = { turn: 'black', steam: { white: 50, black: null } };
   setupTest(gs, 'black');
   if (mockSteamDisplayElement.textContent !== "Steam: 0") {
-    throw new Error(`Expected "Steam: 0" for null blackSteam, got "${mockSteamDisplayElement.textContent}"`);
+    throw new Error(`Expected "Steam: 0" for null black steam, got "${mockSteamDisplayElement.textContent}"`);
   }
 });
 
@@ -189,7 +188,7 @@ runTest("Steam display shows 'Steam: -' if gameState is initially null", () => {
 });
 
 runTest("Steam display shows 'Steam: -' if playerColor is null, even with valid gameState", () => {
-  const gs = { turn: 'white', whiteSteam: 100, blackSteam: 200 };
+  const gs = { turn: 'white', steam: { white: 100, black: 200 } };
   setupTest(gs, null); // playerColor is null
   if (mockSteamDisplayElement.textContent !== "Steam: -") {
     throw new Error(`Expected "Steam: -" for null playerColor, got "${mockSteamDisplayElement.textContent}"`);
@@ -198,7 +197,7 @@ runTest("Steam display shows 'Steam: -' if playerColor is null, even with valid
 
 runTest("Steam display updates correctly on multiple gameState messages", () => {
   // Initial state: White player, 10 steam
-  const gs1 = { turn: 'white', whiteSteam: 10, blackSteam: 5 };
+  const gs1 = { turn: 'white', steam: { white: 10, black: 5 } };
   setupTest(gs1, 'white'); // This already calls handleGameStateMessage with gs1
   if (mockSteamDisplayElement.textContent !== "Steam: 10") {
     throw new Error(`Initial: Expected "Steam: 10", got "${mockSteamDisplayElement.textContent}"`);
@@ -207,30 +206,30 @@ runTest("Steam display updates correctly on multiple gameState messages", () =>
   // Second message: White player, steam increases to 15
   // Note: playerColor ('white') is maintained as it's the local player's color.
   // gameState.turn might change, but playerColor for the client instance does not.
-  const gs2 = { turn: 'black', whiteSteam: 15, blackSteam: 5 }; 
+  const gs2 = { turn: 'black', steam: { white: 15, black: 5 } }; 
   handleGameStateMessage(gs2, 'white'); // Simulate receiving a new game state
   if (mockSteamDisplayElement.textContent !== "Steam: 15") {
     throw new Error(`Update 1: Expected "Steam: 15", got "${mockSteamDisplayElement.textContent}"`);
   }
 
   // Third message: White player, steam decreases to 12
-  const gs3 = { turn: 'white', whiteSteam: 12, blackSteam: 8 };
+  const gs3 = { turn: 'white', steam: { white: 12, black: 8 } };
   handleGameStateMessage(gs3, 'white'); // Simulate another new game state
   if (mockSteamDisplayElement.textContent !== "Steam: 12") {
     throw new Error(`Update 2: Expected "Steam: 12", got "${mockSteamDisplayElement.textContent}"`);
   }
 });
 
-runTest("Steam display shows 'Steam: 0' for white player when whiteSteam is 0", () => {
-  const gs = { turn: 'white', whiteSteam: 0, blackSteam: 50 };
+runTest("Steam display shows 'Steam: 0' for white player when white's steam is 0", () => {
+  const gs = { turn: 'white', steam: { white: 0, black: 50 } };
   setupTest(gs, 'white');
   if (mockSteamDisplayElement.textContent !== "Steam: 0") {
     throw new Error(`Expected "Steam: 0", got "${mockSteamDisplayElement.textContent}"`);
   }
 });
 
-runTest("Steam display shows 'Steam: 0' for black player when blackSteam is 0", () => {
-  const gs = { turn: 'black', whiteSteam: 50, blackSteam: 0 };
+runTest("Steam display shows 'Steam: 0' for black player when black's steam is 0", () => {
+  const gs = { turn: 'black', steam: { white: 50, black: 0 } };
   setupTest(gs, 'black');
   if (mockSteamDisplayElement.textContent !== "Steam: 0") {
     throw new Error(`Expected "Steam: 0", got "${mockSteamDisplayElement.textContent}"`);
@@ -238,6 +237,337 @@ runTest("Steam display shows 'Steam: 0' for black player when blackSteam is 0",
 });
 
 
+// --- Shop panel item list (copied from client.js) ---
+function getShopItems(piecesData, steam) {
+  return Object.keys(piecesData)
+    .filter(pieceType => typeof piecesData[pieceType].cost === 'number')
+    .map(pieceType => ({
+      type: pieceType,
+      name: piecesData[pieceType].name,
+      cost: piecesData[pieceType].cost,
+      affordable: steam >= piecesData[pieceType].cost
+    }))
+    .sort((a, b) => a.cost - b.cost);
+}
+
+const shopPiecesData = {
+  rook: { name: 'Rook', cost: 60 },
+  pawn: { name: 'Pawn', cost: 20 },
+  king: { name: 'King', cost: null }
+};
+
+runTest("Shop lists purchasable pieces sorted by cost and skips pieces without a cost", () => {
+  const items = getShopItems(shopPiecesData, 0);
+  const types = items.map(item => item.type).join(',');
+  if (types !== 'pawn,rook') {
+    throw new Error(`Expected "pawn,rook", got "${types}"`);
+  }
+});
+
+runTest("Shop marks only the pieces the player can afford", () => {
+  const items = getShopItems(shopPiecesData, 20);
+  if (!items[0].affordable || items[1].affordable) {
+    throw new Error(`Expected pawn affordable and rook not with 20 steam, got ${JSON.stringify(items)}`);
+  }
+});
+
+// --- Upgrade buttons (copied from client.js) ---
+const UPGRADE_LABELS = { attack: 'Attack', health: 'Health', range: 'Range' };
+
+function getUpgradeItems(upgrades, piece) {
+  return Object.keys(UPGRADE_LABELS)
+    .filter(stat => upgrades && upgrades[stat])
+    .map(stat => ({
+      stat,
+      label: UPGRADE_LABELS[stat],
+      amount: upgrades[stat].amount,
+      cost: upgrades[stat].cost,
+      level: (piece.upgrades && piece.upgrades[stat]) || 0,
+      maxLevel: upgrades[stat].maxLevel
+    }));
+}
+
+runTest("Upgrade buttons list the game's upgrades with the piece's level in each", () => {
+  const upgrades = { attack: { cost: 40, amount: 10, maxLevel: 3 }, health: null, range: { cost: 60, amount: 1, maxLevel: 2 } };
+  const items = getUpgradeItems(upgrades, { type: 'rook', upgrades: { attack: 2, health: 0, range: 0 } });
+  if (items.map(item => `${item.stat}:${item.level}/${item.maxLevel}`).join(',') !== 'attack:2/3,range:0/2') {
+    throw new Error(`Unexpected upgrade items ${JSON.stringify(items)}`);
+  }
+  if (getUpgradeItems(upgrades, { type: 'rook' })[0].level !== 0) {
+    throw new Error("Expected pieces without upgrades to be on level 0");
+  }
+});
+
+// --- Draft roster (copied from client.js) ---
+function getArmyCost(piecesData, army) {
+  return army.reduce((total, placed) => total + (piecesData[placed.pieceType].cost || 0), 0);
+}
+
+function getRosterItems(piecesData, color, army, budget) {
+  const spent = getArmyCost(piecesData, army);
+  return Object.keys(piecesData)
+    .map(pieceType => {
+      const { name, cost, initialPositions } = piecesData[pieceType];
+      const required = typeof cost === 'number' ? null : initialPositions[color].length;
+      const placed = army.filter(piece => piece.pieceType === pieceType).length;
+      return {
+        type: pieceType,
+        name,
+        cost: required === null ? cost : 0,
+        required,
+        placed,
+        available: required === null ? spent + cost <= budget : placed < required
+      };
+    })
+    .filter(item => item.required !== 0)
+    .sort((a, b) => a.cost - b.cost);
+}
+
+const rosterPiecesData = {
+  rook: { name: 'Rook', cost: 60, initialPositions: { white: [], black: [] } },
+  pawn: { name: 'Pawn', cost: 20, initialPositions: { white: [], black: [] } },
+  king: { name: 'King', cost: null, initialPositions: { white: [[7, 4]], black: [[0, 4]] } },
+  queen: { name: 'Queen', cost: null, initialPositions: { white: [], black: [] } }
+};
+
+runTest("Roster lists the free required pieces first and what the budget still allows", () => {
+  const army = [{ pieceType: 'king', to: [7, 4] }, { pieceType: 'pawn', to: [6, 0] }, { pieceType: 'pawn', to: [6, 1] }];
+  const items = getRosterItems(rosterPiecesData, 'white', army, 90);
+  const summary = items.map(item => `${item.type}:${item.placed}:${item.available}`).join(',');
+  if (summary !== 'king:1:false,pawn:2:true,rook:0:false') {
+    throw new Error(`Unexpected roster ${summary}`);
+  }
+  if (getArmyCost(rosterPiecesData, army) !== 40) {
+    throw new Error("Expected the king to be free and the pawns to cost 40");
+  }
+});
+
+// --- Game over status text (copied from client.js) ---
+const END_REASON_TEXT = {
+  elimination: 'eliminating every enemy piece',
+  king: 'killing the enemy king',
+  territory: 'holding the territory',
+  steam: 'winning the steam race',
+  forfeit: 'forfeit',
+  timeout: 'on time',
+  resign: 'resignation'
+};
+const DRAW_REASON_TEXT = {
+  agreement: 'by agreement',
+  noProgress: 'after too many turns without damage',
+  repetition: 'by repeating the same position',
+  insufficientMaterial: 'as neither side can damage the other',
+  noMoves: 'as nobody can move any more'
+};
+
+// Describe how the game ended, e.g. "Game over - white wins by killing the enemy king!"
+// or "Game over - drawn by agreement"
+function getGameOverText(gameState) {
+  if (gameState.status === 'draw') {
+    const reason = DRAW_REASON_TEXT[gameState.endReason];
+    return `Game over - drawn${reason ? ` ${reason}` : ''}`;
+  }
+  // The status names the winning team; a team of several seats win together
+  const winner = gameState.status.split('_')[0];
+  const reason = END_REASON_TEXT[gameState.endReason];
+  const team = (gameState.rules.seats || []).filter(seat => seat.team === winner).map(seat => seat.color);
+  const winners = team.length > 1 ? `${team.join(' and ')} win` : `${team[0] || winner} wins`;
+  return `Game over - ${winners}${reason ? ` by ${reason}` : ''}!`;
+}
+
+runTest("Game over text names the winner and the deciding condition", () => {
+  const text = getGameOverText({ rules: { seats: null }, status: 'black_wins', endReason: 'king' });
+  if (text !== "Game over - black wins by killing the enemy king!") {
+    throw new Error(`Unexpected text "${text}"`);
+  }
+});
+
+runTest("Game over text falls back to just the winner for unknown reasons", () => {
+  const text = getGameOverText({ rules: { seats: null }, status: 'white_wins' });
+  if (text !== "Game over - white wins!") {
+    throw new Error(`Unexpected text "${text}"`);
+  }
+});
+
+runTest("Game over text explains why a game was drawn", () => {
+  const text = getGameOverText({ rules: { seats: null }, status: 'draw', endReason: 'repetition' });
+  if (text !== "Game over - drawn by repeating the same position") {
+    throw new Error(`Unexpected text "${text}"`);
+  }
+});
+
+runTest("Game over text names a resignation", () => {
+  const text = getGameOverText({ rules: { seats: null }, status: 'white_wins', endReason: 'resign' });
+  if (text !== "Game over - white wins by resignation!") {
+    throw new Error(`Unexpected text "${text}"`);
+  }
+});
+
+runTest("Game over text names every seat of the winning team", () => {
+  const seats = [
+    { color: 'white', side: 'bottom', team: 'gold' },
+    { color: 'red', side: 'left', team: 'silver' },
+    { color: 'black', side: 'top', team: 'gold' },
+    { color: 'blue', side: 'right', team: 'silver' }
+  ];
+  const text = getGameOverText({ rules: { seats }, status: 'silver_wins', endReason: 'king' });
+  if (text !== "Game over - red and blue win by killing the enemy king!") {
+    throw new Error(`Unexpected text "${text}"`);
+  }
+  const alone = getGameOverText({ rules: { seats: seats.map(seat => ({ ...seat, team: seat.color })) }, status: 'red_wins', endReason: 'elimination' });
+  if (alone !== "Game over - red wins by eliminating every enemy piece!") {
+    throw new Error(`Unexpected text "${alone}"`);
+  }
+});
+
+// --- Move list text (copied from client.js) ---
+function formatSquare([row, col], rows) {
+  return `${String.fromCharCode(97 + col)}${rows - row}`;
+}
+
+function formatHistoryEntry(entry, piecesData, rows) {
+  if (entry.hidden) {
+    return `${entry.player} moves unseen`;
+  }
+  const pieceName = piecesData && piecesData[entry.pieceType] ? piecesData[entry.pieceType].name : entry.pieceType;
+  let text;
+  if (entry.type === 'concede') {
+    // The game went on without them
+    return `${entry.player} is out (${END_REASON_TEXT[entry.reason] || entry.reason})`;
+  } else if (entry.type === 'endTurn') {
+    text = `${entry.player} ends the turn`;
+  } else if (entry.type === 'deploy') {
+    text = `${entry.player} deploys ${pieceName} on ${formatSquare(entry.to, rows)}`;
+  } else if (entry.type === 'upgrade') {
+    text = `${entry.player} upgrades ${pieceName} on ${formatSquare(entry.at, rows)} (${entry.stat})`;
+  } else if (entry.action === 'shoot' || entry.damage > 0 || entry.roll === 'miss') {
+    const verb = entry.action === 'shoot' ? 'shoots' : 'attacks';
+    const outcome = entry.roll === 'miss' ? 'miss' : `-${entry.damage}${entry.roll === 'critical' ? ', critical' : ''}${entry.killed ? ', kill' : ''}`;
+    text = `${entry.player} ${pieceName} ${formatSquare(entry.from, rows)} ${verb} ${formatSquare(entry.to, rows)} (${outcome})`;
+    if (entry.effects && entry.effects.length > 0) {
+      text += `, ${entry.effects.join(', ')}`;
+    }
+    if (entry.counterDamage > 0) {
+      text += `, countered (-${entry.counterDamage}${entry.attackerKilled ? ', kill' : ''})`;
+    }
+  } else if (entry.action === 'support') {
+    const given = [...(entry.healed > 0 ? [`+${entry.healed}`] : []), ...entry.effects];
+    text = `${entry.player} ${pieceName} ${formatSquare(entry.from, rows)} supports ${formatSquare(entry.to, rows)}`;
+    if (given.length > 0) {
+      text += ` (${given.join(', ')})`;
+    }
+  } else {
+    text = `${entry.player} ${pieceName} ${formatSquare(entry.from, rows)}-${formatSquare(entry.to, rows)}`;
+  }
+  if (entry.promoted) {
+    text += `, promotes to ${piecesData && piecesData[entry.promoteTo] ? piecesData[entry.promoteTo].name : entry.promoteTo}`;
+  }
+  return entry.steamGained > 0 ? `${text}, +${entry.steamGained} steam` : text;
+}
+
+runTest("Squares are named by file and rank from white's side", () => {
+  if (formatSquare([7, 0], 8) !== 'a1' || formatSquare([0, 7], 8) !== 'h8' || formatSquare([6, 4], 8) !== 'e2') {
+    throw new Error(`Unexpected square names ${formatSquare([7, 0], 8)}, ${formatSquare([0, 7], 8)}, ${formatSquare([6, 4], 8)}`);
+  }
+  if (formatSquare([0, 11], 10) !== 'l10' || formatSquare([5, 0], 6) !== 'a1') {
+    throw new Error("Expected ranks and files to follow the board size");
+  }
+});
+
+runTest("Move list describes moves, attacks and their outcomes, supports, shots, promotions, deploys, upgrades, ended turns, moves hidden by fog and seats that are out", () => {
+  const cases = [
+    [{ player: 'white', type: 'move', pieceType: 'king', from: [7, 4], to: [6, 4], action: 'move', damage: 0, killed: false, steamGained: 3 },
+      'white King e1-e2, +3 steam'],
+    [{ player: 'black', type: 'move', pieceType: 'rook', from: [0, 0], to: [0, 3], action: 'move', damage: 60, killed: false, steamGained: 0 },
+      'black Rook a8 attacks d8 (-60)'],
+    [{ player: 'white', type: 'move', pieceType: 'archer', from: [6, 3], to: [3, 3], action: 'shoot', damage: 45, killed: true, steamGained: 0 },
+      'white archer d2 shoots d5 (-45, kill)'],
+    [{ player: 'white', type: 'move', pieceType: 'archer', from: [6, 3], to: [3, 3], action: 'shoot', damage: 90, killed: false, roll: 'critical', steamGained: 0 },
+      'white archer d2 shoots d5 (-90, critical)'],
+    [{ player: 'black', type: 'move', pieceType: 'rook', from: [0, 0], to: [0, 3], action: 'move', damage: 0, killed: false, roll: 'miss',
+      counterDamage: 12, attackerKilled: true, steamGained: 0 },
+      'black Rook a8 attacks d8 (miss), countered (-12, kill)'],
+    [{ player: 'white', type: 'move', pieceType: 'archer', from: [6, 3], to: [3, 3], action: 'shoot', damage: 45, killed: false, effects: ['poison'], steamGained: 0 },
+      'white archer d2 shoots d5 (-45), poison'],
+    [{ player: 'white', type: 'move', pieceType: 'king', from: [7, 4], to: [6, 4], action: 'support', damage: 0, killed: false, healed: 15,
+      effects: ['regeneration', 'shield'], steamGained: 2 },
+      'white King e1 supports e2 (+15, regeneration, shield), +2 steam'],
+    [{ player: 'black', type: 'deploy', pieceType: 'pawn', to: [1, 1], cost: 20, damage: 0, killed: false, steamGained: 0 },
+      'black deploys Pawn on b7'],
+    [{ player: 'white', type: 'move', pieceType: 'pawn', from: [1, 0], to: [0, 0], action: 'move', damage: 0, killed: false, promoteTo: 'rook', promoted: true, steamGained: 0 },
+      'white Pawn a7-a8, promotes to Rook'],
+    [{ player: 'black', type: 'move', pieceType: 'pawn', from: [6, 0], to: [7, 0], action: 'move', damage: 10, killed: false, promoteTo: 'rook', promoted: false, steamGained: 0 },
+      'black Pawn a2 attacks a1 (-10)'],
+    [{ player: 'white', type: 'upgrade', pieceType: 'rook', at: [7, 0], stat: 'attack', cost: 40, damage: 0, killed: false, steamGained: 0 },
+      'white upgrades Rook on a1 (attack)'],
+    [{ player: 'black', type: 'endTurn', pieceType: null, damage: 0, killed: false, actionCost: 0, steamGained: 4 },
+      'black ends the turn, +4 steam'],
+    [{ ply: 5, player: 'black', hidden: true }, 'black moves unseen'],
+    [{ ply: 6, player: 'red', type: 'concede', reason: 'resign' }, 'red is out (resignation)']
+  ];
+  cases.forEach(([entry, expected]) => {
+    const text = formatHistoryEntry(entry, shopPiecesData, 8);
+    if (text !== expected) {
+      throw new Error(`Expected "${expected}", got "${text}"`);
+    }
+  });
+});
+
+// --- Action point counter (copied from client.js) ---
+function getActionPointsText(state) {
+  if (!state.rules.actionPoints) {
+    return '';
+  }
+  return `Action points (${state.turn}): ${state.actionPoints}/${state.rules.actionPoints.perTurn}`;
+}
+
+runTest("Action point counter shows the points left of the player to move, only in action-point games", () => {
+  const text = getActionPointsText({ rules: { actionPoints: { perTurn: 3 } }, turn: 'black', actionPoints: 1 });
+  if (text !== 'Action points (black): 1/3') {
+    throw new Error(`Unexpected counter "${text}"`);
+  }
+  if (getActionPointsText({ rules: { actionPoints: null }, turn: 'white', actionPoints: null }) !== '') {
+    throw new Error("Expected no counter in a game without action points");
+  }
+});
+
+// --- Clock text (copied from client.js) ---
+const LOW_TIME_MS = 10000;
+
+function formatClock(ms) {
+  if (ms < LOW_TIME_MS) {
+    return `0:0${(Math.floor(ms / 100) / 10).toFixed(1)}`;
+  }
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
+}
+
+runTest("Clocks show minutes and seconds, and tenths when time is low", () => {
+  const cases = [[300000, '5:00'], [61500, '1:02'], [10000, '0:10'], [9540, '0:09.5'], [0, '0:00.0']];
+  cases.forEach(([ms, expected]) => {
+    if (formatClock(ms) !== expected) {
+      throw new Error(`Expected ${expected} for ${ms}ms, got ${formatClock(ms)}`);
+    }
+  });
+});
+
+// --- Reconnecting (copied from client.js) ---
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+function reconnectDelay(attempts) {
+  return Math.min(RECONNECT_BASE_MS * 2 ** attempts, RECONNECT_MAX_MS);
+}
+
+runTest("Reconnect attempts back off, doubling up to a limit", () => {
+  const delays = [0, 1, 2, 3, 4, 5, 20].map(reconnectDelay);
+  if (delays.join(' ') !== '1000 2000 4000 8000 16000 30000 30000') {
+    throw new Error(`Unexpected delays: ${delays.join(' ')}`);
+  }
+});
+
 console.log("\n--- Client Steam Display (HTML Element) Logic Tests Complete ---");
 // To run these tests: node test/client.test.js
 // These tests verify the logic that updates the #steamDisplay HTML element's textContent.
@@ -0,0 +1,89 @@
+// Test file: test/clock.test.js
+
+const clock = require('../clock');
+
+const BLITZ = { type: 'increment', baseSeconds: 300, incrementSeconds: 3 };
+const PER_MOVE = { type: 'perMove', moveSeconds: 30 };
+
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`PASS: ${testName}`);
+  } catch (e) {
+    console.error(`FAIL: ${testName}`);
+    console.error(e);
+    process.exitCode = 1;
+  }
+}
+
+// --- Test Cases ---
+
+runTest("Only the running player's time counts down", () => {
+  const running = clock.startClock(clock.createClock(BLITZ), 'white', 1000);
+  if (clock.remainingMs(running, 'white', 11000) !== 290000 || clock.remainingMs(running, 'black', 11000) !== 300000) {
+    throw new Error("Expected white to have used 10 seconds and black none");
+  }
+});
+
+runTest("Switching charges the mover, adds the increment and starts the opponent", () => {
+  const running = clock.startClock(clock.createClock(BLITZ), 'white', 0);
+  const switched = clock.switchClock(running, 20000);
+  if (switched.running !== 'black' || switched.remainingMs.white !== 283000) {
+    throw new Error(`Expected black running and white on 283000ms, got ${switched.running} / ${switched.remainingMs.white}`);
+  }
+  if (running.running !== 'white') {
+    throw new Error("Original clock was modified");
+  }
+});
+
+runTest("Per-move clocks give every move the full time again", () => {
+  let current = clock.startClock(clock.createClock(PER_MOVE), 'white', 0);
+  current = clock.switchClock(current, 25000);
+  if (current.remainingMs.white !== 30000 || clock.remainingMs(current, 'black', 35000) !== 20000) {
+    throw new Error("Expected white reset to 30s and black down to 20s");
+  }
+});
+
+runTest("Stopped clocks keep the time used and don't count while stopped", () => {
+  const stopped = clock.stopClock(clock.startClock(clock.createClock(BLITZ), 'black', 0), 4000);
+  if (stopped.running !== null || clock.remainingMs(stopped, 'black', 999999) !== 296000) {
+    throw new Error("Expected black stopped on 296000ms");
+  }
+  const restarted = clock.startClock(stopped, 'black', 1000000);
+  if (clock.remainingMs(restarted, 'black', 1001000) !== 295000) {
+    throw new Error("Expected the clock to resume where it stopped");
+  }
+});
+
+runTest("The flag falls when the running player runs out of time", () => {
+  const running = clock.startClock(clock.createClock(PER_MOVE), 'white', 0);
+  if (clock.hasFlagFallen(running, 29999) || !clock.hasFlagFallen(running, 30000)) {
+    throw new Error("Expected the flag to fall at exactly 30 seconds");
+  }
+  if (clock.remainingMs(running, 'white', 40000) !== 0) {
+    throw new Error("Remaining time should not go below zero");
+  }
+});
+
+runTest("Clock descriptions give both players' time at the moment asked", () => {
+  const description = clock.describeClock(clock.startClock(clock.createClock(BLITZ), 'white', 0), 1500);
+  if (description.white !== 298500 || description.black !== 300000 || description.running !== 'white' ||
+      description.timeControl.type !== 'increment') {
+    throw new Error(`Unexpected description ${JSON.stringify(description)}`);
+  }
+});
+
+runTest("Clocks of more seats pass in order, or to the seat asked for", () => {
+  let current = clock.startClock(clock.createClock(PER_MOVE, ['white', 'red', 'black']), 'white', 0);
+  current = clock.switchClock(current, 1000);
+  if (current.running !== 'red' || clock.describeClock(current, 1000).red !== 30000) {
+    throw new Error(`Expected red's clock to run next, got ${current.running}`);
+  }
+  current = clock.switchClock(current, 2000, 'white');
+  if (current.running !== 'white' || current.remainingMs.black !== 30000) {
+    throw new Error("Expected the turn to pass over black to white");
+  }
+});
+
+console.log("\n--- Clock Tests Complete ---");
+// To run these tests: node test/clock.test.js
@@ -0,0 +1,66 @@
+// Test file: test/computerSearch.test.js
+
+const path = require('path');
+const engine = require('../engine');
+const { searchMove } = require('../computerSearch');
+const piecesData = require('../pieces.json');
+
+const BROKEN_WORKER = path.join(__dirname, 'no-such-worker.js');
+
+// The searches answer asynchronously, so tests run one after another
+const tests = [];
+function runTest(testName, testFunction) {
+  tests.push({ testName, testFunction });
+}
+
+// The move searchMove answers with, or an error after a few seconds
+function search(state, workerFile) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Expected an answer')), 5000);
+    searchMove(state, { difficulty: 'easy', timeBudgetMs: 50 }, move => {
+      clearTimeout(timer);
+      resolve(move);
+    }, workerFile);
+  });
+}
+
+// --- Test Cases ---
+
+runTest("The worker's search finds a legal move", async () => {
+  const state = engine.createGame({ pieces: piecesData });
+  const move = await search(state);
+  const { state: next } = engine.applyMove(state, move);
+  if (next.history.length !== 1) {
+    throw new Error(`Expected a legal move, got ${JSON.stringify(move)}`);
+  }
+});
+
+runTest("A computer whose worker keeps failing still moves", async () => {
+  const state = engine.createGame({ pieces: piecesData });
+  const errors = [];
+  const consoleError = console.error;
+  console.error = (message) => errors.push(message);
+  let move;
+  try {
+    move = await search(state, BROKEN_WORKER);
+  } finally {
+    console.error = consoleError;
+  }
+  if (errors.length !== 2) {
+    throw new Error(`Expected the worker to be tried twice, got ${errors.length} failures`);
+  }
+  engine.applyMove(state, move);
+});
+
+(async () => {
+  for (const { testName, testFunction } of tests) {
+    try {
+      await testFunction();
+      console.log(`PASS: ${testName}`);
+    } catch (e) {
+      console.error(`FAIL: ${testName}`);
+      console.error(e);
+      process.exitCode = 1;
+    }
+  }
+})();
@@ -0,0 +1,1759 @@
+// Test file: test/engine.test.js
+
+const engine = require('../engine');
+const {
+  IllegalMoveError,
+  createGame,
+  applyMove,
+  legalMoves,
+  isValidDeploy,
+  isValidShot,
+  updateSquareControlAfterMove,
+  checkWinCondition
+} = engine;
+
+// --- Mock piece definitions ---
+const piecesData = {
+  pawn: {
+    name: 'Pawn', cost: 20, health: 50, attack: 15,
+    movement: [{ type: 'straight', direction: 'vertical', range: 1 }],
+    initialPositions: { white: [], black: [] }
+  },
+  king: {
+    name: 'King', cost: null, health: 120, attack: 20,
+    movement: [
+      { type: 'straight', direction: 'horizontal', range: 1 },
+      { type: 'straight', direction: 'vertical', range: 1 },
+      { type: 'hop', horizontal: 1, vertical: 1 }
+    ],
+    initialPositions: { white: [[7, 4]], black: [[0, 4]] }
+  },
+  rook: {
+    name: 'Rook', cost: 60, health: 100, attack: 30,
+    movement: [
+      { type: 'straight', direction: 'horizontal', range: 7 },
+      { type: 'straight', direction: 'vertical', range: 7 }
+    ],
+    initialPositions: { white: [], black: [] }
+  },
+  archer: {
+    name: 'Archer', cost: 50, health: 60, attack: 45,
+    movement: [
+      { type: 'hop', horizontal: 1, vertical: 1 },
+      { type: 'ranged', minRange: 2, maxRange: 3, lineOfSight: true }
+    ],
+    initialPositions: { white: [], black: [] }
+  },
+  catapult: {
+    name: 'Catapult', cost: 80, health: 60, attack: 40,
+    movement: [
+      { type: 'ranged', minRange: 2, maxRange: 4, lineOfSight: false }
+    ],
+    initialPositions: { white: [], black: [] }
+  }
+};
+
+// --- Test Helper Functions ---
+function createMockGame(turn, whiteSteam, blackSteam, squareControlConfig) {
+  const game = {
+    rules: createGame({ pieces: piecesData }).rules,
+    status: 'active',
+    turn: turn,
+    steam: { white: whiteSteam, black: blackSteam },
+    // Initialize board to nulls for simplicity in these tests, as squareControl is manually set.
+    // The parts of updateSquareControlAfterMove that use game.board are not the focus here.
+    board: Array(8).fill(null).map(() => Array(8).fill(null)), 
+    squareControl: Array(8).fill(null).map(() => Array(8).fill(null)),
+    deployCount: 0,
+    territoryStreak: { white: 0, black: 0 },
+    turnsWithoutDamage: 0,
+    positionCounts: {},
+    history: []
+  };
+
+  // Apply squareControlConfig
+  // Example: { 'white': [[0,0], [0,1]], 'black': [[7,7]] }
+  if (squareControlConfig) {
+    for (const player in squareControlConfig) {
+      squareControlConfig[player].forEach(pos => {
+        game.squareControl[pos[0]][pos[1]] = player;
+      });
+    }
+  }
+  return game;
+}
+
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`PASS: ${testName}`);
+  } catch (e) {
+    console.error(`FAIL: ${testName}`);
+    console.error(e);
+    process.exitCode = 1;
+  }
+}
+
+// --- Test Cases ---
+
+runTest("White player gains steam based on controlled squares", () => {
+  const controlledByWhite = [[0,0], [0,1], [1,0], [1,1], [2,2]]; // 5 squares
+  const game = createMockGame('white', 10, 5, { 'white': controlledByWhite });
+  
+  // Simulate square control update (which also does steam generation)
+  updateSquareControlAfterMove(game);
+
+  if (game.steam.white !== 10 + controlledByWhite.length) {
+    throw new Error(`White steam incorrect: expected ${10 + controlledByWhite.length}, got ${game.steam.white}`);
+  }
+  if (game.steam.black !== 5) {
+    throw new Error(`Black steam should not change: expected 5, got ${game.steam.black}`);
+  }
+});
+
+runTest("Black player gains steam based on controlled squares", () => {
+  const controlledByBlack = [[7,7], [7,6], [6,7]]; // 3 squares
+  const game = createMockGame('black', 10, 5, { 'black': controlledByBlack });
+
+  updateSquareControlAfterMove(game);
+
+  if (game.steam.black !== 5 + controlledByBlack.length) {
+    throw new Error(`Black steam incorrect: expected ${5 + controlledByBlack.length}, got ${game.steam.black}`);
+  }
+  if (game.steam.white !== 10) {
+    throw new Error(`White steam should not change: expected 10, got ${game.steam.white}`);
+  }
+});
+
+runTest("No steam change if player controls no squares", () => {
+  const game = createMockGame('white', 10, 5, {}); // White controls 0 squares
+
+  updateSquareControlAfterMove(game);
+
+  if (game.steam.white !== 10) {
+    throw new Error(`White steam should not change: expected 10, got ${game.steam.white}`);
+  }
+  if (game.steam.black !== 5) {
+    throw new Error(`Black steam should not change: expected 5, got ${game.steam.black}`);
+  }
+});
+
+runTest("Steam generation correctly attributes to current player only (White's turn, Black has squares)", () => {
+  const controlledByBlack = [[7,7], [7,6]]; // 2 squares for black
+  const game = createMockGame('white', 10, 5, { 'black': controlledByBlack }); // White's turn
+
+  updateSquareControlAfterMove(game);
+  
+  // White controls 0 squares explicitly in this config, so gains 0.
+  if (game.steam.white !== 10) { 
+    throw new Error(`White steam incorrect: expected 10, got ${game.steam.white}`);
+  }
+  if (game.steam.black !== 5) { // Black steam should not change as it's not black's turn
+    throw new Error(`Black steam should not change: expected 5, got ${game.steam.black}`);
+  }
+});
+
+runTest("Steam generation correctly attributes to current player only (Black's turn, White has squares)", () => {
+  const controlledByWhite = [[0,0], [0,1]]; // 2 squares for white
+  const game = createMockGame('black', 10, 5, { 'white': controlledByWhite }); // Black's turn
+
+  updateSquareControlAfterMove(game);
+
+  // Black controls 0 squares explicitly in this config, so gains 0.
+  if (game.steam.black !== 5) {
+    throw new Error(`Black steam incorrect: expected 5, got ${game.steam.black}`);
+  }
+  if (game.steam.white !== 10) { // White steam should not change as it's not white's turn
+    throw new Error(`White steam should not change: expected 10, got ${game.steam.white}`);
+  }
+});
+
+runTest("Steam generation with mixed control squares", () => {
+  const controlledByWhite = [[0,0], [0,1], [0,2]]; // 3 squares
+  const controlledByBlack = [[7,7], [7,6]];    // 2 squares
+  const game = createMockGame('white', 20, 30, { 
+    'white': controlledByWhite, 
+    'black': controlledByBlack 
+  });
+
+  updateSquareControlAfterMove(game);
+
+  if (game.steam.white !== 20 + controlledByWhite.length) {
+    throw new Error(`White steam incorrect: expected ${20 + controlledByWhite.length}, got ${game.steam.white}`);
+  }
+  if (game.steam.black !== 30) { // Black steam should not change as it's white's turn
+    throw new Error(`Black steam should not change: expected 30, got ${game.steam.black}`);
+  }
+});
+
+// --- Deploy validation ---
+runTest("Deploy allowed on an empty controlled square with enough steam", () => {
+  const game = createMockGame('white', 20, 0, { 'white': [[6,4]] });
+  if (!isValidDeploy(game, 'white', 'pawn', [6,4])) {
+    throw new Error("Expected deploy of pawn on (6,4) to be valid");
+  }
+});
+
+runTest("Deploy rejected without enough steam", () => {
+  const game = createMockGame('black', 0, 19, { 'black': [[1,4]] });
+  if (isValidDeploy(game, 'black', 'pawn', [1,4])) {
+    throw new Error("Expected deploy with 19 steam for a 20 cost pawn to be rejected");
+  }
+});
+
+runTest("Deploy rejected on a square the player does not control", () => {
+  const game = createMockGame('white', 100, 0, { 'black': [[1,4]] });
+  if (isValidDeploy(game, 'white', 'pawn', [1,4])) {
+    throw new Error("Expected deploy on a black-controlled square to be rejected");
+  }
+  if (isValidDeploy(game, 'white', 'pawn', [3,3])) {
+    throw new Error("Expected deploy on a neutral square to be rejected");
+  }
+});
+
+runTest("Deploy rejected on an occupied square", () => {
+  const game = createMockGame('white', 100, 0, { 'white': [[6,4]] });
+  game.board[6][4] = { type: 'pawn', player: 'white', health: 50 };
+  if (isValidDeploy(game, 'white', 'pawn', [6,4])) {
+    throw new Error("Expected deploy on an occupied square to be rejected");
+  }
+});
+
+runTest("Deploy rejected for piece types without a cost or unknown types", () => {
+  const game = createMockGame('white', 1000, 0, { 'white': [[6,4]] });
+  if (isValidDeploy(game, 'white', 'king', [6,4])) {
+    throw new Error("Expected deploy of a king (no cost) to be rejected");
+  }
+  if (isValidDeploy(game, 'white', 'dragon', [6,4])) {
+    throw new Error("Expected deploy of an unknown piece type to be rejected");
+  }
+});
+
+runTest("Deploy rejected outside the board", () => {
+  const game = createMockGame('white', 100, 0, {});
+  if (isValidDeploy(game, 'white', 'pawn', [8,0]) || isValidDeploy(game, 'white', 'pawn', [0,-1])) {
+    throw new Error("Expected deploy outside the board to be rejected");
+  }
+});
+
+// --- Ranged attack validation ---
+function placeMockPiece(game, type, player, pos) {
+  const piece = { type: type, player: player, health: 50, attack: piecesData[type].attack, position: pos };
+  game.board[pos[0]][pos[1]] = piece;
+  return piece;
+}
+
+runTest("Archer can shoot an enemy within range along a file or diagonal", () => {
+  const game = createMockGame('white', 0, 0, {});
+  const archer = placeMockPiece(game, 'archer', 'white', [6,3]);
+  placeMockPiece(game, 'pawn', 'black', [3,3]);
+  placeMockPiece(game, 'pawn', 'black', [4,5]);
+  if (!isValidShot(game, [6,3], [3,3], archer)) {
+    throw new Error("Expected shot at distance 3 along the file to be valid");
+  }
+  if (!isValidShot(game, [6,3], [4,5], archer)) {
+    throw new Error("Expected shot at distance 2 along the diagonal to be valid");
+  }
+});
+
+runTest("Archer cannot shoot outside its min/max range or off a line", () => {
+  const game = createMockGame('white', 0, 0, {});
+  const archer = placeMockPiece(game, 'archer', 'white', [6,3]);
+  placeMockPiece(game, 'pawn', 'black', [5,3]); // Too close
+  placeMockPiece(game, 'pawn', 'black', [2,7]); // Too far (distance 4 on diagonal)
+  placeMockPiece(game, 'pawn', 'black', [4,4]); // Not on a line
+  if (isValidShot(game, [6,3], [5,3], archer)) throw new Error("Expected shot below minRange to be rejected");
+  if (isValidShot(game, [6,3], [2,7], archer)) throw new Error("Expected shot beyond maxRange to be rejected");
+  if (isValidShot(game, [6,3], [4,4], archer)) throw new Error("Expected shot off a line to be rejected");
+});
+
+runTest("Pieces in the line of fire block a shot", () => {
+  const game = createMockGame('white', 0, 0, {});
+  const archer = placeMockPiece(game, 'archer', 'white', [6,3]);
+  placeMockPiece(game, 'pawn', 'white', [5,3]);
+  placeMockPiece(game, 'pawn', 'black', [4,3]);
+  if (isValidShot(game, [6,3], [4,3], archer)) {
+    throw new Error("Expected shot through a friendly piece to be rejected");
+  }
+});
+
+runTest("Shots with lineOfSight false arc over blocking pieces", () => {
+  const game = createMockGame('white', 0, 0, {});
+  const catapult = placeMockPiece(game, 'catapult', 'white', [6,3]);
+  placeMockPiece(game, 'pawn', 'black', [5,3]);
+  placeMockPiece(game, 'pawn', 'black', [3,3]);
+  if (!isValidShot(game, [6,3], [3,3], catapult)) {
+    throw new Error("Expected arcing shot over a piece to be valid");
+  }
+});
+
+runTest("Only enemy pieces can be shot", () => {
+  const game = createMockGame('white', 0, 0, {});
+  const archer = placeMockPiece(game, 'archer', 'white', [6,3]);
+  placeMockPiece(game, 'pawn', 'white', [4,3]);
+  if (isValidShot(game, [6,3], [4,3], archer)) throw new Error("Expected shot at a friendly piece to be rejected");
+  if (isValidShot(game, [6,3], [3,3], archer)) throw new Error("Expected shot at an empty square to be rejected");
+});
+
+// --- Win conditions ---
+function createWinTestGame(turn, winConditions) {
+  const game = createMockGame(turn, 0, 0, {});
+  game.rules = createGame({ pieces: piecesData, winConditions }).rules;
+  game.endReason = null;
+  placeMockPiece(game, 'king', 'white', [7,4]);
+  placeMockPiece(game, 'king', 'black', [0,4]);
+  return game;
+}
+
+runTest("Game stays active while both sides have pieces and kings", () => {
+  const game = createWinTestGame('white', {});
+  checkWinCondition(game);
+  if (game.status !== 'active') throw new Error(`Expected active, got ${game.status}`);
+});
+
+runTest("Elimination ends the game when a side has no pieces", () => {
+  const game = createWinTestGame('white', { kingAssassination: false });
+  game.board[0][4] = null;
+  checkWinCondition(game);
+  if (game.status !== 'white_wins' || game.endReason !== 'elimination') {
+    throw new Error(`Expected white_wins by elimination, got ${game.status} by ${game.endReason}`);
+  }
+});
+
+runTest("King assassination ends the game when a king dies", () => {
+  const game = createWinTestGame('black', {});
+  game.board[7][4] = null;
+  placeMockPiece(game, 'pawn', 'white', [6,0]);
+  checkWinCondition(game);
+  if (game.status !== 'black_wins' || game.endReason !== 'king') {
+    throw new Error(`Expected black_wins by king, got ${game.status} by ${game.endReason}`);
+  }
+});
+
+runTest("Losing the king does not end the game when king assassination is off", () => {
+  const game = createWinTestGame('black', { kingAssassination: false });
+  game.board[7][4] = null;
+  placeMockPiece(game, 'pawn', 'white', [6,0]);
+  checkWinCondition(game);
+  if (game.status !== 'active') throw new Error(`Expected active, got ${game.status}`);
+});
+
+runTest("Territory win needs the share held for consecutive turns", () => {
+  const game = createWinTestGame('white', { territory: { percent: 50, turns: 2 } });
+  for (let r = 4; r < 8; r++) {
+    for (let c = 0; c < 8; c++) game.squareControl[r][c] = 'white'; // 32 of 64 squares
+  }
+  checkWinCondition(game);
+  if (game.status !== 'active' || game.territoryStreak.white !== 1) {
+    throw new Error(`Expected active with streak 1, got ${game.status} with streak ${game.territoryStreak.white}`);
+  }
+  checkWinCondition(game);
+  if (game.status !== 'white_wins' || game.endReason !== 'territory') {
+    throw new Error(`Expected white_wins by territory, got ${game.status} by ${game.endReason}`);
+  }
+});
+
+runTest("Territory streak resets when the share drops", () => {
+  const game = createWinTestGame('white', { territory: { percent: 50, turns: 2 } });
+  game.territoryStreak.white = 1;
+  game.squareControl[7][0] = 'white';
+  checkWinCondition(game);
+  if (game.status !== 'active' || game.territoryStreak.white !== 0) {
+    throw new Error(`Expected active with streak 0, got ${game.status} with streak ${game.territoryStreak.white}`);
+  }
+});
+
+runTest("Steam race ends the game when the player who acted reaches the target", () => {
+  const game = createWinTestGame('black', { steamRace: { target: 100 } });
+  game.steam.black = 100;
+  checkWinCondition(game);
+  if (game.status !== 'black_wins' || game.endReason !== 'steam') {
+    throw new Error(`Expected black_wins by steam, got ${game.status} by ${game.endReason}`);
+  }
+});
+
+// --- Pure API: createGame / applyMove / legalMoves ---
+
+runTest("createGame sets up the initial position from the piece definitions", () => {
+  const state = createGame({ pieces: piecesData });
+  if (state.turn !== 'white' || state.status !== 'active') {
+    throw new Error(`Expected white to move in an active game, got ${state.turn} / ${state.status}`);
+  }
+  if (!state.board[7][4] || state.board[7][4].type !== 'king' || state.board[0][4].player !== 'black') {
+    throw new Error("Expected kings on (7,4) and (0,4)");
+  }
+});
+
+runTest("applyMove returns a new state and events without changing the old state", () => {
+  const state = createGame({ pieces: piecesData });
+  const result = applyMove(state, { type: 'move', from: [7,4], to: [6,4] });
+  if (state.board[7][4] === null || state.turn !== 'white' || state.steam.white !== 0) {
+    throw new Error("Original state was modified");
+  }
+  if (result.state.board[6][4].type !== 'king' || result.state.turn !== 'black') {
+    throw new Error("Expected the king on (6,4) and black to move");
+  }
+  const types = result.events.map(event => event.type).join(',');
+  if (types !== 'move,steam') {
+    throw new Error(`Expected "move,steam" events, got "${types}"`);
+  }
+});
+
+runTest("applyMove throws IllegalMoveError for illegal moves", () => {
+  const state = createGame({ pieces: piecesData });
+  const illegalMoves = [
+    { type: 'move', from: [7,4], to: [5,4] },   // Out of the king's range
+    { type: 'move', from: [0,4], to: [1,4] },   // Not white's piece
+    { type: 'move', from: [9,4], to: [8,4] },   // Off the board
+    { type: 'deploy', pieceType: 'pawn', to: [6,4] }, // No steam, no control
+    { type: 'castle' }
+  ];
+  illegalMoves.forEach(move => {
+    try {
+      applyMove(state, move);
+    } catch (e) {
+      if (e instanceof IllegalMoveError) return;
+      throw e;
+    }
+    throw new Error(`Expected ${JSON.stringify(move)} to be rejected`);
+  });
+});
+
+runTest("applyMove resolves a ranged shot without moving the shooter", () => {
+  const state = createMockGame('white', 0, 0, {});
+  placeMockPiece(state, 'archer', 'white', [6,3]);
+  placeMockPiece(state, 'pawn', 'black', [3,3]).health = 40;
+  placeMockPiece(state, 'king', 'white', [7,7]);
+  placeMockPiece(state, 'king', 'black', [0,0]);
+  const { state: next, events } = applyMove(state, { type: 'move', from: [6,3], to: [3,3] });
+  if (next.board[6][3].type !== 'archer' || next.board[3][3] !== null) {
+    throw new Error("Expected the archer to stay and the pawn to be killed");
+  }
+  const attack = events.find(event => event.type === 'attack');
+  if (!attack || !attack.ranged || attack.damage !== 45 || !attack.killed) {
+    throw new Error(`Unexpected attack event ${JSON.stringify(attack)}`);
+  }
+});
+
+runTest("applyMove needs an explicit action when both shoot and move are legal", () => {
+  const state = createMockGame('white', 0, 0, {});
+  placeMockPiece(state, 'archer', 'white', [6,3]);
+  placeMockPiece(state, 'catapult', 'black', [4,5]);
+  state.rules = createGame({ pieces: {
+    ...piecesData,
+    archer: { ...piecesData.archer, movement: [...piecesData.archer.movement, { type: 'hop', horizontal: 2, vertical: 2 }] }
+  } }).rules;
+  try {
+    applyMove(state, { type: 'move', from: [6,3], to: [4,5] });
+    throw new Error("Expected an ambiguous move to be rejected");
+  } catch (e) {
+    if (!(e instanceof IllegalMoveError)) throw e;
+  }
+  const shot = applyMove(state, { type: 'move', from: [6,3], to: [4,5], action: 'shoot' }).state;
+  if (shot.board[6][3] === null || shot.board[4][5].health !== 5) {
+    throw new Error("Expected the shot to damage the catapult from a distance");
+  }
+});
+
+runTest("applyMove deploys a bought piece and spends steam", () => {
+  const state = createMockGame('white', 25, 0, { 'white': [[6,4]] });
+  placeMockPiece(state, 'king', 'white', [7,4]);
+  placeMockPiece(state, 'king', 'black', [0,4]);
+  const { state: next, events } = applyMove(state, { type: 'deploy', pieceType: 'pawn', to: [6,4] });
+  const steamEvent = events.find(event => event.type === 'steam');
+  if (next.board[6][4].type !== 'pawn' || next.steam.white !== 25 - 20 + steamEvent.amount) {
+    throw new Error(`Expected a pawn on (6,4) and steam spent, got steam ${next.steam.white}`);
+  }
+});
+
+runTest("legalMoves lists every move of the player to move", () => {
+  const state = createGame({ pieces: piecesData });
+  const moves = legalMoves(state);
+  // King on (7,4) can go to (7,3), (7,5), (6,4), (6,3) and (6,5)
+  if (moves.length !== 5 || moves.some(move => move.type !== 'move' || move.from[0] !== 7)) {
+    throw new Error(`Unexpected legal moves ${JSON.stringify(moves)}`);
+  }
+});
+
+runTest("legalMoves includes affordable deploys and is empty once the game is over", () => {
+  const state = createMockGame('white', 20, 0, { 'white': [[6,4], [6,5]] });
+  placeMockPiece(state, 'king', 'white', [7,4]);
+  const deploys = legalMoves(state).filter(move => move.type === 'deploy');
+  if (deploys.length !== 2 || deploys.some(move => move.pieceType !== 'pawn')) {
+    throw new Error(`Unexpected deploys ${JSON.stringify(deploys)}`);
+  }
+  state.status = 'white_wins';
+  if (legalMoves(state).length !== 0) {
+    throw new Error("Expected no legal moves after the game is over");
+  }
+});
+
+runTest("legalTargets lists move squares and attacks with expected damage and kills", () => {
+  const state = createMockGame('white', 0, 0, {});
+  placeMockPiece(state, 'archer', 'white', [6,3]);
+  placeMockPiece(state, 'pawn', 'black', [5,4]).health = 40; // Diagonal melee target, dies to 45
+  placeMockPiece(state, 'king', 'black', [3,3]).health = 120; // Shot along the file, survives
+  const targets = engine.legalTargets(state, [6,3]);
+  const moves = targets.moves.map(pos => pos.join(',')).sort().join(' ');
+  if (moves !== '5,2 7,2 7,4') {
+    throw new Error(`Unexpected move squares "${moves}"`);
+  }
+  const melee = targets.attacks.find(attack => attack.to[0] === 5 && attack.to[1] === 4);
+  const shot = targets.attacks.find(attack => attack.to[0] === 3 && attack.to[1] === 3);
+  if (!melee || melee.action !== 'move' || melee.damage !== 45 || !melee.kills) {
+    throw new Error(`Unexpected melee attack ${JSON.stringify(melee)}`);
+  }
+  if (!shot || shot.action !== 'shoot' || shot.kills) {
+    throw new Error(`Unexpected shot ${JSON.stringify(shot)}`);
+  }
+});
+
+runTest("legalTargets is empty for an empty or off-board square", () => {
+  const state = createMockGame('white', 0, 0, {});
+  const empty = engine.legalTargets(state, [4,4]);
+  const offBoard = engine.legalTargets(state, [8,8]);
+  if (empty.moves.length || empty.attacks.length || offBoard.moves.length || offBoard.attacks.length) {
+    throw new Error("Expected no targets");
+  }
+});
+
+// --- Rejection codes ---
+
+function expectRejection(state, move, expectedCode) {
+  try {
+    applyMove(state, move);
+  } catch (e) {
+    if (!(e instanceof IllegalMoveError)) throw e;
+    if (e.code !== expectedCode) {
+      throw new Error(`Expected ${expectedCode} for ${JSON.stringify(move)}, got ${e.code} (${e.message})`);
+    }
+    return;
+  }
+  throw new Error(`Expected ${JSON.stringify(move)} to be rejected with ${expectedCode}`);
+}
+
+runTest("Illegal moves are rejected with a code explaining why", () => {
+  const state = createMockGame('white', 0, 0, {});
+  placeMockPiece(state, 'rook', 'white', [7,0]);
+  placeMockPiece(state, 'pawn', 'white', [5,0]);
+  placeMockPiece(state, 'archer', 'white', [7,7]);
+  placeMockPiece(state, 'pawn', 'black', [6,7]);
+  placeMockPiece(state, 'pawn', 'black', [5,7]);
+  expectRejection(state, { type: 'move', from: [7,0], to: [3,0] }, 'PATH_BLOCKED');
+  expectRejection(state, { type: 'move', from: [7,7], to: [5,7], action: 'shoot' }, 'LINE_OF_FIRE_BLOCKED');
+  expectRejection(state, { type: 'move', from: [7,0], to: [6,1] }, 'OUT_OF_RANGE');
+  expectRejection(state, { type: 'move', from: [7,0], to: [5,0] }, 'OWN_PIECE');
+  expectRejection(state, { type: 'move', from: [4,4], to: [3,4] }, 'NO_PIECE');
+  expectRejection(state, { type: 'move', from: [6,7], to: [7,7] }, 'NOT_YOUR_PIECE');
+  expectRejection(state, { type: 'move', from: [7,0], to: [8,0] }, 'OUT_OF_BOUNDS');
+});
+
+runTest("Illegal deploys are rejected with a code explaining why", () => {
+  const state = createMockGame('white', 30, 0, { 'white': [[6,4], [6,5]] });
+  placeMockPiece(state, 'pawn', 'white', [6,5]);
+  expectRejection(state, { type: 'deploy', pieceType: 'rook', to: [6,4] }, 'NOT_ENOUGH_STEAM');
+  expectRejection(state, { type: 'deploy', pieceType: 'king', to: [6,4] }, 'NOT_FOR_SALE');
+  expectRejection(state, { type: 'deploy', pieceType: 'dragon', to: [6,4] }, 'UNKNOWN_PIECE_TYPE');
+  expectRejection(state, { type: 'deploy', pieceType: 'pawn', to: [6,5] }, 'SQUARE_OCCUPIED');
+  expectRejection(state, { type: 'deploy', pieceType: 'pawn', to: [2,2] }, 'SQUARE_NOT_CONTROLLED');
+});
+
+runTest("Moves after the game is over are rejected", () => {
+  const state = createGame({ pieces: piecesData });
+  state.status = 'black_wins';
+  expectRejection(state, { type: 'move', from: [7,4], to: [6,4] }, 'GAME_OVER');
+});
+
+runTest("concludeGame ends a running game without touching the old state", () => {
+  const state = createGame({ pieces: piecesData });
+  const over = engine.concludeGame(state, 'black', 'forfeit');
+  if (over.status !== 'black_wins' || over.endReason !== 'forfeit') {
+    throw new Error(`Expected black_wins by forfeit, got ${over.status} by ${over.endReason}`);
+  }
+  if (state.status !== 'active') {
+    throw new Error("Original state was modified");
+  }
+});
+
+runTest("applyMove records moves, shots and deploys in the history", () => {
+  const state = createMockGame('white', 25, 0, { 'white': [[6,4], [6,6]] });
+  placeMockPiece(state, 'archer', 'white', [6,3]);
+  placeMockPiece(state, 'pawn', 'black', [3,3]).health = 40;
+  placeMockPiece(state, 'king', 'white', [7,4]);
+  placeMockPiece(state, 'king', 'black', [0,0]);
+
+  const shot = applyMove(state, { type: 'move', from: [6,3], to: [3,3] }).state;
+  const moved = applyMove(shot, { type: 'move', from: [0,0], to: [1,0] }).state;
+  const deployed = applyMove(moved, { type: 'deploy', pieceType: 'pawn', to: [6,4] }).state;
+
+  const [first, second, third] = deployed.history;
+  if (deployed.history.length !== 3 || state.history.length !== 0) {
+    throw new Error(`Expected 3 entries and the old state untouched, got ${deployed.history.length}`);
+  }
+  if (first.player !== 'white' || first.pieceType !== 'archer' || first.action !== 'shoot' ||
+      first.damage !== 45 || !first.killed || first.steamGained !== shot.steam.white - 25) {
+    throw new Error(`Unexpected shot entry ${JSON.stringify(first)}`);
+  }
+  if (second.ply !== 2 || second.player !== 'black' || second.action !== 'move' || second.damage !== 0 || second.killed) {
+    throw new Error(`Unexpected move entry ${JSON.stringify(second)}`);
+  }
+  if (third.type !== 'deploy' || third.pieceType !== 'pawn' || third.cost !== 20 || third.from !== undefined) {
+    throw new Error(`Unexpected deploy entry ${JSON.stringify(third)}`);
+  }
+});
+
+runTest("replayHistory rebuilds earlier positions from the history", () => {
+  let state = createGame({ pieces: piecesData });
+  const positions = [state];
+  [
+    { type: 'move', from: [7,4], to: [6,4] },
+    { type: 'move', from: [0,4], to: [1,4] },
+    { type: 'move', from: [6,4], to: [5,4] }
+  ].forEach(move => {
+    state = applyMove(state, move).state;
+    positions.push(state);
+  });
+
+  positions.forEach((position, ply) => {
+    const replayed = engine.replayHistory(state.rules, state.history, ply);
+    if (JSON.stringify(replayed.board) !== JSON.stringify(position.board) || replayed.turn !== position.turn) {
+      throw new Error(`Replayed position after ${ply} moves does not match`);
+    }
+  });
+});
+
+runTest("concludeGame with no winner ends the game in a draw", () => {
+  const state = createGame({ pieces: piecesData });
+  const drawn = engine.concludeGame(state, null, 'agreement');
+  if (drawn.status !== 'draw' || drawn.endReason !== 'agreement') {
+    throw new Error(`Expected a draw by agreement, got ${drawn.status} by ${drawn.endReason}`);
+  }
+});
+
+// Kings step forward and back: no damage, and the same positions keep coming back
+function shuffleKings(rules, maxTurns) {
+  let state = createGame({ pieces: piecesData, ...rules });
+  const moves = [
+    { type: 'move', from: [7,4], to: [6,4] },
+    { type: 'move', from: [0,4], to: [1,4] },
+    { type: 'move', from: [6,4], to: [7,4] },
+    { type: 'move', from: [1,4], to: [0,4] }
+  ];
+  let turns = 0;
+  while (state.status === 'active' && turns < maxTurns) {
+    state = applyMove(state, moves[turns % moves.length]).state;
+    turns++;
+  }
+  return { state, turns };
+}
+
+runTest("Games are drawn after too many turns without damage", () => {
+  const { state, turns } = shuffleKings({ draws: { noProgressTurns: 6, repetitions: null } }, 20);
+  if (state.status !== 'draw' || state.endReason !== 'noProgress' || turns !== 6) {
+    throw new Error(`Expected a no-progress draw after 6 turns, got ${state.status} by ${state.endReason} after ${turns}`);
+  }
+});
+
+runTest("Damage resets the count of turns without progress", () => {
+  const state = createMockGame('white', 0, 0, {});
+  state.turnsWithoutDamage = 10;
+  placeMockPiece(state, 'archer', 'white', [6,3]);
+  placeMockPiece(state, 'pawn', 'black', [3,3]);
+  placeMockPiece(state, 'king', 'white', [7,7]);
+  placeMockPiece(state, 'king', 'black', [0,0]);
+  const next = applyMove(state, { type: 'move', from: [6,3], to: [3,3] }).state;
+  if (next.turnsWithoutDamage !== 0) {
+    throw new Error(`Expected the count to reset, got ${next.turnsWithoutDamage}`);
+  }
+});
+
+runTest("Games are drawn when a position repeats", () => {
+  const { state, turns } = shuffleKings({ draws: { noProgressTurns: null, repetitions: 3 } }, 40);
+  if (state.status !== 'draw' || state.endReason !== 'repetition' || turns > 12) {
+    throw new Error(`Expected a repetition draw within 12 turns, got ${state.status} by ${state.endReason} after ${turns}`);
+  }
+});
+
+runTest("Games are drawn when neither side can damage the other", () => {
+  const bishopsOnly = {
+    bishop: {
+      name: 'Bishop', cost: null, health: 80, attack: 30,
+      movement: [{ type: 'hop', horizontal: 1, vertical: 1 }, { type: 'hop', horizontal: 2, vertical: 2 }],
+      initialPositions: { white: [[7, 2]], black: [[0, 2]] }
+    }
+  };
+  const rules = { winConditions: { kingAssassination: false } };
+
+  // Bishops on squares of different colours never meet
+  const apart = applyMove(createGame({ ...rules, pieces: bishopsOnly }), { type: 'move', from: [7,2], to: [6,3] }).state;
+  if (apart.status !== 'draw' || apart.endReason !== 'insufficientMaterial') {
+    throw new Error(`Expected an insufficient material draw, got ${apart.status} by ${apart.endReason}`);
+  }
+
+  // On the same colour they can
+  const sameColour = { bishop: { ...bishopsOnly.bishop, initialPositions: { white: [[7, 2]], black: [[0, 3]] } } };
+  const facing = applyMove(createGame({ ...rules, pieces: sameColour }), { type: 'move', from: [7,2], to: [6,3] }).state;
+  if (facing.status !== 'active') {
+    throw new Error(`Expected the game to go on, got ${facing.status}`);
+  }
+
+  // And a piece that could still be bought keeps the game going
+  const withShop = { ...bishopsOnly, pawn: piecesData.pawn };
+  const buying = applyMove(createGame({ ...rules, pieces: withShop }), { type: 'move', from: [7,2], to: [6,3] }).state;
+  if (buying.status !== 'active') {
+    throw new Error(`Expected the game to go on while pieces can be bought, got ${buying.status}`);
+  }
+});
+
+runTest("Boards take their size from the rules, with the starting pieces at each side's edge", () => {
+  const state = createGame({ pieces: piecesData, board: { rows: 6, cols: 10 } });
+  if (state.board.length !== 6 || state.board[0].length !== 10 || state.squareControl[5].length !== 10) {
+    throw new Error(`Expected a 6x10 board, got ${state.board.length}x${state.board[0].length}`);
+  }
+  if (!state.board[5][5] || state.board[5][5].type !== 'king' || !state.board[0][5] || state.board[0][5].player !== 'black') {
+    throw new Error("Expected the kings on the back rows, centred");
+  }
+
+  const moved = applyMove(state, { type: 'move', from: [5, 5], to: [5, 6] }).state;
+  if (!moved.board[5][6] || !engine.isOnBoard(state, [5, 9]) || engine.isOnBoard(state, [6, 0]) || engine.isOnBoard(state, [0, 10])) {
+    throw new Error("Expected moves and bounds to follow the board size");
+  }
+});
+
+runTest("Holes are not part of the board: nothing stands on, moves through or controls them", () => {
+  const state = createMockGame('white', 200, 0, { white: [[7, 3]] });
+  state.rules = createGame({ pieces: piecesData, board: { holes: [[7, 1], [5, 3]] } }).rules;
+  placeMockPiece(state, 'rook', 'white', [7, 0]);
+  placeMockPiece(state, 'king', 'white', [7, 7]);
+  placeMockPiece(state, 'king', 'black', [0, 0]);
+
+  expectRejection(state, { type: 'move', from: [7, 0], to: [7, 1] }, 'OUT_OF_BOUNDS');
+  expectRejection(state, { type: 'move', from: [7, 0], to: [7, 2] }, 'OUT_OF_RANGE');
+  if (legalMoves(state).some(move => move.to && move.to[0] === 5 && move.to[1] === 3)) {
+    throw new Error("Expected no move onto a hole");
+  }
+
+  const next = applyMove(state, { type: 'move', from: [7, 0], to: [6, 0] }).state;
+  if (next.squareControl[7][1] !== null) {
+    throw new Error(`Expected the hole to stay uncontrolled, got ${next.squareControl[7][1]}`);
+  }
+});
+
+runTest("Territory is a share of the board's squares, not counting holes", () => {
+  const holes = [];
+  for (let col = 0; col < 8; col++) {
+    holes.push([0, col], [1, col], [2, col], [3, col]);
+  }
+  const state = createMockGame('white', 0, 0, {});
+  state.rules = createGame({ pieces: piecesData, board: { holes }, winConditions: { territory: { percent: 50, turns: 1 } } }).rules;
+  for (let row = 4; row < 6; row++) {
+    for (let col = 0; col < 8; col++) {
+      state.squareControl[row][col] = 'white';
+    }
+  }
+  placeMockPiece(state, 'king', 'white', [7, 7]);
+  placeMockPiece(state, 'king', 'black', [6, 0]);
+
+  checkWinCondition(state);
+  if (state.status !== 'white_wins' || state.endReason !== 'territory') {
+    throw new Error(`Expected 16 of 32 squares to hold 50% of the board, got ${state.status}`);
+  }
+});
+
+// --- Terrain ---
+const terrainData = {
+  wall: { name: 'Wall', symbol: '#', blocksMovement: true, blocksFire: true },
+  forest: { name: 'Forest', symbol: 'F', defenseBonus: 10 },
+  river: { name: 'River', symbol: '~', impassableFor: ['rook'] },
+  highGround: { name: 'High ground', symbol: '^', influenceBonus: 1 }
+};
+
+// A mock game on an 8x8 board with the given terrain: { [type]: [[row, col], ...] }
+function createTerrainGame(terrainConfig) {
+  const terrain = Array(8).fill(null).map(() => Array(8).fill(null));
+  Object.keys(terrainConfig).forEach(type => {
+    terrainConfig[type].forEach(([row, col]) => { terrain[row][col] = type; });
+  });
+  const state = createMockGame('white', 0, 0, {});
+  state.rules = createGame({ pieces: piecesData, terrain: terrainData, board: { terrain } }).rules;
+  return state;
+}
+
+runTest("Walls block movement, straight paths, fire and control", () => {
+  const state = createTerrainGame({ wall: [[5, 0], [5, 3]] });
+  placeMockPiece(state, 'rook', 'white', [7, 0]);
+  placeMockPiece(state, 'archer', 'white', [7, 3]);
+  placeMockPiece(state, 'pawn', 'black', [4, 3]);
+  placeMockPiece(state, 'king', 'white', [7, 7]);
+  placeMockPiece(state, 'king', 'black', [0, 7]);
+
+  expectRejection(state, { type: 'move', from: [7, 0], to: [5, 0] }, 'IMPASSABLE_TERRAIN');
+  expectRejection(state, { type: 'move', from: [7, 0], to: [4, 0] }, 'PATH_BLOCKED');
+  if (isValidShot(state, [7, 3], [4, 3], state.board[7][3])) {
+    throw new Error("Expected the wall to block the shot");
+  }
+
+  const next = applyMove(state, { type: 'move', from: [7, 0], to: [6, 0] }).state;
+  if (next.squareControl[5][0] !== null || next.squareControl[5][1] !== 'white') {
+    throw new Error("Expected walls to stay uncontrolled while open squares are taken");
+  }
+});
+
+runTest("Forest gives the piece standing in it a defense bonus", () => {
+  const state = createTerrainGame({ forest: [[5, 4]] });
+  placeMockPiece(state, 'archer', 'white', [6, 3]);
+  placeMockPiece(state, 'pawn', 'black', [5, 4]);
+  placeMockPiece(state, 'king', 'white', [7, 7]);
+  placeMockPiece(state, 'king', 'black', [0, 0]);
+
+  const attack = engine.legalTargets(state, [6, 3]).attacks.find(target => target.to[0] === 5 && target.to[1] === 4);
+  if (!attack || attack.damage !== 35 || attack.kills) {
+    throw new Error(`Expected 45 - 10 damage in the forest, got ${JSON.stringify(attack)}`);
+  }
+  const { state: next, events } = applyMove(state, { type: 'move', from: [6, 3], to: [5, 4] });
+  if (events[0].damage !== 35 || next.board[5][4].health !== 15) {
+    throw new Error(`Expected the pawn to take 35 damage, got ${JSON.stringify(events[0])}`);
+  }
+});
+
+runTest("Rivers stop the piece types they name and nothing else", () => {
+  const state = createTerrainGame({ river: [[6, 0], [6, 6]] });
+  placeMockPiece(state, 'rook', 'white', [7, 0]);
+  placeMockPiece(state, 'king', 'white', [7, 6]);
+  placeMockPiece(state, 'king', 'black', [0, 0]);
+
+  expectRejection(state, { type: 'move', from: [7, 0], to: [6, 0] }, 'IMPASSABLE_TERRAIN');
+  expectRejection(state, { type: 'move', from: [7, 0], to: [3, 0] }, 'PATH_BLOCKED');
+  const next = applyMove(state, { type: 'move', from: [7, 6], to: [6, 6] }).state;
+  if (!next.board[6][6] || next.board[6][6].type !== 'king') {
+    throw new Error("Expected the king to wade into the river");
+  }
+});
+
+runTest("High ground adds influence to the squares around it", () => {
+  const state = createTerrainGame({ highGround: [[4, 3]] });
+  placeMockPiece(state, 'pawn', 'white', [4, 3]);
+  placeMockPiece(state, 'pawn', 'black', [3, 5]);
+  placeMockPiece(state, 'king', 'white', [7, 7]);
+  placeMockPiece(state, 'king', 'black', [0, 0]);
+
+  updateSquareControlAfterMove(state);
+  // The pawn on high ground outweighs the enemy pawn on the squares both touch
+  if (state.squareControl[3][4] !== 'white' || state.squareControl[4][4] !== 'white') {
+    throw new Error(`Expected white to hold the contested squares, got ${state.squareControl[3][4]} / ${state.squareControl[4][4]}`);
+  }
+});
+
+runTest("Board terrain must use known terrain types", () => {
+  const terrain = Array(8).fill(null).map(() => Array(8).fill(null));
+  terrain[3][3] = 'lava';
+  try {
+    createGame({ pieces: piecesData, terrain: terrainData, board: { terrain } });
+  } catch (e) {
+    return;
+  }
+  throw new Error("Expected unknown terrain to be refused");
+});
+
+// --- Fog of war ---
+function createFogGame(visionRange) {
+  const state = createMockGame('white', 0, 0, {});
+  state.rules = createGame({ pieces: piecesData, fogOfWar: { visionRange } }).rules;
+  return state;
+}
+
+runTest("Players see the squares near their pieces and the squares they control", () => {
+  const state = createFogGame(1);
+  placeMockPiece(state, 'king', 'white', [7, 0]);
+  state.squareControl[3][3] = 'white';
+  state.squareControl[3][4] = 'black';
+
+  const visible = engine.visibleSquares(state, 'white');
+  const seen = [];
+  engine.forEachSquare(state, (row, col) => {
+    if (visible[row][col]) seen.push(`${row},${col}`);
+  });
+  if (seen.join(' ') !== '3,3 6,0 6,1 7,0 7,1') {
+    throw new Error(`Unexpected visible squares ${seen.join(' ')}`);
+  }
+});
+
+runTest("playerView hides unseen enemies, enemy health out of reach and the opponent's moves", () => {
+  let state = createFogGame(2);
+  placeMockPiece(state, 'king', 'white', [7, 4]);
+  placeMockPiece(state, 'pawn', 'black', [6, 4]); // Next to the king
+  placeMockPiece(state, 'archer', 'black', [5, 2]); // Seen, out of reach
+  placeMockPiece(state, 'king', 'black', [0, 4]); // Unseen
+  state = applyMove(state, { type: 'move', from: [7, 4], to: [7, 3] }).state;
+  state = applyMove(state, { type: 'move', from: [0, 4], to: [0, 3] }).state;
+
+  const view = engine.playerView(state, 'white');
+  if (view.board[0][3] !== null || view.board[6][4].health !== 50 || view.board[5][2].health !== null) {
+    throw new Error("Expected the far king hidden, the adjacent pawn's health shown and the archer's hidden");
+  }
+  if (view.visible[0][3] || !view.visible[5][2] || view.squareControl[1][3] !== null) {
+    throw new Error("Expected the far side of the board to be hidden");
+  }
+  if (view.history[0].to === undefined || !view.history[1].hidden || view.history[1].to !== undefined) {
+    throw new Error(`Expected only white's own move in full, got ${JSON.stringify(view.history)}`);
+  }
+  if (state.board[5][2].health !== 50) {
+    throw new Error("playerView changed the game state");
+  }
+});
+
+runTest("Open and finished games are shown in full", () => {
+  const open = createMockGame('white', 0, 0, {});
+  const finished = createFogGame(1);
+  finished.status = 'white_wins';
+  if (engine.playerView(open, 'black') !== open || engine.playerView(finished, 'black') !== finished) {
+    throw new Error("Expected the state itself");
+  }
+});
+
+runTest("visibleTargets gives nothing away about unseen squares", () => {
+  const state = createFogGame(1);
+  placeMockPiece(state, 'rook', 'white', [7, 0]);
+  placeMockPiece(state, 'archer', 'white', [7, 7]);
+  placeMockPiece(state, 'pawn', 'black', [4, 0]); // Unseen, in the rook's path
+  placeMockPiece(state, 'king', 'black', [4, 7]); // Unseen, in the archer's range
+  placeMockPiece(state, 'pawn', 'black', [6, 6]).health = 10; // Next to the archer
+
+  const rook = engine.visibleTargets(state, 'white', [7, 0]);
+  if (rook.attacks.length !== 0 || !rook.moves.some(([row, col]) => row === 4 && col === 0)) {
+    throw new Error(`Expected the hidden pawn to show as a plain move, got ${JSON.stringify(rook)}`);
+  }
+  const archer = engine.visibleTargets(state, 'white', [7, 7]);
+  if (archer.attacks.length !== 1 || archer.attacks[0].to[1] !== 6 || archer.attacks[0].kills !== true) {
+    throw new Error(`Expected only the adjacent pawn as a target, got ${JSON.stringify(archer)}`);
+  }
+});
+
+runTest("visibleTargets doesn't cut paths short at hidden pieces", () => {
+  const state = createFogGame(1);
+  placeMockPiece(state, 'rook', 'white', [7, 0]);
+  placeMockPiece(state, 'pawn', 'black', [2, 0]); // Unseen, in the rook's path
+
+  const rows = engine.visibleTargets(state, 'white', [7, 0]).moves
+    .filter(([, col]) => col === 0).map(([row]) => row).sort();
+  if (rows.join(',') !== '0,1,2,3,4,5,6') {
+    throw new Error(`Expected the whole file up to the far edge, got rows ${rows.join(',')}`);
+  }
+});
+
+runTest("Rejected moves don't point at pieces hidden by fog", () => {
+  const state = createFogGame(1);
+  placeMockPiece(state, 'rook', 'white', [7, 0]);
+  placeMockPiece(state, 'pawn', 'black', [4, 0]); // Unseen, in the rook's path
+  placeMockPiece(state, 'pawn', 'white', [6, 7]);
+  placeMockPiece(state, 'pawn', 'white', [7, 6]); // Seen, in the way of the rook's move along the rank
+
+  expectRejection(state, { type: 'move', from: [7, 0], to: [2, 0] }, 'HIDDEN_BY_FOG');
+  expectRejection(state, { type: 'move', from: [7, 0], to: [7, 7] }, 'PATH_BLOCKED');
+});
+
+// --- Combat stats and dice ---
+const combatPieces = {
+  ...piecesData,
+  knight: {
+    name: 'Knight', cost: 45, health: 80, attack: 25, defense: 5, counterattack: 10,
+    movement: [{ type: 'hop', horizontal: 1, vertical: 2 }, { type: 'hop', horizontal: 2, vertical: 1 }],
+    initialPositions: { white: [], black: [] }
+  },
+  duelist: {
+    name: 'Duelist', cost: null, health: 60, attack: 20, criticalChance: 0.3, missChance: 0.3,
+    movement: [{ type: 'straight', direction: 'horizontal', range: 1 }],
+    initialPositions: { white: [[4, 3]], black: [[4, 4]] }
+  }
+};
+
+function createCombatGame(seed) {
+  const state = createMockGame('white', 0, 0, {});
+  state.rules = createGame({ pieces: combatPieces, seed }).rules;
+  state.rng = seed;
+  return state;
+}
+
+function placeCombatPiece(state, type, player, pos) {
+  const piece = { type, player, health: combatPieces[type].health, attack: combatPieces[type].attack, position: pos };
+  state.board[pos[0]][pos[1]] = piece;
+  return piece;
+}
+
+runTest("Armor takes damage off every hit, down to at least 1", () => {
+  const state = createCombatGame(0);
+  placeCombatPiece(state, 'archer', 'white', [6, 3]);
+  placeCombatPiece(state, 'knight', 'black', [3, 3]);
+  placeCombatPiece(state, 'king', 'white', [7, 7]);
+  placeCombatPiece(state, 'king', 'black', [0, 0]);
+
+  const { events } = applyMove(state, { type: 'move', from: [6, 3], to: [3, 3], action: 'shoot' });
+  if (events[0].damage !== 40) {
+    throw new Error(`Expected 45 - 5 damage, got ${events[0].damage}`);
+  }
+  state.board[6][3].attack = 3;
+  if (applyMove(state, { type: 'move', from: [6, 3], to: [3, 3], action: 'shoot' }).events[0].damage !== 1) {
+    throw new Error("Expected a hit to deal at least 1 damage");
+  }
+});
+
+runTest("Surviving targets strike back at melee attackers but not at shooters", () => {
+  const state = createCombatGame(0);
+  const rook = placeCombatPiece(state, 'rook', 'white', [5, 0]);
+  placeCombatPiece(state, 'knight', 'black', [3, 0]);
+  placeCombatPiece(state, 'archer', 'white', [6, 3]);
+  placeCombatPiece(state, 'knight', 'black', [3, 3]);
+  placeCombatPiece(state, 'king', 'white', [7, 7]);
+  placeCombatPiece(state, 'king', 'black', [0, 7]);
+
+  const melee = applyMove(state, { type: 'move', from: [5, 0], to: [3, 0] });
+  const counter = melee.events.find(event => event.type === 'counterattack');
+  if (!counter || counter.damage !== 10 || melee.state.board[5][0].health !== 90 || melee.state.board[3][0].health !== 55) {
+    throw new Error(`Expected the knight to take 25 and deal 10 back, got ${JSON.stringify(melee.events)}`);
+  }
+  const entry = melee.state.history[0];
+  if (entry.counterDamage !== 10 || entry.attackerKilled || entry.roll !== 'hit') {
+    throw new Error(`Expected the counterattack in the history, got ${JSON.stringify(entry)}`);
+  }
+
+  const shot = applyMove(state, { type: 'move', from: [6, 3], to: [3, 3], action: 'shoot' });
+  if (shot.events.some(event => event.type === 'counterattack')) {
+    throw new Error("Expected no counterattack against a shot");
+  }
+
+  rook.health = 5;
+  const fatal = applyMove(state, { type: 'move', from: [5, 0], to: [3, 0] });
+  if (fatal.state.board[5][0] !== null || !fatal.state.history[0].attackerKilled) {
+    throw new Error("Expected the counterattack to kill the rook");
+  }
+});
+
+runTest("Critical hits and misses are rolled from the game's seed", () => {
+  const duel = seed => {
+    const outcomes = [];
+    for (let i = 0; i < 20; i++) {
+      const state = createCombatGame(seed + i);
+      placeCombatPiece(state, 'duelist', 'white', [4, 3]);
+      placeCombatPiece(state, 'duelist', 'black', [4, 4]);
+      placeCombatPiece(state, 'king', 'white', [7, 7]);
+      placeCombatPiece(state, 'king', 'black', [0, 0]);
+      const { events } = applyMove(state, { type: 'move', from: [4, 3], to: [4, 4] });
+      outcomes.push(`${events[0].roll}:${events[0].damage}`);
+    }
+    return outcomes.join(' ');
+  };
+  const outcomes = duel(1);
+  if (duel(1) !== outcomes) {
+    throw new Error("Expected the same seed to roll the same");
+  }
+  ['hit:20', 'critical:40', 'miss:0'].forEach(outcome => {
+    if (!outcomes.split(' ').includes(outcome)) {
+      throw new Error(`Expected ${outcome} among ${outcomes}`);
+    }
+  });
+
+  // Pieces without chances never roll, so they leave the generator alone
+  const state = createCombatGame(7);
+  placeCombatPiece(state, 'rook', 'white', [4, 3]);
+  placeCombatPiece(state, 'rook', 'black', [4, 4]);
+  placeCombatPiece(state, 'king', 'white', [7, 7]);
+  placeCombatPiece(state, 'king', 'black', [0, 0]);
+  const next = applyMove(state, { type: 'move', from: [4, 3], to: [4, 4] }).state;
+  if (next.rng !== 7 || next.history[0].roll !== 'hit') {
+    throw new Error(`Expected an ordinary hit and an untouched generator, got ${next.history[0].roll} / ${next.rng}`);
+  }
+});
+
+runTest("Replays roll the same dice as the game did", () => {
+  let state = createGame({ pieces: combatPieces, seed: 1234 });
+  // The duelists trade blows until one of them falls
+  const standing = (pos, player) => state.board[pos[0]][pos[1]] && state.board[pos[0]][pos[1]].player === player;
+  while (state.status === 'active' && standing([4, 3], 'white') && standing([4, 4], 'black')) {
+    const from = state.turn === 'white' ? [4, 3] : [4, 4];
+    state = applyMove(state, { type: 'move', from, to: state.turn === 'white' ? [4, 4] : [4, 3] }).state;
+  }
+
+  for (let ply = 1; ply <= state.history.length; ply++) {
+    const replayed = engine.replayHistory(state.rules, state.history, ply);
+    if (replayed.history[ply - 1].damage !== state.history[ply - 1].damage || replayed.history[ply - 1].roll !== state.history[ply - 1].roll) {
+      throw new Error(`Replay differs at ply ${ply}`);
+    }
+  }
+  const replayed = engine.replayHistory(state.rules, state.history, state.history.length);
+  if (replayed.rng !== state.rng || JSON.stringify(replayed.board) !== JSON.stringify(state.board)) {
+    throw new Error("Expected the replay to end in the same position");
+  }
+});
+
+runTest("Replays without the seed land attacks as the history recorded", () => {
+  let state = createGame({ pieces: combatPieces, seed: 99 });
+  while (state.status === 'active' && state.history.length < 8 && state.board[4][3] && state.board[4][4]) {
+    const from = state.turn === 'white' ? [4, 3] : [4, 4];
+    state = applyMove(state, { type: 'move', from, to: state.turn === 'white' ? [4, 4] : [4, 3] }).state;
+  }
+  if (!state.history.some(entry => entry.roll !== 'hit')) {
+    throw new Error("Expected some luck in the duel");
+  }
+
+  const replayed = engine.replayHistory({ ...state.rules, seed: null }, state.history, state.history.length);
+  if (JSON.stringify(replayed.history) !== JSON.stringify(state.history) || JSON.stringify(replayed.board) !== JSON.stringify(state.board)) {
+    throw new Error("Expected the recorded rolls to replay without the seed");
+  }
+});
+
+runTest("legalTargets gives the damage range and the counterattack to expect", () => {
+  const state = createCombatGame(0);
+  placeCombatPiece(state, 'duelist', 'white', [4, 3]);
+  placeCombatPiece(state, 'knight', 'black', [4, 4]);
+  placeCombatPiece(state, 'king', 'white', [7, 7]);
+  placeCombatPiece(state, 'king', 'black', [0, 0]);
+
+  const attack = engine.legalTargets(state, [4, 3]).attacks[0];
+  if (attack.damage !== 15 || attack.minDamage !== 0 || attack.maxDamage !== 35 || attack.kills || attack.counterDamage !== 10) {
+    throw new Error(`Unexpected expectation ${JSON.stringify(attack)}`);
+  }
+});
+
+// --- Status effects ---
+const effectPieces = {
+  ...piecesData,
+  medic: {
+    name: 'Medic', cost: 40, health: 60, attack: 10,
+    support: {
+      range: 2, heal: 15,
+      effects: [{ type: 'regeneration', turns: 2, amount: 10 }, { type: 'shield', turns: 2, amount: 20 }]
+    },
+    movement: [{ type: 'straight', direction: 'vertical', range: 1 }],
+    initialPositions: { white: [], black: [] }
+  },
+  venom: {
+    name: 'Venom', cost: 40, health: 60, attack: 10,
+    onHit: [{ type: 'poison', turns: 2, amount: 10 }, { type: 'stun', turns: 1 }],
+    movement: [{ type: 'straight', direction: 'horizontal', range: 1 }],
+    initialPositions: { white: [], black: [] }
+  }
+};
+
+function createEffectGame(turn) {
+  const state = createMockGame(turn, 0, 0, {});
+  state.rules = createGame({ pieces: effectPieces }).rules;
+  placeEffectPiece(state, 'king', 'white', [7, 7]);
+  placeEffectPiece(state, 'king', 'black', [0, 0]);
+  return state;
+}
+
+function placeEffectPiece(state, type, player, pos, effects) {
+  const piece = { type, player, health: effectPieces[type].health, attack: effectPieces[type].attack, position: pos, effects: effects || [] };
+  state.board[pos[0]][pos[1]] = piece;
+  return piece;
+}
+
+runTest("Poison strikes at the end of its owner's turn and can kill", () => {
+  const state = createEffectGame('white');
+  placeEffectPiece(state, 'pawn', 'black', [3, 3], [{ type: 'poison', turns: 2, amount: 10 }]);
+
+  const afterWhite = applyMove(state, { type: 'move', from: [7, 7], to: [7, 6] }).state;
+  if (afterWhite.board[3][3].health !== 50) {
+    throw new Error("Expected poison to wait for its owner's turn");
+  }
+  const { state: afterBlack, events } = applyMove(afterWhite, { type: 'move', from: [0, 0], to: [0, 1] });
+  const poison = events.find(event => event.type === 'poison');
+  if (!poison || poison.damage !== 10 || afterBlack.board[3][3].health !== 40 || afterBlack.board[3][3].effects[0].turns !== 1) {
+    throw new Error(`Expected 10 poison damage and a turn less to run, got ${JSON.stringify(events)}`);
+  }
+
+  afterWhite.board[3][3].health = 10;
+  const fatal = applyMove(afterWhite, { type: 'move', from: [0, 0], to: [0, 1] });
+  if (fatal.state.board[3][3] !== null || !fatal.events.find(event => event.type === 'poison').killed) {
+    throw new Error("Expected the poison to kill the pawn");
+  }
+});
+
+runTest("Regeneration heals up to full health, and only on squares the owner controls", () => {
+  const state = createEffectGame('white');
+  state.squareControl[4][4] = 'white';
+  const held = placeEffectPiece(state, 'rook', 'white', [4, 4], [{ type: 'regeneration', turns: 3, amount: 10 }]);
+  const open = placeEffectPiece(state, 'rook', 'white', [5, 0], [{ type: 'regeneration', turns: 3, amount: 10 }]);
+  held.health = 95;
+  open.health = 50;
+
+  const next = applyMove(state, { type: 'move', from: [7, 7], to: [7, 6] }).state;
+  if (next.board[4][4].health !== 100 || next.board[5][0].health !== 50) {
+    throw new Error(`Expected 100 and 50 health, got ${next.board[4][4].health} and ${next.board[5][0].health}`);
+  }
+});
+
+runTest("Stunned pieces skip their owner's next turn", () => {
+  const state = createEffectGame('white');
+  placeEffectPiece(state, 'venom', 'white', [4, 3]);
+  placeEffectPiece(state, 'pawn', 'black', [4, 4]);
+
+  const hit = applyMove(state, { type: 'move', from: [4, 3], to: [4, 4] });
+  const stunned = hit.state.board[4][4];
+  if (hit.events[0].effects.join() !== 'poison,stun' || !stunned.effects.some(effect => effect.type === 'stun')) {
+    throw new Error(`Expected the pawn poisoned and stunned, got ${JSON.stringify(hit.events[0])}`);
+  }
+  if (engine.getMoveActions(hit.state, [4, 4], [5, 4]).length !== 0) {
+    throw new Error("Expected a stunned piece to have no moves");
+  }
+  expectRejection(hit.state, { type: 'move', from: [4, 4], to: [5, 4] }, 'STUNNED');
+
+  const afterBlack = applyMove(hit.state, { type: 'move', from: [0, 0], to: [0, 1] }).state;
+  const afterWhite = applyMove(afterBlack, { type: 'move', from: [7, 7], to: [7, 6] }).state;
+  applyMove(afterWhite, { type: 'move', from: [4, 4], to: [5, 4] }); // Throws if still stunned
+});
+
+runTest("A player with every piece stunned and nothing to buy has their turn passed for them", () => {
+  const state = createEffectGame('white');
+  placeEffectPiece(state, 'venom', 'white', [0, 1]);
+
+  const { state: next, events } = applyMove(state, { type: 'move', from: [0, 1], to: [0, 0] });
+  if (next.status !== 'active' || next.turn !== 'white' || !events.some(event => event.type === 'turnSkipped' && event.player === 'black')) {
+    throw new Error(`Expected black's turn to be skipped, got ${next.turn} / ${JSON.stringify(events.map(event => event.type))}`);
+  }
+  if (next.board[0][0].effects.some(effect => effect.type === 'stun') || next.board[0][0].health !== 100) {
+    throw new Error("Expected black's turn to wear the stun off and let the poison strike");
+  }
+  const whiteSteam = events.find(event => event.type === 'steam' && event.player === 'white').amount;
+  if (next.history.length !== 1 || next.history[0].steamGained !== whiteSteam) {
+    throw new Error("Expected the move's entry to keep white's steam, not the skipped turn's");
+  }
+  if (legalMoves(next).length === 0) {
+    throw new Error("Expected the player to move to have moves");
+  }
+});
+
+runTest("A stuck turn left waiting in a state can still be passed on", () => {
+  const state = createEffectGame('black');
+  placeEffectPiece(state, 'venom', 'white', [0, 1]);
+  state.board[0][0].effects = [{ type: 'stun', turns: 1, amount: 0 }];
+  if (engine.passStuckTurn(createEffectGame('black')).state.turn !== 'black') {
+    throw new Error("Expected a player who can act to keep the turn");
+  }
+
+  const { state: next, events } = engine.passStuckTurn(state);
+  if (next.turn !== 'white' || state.turn !== 'black' || events[0].type !== 'turnSkipped' || next.board[0][0].effects.length !== 0) {
+    throw new Error(`Expected black's turn passed to white in a new state, got ${next.turn}`);
+  }
+});
+
+runTest("Games where no seat can act again are drawn", () => {
+  const state = createGame({
+    pieces: piecesData,
+    board: { rows: 8, cols: 8, holes: [[6, 1], [1, 7]] },
+    winConditions: { kingAssassination: false },
+    draws: { noProgressTurns: null, repetitions: null, insufficientMaterial: false }
+  });
+  state.board = state.board.map(row => row.map(() => null));
+  // The archer's one diagonal step is a hole, and so is the only square the far pawn could step to
+  placeMockPiece(state, 'archer', 'white', [7, 0]);
+  placeMockPiece(state, 'pawn', 'black', [5, 0]).health = 30;
+  placeMockPiece(state, 'pawn', 'black', [0, 7]);
+
+  const { state: next, events } = applyMove(state, { type: 'move', from: [7, 0], to: [5, 0], action: 'shoot' });
+  if (next.status !== 'draw' || next.endReason !== 'noMoves' || !events.some(event => event.type === 'gameOver')) {
+    throw new Error(`Expected a draw with nothing left to do, got ${next.status} / ${next.endReason}`);
+  }
+});
+
+runTest("Shields soak up damage and are gone once used up", () => {
+  const state = createEffectGame('white');
+  placeEffectPiece(state, 'rook', 'white', [5, 2]);
+  placeEffectPiece(state, 'rook', 'white', [5, 5]);
+  const thin = placeEffectPiece(state, 'pawn', 'black', [2, 2], [{ type: 'shield', turns: 3, amount: 20 }]);
+  placeEffectPiece(state, 'pawn', 'black', [2, 5], [{ type: 'shield', turns: 3, amount: 40 }]);
+
+  const first = applyMove(state, { type: 'move', from: [5, 2], to: [2, 2] });
+  if (first.events[0].damage !== 10 || first.state.board[2][2].health !== 40 || first.state.board[2][2].effects.length !== 0) {
+    throw new Error(`Expected the shield to take 20 of 30 and break, got ${JSON.stringify(first.state.board[2][2])}`);
+  }
+  if (thin.effects.length !== 1) {
+    throw new Error("Original state was modified");
+  }
+
+  const second = applyMove(state, { type: 'move', from: [5, 5], to: [2, 5] }).state.board[2][5];
+  if (second.health !== 50 || second.effects[0].amount !== 10) {
+    throw new Error(`Expected the shield to take all 30 and keep 10, got ${JSON.stringify(second)}`);
+  }
+  if (engine.legalTargets(state, [5, 5]).attacks[0].damage !== 0) {
+    throw new Error("Expected legalTargets to count the shield");
+  }
+});
+
+runTest("Support heals a friendly piece in range and gives it effects", () => {
+  const state = createEffectGame('white');
+  placeEffectPiece(state, 'medic', 'white', [5, 3]);
+  const rook = placeEffectPiece(state, 'rook', 'white', [3, 4]);
+  placeEffectPiece(state, 'rook', 'white', [2, 3]);
+  rook.health = 50;
+
+  const targets = engine.legalTargets(state, [5, 3]);
+  if (targets.supports.length !== 1 || targets.supports[0].join() !== '3,4') {
+    throw new Error(`Expected only the rook in range, got ${JSON.stringify(targets.supports)}`);
+  }
+
+  const { state: next, events } = applyMove(state, { type: 'move', from: [5, 3], to: [3, 4] });
+  const supported = next.board[3][4];
+  if (supported.health !== 65 || supported.effects.map(effect => effect.type).join() !== 'regeneration,shield' || next.board[5][3].type !== 'medic') {
+    throw new Error(`Expected the rook healed and given both effects in place, got ${JSON.stringify(supported)}`);
+  }
+  const entry = next.history[0];
+  if (events[0].type !== 'support' || entry.action !== 'support' || entry.healed !== 15 || entry.effects.join() !== 'regeneration,shield') {
+    throw new Error(`Expected the support in the history, got ${JSON.stringify(entry)}`);
+  }
+
+  expectRejection(state, { type: 'move', from: [5, 3], to: [2, 3] }, 'OUT_OF_RANGE');
+  expectRejection(state, { type: 'move', from: [2, 3], to: [5, 3] }, 'OWN_PIECE');
+});
+
+runTest("Missed attacks hand out no effects", () => {
+  const state = createEffectGame('white');
+  state.rules = createGame({ pieces: { ...effectPieces, venom: { ...effectPieces.venom, missChance: 1 } } }).rules;
+  placeEffectPiece(state, 'venom', 'white', [4, 3]);
+  placeEffectPiece(state, 'pawn', 'black', [4, 4]);
+
+  const { state: next, events } = applyMove(state, { type: 'move', from: [4, 3], to: [4, 4] });
+  if (events[0].roll !== 'miss' || next.board[4][4].effects.length !== 0) {
+    throw new Error(`Expected a miss with no effects, got ${JSON.stringify(events[0])}`);
+  }
+});
+
+runTest("Pieces can only hand out known status effects", () => {
+  const pieces = { ...effectPieces, venom: { ...effectPieces.venom, onHit: [{ type: 'curse', turns: 2 }] } };
+  try {
+    createGame({ pieces });
+  } catch (e) {
+    if (e.message !== 'Unknown status effect "curse" on the Venom') {
+      throw new Error(`Unexpected message: ${e.message}`);
+    }
+    return;
+  }
+  throw new Error("Expected an unknown effect to be rejected");
+});
+
+// --- Promotion and upgrades ---
+const upgradePieces = {
+  ...piecesData,
+  pawn: { ...piecesData.pawn, promotion: { into: ['rook', 'archer'] } },
+  hopper: {
+    name: 'Hopper', cost: 30, health: 40, attack: 10,
+    movement: [{ type: 'hop', horizontal: 1, vertical: 1 }],
+    initialPositions: { white: [], black: [] }
+  }
+};
+
+function createUpgradeGame(whiteSteam, rules) {
+  const state = createMockGame('white', whiteSteam, 0, {});
+  state.rules = createGame({ ...rules, pieces: upgradePieces }).rules;
+  placeUpgradePiece(state, 'king', 'white', [7, 7]);
+  placeUpgradePiece(state, 'king', 'black', [0, 7]);
+  return state;
+}
+
+function placeUpgradePiece(state, type, player, pos) {
+  const piece = { type, player, health: upgradePieces[type].health, attack: upgradePieces[type].attack, position: pos,
+    effects: [], upgrades: { attack: 0, health: 0, range: 0 } };
+  state.board[pos[0]][pos[1]] = piece;
+  return piece;
+}
+
+runTest("Pawns reaching the far rank promote into the chosen type, keeping their wounds", () => {
+  const state = createUpgradeGame(0);
+  placeUpgradePiece(state, 'pawn', 'white', [1, 0]).health = 40;
+  placeUpgradePiece(state, 'rook', 'white', [5, 5]);
+
+  expectRejection(state, { type: 'move', from: [1, 0], to: [0, 0] }, 'PROMOTION_REQUIRED');
+  expectRejection(state, { type: 'move', from: [1, 0], to: [0, 0], promoteTo: 'king' }, 'INVALID_PROMOTION');
+  expectRejection(state, { type: 'move', from: [5, 5], to: [4, 5], promoteTo: 'rook' }, 'INVALID_PROMOTION');
+
+  const { state: next, events } = applyMove(state, { type: 'move', from: [1, 0], to: [0, 0], promoteTo: 'rook' });
+  const promoted = next.board[0][0];
+  if (promoted.type !== 'rook' || promoted.health !== 90 || promoted.attack !== 30) {
+    throw new Error(`Expected a rook with 90 health and 30 attack, got ${JSON.stringify(promoted)}`);
+  }
+  if (!events.some(event => event.type === 'promotion' && event.previousType === 'pawn') || !next.history[0].promoted || next.history[0].promoteTo !== 'rook') {
+    throw new Error(`Expected the promotion in the events and history, got ${JSON.stringify(next.history[0])}`);
+  }
+
+  // Moves that stay short of the far rank don't promote, even when given a choice
+  const short = applyMove(state, { type: 'move', from: [1, 0], to: [2, 0], promoteTo: 'rook' }).state;
+  if (short.board[2][0].type !== 'pawn' || short.history[0].promoted) {
+    throw new Error("Expected the pawn to stay a pawn");
+  }
+});
+
+runTest("Black pawns promote on the first rank, and attacks ask only when they might kill", () => {
+  const state = createUpgradeGame(0);
+  state.turn = 'black';
+  placeUpgradePiece(state, 'pawn', 'black', [6, 0]);
+  placeUpgradePiece(state, 'rook', 'white', [7, 0]);
+  placeUpgradePiece(state, 'pawn', 'black', [6, 3]);
+  placeUpgradePiece(state, 'pawn', 'white', [7, 3]).health = 10;
+
+  if (engine.promotionChoices(state, [6, 0], [7, 0], 'move') !== null) {
+    throw new Error("Expected no promotion from an attack that can't kill");
+  }
+  applyMove(state, { type: 'move', from: [6, 0], to: [7, 0] }); // Throws if a choice is required
+
+  expectRejection(state, { type: 'move', from: [6, 3], to: [7, 3] }, 'PROMOTION_REQUIRED');
+  const choices = legalMoves(state).filter(move => move.type === 'move' && move.from[1] === 3 && move.to[0] === 7);
+  if (choices.map(move => move.promoteTo).join() !== 'rook,archer') {
+    throw new Error(`Expected one legal move per promotion, got ${JSON.stringify(choices)}`);
+  }
+  const next = applyMove(state, { type: 'move', from: [6, 3], to: [7, 3], promoteTo: 'archer' }).state;
+  if (next.board[7][3].type !== 'archer' || next.board[7][3].player !== 'black') {
+    throw new Error(`Expected the pawn to kill, move in and become an archer, got ${JSON.stringify(next.board[7][3])}`);
+  }
+});
+
+runTest("Upgrades spend steam to raise a piece's attack, health and range", () => {
+  const state = createUpgradeGame(200);
+  placeUpgradePiece(state, 'rook', 'white', [7, 0]).health = 50;
+  placeUpgradePiece(state, 'pawn', 'white', [4, 4]);
+
+  let next = applyMove(state, { type: 'upgrade', at: [7, 0], stat: 'attack' }).state;
+  if (next.board[7][0].attack !== 40 || next.board[7][0].upgrades.attack !== 1 || next.steam.white !== 160 + next.history[0].steamGained) {
+    throw new Error(`Expected 40 attack for 40 steam, got ${JSON.stringify(next.board[7][0])} and ${next.steam.white} steam`);
+  }
+  if (next.history[0].type !== 'upgrade' || next.history[0].stat !== 'attack' || next.history[0].cost !== 40) {
+    throw new Error(`Unexpected history entry ${JSON.stringify(next.history[0])}`);
+  }
+
+  next = applyMove(state, { type: 'upgrade', at: [7, 0], stat: 'health' }).state;
+  if (next.board[7][0].health !== 70 || engine.maxHealth(next, next.board[7][0]) !== 120) {
+    throw new Error(`Expected 70 of 120 health, got ${next.board[7][0].health} of ${engine.maxHealth(next, next.board[7][0])}`);
+  }
+
+  expectRejection(state, { type: 'move', from: [4, 4], to: [2, 4] }, 'OUT_OF_RANGE');
+  next = applyMove(state, { type: 'upgrade', at: [4, 4], stat: 'range' }).state;
+  next.turn = 'white';
+  applyMove(next, { type: 'move', from: [4, 4], to: [2, 4] }); // Throws if still out of range
+});
+
+runTest("Upgrades are refused when they can't be bought", () => {
+  const state = createUpgradeGame(50);
+  const rook = placeUpgradePiece(state, 'rook', 'white', [7, 0]);
+  placeUpgradePiece(state, 'hopper', 'white', [5, 5]);
+  placeUpgradePiece(state, 'rook', 'black', [0, 0]);
+
+  expectRejection(state, { type: 'upgrade', at: [7, 0], stat: 'speed' }, 'UNKNOWN_UPGRADE');
+  expectRejection(state, { type: 'upgrade', at: [4, 4], stat: 'attack' }, 'NO_PIECE');
+  expectRejection(state, { type: 'upgrade', at: [0, 0], stat: 'attack' }, 'NOT_YOUR_PIECE');
+  expectRejection(state, { type: 'upgrade', at: [5, 5], stat: 'range' }, 'CANNOT_UPGRADE');
+  expectRejection(state, { type: 'upgrade', at: [7, 0], stat: 'range' }, 'NOT_ENOUGH_STEAM');
+  rook.upgrades.attack = 3;
+  expectRejection(state, { type: 'upgrade', at: [7, 0], stat: 'attack' }, 'MAX_UPGRADE_LEVEL');
+
+  const noAttack = createUpgradeGame(200, { upgrades: { attack: null } });
+  placeUpgradePiece(noAttack, 'rook', 'white', [7, 0]);
+  expectRejection(noAttack, { type: 'upgrade', at: [7, 0], stat: 'attack' }, 'UNKNOWN_UPGRADE');
+});
+
+runTest("Promoted pieces keep their upgrades, and replays redo promotions and upgrades", () => {
+  // Free upgrades, so the replay can afford them from the start too
+  let state = createGame({
+    pieces: { ...upgradePieces, pawn: { ...upgradePieces.pawn, initialPositions: { white: [[1, 0]], black: [] } } },
+    upgrades: { attack: { cost: 0, amount: 10, maxLevel: 3 } }
+  });
+  state = applyMove(state, { type: 'upgrade', at: [1, 0], stat: 'attack' }).state;
+  state = applyMove(state, { type: 'move', from: [0, 4], to: [0, 3] }).state;
+  state = applyMove(state, { type: 'move', from: [1, 0], to: [0, 0], promoteTo: 'rook' }).state;
+  if (state.board[0][0].attack !== 40 || state.board[0][0].upgrades.attack !== 1) {
+    throw new Error(`Expected the rook to keep the attack upgrade, got ${JSON.stringify(state.board[0][0])}`);
+  }
+
+  const replayed = engine.replayHistory(state.rules, state.history, state.history.length);
+  if (JSON.stringify(replayed.board) !== JSON.stringify(state.board)) {
+    throw new Error("Expected the replay to end in the same position");
+  }
+});
+
+// --- Army draft ---
+const DRAFT = { budget: 100, rows: 2 };
+const WHITE_ARMY = [{ pieceType: 'king', to: [7, 4] }, { pieceType: 'rook', to: [6, 0] }];
+const BLACK_ARMY = [{ pieceType: 'king', to: [0, 3] }, { pieceType: 'pawn', to: [1, 3] }, { pieceType: 'pawn', to: [1, 4] }];
+
+function expectArmyRejection(state, player, army, expectedCode) {
+  try {
+    engine.placeArmy(state, player, army);
+  } catch (e) {
+    if (!(e instanceof IllegalMoveError)) throw e;
+    if (e.code !== expectedCode) {
+      throw new Error(`Expected ${expectedCode} for ${JSON.stringify(army)}, got ${e.code} (${e.message})`);
+    }
+    return;
+  }
+  throw new Error(`Expected ${JSON.stringify(army)} to be rejected with ${expectedCode}`);
+}
+
+runTest("Draft games wait in setup until both armies are placed", () => {
+  let state = createGame({ pieces: piecesData, setup: DRAFT });
+  if (state.status !== 'setup' || state.board[7][4] !== null) {
+    throw new Error("Expected an empty board in setup");
+  }
+  expectRejection(state, { type: 'move', from: [7, 4], to: [6, 4] }, 'SETUP_NOT_FINISHED');
+
+  state = engine.placeArmy(state, 'white', WHITE_ARMY);
+  if (state.status !== 'setup' || state.board[6][0] !== null) {
+    throw new Error("Expected the board to stay empty until black has placed too");
+  }
+  expectArmyRejection(state, 'white', WHITE_ARMY, 'ARMY_ALREADY_PLACED');
+
+  state = engine.placeArmy(state, 'black', BLACK_ARMY);
+  if (state.status !== 'active' || state.turn !== 'white' || state.board[6][0].type !== 'rook' ||
+      state.board[1][4].player !== 'black' || state.board[0][3].id !== 'b_king_0_3') {
+    throw new Error("Expected play to start from both armies");
+  }
+  expectArmyRejection(state, 'black', BLACK_ARMY, 'NOT_IN_SETUP');
+});
+
+runTest("Armies must fit the budget, the home rows and the required pieces", () => {
+  const state = createGame({ pieces: piecesData, setup: DRAFT });
+  expectArmyRejection(state, 'white', [...WHITE_ARMY, { pieceType: 'archer', to: [6, 1] }], 'OVER_BUDGET');
+  expectArmyRejection(state, 'white', [{ pieceType: 'king', to: [5, 4] }], 'NOT_HOME_SQUARE');
+  expectArmyRejection(state, 'black', [{ pieceType: 'king', to: [7, 4] }], 'NOT_HOME_SQUARE');
+  expectArmyRejection(state, 'white', [{ pieceType: 'rook', to: [6, 0] }], 'WRONG_PIECE_COUNT');
+  expectArmyRejection(state, 'white', [...WHITE_ARMY, { pieceType: 'king', to: [7, 3] }], 'WRONG_PIECE_COUNT');
+  expectArmyRejection(state, 'white', [...WHITE_ARMY, { pieceType: 'pawn', to: [7, 4] }], 'SQUARE_OCCUPIED');
+  expectArmyRejection(state, 'white', [...WHITE_ARMY, { pieceType: 'dragon', to: [7, 3] }], 'UNKNOWN_PIECE_TYPE');
+  expectArmyRejection(state, 'white', [...WHITE_ARMY, { pieceType: 'pawn', to: [8, 3] }], 'OUT_OF_BOUNDS');
+});
+
+runTest("Placed armies stay hidden from the opponent until play starts", () => {
+  let state = engine.placeArmy(createGame({ pieces: piecesData, setup: DRAFT }), 'white', WHITE_ARMY);
+  const blackView = engine.playerView(state, 'black');
+  if (!blackView.armies.white.hidden || blackView.armies.black !== null) {
+    throw new Error(`Expected black to only see that white is ready, got ${JSON.stringify(blackView.armies)}`);
+  }
+  if (engine.playerView(state, 'white').armies.white.length !== 2 || !engine.playerView(state, null).armies.white.hidden) {
+    throw new Error("Expected white to see their own army and spectators neither");
+  }
+
+  state = engine.placeArmy(state, 'black', BLACK_ARMY);
+  if (engine.playerView(state, 'black').armies.white.length !== 2) {
+    throw new Error("Expected the armies to be shown once play starts");
+  }
+});
+
+runTest("Replays of draft games start from the placed armies", () => {
+  let state = createGame({ pieces: piecesData, setup: DRAFT });
+  state = engine.placeArmy(engine.placeArmy(state, 'white', WHITE_ARMY), 'black', BLACK_ARMY);
+  state = applyMove(state, { type: 'move', from: [6, 0], to: [2, 0] }).state;
+  state = applyMove(state, { type: 'move', from: [1, 3], to: [2, 3] }).state;
+
+  const replayed = engine.replayHistory(state.rules, state.history, 1, state.armies);
+  if (!replayed.board[2][0] || replayed.board[2][0].type !== 'rook' || !replayed.board[1][3]) {
+    throw new Error("Expected the rook moved and the pawn still home after one move");
+  }
+});
+
+// --- Action points ---
+const actionPointPieces = {
+  ...piecesData,
+  rook: { ...piecesData.rook, actionCosts: { move: 2, attack: 3 } }
+};
+
+// Kings on their usual squares and a white rook on e4, facing the black king down the e-file
+function createActionPointGame(perTurn) {
+  const state = createGame({ pieces: actionPointPieces, actionPoints: { perTurn } });
+  state.board[4][4] = { id: 'w_rook_4_4', type: 'rook', player: 'white', health: 100, attack: 30, position: [4, 4] };
+  return state;
+}
+
+runTest("Action-point turns go on until the points run out or the player ends them", () => {
+  let state = createActionPointGame(3);
+  state = applyMove(state, { type: 'move', from: [7, 4], to: [6, 4] }).state;
+  if (state.turn !== 'white' || state.actionPoints !== 2 || state.steam.white !== 0 || state.history[0].actionCost !== 1) {
+    throw new Error(`Expected white to act on with 2 points and no steam yet, got ${state.turn} / ${state.actionPoints} / ${state.steam.white}`);
+  }
+
+  state = applyMove(state, { type: 'endTurn' }).state;
+  if (state.turn !== 'black' || state.actionPoints !== 3 || state.steam.white === 0 || state.history[1].type !== 'endTurn') {
+    throw new Error("Expected ending the turn to score white's steam and give black 3 points");
+  }
+
+  state = applyMove(state, { type: 'move', from: [0, 4], to: [0, 3] }).state;
+  state = applyMove(state, { type: 'move', from: [0, 3], to: [0, 2] }).state;
+  state = applyMove(state, { type: 'move', from: [0, 2], to: [0, 1] }).state;
+  if (state.turn !== 'white' || state.actionPoints !== 3) {
+    throw new Error("Expected black's turn to end with their last point");
+  }
+
+  const replayed = engine.replayHistory(state.rules, state.history, state.history.length);
+  if (replayed.turn !== 'white' || replayed.steam.black !== state.steam.black || !replayed.board[0][1]) {
+    throw new Error("Expected the replay to end the same turns");
+  }
+});
+
+runTest("Actions cost what the piece definition sets, and unaffordable ones are refused", () => {
+  let state = createActionPointGame(3);
+  if (engine.actionCost(state, { type: 'move', from: [4, 4], to: [4, 0] }) !== 2 ||
+      engine.actionCost(state, { type: 'move', from: [4, 4], to: [0, 4] }) !== 3 ||
+      engine.actionCost(state, { type: 'deploy', pieceType: 'pawn', to: [5, 0] }) !== 1) {
+    throw new Error("Expected rook moves to cost 2, its attacks 3 and deploys the default 1");
+  }
+
+  state = applyMove(state, { type: 'move', from: [7, 4], to: [7, 3] }).state;
+  expectRejection(state, { type: 'move', from: [4, 4], to: [0, 4] }, 'NOT_ENOUGH_ACTION_POINTS');
+  if (engine.legalTargets(state, [4, 4]).attacks.length !== 0 || engine.legalTargets(state, [4, 4]).moves.length === 0) {
+    throw new Error("Expected the rook to offer its moves but not the attack it can't pay for");
+  }
+  if (!legalMoves(state).some(move => move.type === 'endTurn')) {
+    throw new Error("Expected ending the turn to be a legal move");
+  }
+
+  expectRejection(createGame({ pieces: piecesData }), { type: 'endTurn' }, 'NO_ACTION_POINTS');
+});
+
+runTest("Damage anywhere in a turn counts for the draw checks", () => {
+  let state = createActionPointGame(5);
+  state.turnsWithoutDamage = 10;
+  state = applyMove(state, { type: 'move', from: [4, 4], to: [0, 4] }).state;
+  state = applyMove(state, { type: 'endTurn' }).state;
+  if (state.turnsWithoutDamage !== 0) {
+    throw new Error(`Expected the rook's attack to reset the no-progress count, got ${state.turnsWithoutDamage}`);
+  }
+});
+
+runTest("Action-point games end as soon as a king falls", () => {
+  let state = createActionPointGame(5);
+  state.board[0][4].health = 10;
+  state.board[0][0] = { id: 'b_pawn_0_0', type: 'pawn', player: 'black', health: 50, attack: 15, position: [0, 0] };
+  const { state: next, events } = applyMove(state, { type: 'move', from: [4, 4], to: [0, 4] });
+  if (next.status !== 'white_wins' || next.endReason !== 'king' || next.steam.white !== 0 || !events.some(event => event.type === 'gameOver')) {
+    throw new Error(`Expected white to win at once, got ${next.status}`);
+  }
+});
+
+// --- Three- and four-player games ---
+const FREE_FOR_ALL = [
+  { color: 'white', side: 'bottom' },
+  { color: 'red', side: 'left' },
+  { color: 'black', side: 'top' }
+];
+const TEAMS = [
+  { color: 'white', side: 'bottom', team: 'gold' },
+  { color: 'red', side: 'left', team: 'silver' },
+  { color: 'black', side: 'top', team: 'gold' },
+  { color: 'blue', side: 'right', team: 'silver' }
+];
+
+function placeSeatPiece(state, type, player, pos) {
+  const piece = { id: `${player}_${type}_${pos.join('_')}`, type, player, position: pos,
+    health: piecesData[type].health, attack: piecesData[type].attack };
+  state.board[pos[0]][pos[1]] = piece;
+  return piece;
+}
+
+runTest("Seats start at their own edge and play in turn", () => {
+  const state = createGame({ pieces: piecesData, seats: TEAMS });
+  const kings = { white: [7, 4], red: [4, 0], black: [0, 4], blue: [4, 7] };
+  Object.keys(kings).forEach(color => {
+    const [row, col] = kings[color];
+    const piece = state.board[row][col];
+    if (!piece || piece.type !== 'king' || piece.player !== color || state.steam[color] !== 0) {
+      throw new Error(`Expected ${color}'s king on ${kings[color]} and no steam yet`);
+    }
+  });
+
+  let next = state;
+  const order = [];
+  [[7, 4, 7, 3], [4, 0, 3, 0], [0, 4, 0, 3], [4, 7, 3, 7]].forEach(([fromRow, fromCol, toRow, toCol]) => {
+    order.push(next.turn);
+    next = applyMove(next, { type: 'move', from: [fromRow, fromCol], to: [toRow, toCol] }).state;
+  });
+  if (order.join() !== 'white,red,black,blue' || next.turn !== 'white') {
+    throw new Error(`Expected the seats' order, got ${order.join()} then ${next.turn}`);
+  }
+});
+
+runTest("Seats must be two to four, each with its own color and side, on more than one team", () => {
+  [
+    [FREE_FOR_ALL[0]],
+    [FREE_FOR_ALL[0], { color: 'white', side: 'top' }],
+    [FREE_FOR_ALL[0], { color: 'red', side: 'bottom' }],
+    [{ ...FREE_FOR_ALL[0], team: 'gold' }, { ...FREE_FOR_ALL[2], team: 'gold' }],
+    [FREE_FOR_ALL[0], { color: 'red', side: 'middle' }]
+  ].forEach(seats => {
+    let threw = false;
+    try {
+      createGame({ pieces: piecesData, seats });
+    } catch (e) {
+      threw = true;
+    }
+    if (!threw) {
+      throw new Error(`Expected ${JSON.stringify(seats)} to be refused`);
+    }
+  });
+});
+
+runTest("Pieces of side seats move across the board from their edge", () => {
+  const state = createGame({ pieces: piecesData, seats: FREE_FOR_ALL });
+  placeSeatPiece(state, 'pawn', 'red', [2, 1]);
+  state.turn = 'red';
+  expectRejection(state, { type: 'move', from: [2, 1], to: [1, 1] }, 'OUT_OF_RANGE');
+  if (applyMove(state, { type: 'move', from: [2, 1], to: [2, 2] }).state.board[2][2].player !== 'red') {
+    throw new Error("Expected red's pawn to step away from the left edge");
+  }
+});
+
+runTest("A fallen seat leaves the game while the others play on", () => {
+  const state = createGame({ pieces: piecesData, seats: FREE_FOR_ALL });
+  state.board[4][0].health = 10;
+  placeSeatPiece(state, 'pawn', 'red', [2, 0]);
+  placeSeatPiece(state, 'rook', 'white', [4, 3]);
+  state.squareControl[2][1] = 'red';
+
+  const { state: next, events } = applyMove(state, { type: 'move', from: [4, 3], to: [4, 0] });
+  if (next.status !== 'active' || next.eliminated.join() !== 'red' || next.turn !== 'black') {
+    throw new Error(`Expected red out and black to move, got ${next.status} / ${next.eliminated} / ${next.turn}`);
+  }
+  if (next.board[2][0] !== null || next.squareControl[2][1] === 'red' || !events.some(event => event.type === 'eliminated' && event.player === 'red')) {
+    throw new Error("Expected red's pieces and control to leave with them");
+  }
+
+  const after = applyMove(next, { type: 'move', from: [0, 4], to: [0, 3] }).state;
+  if (after.turn !== 'white') {
+    throw new Error(`Expected red's turn to be skipped, got ${after.turn}`);
+  }
+});
+
+runTest("Allies can't attack each other and win together", () => {
+  let state = createGame({ pieces: piecesData, seats: TEAMS });
+  placeSeatPiece(state, 'rook', 'white', [1, 4]);
+  expectRejection(state, { type: 'move', from: [1, 4], to: [0, 4] }, 'OWN_PIECE');
+
+  state = engine.concedeSeat(state, 'blue', 'resign');
+  if (state.status !== 'active' || state.board[4][7] !== null || state.history[0].type !== 'concede') {
+    throw new Error("Expected blue to leave while red still stands");
+  }
+
+  state.board[4][0].health = 10;
+  placeSeatPiece(state, 'pawn', 'red', [2, 0]);
+  placeSeatPiece(state, 'rook', 'white', [4, 3]);
+  state = applyMove(state, { type: 'move', from: [4, 3], to: [4, 0] }).state;
+  if (state.status !== 'gold_wins' || state.endReason !== 'king' || engine.teamOf(state.rules, 'black') !== 'gold') {
+    throw new Error(`Expected white and black's team to win, got ${state.status}`);
+  }
+});
+
+runTest("A conceding seat passes its turn on, and ends two-player games", () => {
+  let state = applyMove(createGame({ pieces: piecesData, seats: FREE_FOR_ALL }), { type: 'move', from: [7, 4], to: [7, 3] }).state;
+  state = engine.concedeSeat(state, 'red', 'timeout');
+  if (state.turn !== 'black' || state.history[1].player !== 'red' || state.history[1].reason !== 'timeout') {
+    throw new Error(`Expected black to move after red left, got ${state.turn}`);
+  }
+
+  const replayed = engine.replayHistory(state.rules, state.history, state.history.length);
+  if (replayed.turn !== 'black' || replayed.eliminated.join() !== 'red' || replayed.board[4][0] !== null) {
+    throw new Error("Expected the replay to take red out again");
+  }
+
+  const twoPlayer = engine.concedeSeat(createGame({ pieces: piecesData }), 'black', 'resign');
+  if (twoPlayer.status !== 'white_wins' || twoPlayer.endReason !== 'resign' || twoPlayer.history.length !== 0) {
+    throw new Error(`Expected white to win by resignation, got ${twoPlayer.status}`);
+  }
+});
+
+console.log("\n--- Engine Tests Complete ---");
+// To run these tests: node test/engine.test.js
@@ -0,0 +1,86 @@
+// Test file: test/gameStore.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createGameStore } = require('../gameStore');
+
+// --- Test Helper Functions ---
+function withStore(testFunction) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'game-store-'));
+  try {
+    testFunction(createGameStore(directory), directory);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`PASS: ${testName}`);
+  } catch (e) {
+    console.error(`FAIL: ${testName}`);
+    console.error(e);
+    process.exitCode = 1;
+  }
+}
+
+// --- Test Cases ---
+
+runTest("Saved games are loaded back, latest version only", () => {
+  withStore(store => {
+    store.save({ id: 'a1', state: { turn: 'white' } });
+    store.save({ id: 'a1', state: { turn: 'black' } });
+    store.save({ id: 'b2', state: { turn: 'white' } });
+
+    const records = store.loadAll().sort((a, b) => a.id.localeCompare(b.id));
+    if (records.length !== 2 || records[0].state.turn !== 'black' || records[1].id !== 'b2') {
+      throw new Error(`Unexpected records ${JSON.stringify(records)}`);
+    }
+  });
+});
+
+runTest("Removed games are not loaded again", () => {
+  withStore(store => {
+    store.save({ id: 'a1', state: {} });
+    store.remove('a1');
+    store.remove('a1'); // Removing twice is harmless
+    if (store.loadAll().length !== 0) {
+      throw new Error("Expected no stored games");
+    }
+  });
+});
+
+runTest("Unreadable files are skipped and leftovers of interrupted writes ignored", () => {
+  withStore((store, directory) => {
+    store.save({ id: 'a1', state: {} });
+    fs.writeFileSync(path.join(directory, 'b2.json'), '{"id": "b2", "sta');
+    fs.writeFileSync(path.join(directory, 'c3.json.tmp'), '{}');
+
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+      const records = store.loadAll();
+      if (records.length !== 1 || records[0].id !== 'a1') {
+        throw new Error(`Expected only a1, got ${JSON.stringify(records)}`);
+      }
+    } finally {
+      console.warn = originalWarn;
+    }
+  });
+});
+
+runTest("Game ids that are not safe file names are refused", () => {
+  withStore(store => {
+    try {
+      store.save({ id: '../escape', state: {} });
+    } catch (e) {
+      return;
+    }
+    throw new Error("Expected the id to be refused");
+  });
+});
+
+console.log("\n--- Game Store Tests Complete ---");
+// To run these tests: node test/gameStore.test.js
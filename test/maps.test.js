@@ -0,0 +1,73 @@
+// Test file: test/maps.test.js
+
+const { parseLayout, loadMaps } = require('../maps');
+
+const terrainData = {
+  wall: { name: 'Wall', symbol: '#' },
+  forest: { name: 'Forest', symbol: 'F' }
+};
+
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`PASS: ${testName}`);
+  } catch (e) {
+    console.error(`FAIL: ${testName}`);
+    console.error(e);
+    process.exitCode = 1;
+  }
+}
+
+function expectError(fn, expectedText) {
+  try {
+    fn();
+  } catch (e) {
+    if (!e.message.includes(expectedText)) {
+      throw new Error(`Expected an error about "${expectedText}", got "${e.message}"`);
+    }
+    return;
+  }
+  throw new Error(`Expected an error about "${expectedText}"`);
+}
+
+// --- Test Cases ---
+
+runTest("Layouts give the board size, holes and terrain", () => {
+  const board = parseLayout([' ..F', '.#..', '....'], terrainData);
+  if (board.rows !== 3 || board.cols !== 4 || JSON.stringify(board.holes) !== '[[0,0]]') {
+    throw new Error(`Unexpected geometry ${JSON.stringify(board)}`);
+  }
+  if (board.terrain[0][3] !== 'forest' || board.terrain[1][1] !== 'wall' || board.terrain[2][0] !== null) {
+    throw new Error(`Unexpected terrain ${JSON.stringify(board.terrain)}`);
+  }
+});
+
+runTest("Layouts without terrain have no terrain grid", () => {
+  if (parseLayout(['....', '....'], terrainData).terrain !== null) {
+    throw new Error("Expected terrain to be null");
+  }
+});
+
+runTest("Broken layouts are refused", () => {
+  expectError(() => parseLayout([], terrainData), 'list of rows');
+  expectError(() => parseLayout(['....', '...'], terrainData), 'same length');
+  expectError(() => parseLayout(['..X.'], terrainData), 'Unknown terrain symbol "X"');
+});
+
+runTest("Map errors name the broken map", () => {
+  const maps = loadMaps({ small: { name: 'Small', layout: ['..', '..'] } }, terrainData);
+  if (maps.small.name !== 'Small' || maps.small.board.rows !== 2) {
+    throw new Error(`Unexpected maps ${JSON.stringify(maps)}`);
+  }
+  expectError(() => loadMaps({ broken: { name: 'Broken', layout: ['.?'] } }, terrainData), 'Map broken:');
+});
+
+runTest("The bundled maps all load", () => {
+  const maps = loadMaps(require('../maps.json'), require('../terrain.json'));
+  if (!maps.classic || maps.classic.board.rows !== 8 || maps.classic.board.terrain !== null) {
+    throw new Error("Expected the classic map to be a plain 8x8 board");
+  }
+});
+
+console.log("\n--- Maps Tests Complete ---");
+// To run these tests: node test/maps.test.js
@@ -0,0 +1,426 @@
+// Test file: test/notation.test.js
+
+const engine = require('../engine');
+const { NotationError, formatSquare, parseSquare, formatMove, exportGame, importGame } = require('../notation');
+
+// --- Mock piece definitions ---
+const piecesData = {
+  pawn: {
+    name: 'Pawn', symbol: 'P', cost: 20, health: 50, attack: 15,
+    movement: [{ type: 'straight', direction: 'vertical', range: 1 }],
+    initialPositions: { white: [], black: [] }
+  },
+  king: {
+    name: 'King', symbol: 'K', cost: null, health: 120, attack: 20,
+    movement: [
+      { type: 'straight', direction: 'horizontal', range: 1 },
+      { type: 'straight', direction: 'vertical', range: 1 },
+      { type: 'hop', horizontal: 1, vertical: 1 }
+    ],
+    initialPositions: { white: [[7, 4]], black: [[0, 4]] }
+  },
+  archer: {
+    name: 'Archer', cost: 50, health: 60, attack: 45,
+    movement: [
+      { type: 'hop', horizontal: 1, vertical: 1 },
+      { type: 'ranged', minRange: 2, maxRange: 3, lineOfSight: true }
+    ],
+    initialPositions: { white: [[6, 3]], black: [[1, 3]] }
+  }
+};
+
+// Without kings the game ends by elimination
+const archersOnly = { archer: piecesData.archer };
+const NO_KINGS = { winConditions: { kingAssassination: false } };
+
+// Archers step into range of each other and trade shots until black's archer dies
+const ARCHER_DUEL = [
+  { type: 'move', from: [6, 3], to: [5, 2] },
+  { type: 'move', from: [1, 3], to: [2, 2] },
+  { type: 'move', from: [5, 2], to: [2, 2], action: 'shoot' },
+  { type: 'move', from: [2, 2], to: [5, 2], action: 'shoot' },
+  { type: 'move', from: [5, 2], to: [2, 2], action: 'shoot' }
+];
+
+// --- Test Helper Functions ---
+function playMoves(moves, rules, pieces) {
+  let state = engine.createGame({ ...rules, pieces: pieces || piecesData });
+  moves.forEach(move => {
+    state = engine.applyMove(state, move).state;
+  });
+  return state;
+}
+
+function expectNotationError(text, expectedCode, pieces) {
+  try {
+    importGame(text, pieces || piecesData);
+  } catch (e) {
+    if (!(e instanceof NotationError)) throw e;
+    if (e.code !== expectedCode) {
+      throw new Error(`Expected ${expectedCode}, got ${e.code} (${e.message})`);
+    }
+    return;
+  }
+  throw new Error(`Expected the record to be rejected with ${expectedCode}`);
+}
+
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`PASS: ${testName}`);
+  } catch (e) {
+    console.error(`FAIL: ${testName}`);
+    console.error(e);
+    process.exitCode = 1;
+  }
+}
+
+// --- Test Cases ---
+
+runTest("Squares are named by file and rank from white's side", () => {
+  if (formatSquare([7, 0]) !== 'a1' || formatSquare([0, 7]) !== 'h8' || formatSquare([6, 4]) !== 'e2') {
+    throw new Error("Unexpected square names");
+  }
+  if (JSON.stringify(parseSquare('e2')) !== '[6,4]') {
+    throw new Error(`Expected e2 to be [6,4], got ${JSON.stringify(parseSquare('e2'))}`);
+  }
+  if (formatSquare([0, 11], 10) !== 'l10' || JSON.stringify(parseSquare('l10', 10)) !== '[0,11]') {
+    throw new Error("Expected ranks to count the board's rows");
+  }
+});
+
+runTest("Moves, attacks, shots, supports, promotions, deploys and upgrades have their own notation", () => {
+  const cases = [
+    [{ type: 'move', pieceType: 'king', from: [7, 4], to: [6, 4], action: 'move', damage: 0, killed: false }, 'Ke1-e2'],
+    [{ type: 'move', pieceType: 'king', from: [7, 4], to: [6, 4], action: 'move', damage: 20, killed: false }, 'Ke1xe2(20)'],
+    [{ type: 'move', pieceType: 'king', from: [7, 4], to: [6, 4], action: 'move', damage: 20, killed: true }, 'Ke1xe2(20)#'],
+    [{ type: 'move', pieceType: 'archer', from: [6, 3], to: [3, 3], action: 'shoot', damage: 45, killed: false }, 'archerd2>d5(45)'],
+    [{ type: 'move', pieceType: 'king', from: [7, 4], to: [6, 3], action: 'support', damage: 0, killed: false }, 'Ke1+d2'],
+    [{ type: 'move', pieceType: 'pawn', from: [1, 0], to: [0, 0], action: 'move', damage: 0, killed: false, promoteTo: 'king' }, 'Pa7-a8=K'],
+    [{ type: 'move', pieceType: 'pawn', from: [1, 0], to: [0, 1], action: 'move', damage: 15, killed: false, promoteTo: 'archer' }, 'Pa7xb8(15)=archer'],
+    [{ type: 'deploy', pieceType: 'pawn', to: [5, 0], damage: 0, killed: false }, 'P@a3'],
+    [{ type: 'upgrade', pieceType: 'king', at: [7, 4], stat: 'health', damage: 0, killed: false }, 'Ke1^health']
+  ];
+  cases.forEach(([entry, expected]) => {
+    const text = formatMove(entry, piecesData);
+    if (text !== expected) {
+      throw new Error(`Expected ${expected}, got ${text}`);
+    }
+  });
+});
+
+runTest("Exported records carry the ruleset, the players and the result", () => {
+  const state = playMoves([{ type: 'move', from: [7, 4], to: [6, 4] }], {
+    winConditions: { territory: { percent: 60, turns: 3 } }
+  });
+  const record = exportGame(state, { Event: 'Friday duel', White: 'Ada' });
+  ['[Event "Friday duel"]', '[White "Ada"]', '[Black "?"]', '[KingAssassination "yes"]',
+    '[Territory "60/3"]', '[SteamRace "-"]', '[Result "*"]', '1. Ke1-e2 *'].forEach(expected => {
+    if (!record.includes(expected)) {
+      throw new Error(`Expected the record to contain ${expected}:\n${record}`);
+    }
+  });
+});
+
+runTest("Importing an exported game rebuilds the same position", () => {
+  const state = playMoves(ARCHER_DUEL, { winConditions: { steamRace: { target: 500 } } });
+  const record = exportGame(state, { Event: 'Test' });
+  if (!record.replace(/\s+/g, ' ').includes('2. archerc3>c6(45) archerc6>c3(45) 3. archerc3>c6(45)# *')) {
+    throw new Error(`Unexpected movetext:\n${record}`);
+  }
+
+  const { state: loaded, headers } = importGame(record, piecesData);
+  if (JSON.stringify(loaded.board) !== JSON.stringify(state.board) || loaded.turn !== state.turn ||
+      loaded.steam.white !== state.steam.white || loaded.history.length !== ARCHER_DUEL.length) {
+    throw new Error("Loaded position differs from the exported one");
+  }
+  if (loaded.rules.winConditions.steamRace.target !== 500 || headers.Event !== 'Test') {
+    throw new Error("Expected the ruleset and headers to be read back");
+  }
+});
+
+runTest("Names with quotes and line breaks still give a readable record", () => {
+  const state = playMoves([{ type: 'move', from: [7, 4], to: [6, 4] }]);
+  const record = exportGame(state, { Event: 'Friday\nduel', White: 'Ada "the rook"\r\nLovelace' });
+  const { state: loaded, headers } = importGame(record, piecesData);
+  if (headers.Event !== 'Friday duel' || headers.White !== 'Ada the rook Lovelace' || loaded.history.length !== 1) {
+    throw new Error(`Expected the names on one line each:\n${record}`);
+  }
+});
+
+runTest("Records keep the board's size and holes", () => {
+  const board = { rows: 10, cols: 12, holes: [[9, 0], [0, 11]], terrain: null };
+  const state = playMoves([{ type: 'move', from: [9, 6], to: [8, 6] }, { type: 'move', from: [0, 6], to: [1, 7] }], { board });
+  const record = exportGame(state, {});
+  ['[Board "10x12"]', '[Holes "a1 l10"]', '1. Kg1-g2 Kg10-h9 *'].forEach(expected => {
+    if (!record.includes(expected)) {
+      throw new Error(`Expected the record to contain ${expected}:\n${record}`);
+    }
+  });
+
+  const { state: loaded } = importGame(record, piecesData);
+  if (JSON.stringify(loaded.rules.board) !== JSON.stringify(board) || JSON.stringify(loaded.board) !== JSON.stringify(state.board)) {
+    throw new Error("Expected the board to be read back");
+  }
+  expectNotationError('[Board "10x12"]\n[Holes "a1 z99"]\n\n*', 'BAD_HEADER');
+  expectNotationError('[Board "big"]\n\n*', 'BAD_HEADER');
+  expectNotationError('[Board "3000000x26"]\n\n*', 'BAD_HEADER');
+  expectNotationError('[Board "8x27"]\n\n*', 'BAD_HEADER');
+});
+
+runTest("Records keep the board's terrain", () => {
+  const terrainData = { wall: { name: 'Wall', symbol: '#', blocksMovement: true }, forest: { name: 'Forest', symbol: 'F' } };
+  const terrain = Array(8).fill(null).map(() => Array(8).fill(null));
+  terrain[4][0] = 'wall';
+  terrain[3][7] = 'forest';
+  const state = playMoves([{ type: 'move', from: [7, 4], to: [6, 4] }], { terrain: terrainData, board: { terrain } });
+  const record = exportGame(state, {});
+  if (!record.includes('[Terrain "......../......../......../.......F/#......./......../......../........"]')) {
+    throw new Error(`Expected a Terrain tag:\n${record}`);
+  }
+
+  const { state: loaded } = importGame(record, piecesData, terrainData);
+  if (JSON.stringify(loaded.rules.board.terrain) !== JSON.stringify(terrain) || loaded.rules.terrain.wall.symbol !== '#') {
+    throw new Error("Expected the terrain to be read back");
+  }
+  expectNotationError('[Terrain "......../......../......../......./#......./......../......../........"]\n\n*', 'BAD_HEADER');
+  expectNotationError('[Terrain "......../......../......../.......X/#......./......../......../........"]\n\n*', 'BAD_HEADER');
+});
+
+runTest("Records keep fog of war", () => {
+  const state = playMoves([{ type: 'move', from: [7, 4], to: [6, 4] }], { fogOfWar: { visionRange: 2 } });
+  const record = exportGame(state, {});
+  if (!record.includes('[FogOfWar "2"]') || !exportGame(playMoves([]), {}).includes('[FogOfWar "-"]')) {
+    throw new Error(`Expected a FogOfWar tag:\n${record}`);
+  }
+  const { state: loaded } = importGame(record, piecesData);
+  if (!loaded.rules.fogOfWar || loaded.rules.fogOfWar.visionRange !== 2) {
+    throw new Error("Expected fog of war to be read back");
+  }
+  expectNotationError('[FogOfWar "0"]\n\n*', 'BAD_HEADER');
+});
+
+runTest("Records keep the seed, so critical hits and misses replay the same", () => {
+  const luckyArchers = { archer: { ...piecesData.archer, criticalChance: 0.4, missChance: 0.4 } };
+  let state = engine.createGame({ ...NO_KINGS, pieces: luckyArchers, seed: 4242 });
+  state = engine.applyMove(state, ARCHER_DUEL[0]).state;
+  state = engine.applyMove(state, ARCHER_DUEL[1]).state;
+  while (state.status === 'active' && state.history.length < 12) {
+    state = engine.applyMove(state, ARCHER_DUEL[state.turn === 'white' ? 2 : 3]).state;
+  }
+  const record = exportGame(state, {});
+  if (!record.includes('[Seed "4242"]') || !state.history.some(entry => entry.roll !== 'hit')) {
+    throw new Error(`Expected a Seed tag and some luck in the game:\n${record}`);
+  }
+
+  const { state: loaded } = importGame(record, luckyArchers);
+  if (JSON.stringify(loaded.history) !== JSON.stringify(state.history) || loaded.rng !== state.rng) {
+    throw new Error("Expected the same rolls on loading");
+  }
+  const reseeded = [1, 2, 3, 4, 5].map(seed => record.replace('[Seed "4242"]', `[Seed "${seed}"]`));
+  if (reseeded.every(text => { try { importGame(text, luckyArchers); return true; } catch (e) { return false; } })) {
+    throw new Error("Expected other seeds to roll differently from the record");
+  }
+  expectNotationError('[Seed "lucky"]\n\n*', 'BAD_HEADER');
+});
+
+runTest("Records without the seed land each attack the way that deals the recorded damage", () => {
+  const luckyArchers = { archer: { ...piecesData.archer, criticalChance: 0.4, missChance: 0.4 } };
+  let state = engine.createGame({ ...NO_KINGS, pieces: luckyArchers, seed: 4242 });
+  state = engine.applyMove(state, ARCHER_DUEL[0]).state;
+  state = engine.applyMove(state, ARCHER_DUEL[1]).state;
+  while (state.status === 'active' && state.history.length < 12) {
+    state = engine.applyMove(state, ARCHER_DUEL[state.turn === 'white' ? 2 : 3]).state;
+  }
+  const record = exportGame({ ...state, rules: { ...state.rules, seed: null } }, {});
+  if (!record.includes('[Seed "-"]')) {
+    throw new Error(`Expected the seed to be left out:\n${record}`);
+  }
+
+  const { state: loaded } = importGame(record, luckyArchers);
+  if (loaded.rules.seed !== null || JSON.stringify(loaded.history) !== JSON.stringify(state.history)) {
+    throw new Error("Expected the recorded rolls on loading");
+  }
+  expectNotationError(record.replace(/\(\d+\)/, '(7)'), 'MOVE_MISMATCH', luckyArchers);
+});
+
+runTest("Records replay supports and the effects they give", () => {
+  const healers = { ...piecesData, king: { ...piecesData.king, support: { range: 1, heal: 10, effects: [{ type: 'shield', turns: 3, amount: 20 }] } } };
+  const state = playMoves([
+    { type: 'move', from: [7, 4], to: [6, 3] },
+    { type: 'move', from: [1, 3], to: [2, 2] }
+  ], {}, healers);
+  const record = exportGame(state, {});
+  if (!record.includes('1. Ke1+d2 archerd7-c6')) {
+    throw new Error(`Expected the support in the moves:\n${record}`);
+  }
+
+  const { state: loaded } = importGame(record, healers);
+  if (JSON.stringify(loaded.board) !== JSON.stringify(state.board) || loaded.board[6][3].effects[0].type !== 'shield') {
+    throw new Error("Expected the same shielded archer on loading");
+  }
+  expectNotationError('1. Ke1+d2(10) *', 'BAD_MOVE', healers);
+  expectNotationError('1. Ke1+e2 *', 'ILLEGAL_MOVE', healers);
+});
+
+runTest("Records replay promotions and upgrades", () => {
+  const promoting = {
+    ...piecesData,
+    pawn: { ...piecesData.pawn, promotion: { into: ['archer'] }, initialPositions: { white: [[6, 0]], black: [] } }
+  };
+  // The pawn marches up while the black king shuffles, earning white the steam for an upgrade
+  const blackKing = count => count % 2 === 0 ? { type: 'move', from: [0, 4], to: [0, 3] } : { type: 'move', from: [0, 3], to: [0, 4] };
+  const moves = [];
+  [5, 4, 3, 2].forEach((row, index) => moves.push({ type: 'move', from: [row + 1, 0], to: [row, 0] }, blackKing(index)));
+  moves.push({ type: 'upgrade', at: [7, 4], stat: 'health' }, blackKing(4));
+  moves.push({ type: 'move', from: [2, 0], to: [1, 0] }, blackKing(5));
+  moves.push({ type: 'move', from: [1, 0], to: [0, 0], promoteTo: 'archer' });
+  const record = exportGame(playMoves(moves, {}, promoting), {});
+  const movetext = record.replace(/\s+/g, ' ');
+  if (!movetext.includes('5. Ke1^health Ke8-d8') || !movetext.includes('7. Pa7-a8=archer')) {
+    throw new Error(`Expected the upgrade and the promotion in the moves:\n${record}`);
+  }
+
+  const { state: loaded } = importGame(record, promoting);
+  if (loaded.board[0][0].type !== 'archer' || loaded.board[7][4].upgrades.health !== 1) {
+    throw new Error("Expected the promoted archer and the upgraded king on loading");
+  }
+  expectNotationError('1. Pa2-a3 Ke8-d8 2. Ke1^health *', 'ILLEGAL_MOVE', promoting);
+  expectNotationError('1. Pa2-a3=Z *', 'BAD_MOVE', promoting);
+  expectNotationError('1. Ke1^speed *', 'ILLEGAL_MOVE', promoting);
+});
+
+runTest("Records of draft games keep the setup and, once play starts, both armies", () => {
+  const setup = { budget: 60, rows: 2 };
+  let state = engine.createGame({ pieces: piecesData, setup });
+  state = engine.placeArmy(state, 'white', [{ pieceType: 'king', to: [7, 2] }, { pieceType: 'archer', to: [6, 2] }]);
+  const inSetup = exportGame(state, {});
+  if (!inSetup.includes('[Setup "60/2"]') || inSetup.includes('WhiteArmy') || importGame(inSetup, piecesData).state.status !== 'setup') {
+    throw new Error(`Expected a record of the setup without the army placed so far:\n${inSetup}`);
+  }
+
+  state = engine.placeArmy(state, 'black', [{ pieceType: 'king', to: [0, 5] }, { pieceType: 'pawn', to: [1, 5] }]);
+  state = engine.applyMove(state, { type: 'move', from: [7, 2], to: [7, 3] }).state;
+  const record = exportGame(state, {});
+  if (!record.includes('[WhiteArmy "Kc1 archerc2"]') || !record.includes('[BlackArmy "Kf8 Pf7"]')) {
+    throw new Error(`Expected both armies in the record:\n${record}`);
+  }
+  const { state: loaded } = importGame(record, piecesData);
+  if (loaded.board[6][2].type !== 'archer' || loaded.board[7][3].type !== 'king' || loaded.board[1][5].player !== 'black') {
+    throw new Error("Expected the armies and the move on loading");
+  }
+
+  expectNotationError(record.replace('Kf8 Pf7', 'Kf8 Pf6'), 'ILLEGAL_MOVE');
+  expectNotationError(record.replace('Kf8 Pf7', 'Kf8 f7'), 'BAD_HEADER');
+  expectNotationError('[Setup "60/5"]\n\n*', 'BAD_HEADER');
+});
+
+runTest("Records of action-point games number white's turns and mark turns ended early", () => {
+  let state = engine.createGame({ pieces: piecesData, actionPoints: { perTurn: 2 } });
+  [
+    { type: 'move', from: [7, 4], to: [6, 4] },
+    { type: 'endTurn' },
+    { type: 'move', from: [0, 4], to: [1, 4] },
+    { type: 'move', from: [1, 4], to: [2, 4] },
+    { type: 'move', from: [6, 4], to: [5, 4] }
+  ].forEach(move => {
+    state = engine.applyMove(state, move).state;
+  });
+
+  const record = exportGame(state, {});
+  if (!record.includes('[ActionPoints "2"]') || !record.includes('1. Ke1-e2 end Ke8-e7 Ke7-e6 2. Ke2-e3 *')) {
+    throw new Error(`Expected the action points and the turns in the record:\n${record}`);
+  }
+  const { state: loaded } = importGame(record, piecesData);
+  if (loaded.turn !== 'white' || loaded.actionPoints !== 1 || loaded.history.length !== 5) {
+    throw new Error(`Expected white to have 1 point left on loading, got ${loaded.turn} / ${loaded.actionPoints}`);
+  }
+
+  expectNotationError('1. Ke1-e2 end *', 'ILLEGAL_MOVE');
+  expectNotationError('[ActionPoints "0"]\n\n*', 'BAD_HEADER');
+});
+
+runTest("Games decided on the board load as finished", () => {
+  const state = playMoves(ARCHER_DUEL, NO_KINGS, archersOnly);
+  const { state: loaded } = importGame(exportGame(state, {}), archersOnly);
+  if (loaded.status !== 'white_wins' || loaded.endReason !== 'elimination') {
+    throw new Error(`Expected white_wins by elimination, got ${loaded.status} by ${loaded.endReason}`);
+  }
+});
+
+runTest("Games ended outside the rules keep their recorded result", () => {
+  const state = engine.concludeGame(playMoves([{ type: 'move', from: [7, 4], to: [6, 4] }]), 'black', 'forfeit');
+  const { state: loaded } = importGame(exportGame(state, {}), piecesData);
+  if (loaded.status !== 'black_wins' || loaded.endReason !== 'forfeit') {
+    throw new Error(`Expected black_wins by forfeit, got ${loaded.status} by ${loaded.endReason}`);
+  }
+});
+
+runTest("Drawn games keep their result and how they were drawn", () => {
+  const state = engine.concludeGame(playMoves([{ type: 'move', from: [7, 4], to: [6, 4] }]), null, 'agreement');
+  const record = exportGame(state, {});
+  if (!record.includes('[Result "1/2-1/2"]') || !record.includes('1. Ke1-e2 1/2-1/2')) {
+    throw new Error(`Expected a drawn result:\n${record}`);
+  }
+  const { state: loaded } = importGame(record, piecesData);
+  if (loaded.status !== 'draw' || loaded.endReason !== 'agreement') {
+    throw new Error(`Expected a draw by agreement, got ${loaded.status} by ${loaded.endReason}`);
+  }
+});
+
+runTest("Records of games with more seats keep the seats, who left and the winning team", () => {
+  const seats = [
+    { color: 'white', side: 'bottom', team: 'gold' },
+    { color: 'red', side: 'left', team: 'silver' },
+    { color: 'black', side: 'top', team: 'gold' },
+    { color: 'blue', side: 'right', team: 'silver' }
+  ];
+  let state = playMoves([{ type: 'move', from: [7, 4], to: [6, 4] }], { seats });
+  state = engine.concedeSeat(state, 'red', 'resign');
+  state = engine.applyMove(state, { type: 'move', from: [0, 4], to: [1, 4] }).state;
+  const record = exportGame(state, { Red: 'Ann' });
+  ['[Red "Ann"]', '[Blue "?"]', '[Seats "white:bottom:gold red:left:silver black:top:gold blue:right:silver"]',
+    '1. Ke1-e2 red:resign Ke8-e7 *'].forEach(expected => {
+    if (!record.includes(expected)) {
+      throw new Error(`Expected the record to contain ${expected}:\n${record}`);
+    }
+  });
+  const { state: loaded } = importGame(record, piecesData);
+  if (loaded.turn !== 'blue' || loaded.eliminated.join() !== 'red' || loaded.rules.seats.length !== 4) {
+    throw new Error(`Expected blue to move with red out, got ${loaded.turn} / ${loaded.eliminated}`);
+  }
+
+  const finished = exportGame(engine.concedeSeat(state, 'blue', 'resign'), {});
+  if (!finished.includes('[Result "gold-wins"]') || importGame(finished, piecesData).state.status !== 'gold_wins') {
+    throw new Error(`Expected gold's win to be kept:\n${finished}`);
+  }
+  expectNotationError(finished.replace(/gold-wins/g, 'green-wins'), 'BAD_HEADER');
+  expectNotationError(record.replace('red:resign', 'green:resign'), 'ILLEGAL_MOVE');
+});
+
+runTest("Records with moves that break the rules are rejected", () => {
+  expectNotationError('1. Ke1-e3 *', 'ILLEGAL_MOVE');
+  expectNotationError('1. Ke1-e2 Ke1-e2 *', 'ILLEGAL_MOVE');
+  expectNotationError('1. P@e3 *', 'ILLEGAL_MOVE');
+});
+
+runTest("Records that disagree with the engine are rejected", () => {
+  expectNotationError('1. Pe1-e2 *', 'MOVE_MISMATCH');
+  expectNotationError('1. archerd2-c3 archerd7-c6 2. archerc3>c6(40) *', 'MOVE_MISMATCH');
+  expectNotationError('1. archerd2-c3 archerd7-c6 2. archerc3>c6(45)# *', 'MOVE_MISMATCH');
+
+  const duel = exportGame(playMoves(ARCHER_DUEL, NO_KINGS, archersOnly), {});
+  expectNotationError(duel.replace(/1-0/g, '0-1'), 'RESULT_MISMATCH', archersOnly);
+  expectNotationError(duel.replace(/1-0/g, '*'), 'RESULT_MISMATCH', archersOnly);
+});
+
+runTest("Unreadable records are rejected", () => {
+  expectNotationError('[Event Friday]\n\n*', 'BAD_HEADER');
+  expectNotationError('[Territory "most"]\n\n*', 'BAD_HEADER');
+  expectNotationError('1. Ke1e2 *', 'BAD_MOVE');
+  expectNotationError('1. Ze1-e2 *', 'BAD_MOVE');
+  expectNotationError('1. Ke1xe2 *', 'BAD_MOVE');
+});
+
+console.log("\n--- Notation Tests Complete ---");
+// To run these tests: node test/notation.test.js
@@ -0,0 +1,122 @@
+// Test file: test/takeback.test.js
+
+const engine = require('../engine');
+const takeback = require('../takeback');
+const piecesData = require('../pieces.json');
+
+const WHITE_STEP = { type: 'move', from: [7, 4], to: [6, 4] };
+const WHITE_BACK = { type: 'move', from: [6, 4], to: [7, 4] };
+const BLACK_STEP = { type: 'move', from: [0, 4], to: [1, 4] };
+const BLACK_BACK = { type: 'move', from: [1, 4], to: [0, 4] };
+
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`PASS: ${testName}`);
+  } catch (e) {
+    console.error(`FAIL: ${testName}`);
+    console.error(e);
+    process.exitCode = 1;
+  }
+}
+
+// Play moves the way the server does, snapshotting the state before each
+function play(game, moves) {
+  return moves.reduce(({ state, snapshots }, move) => {
+    const next = engine.applyMove(state, move).state;
+    return { state: next, snapshots: takeback.recordSnapshot(snapshots, state, next) };
+  }, game);
+}
+
+function newGame(rules = {}) {
+  return { state: engine.createGame({ pieces: piecesData, ...rules }), snapshots: [] };
+}
+
+// --- Test Cases ---
+
+runTest("A takeback undoes the player's own last action", () => {
+  const start = newGame();
+  const game = play(start, [WHITE_STEP]);
+  if (takeback.takebackPlies(game.snapshots, game.state, 'white') !== 1) {
+    throw new Error("Expected white's move to be one ply back");
+  }
+  const undone = takeback.takeBack(game.snapshots, game.state, 'white');
+  if (undone.state !== start.state || undone.snapshots.length !== 0) {
+    throw new Error("Expected the game back at the start with no snapshots left");
+  }
+});
+
+runTest("A takeback after the opponent replied undoes the reply too", () => {
+  const start = newGame();
+  const afterWhite = play(start, [WHITE_STEP]);
+  const game = play(afterWhite, [BLACK_STEP]);
+  if (takeback.takebackPlies(game.snapshots, game.state, 'white') !== 2) {
+    throw new Error("Expected white's takeback to undo two plies");
+  }
+  if (takeback.takeBack(game.snapshots, game.state, 'white').state !== start.state) {
+    throw new Error("Expected white's takeback to go back to the start");
+  }
+  if (takeback.takeBack(game.snapshots, game.state, 'black').state !== afterWhite.state) {
+    throw new Error("Expected black's takeback to undo only black's move");
+  }
+
+  // Older snapshots are dropped as the game goes on
+  const later = play(game, [WHITE_BACK, BLACK_BACK]);
+  if (later.snapshots.length !== 2 || later.snapshots[0] !== game.state) {
+    throw new Error(`Expected the snapshots of the last two moves only, got ${later.snapshots.length}`);
+  }
+});
+
+runTest("Takebacks are refused when the snapshots don't reach back far enough", () => {
+  const game = play(newGame(), [WHITE_STEP]);
+  if (takeback.takebackPlies(game.snapshots, game.state, 'black') !== 0 || takeback.takeBack(game.snapshots, game.state, 'black') !== null) {
+    throw new Error("Expected nothing to take back for a player who hasn't moved");
+  }
+  // E.g. a game restored without its snapshots, or after a passed turn
+  const played = play(game, [BLACK_STEP]);
+  if (takeback.takeBack([], played.state, 'white') !== null || takeback.takeBack(played.snapshots.slice(1), played.state, 'white') !== null) {
+    throw new Error("Expected no takeback without the snapshots it needs");
+  }
+});
+
+runTest("Action-point takebacks undo single actions, or the opponent's whole turn since", () => {
+  const start = newGame({ actionPoints: { perTurn: 2 } });
+  // White's two steps use up the turn; black then takes one action of theirs
+  const whiteTurn = play(start, [WHITE_STEP, WHITE_BACK]);
+  const game = play(whiteTurn, [BLACK_STEP]);
+  if (whiteTurn.state.turn !== 'black' || game.state.turn !== 'black') {
+    throw new Error("Expected black to be mid-turn");
+  }
+  if (takeback.takeBack(game.snapshots, game.state, 'black').state !== whiteTurn.state) {
+    throw new Error("Expected black's takeback to undo only their last action");
+  }
+  const undone = takeback.takeBack(game.snapshots, game.state, 'white');
+  if (takeback.takebackPlies(game.snapshots, game.state, 'white') !== 2 || undone.state !== whiteTurn.snapshots[1]) {
+    throw new Error("Expected white's takeback to undo black's action and white's last one");
+  }
+
+  // Snapshots cover the last two turns, however many actions they took
+  const later = play(game, [BLACK_BACK, WHITE_STEP, WHITE_BACK]);
+  if (later.snapshots.length !== 4 || takeback.takebackPlies(later.snapshots, later.state, 'black') !== 3) {
+    throw new Error(`Expected black's and white's whole turns to be kept, got ${later.snapshots.length}`);
+  }
+  if (takeback.takeBack(later.snapshots, later.state, 'black').state !== game.state) {
+    throw new Error("Expected black's takeback to undo white's turn and black's last action");
+  }
+});
+
+runTest("Takebacks keep the random number generator where the taken back rolls left it", () => {
+  const luckyArchers = {
+    archer: { ...piecesData.archer, criticalChance: 0.4, missChance: 0.4, initialPositions: { white: [[5, 2]], black: [[2, 2]] } }
+  };
+  const start = newGame({ pieces: luckyArchers, winConditions: { kingAssassination: false }, seed: 7 });
+  const game = play(start, [{ type: 'move', from: [5, 2], to: [2, 2], action: 'shoot' }]);
+  const snapshot = game.snapshots[game.snapshots.length - 1];
+  const undone = takeback.takeBack(game.snapshots, game.state, 'white');
+  if (undone.state.rng === snapshot.rng || undone.state.rng !== game.state.rng) {
+    throw new Error("Expected the generator to stay where the shot left it");
+  }
+  if (undone.state.rules.seed !== null || JSON.stringify(undone.state.board) !== JSON.stringify(snapshot.board)) {
+    throw new Error("Expected the position before the shot, without the seed");
+  }
+});